@@ -106,13 +106,14 @@ test('formatDuration should pad seconds with leading zero', () => {
 
 // Test Transcript Generator
 console.log('\n📝 Testing Transcript Generator...');
-const { generateMockTranscript, downloadTranscript } = require('./src/utils/transcriptGenerator');
+const { downloadTranscript } = require('./src/utils/transcriptGenerator');
+const { transcribeAudio } = require('./src/utils/transcriptionProviders');
 
-test('generateMockTranscript should throw error for null audio blob', async () => {
+test('transcribeAudio should throw error for null audio blob', async () => {
   const mockHearing = { 'Case Number': '123-2024' };
   
   try {
-    await generateMockTranscript(null, mockHearing, 60);
+    await transcribeAudio(null, { hearing: mockHearing, duration: 60 });
     throw new Error('Should have thrown an error');
   } catch (error) {
     if (!error.message.includes('No audio data available')) {
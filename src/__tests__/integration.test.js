@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import App from '../components/App';
 
@@ -35,16 +35,7 @@ describe('Court Reporter Integration Tests', () => {
       size: content?.length || 0
     }));
 
-    global.document.createElement = jest.fn((tagName) => {
-      if (tagName === 'a') {
-        return {
-          href: '',
-          download: '',
-          click: jest.fn()
-        };
-      }
-      return {};
-    });
+    document.createElement.mockClear();
 
     window.alert = jest.fn();
   });
@@ -85,7 +76,7 @@ describe('Court Reporter Integration Tests', () => {
       });
 
       // Verify hearing tiles are rendered with correct data
-      const hearingTiles = screen.getAllByText(/Case:/);
+      const hearingTiles = screen.getAllByTestId('case-number');
       expect(hearingTiles).toHaveLength(2);
       
       expect(screen.getByText('123-2024')).toBeInTheDocument();
@@ -177,16 +168,16 @@ describe('Court Reporter Integration Tests', () => {
       });
 
       const transcriptButton = screen.getByText('📄 Generate Transcript');
+      jest.useFakeTimers();
       fireEvent.click(transcriptButton);
 
       // Step 4: Verify transcript processing
       await waitFor(() => {
-        expect(screen.getByText('⏳ Processing transcript...')).toBeInTheDocument();
+        expect(screen.getByTestId('status')).toHaveTextContent('⏳ Transcribing with Mock transcript (demonstration)');
       });
 
-      // Step 5: Wait for transcript completion (mock implementation has 2s delay)
-      jest.useFakeTimers();
-      jest.advanceTimersByTime(2000);
+      // Step 5: Wait for transcript completion (the mock engine takes 2s)
+      await act(() => jest.advanceTimersByTimeAsync(2000));
       jest.useRealTimers();
 
       await waitFor(() => {
@@ -216,7 +207,7 @@ describe('Court Reporter Integration Tests', () => {
       await userEvent.upload(fileInput, file);
 
       await waitFor(() => {
-        expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('Error parsing CSV:'));
+        expect(screen.getByTestId('import-error')).toHaveTextContent('Error parsing CSV:');
       });
 
       // Should still show empty state
@@ -1,33 +1,426 @@
-import React, { useState, useRef } from 'react';
-import { parseCSV, initializeRecordingStates } from '../utils/csvParser';
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  parseCSV,
+  parseCSVWithDiagnostics,
+  parseRecordsWithDiagnostics,
+  getCSVHeaders,
+  cleanHeaderRow,
+  prepareHearings,
+  initializeRecordingStates
+} from '../utils/csvParser';
+import { mergeDockets, mergeRecordingStates } from '../utils/docketMerge';
+import { groupHearingsByDay, findScheduleConflicts, sortHearings } from '../utils/docketSchedule';
+import { proposeColumnMapping, isIdentityMapping, getSavedMapping, saveMapping } from '../utils/columnMapping';
+import { parseICSWithDiagnostics, getICSPatterns, saveICSPatterns, isICSFile } from '../utils/icsParser';
+import { readXLSX, getSheetRecords, isXLSXFile } from '../utils/xlsxReader';
+import {
+  getExtraColumns,
+  getManualFormFields,
+  matchesSearch,
+  getFieldSchema,
+  saveFieldSchema
+} from '../utils/fieldSchema';
+import { downloadDocketExport } from '../utils/docketExport';
+import {
+  openSessionDB,
+  saveSession,
+  loadSession,
+  clearSession,
+  saveRecordingChunk,
+  recoverRecordings
+} from '../utils/sessionStore';
+import { getSupportedAudioFormats, getAudioSettings, saveAudioSettings } from '../utils/audioRecorder';
+import { listAudioInputs } from '../utils/inputDevices';
+import { listProviders, getTranscriptionSettings, saveTranscriptionSettings } from '../utils/transcriptionProviders';
 import HearingTile from './HearingTile';
+import ColumnMappingWizard from './ColumnMappingWizard';
+import ImportPreview from './ImportPreview';
+import ICSPatternSettings from './ICSPatternSettings';
+import SheetPicker from './SheetPicker';
+import FieldSchemaSettings from './FieldSchemaSettings';
+import ManualHearingForm from './ManualHearingForm';
+import AudioSettings from './AudioSettings';
+import TranscriptionSettings from './TranscriptionSettings';
+
+// Pasted and dropped tables add to the docket rather than standing in for it
+const APPEND_OPTIONS = { flagRemoved: false };
+
+/**
+ * Checks whether an event target takes text input of its own
+ * @param {Element} target - Event target
+ * @returns {boolean} True for form fields and editable content
+ */
+function isEditableTarget(target) {
+  return !!target && (target.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(target.tagName));
+}
+
+/**
+ * Wraps CSV text as a table for the shared mapping and validation steps
+ * @param {string} text - Raw CSV or tab-separated content (the delimiter is detected)
+ * @param {string} label - Name used in error messages (default "CSV")
+ * @returns {Object} Table with label, headers, parse(mapping) and getSampleRow()
+ */
+function createCSVTable(text, label = 'CSV') {
+  return {
+    label,
+    headers: getCSVHeaders(text),
+    parse: (mapping) => (mapping ? parseCSVWithDiagnostics(text, { mapping }) : parseCSVWithDiagnostics(text)),
+    getSampleRow: () => parseCSV(text)[0]
+  };
+}
+
+/**
+ * Wraps a workbook sheet as a table for the shared mapping and validation steps
+ * @param {Object} sheet - Sheet from readXLSX
+ * @param {number} headerRow - 1-based row number of the header row
+ * @returns {Object} Table with label, headers, parse(mapping) and getSampleRow()
+ */
+function createSheetTable(sheet, headerRow) {
+  const records = getSheetRecords(sheet, headerRow);
+  const parse = (mapping) => parseRecordsWithDiagnostics(records, mapping ? { mapping, sourceName: 'Sheet' } : { sourceName: 'Sheet' });
+
+  return {
+    label: 'sheet',
+    headers: records.length > 0 ? cleanHeaderRow(records[0].values) : [],
+    parse,
+    getSampleRow: () => parse().rows[0].hearing
+  };
+}
 
 function App() {
   const [hearings, setHearings] = useState([]);
   const [recordings, setRecordings] = useState({});
+  const [pendingWorkbook, setPendingWorkbook] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [mergeSummary, setMergeSummary] = useState(null);
+  const [icsPatterns, setICSPatterns] = useState(() => getICSPatterns());
+  const [showICSSettings, setShowICSSettings] = useState(false);
+  const [isDragging, setIsDragging] = useState(false);
+  const [fieldSchema, setFieldSchema] = useState(() => getFieldSchema());
+  const [showFieldSettings, setShowFieldSettings] = useState(false);
+  const [showManualInput, setShowManualInput] = useState(false);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [audioSettings, setAudioSettings] = useState(() => getAudioSettings());
+  const [showAudioSettings, setShowAudioSettings] = useState(false);
+  const [transcriptionSettings, setTranscriptionSettings] = useState(() => getTranscriptionSettings());
+  const [showTranscriptionSettings, setShowTranscriptionSettings] = useState(false);
+  const [inputDevices, setInputDevices] = useState([]);
+  const [savedSession, setSavedSession] = useState(null);
+  // Nothing is saved until the previous session has been restored or discarded
+  const [persistReady, setPersistReady] = useState(false);
   const fileInputRef = useRef(null);
+  const sessionDBRef = useRef(null);
+  const savedRecordingsRef = useRef({});
 
-  const handleFileUpload = (event) => {
-    const file = event.target.files[0];
-    if (!file) return;
+  const addHearings = (data, mergeOptions = {}) => {
+    // Re-importing a docket keeps recordings attached to hearings that are still on it
+    const { hearings: merged, summary } = mergeDockets(hearings, data, mergeOptions);
+    setHearings(merged);
+    setRecordings(prev => mergeRecordingStates(prev, merged));
+    setMergeSummary(hearings.length > 0 ? summary : null);
+  };
+
+  // mergeOptions travel with an import through the sheet, mapping and review steps
+  const handleImportReport = (report, mergeOptions = {}) => {
+    if (report.rows.some(row => row.issues.length > 0)) {
+      // Nothing is added until flagged rows are fixed or skipped
+      setImportReport({ ...report, mergeOptions });
+    } else {
+      addHearings(report.rows.map(row => row.hearing), mergeOptions);
+    }
+  };
+
+  // Runs a CSV or sheet table through the saved mapping, the mapping wizard or straight to validation
+  const importTable = (table, mergeOptions = {}) => {
+    const savedMapping = getSavedMapping(table.headers);
+    const proposed = proposeColumnMapping(table.headers);
+
+    if (savedMapping) {
+      handleImportReport(table.parse(savedMapping), mergeOptions);
+    } else if (isIdentityMapping(proposed)) {
+      handleImportReport(table.parse(), mergeOptions);
+    } else {
+      // Let the user confirm or fix the proposed mapping first
+      setPendingImport({
+        table,
+        headers: table.headers,
+        mapping: proposed,
+        sampleRow: table.getSampleRow(),
+        mergeOptions
+      });
+    }
+  };
+
+  const resetImport = () => {
+    setImportError(null);
+    setImportReport(null);
+    setPendingWorkbook(null);
+    setPendingImport(null);
+  };
+
+  const importFile = (file, mergeOptions = {}) => {
+    resetImport();
 
     const reader = new FileReader();
+
+    if (isXLSXFile(file.name)) {
+      reader.onload = (e) => {
+        try {
+          // The user picks the sheet and header row before mapping
+          setPendingWorkbook({ ...readXLSX(e.target.result), mergeOptions });
+        } catch (error) {
+          setImportError(`Error reading workbook: ${error.message}`);
+        }
+      };
+      reader.readAsArrayBuffer(file);
+      return;
+    }
+
     reader.onload = (e) => {
+      const text = e.target.result;
+
+      if (isICSFile(file.name, text)) {
+        try {
+          handleImportReport(parseICSWithDiagnostics(text, { patterns: icsPatterns }), mergeOptions);
+        } catch (error) {
+          setImportError(`Error parsing calendar: ${error.message}`);
+        }
+        return;
+      }
+
       try {
-        const text = e.target.result;
-        const data = parseCSV(text);
-        setHearings(data);
-        
-        const newRecordings = initializeRecordingStates(data);
-        setRecordings(newRecordings);
+        importTable(createCSVTable(text), mergeOptions);
       } catch (error) {
-        alert(`Error parsing CSV: ${error.message}`);
+        setImportError(`Error parsing CSV: ${error.message}`);
       }
     };
 
     reader.readAsText(file);
   };
 
+  const handleFileUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    importFile(file);
+    // Clear the input so picking the same (updated) file again fires onChange
+    event.target.value = '';
+  };
+
+  const importPastedTable = (text) => {
+    resetImport();
+    try {
+      importTable(createCSVTable(text, 'pasted table'), APPEND_OPTIONS);
+    } catch (error) {
+      setImportError(`Error parsing pasted table: ${error.message}`);
+    }
+  };
+
+  const handlePaste = (event) => {
+    // Leave pastes into notes and form fields alone
+    if (isEditableTarget(event.target)) return;
+
+    const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+    // A table needs a header line and at least one row
+    if (!/\S[^\r\n]*[\r\n]+\s*\S/.test(text)) return;
+
+    event.preventDefault();
+    importPastedTable(text);
+  };
+
+  const handleDragOver = (event) => {
+    // Without preventDefault the browser opens the dropped file instead
+    event.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDragLeave = (event) => {
+    // Only leaving the window counts; moving between elements fires dragleave too
+    if (!event.relatedTarget) setIsDragging(false);
+  };
+
+  const handleDrop = (event) => {
+    setIsDragging(false);
+
+    const transfer = event.dataTransfer;
+    if (!transfer) return;
+
+    if (transfer.files && transfer.files.length > 0) {
+      event.preventDefault();
+      importFile(transfer.files[0], APPEND_OPTIONS);
+    } else if (!isEditableTarget(event.target)) {
+      // Text dropped on a form field is left to the field
+      event.preventDefault();
+      const text = transfer.getData('text/plain');
+      if (text && text.trim()) importPastedTable(text);
+    }
+  };
+
+  useEffect(() => {
+    let cancelled = false;
+    openSessionDB()
+      .then(db => {
+        sessionDBRef.current = db;
+        // Recordings cut off by a crash are attached to their hearings before the session is offered
+        return recoverRecordings(db).then(() => loadSession(db));
+      })
+      .then(session => {
+        if (cancelled) return;
+        if (session) {
+          setSavedSession(session);
+        } else {
+          setPersistReady(true);
+        }
+      })
+      .catch(error => {
+        // Without IndexedDB the app still works, it just does not survive a reload
+        console.error('Error loading saved session:', error);
+      });
+    return () => { cancelled = true; };
+  }, []);
+
+  useEffect(() => {
+    if (!persistReady || !sessionDBRef.current) return;
+    saveSession(sessionDBRef.current, hearings, recordings, savedRecordingsRef.current)
+      .catch(error => console.error('Error saving session:', error));
+    savedRecordingsRef.current = recordings;
+  }, [hearings, recordings, persistReady]);
+
+  const handleRecordingChunk = (hearingId, chunk, sequence) => {
+    if (!sessionDBRef.current) return;
+    saveRecordingChunk(sessionDBRef.current, hearingId, sequence, chunk)
+      .catch(error => console.error('Error saving recording chunk:', error));
+  };
+
+  const handleRestoreSession = () => {
+    setHearings(savedSession.hearings);
+    setRecordings(savedSession.recordings);
+    // The restored audio is already stored
+    savedRecordingsRef.current = savedSession.recordings;
+    setSavedSession(null);
+    setPersistReady(true);
+  };
+
+  const handleDiscardSession = () => {
+    clearSession(sessionDBRef.current)
+      .catch(error => console.error('Error clearing session:', error));
+    setSavedSession(null);
+    setPersistReady(true);
+  };
+
+  const handleClearDay = () => {
+    if (!window.confirm('Clear all hearings, recordings, transcripts and notes? This cannot be undone.')) return;
+
+    if (sessionDBRef.current) {
+      clearSession(sessionDBRef.current)
+        .catch(error => console.error('Error clearing session:', error));
+    }
+    savedRecordingsRef.current = {};
+    setHearings([]);
+    setRecordings({});
+    setSearchQuery('');
+    setMergeSummary(null);
+  };
+
+  // The microphone list follows devices being plugged in and out while the audio settings are open
+  useEffect(() => {
+    if (!showAudioSettings) return undefined;
+    const mediaDevices = navigator.mediaDevices;
+    const refresh = () => {
+      listAudioInputs()
+        .then(setInputDevices)
+        .catch(error => console.error('Error listing microphones:', error));
+    };
+    refresh();
+    if (mediaDevices && mediaDevices.addEventListener) mediaDevices.addEventListener('devicechange', refresh);
+    return () => {
+      if (mediaDevices && mediaDevices.removeEventListener) mediaDevices.removeEventListener('devicechange', refresh);
+    };
+  }, [showAudioSettings]);
+
+  // The handlers close over the current docket, so they are re-registered on every render
+  useEffect(() => {
+    document.addEventListener('paste', handlePaste);
+    document.addEventListener('dragover', handleDragOver);
+    document.addEventListener('dragleave', handleDragLeave);
+    document.addEventListener('drop', handleDrop);
+    return () => {
+      document.removeEventListener('paste', handlePaste);
+      document.removeEventListener('dragover', handleDragOver);
+      document.removeEventListener('dragleave', handleDragLeave);
+      document.removeEventListener('drop', handleDrop);
+    };
+  });
+
+  const handleConfirmSheet = (sheetIndex, headerRow) => {
+    const { mergeOptions } = pendingWorkbook;
+    const sheet = pendingWorkbook.sheets[sheetIndex];
+    setPendingWorkbook(null);
+    try {
+      importTable(createSheetTable(sheet, headerRow), mergeOptions);
+    } catch (error) {
+      setImportError(`Error parsing sheet: ${error.message}`);
+    }
+  };
+
+  const handleConfirmMapping = (mapping, remember) => {
+    const { table, mergeOptions } = pendingImport;
+    try {
+      if (remember) {
+        saveMapping(pendingImport.headers, mapping);
+      }
+      handleImportReport(table.parse(mapping), mergeOptions);
+    } catch (error) {
+      setImportError(`Error parsing ${table.label}: ${error.message}`);
+    }
+    setPendingImport(null);
+  };
+
+  const handleConfirmImport = (data) => {
+    addHearings(data, importReport.mergeOptions);
+    setImportReport(null);
+  };
+
+  const handleSaveICSPatterns = (patterns) => {
+    // Throws for patterns that do not compile; ICSPatternSettings shows the message
+    saveICSPatterns(patterns);
+    setICSPatterns(patterns);
+    setShowICSSettings(false);
+  };
+
+  const handleSaveFieldSchema = (schema) => {
+    setFieldSchema(saveFieldSchema(schema));
+    setShowFieldSettings(false);
+  };
+
+  const handleSaveAudioSettings = (settings) => {
+    setAudioSettings(saveAudioSettings(settings));
+    setShowAudioSettings(false);
+  };
+
+  const handleSaveTranscriptionSettings = (settings) => {
+    setTranscriptionSettings(saveTranscriptionSettings(settings));
+    setShowTranscriptionSettings(false);
+  };
+
+  const handleAddManualHearing = (fields) => {
+    const [newHearing] = prepareHearings([fields], { existingIds: hearings.map(hearing => hearing.id) });
+    setHearings(prev => [...prev, newHearing]);
+    setRecordings(prev => ({ ...prev, ...initializeRecordingStates([newHearing]) }));
+    setShowManualInput(false);
+  };
+
+  const handleExportDocket = (format) => {
+    // The whole docket is exported in schedule order, whatever the search shows
+    try {
+      downloadDocketExport(sortHearings(hearings), recordings, { format });
+    } catch (error) {
+      setImportError(`Export failed: ${error.message}`);
+    }
+  };
+
   const updateRecording = (hearingId, update) => {
     setRecordings(prev => ({
       ...prev,
@@ -35,44 +428,274 @@ function App() {
     }));
   };
 
+  const recoveredCount = savedSession
+    ? Object.values(savedSession.recordings).filter(recording => recording.recovered).length
+    : 0;
+  // Conflicts are found across the whole docket, not just the hearings matching the search.
+  // Hearings that do not match are hidden rather than left out, so a tile that is recording keeps its recording
+  const matchingIds = new Set(hearings.filter(hearing => matchesSearch(hearing, searchQuery, fieldSchema)).map(hearing => hearing.id));
+  const days = groupHearingsByDay(hearings).map(group => ({
+    ...group,
+    matching: group.hearings.filter(hearing => matchingIds.has(hearing.id)).length
+  }));
+  const matchingDays = days.filter(group => group.matching > 0).length;
+  const conflicts = findScheduleConflicts(hearings);
+
   return (
     <div className="app-container">
+      {isDragging && (
+        <div className="drop-overlay" data-testid="drop-overlay">
+          Drop a docket file or table to add its hearings
+        </div>
+      )}
+
       <div className="header">
         <h1>Court Hearing Recorder</h1>
         <p>Record hearings, generate transcripts, and manage case notes - all locally</p>
       </div>
       
+      {savedSession && (
+        <div className="restore-prompt" data-testid="restore-prompt">
+          <span>
+            A previous session with {savedSession.hearings.length} hearing{savedSession.hearings.length === 1 ? '' : 's'} was
+            saved {new Date(savedSession.savedAt).toLocaleString()}
+            {recoveredCount > 0 && `, including ${recoveredCount} recording${recoveredCount === 1 ? '' : 's'} recovered after an interruption`}. Restore it?
+            Recording waits until you choose.
+          </span>
+          <button className="btn btn-start" onClick={handleRestoreSession} data-testid="restore-session-btn">
+            ↩️ Restore
+          </button>
+          <button className="btn btn-reset" onClick={handleDiscardSession} data-testid="discard-session-btn">
+            Start Fresh
+          </button>
+        </div>
+      )}
+      
       <div className="file-upload">
         <h2>Upload Hearing Schedule (CSV)</h2>
         <p style={{marginBottom: '20px', color: '#7f8c8d'}}>
           Expected columns: Case Number, Client Name, Division, Time
         </p>
+        <p className="upload-hint">
+          Excel workbooks (.xlsx) and calendar exports (.ics) from Outlook or Google Calendar are also accepted
+        </p>
+        <p className="upload-hint">
+          You can also paste a table copied from the court portal (Ctrl+V) or drop a file anywhere on the page to add its hearings
+        </p>
         <div className="file-input-wrapper">
           <input
             ref={fileInputRef}
             type="file"
-            accept=".csv"
+            accept=".csv,.xlsx,.ics"
             onChange={handleFileUpload}
             className="file-input"
             id="csv-upload"
             data-testid="csv-upload-input"
           />
           <label htmlFor="csv-upload" className="file-input-label">
-            Choose CSV File
+            Choose CSV, Excel or .ics File
           </label>
+          <button
+            className="btn btn-reset"
+            onClick={() => setShowICSSettings(prev => !prev)}
+            data-testid="ics-settings-toggle"
+          >
+            ⚙️ Calendar Patterns
+          </button>
+          <button
+            className="btn btn-reset"
+            onClick={() => setShowFieldSettings(prev => !prev)}
+            data-testid="field-settings-toggle"
+          >
+            🗂️ Fields
+          </button>
+          <button
+            className="btn btn-reset"
+            onClick={() => setShowAudioSettings(prev => !prev)}
+            data-testid="audio-settings-toggle"
+          >
+            🎙️ Audio Settings
+          </button>
+          <button
+            className="btn btn-reset"
+            onClick={() => setShowTranscriptionSettings(prev => !prev)}
+            data-testid="transcription-settings-toggle"
+          >
+            📝 Transcription
+          </button>
+          <button
+            className="btn btn-start"
+            onClick={() => setShowManualInput(prev => !prev)}
+            data-testid="manual-input-toggle"
+          >
+            ✏️ {showManualInput ? 'Hide Form' : 'Add Manually'}
+          </button>
         </div>
+        
+        {showManualInput && (
+          <ManualHearingForm
+            extraFields={getManualFormFields(fieldSchema)}
+            onSubmit={handleAddManualHearing}
+            onCancel={() => setShowManualInput(false)}
+          />
+        )}
+        
+        {showFieldSettings && (
+          <FieldSchemaSettings
+            schema={fieldSchema}
+            columns={getExtraColumns(hearings)}
+            onSave={handleSaveFieldSchema}
+            onCancel={() => setShowFieldSettings(false)}
+          />
+        )}
+        
+        {showAudioSettings && (
+          <AudioSettings
+            settings={audioSettings}
+            supportedFormats={getSupportedAudioFormats()}
+            inputDevices={inputDevices}
+            onSave={handleSaveAudioSettings}
+            onCancel={() => setShowAudioSettings(false)}
+          />
+        )}
+        
+        {showTranscriptionSettings && (
+          <TranscriptionSettings
+            settings={transcriptionSettings}
+            providers={listProviders()}
+            onSave={handleSaveTranscriptionSettings}
+            onCancel={() => setShowTranscriptionSettings(false)}
+          />
+        )}
+        
+        {showICSSettings && (
+          <ICSPatternSettings
+            patterns={icsPatterns}
+            onSave={handleSaveICSPatterns}
+            onCancel={() => setShowICSSettings(false)}
+          />
+        )}
+        
+        {pendingWorkbook && (
+          <SheetPicker
+            workbook={pendingWorkbook}
+            onConfirm={handleConfirmSheet}
+            onCancel={() => setPendingWorkbook(null)}
+          />
+        )}
+        
+        {pendingImport && (
+          <ColumnMappingWizard
+            headers={pendingImport.headers}
+            initialMapping={pendingImport.mapping}
+            sampleRow={pendingImport.sampleRow}
+            onConfirm={handleConfirmMapping}
+            onCancel={() => setPendingImport(null)}
+          />
+        )}
+        
+        {importReport && (
+          <ImportPreview
+            report={importReport}
+            onConfirm={handleConfirmImport}
+            onCancel={() => setImportReport(null)}
+          />
+        )}
+        
+        {mergeSummary && (
+          <div className="merge-summary" data-testid="merge-summary">
+            Docket updated: {mergeSummary.added.length} added, {mergeSummary.rescheduled.length} rescheduled, {mergeSummary.removed.length} no longer listed, {mergeSummary.unchanged.length} unchanged
+            <button
+              className="merge-summary-dismiss"
+              onClick={() => setMergeSummary(null)}
+              data-testid="merge-summary-dismiss"
+            >
+              ✖
+            </button>
+          </div>
+        )}
+        
+        {importError && (
+          <div className="import-error" data-testid="import-error">
+            {importError}
+          </div>
+        )}
       </div>
       
+      {hearings.length > 0 && (
+        <div className="hearing-search">
+          <input
+            type="search"
+            value={searchQuery}
+            onChange={(e) => setSearchQuery(e.target.value)}
+            placeholder="Search hearings by case, client, division or any searchable field..."
+            data-testid="hearing-search"
+          />
+          <button
+            className="btn btn-reset"
+            onClick={() => handleExportDocket('csv')}
+            title="Download the docket with recording status, durations, notes and speaking time"
+            data-testid="export-csv-btn"
+          >
+            ⬇️ Export CSV
+          </button>
+          <button
+            className="btn btn-reset"
+            onClick={() => handleExportDocket('tsv')}
+            title="Tab-separated, for pasting into a spreadsheet"
+            data-testid="export-tsv-btn"
+          >
+            ⬇️ Export TSV
+          </button>
+          <button
+            className="btn btn-stop"
+            onClick={handleClearDay}
+            title="Remove the docket, recordings and notes from this browser"
+            data-testid="clear-day-btn"
+          >
+            🗑️ Clear Day
+          </button>
+        </div>
+      )}
+      
+      {hearings.length > 0 && matchingIds.size === 0 && (
+        <div className="empty-state" data-testid="no-search-results">
+          <p>No hearings match "{searchQuery}"</p>
+        </div>
+      )}
+      
       {hearings.length > 0 ? (
+        // Every tile shares one parent, keyed by hearing ID, with the day headings laid out between them:
+        // a re-import that moves a hearing to another day only moves its tile, instead of remounting it
+        // and stopping its recording
         <div className="hearings-grid" data-testid="hearings-grid">
-          {hearings.map(hearing => (
-            <HearingTile
-              key={hearing.id}
-              hearing={hearing}
-              recording={recordings[hearing.id]}
-              onUpdateRecording={(update) => updateRecording(hearing.id, update)}
-            />
-          ))}
+          {days.flatMap(group => [
+            (group.day || matchingDays > 1) && (
+              <h2
+                key={`day-${group.day || 'unscheduled'}`}
+                className="docket-day-heading"
+                hidden={group.matching === 0}
+                data-testid={`docket-day-${group.day || 'unscheduled'}`}
+              >
+                {group.label} <span className="docket-day-count">({group.matching})</span>
+              </h2>
+            ),
+            ...group.hearings.map(hearing => (
+              <HearingTile
+                key={hearing.id}
+                hearing={hearing}
+                recording={recordings[hearing.id]}
+                conflicts={conflicts[hearing.id]}
+                fieldSchema={fieldSchema}
+                audioSettings={audioSettings}
+                transcriptionSettings={transcriptionSettings}
+                hidden={!matchingIds.has(hearing.id)}
+                canRecord={!savedSession}
+                onUpdateRecording={(update) => updateRecording(hearing.id, update)}
+                onRecordingChunk={(chunk, sequence) => handleRecordingChunk(hearing.id, chunk, sequence)}
+              />
+            ))
+          ])}
         </div>
       ) : (
         <div className="empty-state" data-testid="empty-state">
@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { AUDIO_FORMATS, AUDIO_BITRATES, DEFAULT_AUDIO_SETTINGS } from '../utils/audioRecorder';
+import { WAV_ENCODINGS } from '../utils/wavEncoder';
+import { SILENCE_WARNING_SECONDS } from '../utils/levelMonitor';
+import { SEGMENT_MINUTES, SEGMENT_MEGABYTES, SPLIT_SILENCE_SECONDS } from '../utils/recordingSegments';
+import { SOURCE_GAINS } from '../utils/tabAudio';
+
+const PROCESSING_OPTIONS = [
+  { key: 'echoCancellation', label: 'Echo cancellation' },
+  { key: 'noiseSuppression', label: 'Noise suppression' },
+  { key: 'autoGainControl', label: 'Automatic gain' }
+];
+
+function AudioSettings({ settings, supportedFormats = [], inputDevices = [], onSave, onCancel }) {
+  const [values, setValues] = useState(settings);
+
+  const isSupported = (format) => supportedFormats.some(supported => supported.mimeType === format.mimeType);
+  const isConnected = !values.deviceId || inputDevices.some(device => device.deviceId === values.deviceId);
+
+  return (
+    <div className="ics-settings" data-testid="audio-settings">
+      <h3>Microphone</h3>
+      <p className="ics-settings-hint">
+        If the chosen microphone is unplugged mid-recording, the recording carries on from the
+        default one and switches back when it returns.
+      </p>
+
+      <label className="ics-settings-field">
+        Input
+        <select
+          value={values.deviceId}
+          onChange={(e) => setValues(prev => ({ ...prev, deviceId: e.target.value }))}
+          data-testid="audio-device-select"
+        >
+          <option value="">System default</option>
+          {inputDevices.map(device => (
+            <option key={device.deviceId} value={device.deviceId}>{device.label}</option>
+          ))}
+          {!isConnected && <option value={values.deviceId}>Saved microphone - not connected</option>}
+        </select>
+      </label>
+
+      <p className="ics-settings-hint">
+        These help a laptop microphone but distort a feed from the courtroom mixer; turn them off for a mixer tap.
+      </p>
+      {PROCESSING_OPTIONS.map(option => (
+        <label key={option.key} className="ics-settings-field ics-settings-check">
+          <input
+            type="checkbox"
+            checked={values[option.key] !== false}
+            onChange={(e) => setValues(prev => ({ ...prev, [option.key]: e.target.checked }))}
+            data-testid={`audio-${option.key}-checkbox`}
+          />
+          {option.label}
+        </label>
+      ))}
+
+      <label className="ics-settings-field">
+        Warn when there is no input for
+        <select
+          value={values.silenceWarningSeconds}
+          onChange={(e) => setValues(prev => ({ ...prev, silenceWarningSeconds: Number(e.target.value) }))}
+          data-testid="silence-warning-select"
+        >
+          {SILENCE_WARNING_SECONDS.map(seconds => (
+            <option key={seconds} value={seconds}>{seconds} seconds</option>
+          ))}
+        </select>
+      </label>
+
+      <h3>Virtual Hearings</h3>
+      <p className="ics-settings-hint">
+        For a hearing on Zoom or Teams, record the meeting's tab as well as the microphone. When recording
+        starts, choose the tab (or the screen, for the desktop app) and tick "Share tab audio" or "Share system audio".
+      </p>
+
+      <label className="ics-settings-field ics-settings-check">
+        <input
+          type="checkbox"
+          checked={values.captureTabAudio === true}
+          onChange={(e) => setValues(prev => ({ ...prev, captureTabAudio: e.target.checked }))}
+          data-testid="capture-tab-audio-checkbox"
+        />
+        Record tab or system audio with the microphone
+      </label>
+
+      {values.captureTabAudio && (
+        <>
+          <label className="ics-settings-field">
+            Microphone level
+            <select
+              value={values.micGain}
+              onChange={(e) => setValues(prev => ({ ...prev, micGain: Number(e.target.value) }))}
+              data-testid="mic-gain-select"
+            >
+              {SOURCE_GAINS.map(gain => (
+                <option key={gain} value={gain}>{gain * 100}%</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="ics-settings-field">
+            Tab audio level
+            <select
+              value={values.tabGain}
+              onChange={(e) => setValues(prev => ({ ...prev, tabGain: Number(e.target.value) }))}
+              data-testid="tab-gain-select"
+            >
+              {SOURCE_GAINS.map(gain => (
+                <option key={gain} value={gain}>{gain * 100}%</option>
+              ))}
+            </select>
+          </label>
+
+          <label className="ics-settings-field ics-settings-check">
+            <input
+              type="checkbox"
+              checked={values.separateChannels === true}
+              onChange={(e) => setValues(prev => ({ ...prev, separateChannels: e.target.checked }))}
+              data-testid="separate-channels-checkbox"
+            />
+            Keep them apart: microphone on the left channel, tab on the right
+          </label>
+        </>
+      )}
+
+      <h3>Recording Format</h3>
+      <p className="ics-settings-hint">
+        Automatic uses the first format this browser supports, in the order listed.
+        A format the browser cannot record falls back the same way.
+      </p>
+
+      <label className="ics-settings-field">
+        Format
+        <select
+          value={values.mimeType}
+          onChange={(e) => setValues(prev => ({ ...prev, mimeType: e.target.value }))}
+          data-testid="audio-format-select"
+        >
+          <option value="">Automatic{supportedFormats.length > 0 ? ` (${supportedFormats[0].label})` : ''}</option>
+          {AUDIO_FORMATS.map(format => (
+            <option key={format.mimeType} value={format.mimeType} disabled={!isSupported(format)}>
+              {format.label}{isSupported(format) ? '' : ' - not supported'}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="ics-settings-field">
+        Bitrate
+        <select
+          value={values.audioBitsPerSecond}
+          onChange={(e) => setValues(prev => ({ ...prev, audioBitsPerSecond: Number(e.target.value) }))}
+          data-testid="audio-bitrate-select"
+        >
+          {AUDIO_BITRATES.map(bitrate => (
+            <option key={bitrate} value={bitrate}>{bitrate / 1000} kbps</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="ics-settings-field">
+        WAV export
+        <select
+          value={values.wavEncoding}
+          onChange={(e) => setValues(prev => ({ ...prev, wavEncoding: e.target.value }))}
+          data-testid="wav-encoding-select"
+        >
+          {Object.keys(WAV_ENCODINGS).map(encoding => (
+            <option key={encoding} value={encoding}>{WAV_ENCODINGS[encoding].label}, 16 kHz mono</option>
+          ))}
+        </select>
+      </label>
+
+      <h3>Long Recordings</h3>
+      <p className="ics-settings-hint">
+        A long recording can be split into takes as it is recorded, so each file stays small enough
+        to download and transcribe. Downloading the audio also saves a manifest with each file's start time.
+      </p>
+
+      <label className="ics-settings-field">
+        New take every
+        <select
+          value={values.segmentMinutes}
+          onChange={(e) => setValues(prev => ({ ...prev, segmentMinutes: Number(e.target.value) }))}
+          data-testid="segment-minutes-select"
+        >
+          {SEGMENT_MINUTES.map(minutes => (
+            <option key={minutes} value={minutes}>{minutes ? `${minutes} minutes` : 'No length limit'}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="ics-settings-field">
+        New take after
+        <select
+          value={values.segmentMegabytes}
+          onChange={(e) => setValues(prev => ({ ...prev, segmentMegabytes: Number(e.target.value) }))}
+          data-testid="segment-megabytes-select"
+        >
+          {SEGMENT_MEGABYTES.map(megabytes => (
+            <option key={megabytes} value={megabytes}>{megabytes ? `${megabytes} MB` : 'No size limit'}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="ics-settings-field">
+        New take at a pause of
+        <select
+          value={values.splitSilenceSeconds}
+          onChange={(e) => setValues(prev => ({ ...prev, splitSilenceSeconds: Number(e.target.value) }))}
+          data-testid="split-silence-select"
+        >
+          {SPLIT_SILENCE_SECONDS.map(seconds => (
+            <option key={seconds} value={seconds}>{seconds ? `${seconds} seconds` : 'Never'}</option>
+          ))}
+        </select>
+      </label>
+
+      <div className="column-mapping-actions">
+        <button
+          className="btn btn-start"
+          onClick={() => onSave(values)}
+          data-testid="audio-settings-save-btn"
+        >
+          ✅ Save Settings
+        </button>
+        <button
+          className="btn btn-reset"
+          onClick={() => setValues({ ...DEFAULT_AUDIO_SETTINGS })}
+          data-testid="audio-settings-reset-btn"
+        >
+          ↺ Defaults
+        </button>
+        <button
+          className="btn btn-stop"
+          onClick={onCancel}
+          data-testid="audio-settings-cancel-btn"
+        >
+          ❌ Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default AudioSettings;
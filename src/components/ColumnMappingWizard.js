@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { HEARING_FIELDS, getMissingFields } from '../utils/columnMapping';
+
+function ColumnMappingWizard({ headers, initialMapping, sampleRow, onConfirm, onCancel }) {
+  const [mapping, setMapping] = useState(initialMapping);
+  const [remember, setRemember] = useState(true);
+
+  const missing = getMissingFields(mapping);
+
+  const handleChange = (field, header) => {
+    setMapping(prev => {
+      const next = { ...prev };
+      // A column can only feed one field, so release it from any other field
+      Object.keys(next).forEach(key => {
+        if (header && next[key] === header) next[key] = null;
+      });
+      next[field] = header || null;
+      return next;
+    });
+  };
+
+  return (
+    <div className="column-mapping" data-testid="column-mapping-wizard">
+      <h3>Map Schedule Columns</h3>
+      <p className="column-mapping-hint">
+        Match the columns in your file to the hearing fields. Required fields are marked *.
+      </p>
+
+      <table className="column-mapping-table">
+        <thead>
+          <tr>
+            <th>Field</th>
+            <th>Column in file</th>
+            <th>Example</th>
+          </tr>
+        </thead>
+        <tbody>
+          {HEARING_FIELDS.map(field => (
+            <tr key={field.key}>
+              <td>{field.key}{field.required ? ' *' : ''}</td>
+              <td>
+                <select
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => handleChange(field.key, e.target.value)}
+                  data-testid={`mapping-select-${field.key}`}
+                >
+                  <option value="">— Not mapped —</option>
+                  {headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </td>
+              <td className="column-mapping-example">
+                {sampleRow && mapping[field.key] ? sampleRow[mapping[field.key]] : ''}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {missing.length > 0 && (
+        <div className="column-mapping-missing" data-testid="mapping-missing">
+          Missing required fields: {missing.join(', ')}
+        </div>
+      )}
+
+      <label className="column-mapping-remember">
+        <input
+          type="checkbox"
+          checked={remember}
+          onChange={(e) => setRemember(e.target.checked)}
+          data-testid="mapping-remember"
+        />
+        Remember this mapping for files with these columns
+      </label>
+
+      <div className="column-mapping-actions">
+        <button
+          className="btn btn-start"
+          onClick={() => onConfirm(mapping, remember)}
+          disabled={missing.length > 0}
+          data-testid="mapping-confirm-btn"
+        >
+          ✅ Import
+        </button>
+        <button
+          className="btn btn-stop"
+          onClick={onCancel}
+          data-testid="mapping-cancel-btn"
+        >
+          ❌ Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ColumnMappingWizard;
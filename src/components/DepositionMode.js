@@ -3,17 +3,24 @@
  * Provides streamlined recording interface for depositions
  */
 
-const { useState, useEffect, useRef } = require('react');
-
-function DepositionMode() {
+const { useState, useEffect } = require('react');
+const { getExtensionForType, downloadAudioAsWAV } = require('../utils/audioRecorder');
+const { createRecordingSession } = require('../utils/recordingSession');
+
+// options.onRecordingChunk(chunk, sequence) stores each chunk as it arrives, options.onRecordingDone()
+// drops them once the recording is reset for the next one, and options.recoveredAudio is a deposition
+// reassembled from the chunks left by a crash
+function DepositionMode(audioSettings = {}, options = {}) {
+    const { onRecordingChunk, onRecordingDone, recoveredAudio } = options;
     const [isRecording, setIsRecording] = useState(false);
     const [isPaused, setIsPaused] = useState(false);
     const [duration, setDuration] = useState(0);
     const [audioBlob, setAudioBlob] = useState(null);
-    const [recorder, setRecorder] = useState(null);
-    const intervalRef = useRef(null);
-    const startTimeRef = useRef(null);
-    const pausedTimeRef = useRef(0);
+    const [session, setSession] = useState(null);
+    const [inputNotice, setInputNotice] = useState(null);
+    const [level, setLevel] = useState(null);
+    const [levelWarnings, setLevelWarnings] = useState([]);
+    const [isRecovered, setIsRecovered] = useState(false);
 
     // Format duration for display
     const formatDuration = (seconds) => {
@@ -26,74 +33,70 @@ function DepositionMode() {
         return `${mins}:${secs.toString().padStart(2, '0')}`;
     };
 
+    // A deposition cut off by a crash comes back as the finished recording
+    useEffect(() => {
+        if (recoveredAudio && !isRecording && !audioBlob) {
+            setAudioBlob(recoveredAudio);
+            setIsRecovered(true);
+        }
+    }, [recoveredAudio]);
+
     // Start recording
+    // A deposition is kept as one file, so the session is given no onSegment and never splits it;
+    // its chunks stay stored until it is reset, so a crash loses at most the last few seconds
     const startRecording = async () => {
-        try {
-            const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-            const mediaRecorder = new MediaRecorder(stream);
-            const chunks = [];
-
-            mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    chunks.push(event.data);
-                }
-            };
-
-            mediaRecorder.onstop = () => {
-                const blob = new Blob(chunks, { type: 'audio/webm' });
-                setAudioBlob(blob);
-                stream.getTracks().forEach(track => track.stop());
-            };
-
-            mediaRecorder.start();
-            setRecorder(mediaRecorder);
-            setIsRecording(true);
-            setIsPaused(false);
-            startTimeRef.current = Date.now();
-            pausedTimeRef.current = 0;
-
-            // Start duration timer
-            intervalRef.current = setInterval(() => {
-                setDuration(Math.floor((Date.now() - startTimeRef.current - pausedTimeRef.current) / 1000));
-            }, 1000);
+        setInputNotice(null);
+        setLevelWarnings([]);
+        setIsRecovered(false);
+        const recordingSession = createRecordingSession(audioSettings, {
+            onChunk: (data, sequence) => {
+                if (onRecordingChunk) onRecordingChunk(data, sequence);
+            },
+            onInputChange: setInputNotice,
+            onLevel: setLevel,
+            onWarning: (warning) => setLevelWarnings(prev => [...prev, warning]),
+            onTick: setDuration,
+            onStop: (take) => {
+                setLevel(null);
+                setDuration(take.duration);
+                setAudioBlob(take.audioBlob);
+            }
+        });
 
-        } catch (error) {
-            throw new Error('Failed to access microphone. Please check permissions.');
-        }
+        // Rejects with why it could not start: a tab that was not shared, or the microphone
+        await recordingSession.start();
+        setSession(recordingSession);
+        setIsRecording(true);
+        setIsPaused(false);
     };
 
     // Pause/Resume recording
     const togglePause = () => {
-        if (!recorder) return;
+        if (!session) return;
 
         if (isPaused) {
-            // Resume
-            recorder.resume();
+            session.resume();
             setIsPaused(false);
-            startTimeRef.current = Date.now() - (duration * 1000);
-            
-            intervalRef.current = setInterval(() => {
-                setDuration(Math.floor((Date.now() - startTimeRef.current - pausedTimeRef.current) / 1000));
-            }, 1000);
         } else {
-            // Pause
-            recorder.pause();
+            session.pause();
             setIsPaused(true);
-            clearInterval(intervalRef.current);
         }
     };
 
     // Stop recording
     const stopRecording = () => {
-        if (recorder && recorder.state !== 'inactive') {
-            recorder.stop();
+        if (session) {
+            session.stop();
         }
         setIsRecording(false);
         setIsPaused(false);
-        setRecorder(null);
-        clearInterval(intervalRef.current);
+        setSession(null);
     };
 
+    // Timestamped download name for the recording
+    const getDownloadName = (extension) =>
+        `deposition-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.${extension}`;
+
     // Download audio file
     const downloadAudio = () => {
         if (!audioBlob) {
@@ -103,18 +106,29 @@ function DepositionMode() {
         const url = URL.createObjectURL(audioBlob);
         const a = document.createElement('a');
         a.href = url;
-        a.download = `deposition-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.webm`;
+        a.download = getDownloadName(getExtensionForType(audioBlob.type));
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
     };
 
+    // Download audio converted to 16 kHz mono WAV
+    const downloadWAV = async () => {
+        if (!audioBlob) {
+            throw new Error('No audio data available for download');
+        }
+
+        await downloadAudioAsWAV(audioBlob, getDownloadName('wav'), { encoding: audioSettings.wavEncoding });
+    };
+
     // Reset for new recording
     const reset = () => {
         setDuration(0);
         setAudioBlob(null);
-        pausedTimeRef.current = 0;
+        setLevelWarnings([]);
+        if (onRecordingDone) onRecordingDone();
+        setIsRecovered(false);
     };
 
     // Get status info
@@ -128,14 +142,11 @@ function DepositionMode() {
     // Cleanup on unmount
     useEffect(() => {
         return () => {
-            if (intervalRef.current) {
-                clearInterval(intervalRef.current);
-            }
-            if (recorder && recorder.state !== 'inactive') {
-                recorder.stop();
+            if (session) {
+                session.stop();
             }
         };
-    }, [recorder]);
+    }, [session]);
 
     return {
         // State
@@ -143,11 +154,16 @@ function DepositionMode() {
         isPaused,
         duration,
         audioBlob,
+        inputNotice,
+        level,
+        levelWarnings,
+        isRecovered,
         // Actions
         startRecording,
         togglePause,
         stopRecording,
         downloadAudio,
+        downloadWAV,
         reset,
         // Utilities
         formatDuration,
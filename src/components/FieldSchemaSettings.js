@@ -0,0 +1,118 @@
+import React, { useState } from 'react';
+import { listSchemaFields, DEFAULT_FIELD_SCHEMA } from '../utils/fieldSchema';
+
+const SETTINGS = [
+  { key: 'showOnTile', label: 'On tile' },
+  { key: 'searchable', label: 'Searchable' },
+  { key: 'inManualForm', label: 'Manual form' },
+  { key: 'inReports', label: 'Reports' }
+];
+
+function FieldSchemaSettings({ schema, columns = [], onSave, onCancel }) {
+  // Columns on the loaded docket are listed even before the schema mentions them
+  const [fields, setFields] = useState(() => listSchemaFields(schema, columns));
+  const [newField, setNewField] = useState('');
+
+  const toggleSetting = (index, setting) => {
+    setFields(prev => prev.map((field, i) => (i === index ? { ...field, [setting]: !field[setting] } : field)));
+  };
+
+  const handleAddField = () => {
+    const key = newField.trim();
+    if (!key || fields.some(field => field.key === key)) return;
+    setFields(prev => listSchemaFields({ fields: prev }, [key]));
+    setNewField('');
+  };
+
+  return (
+    <div className="ics-settings field-settings" data-testid="field-settings">
+      <h3>Docket Fields</h3>
+      <p className="ics-settings-hint">
+        Choose how columns beyond Case Number, Client Name, Division and Time are used.
+        Reports covers transcript headers and speaking-time reports.
+      </p>
+
+      <table className="column-mapping-table">
+        <thead>
+          <tr>
+            <th>Column</th>
+            {SETTINGS.map(setting => <th key={setting.key}>{setting.label}</th>)}
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          {fields.map((field, index) => (
+            <tr key={field.key} data-testid={`field-row-${field.key}`}>
+              <td>{field.key}</td>
+              {SETTINGS.map(setting => (
+                <td key={setting.key}>
+                  <input
+                    type="checkbox"
+                    checked={field[setting.key]}
+                    onChange={() => toggleSetting(index, setting.key)}
+                    aria-label={`${field.key} ${setting.label}`}
+                    data-testid={`field-${setting.key}-${field.key}`}
+                  />
+                </td>
+              ))}
+              <td>
+                <button
+                  className="merge-summary-dismiss"
+                  onClick={() => setFields(prev => prev.filter((_, i) => i !== index))}
+                  aria-label={`Remove ${field.key}`}
+                  data-testid={`field-remove-${field.key}`}
+                >
+                  ✖
+                </button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="field-settings-add">
+        <input
+          type="text"
+          value={newField}
+          onChange={(e) => setNewField(e.target.value)}
+          placeholder="Add a column, e.g. Bond"
+          data-testid="field-new-input"
+        />
+        <button
+          className="btn btn-reset"
+          onClick={handleAddField}
+          disabled={!newField.trim()}
+          data-testid="field-add-btn"
+        >
+          ➕ Add
+        </button>
+      </div>
+
+      <div className="column-mapping-actions">
+        <button
+          className="btn btn-start"
+          onClick={() => onSave({ fields })}
+          data-testid="field-settings-save-btn"
+        >
+          ✅ Save Fields
+        </button>
+        <button
+          className="btn btn-reset"
+          onClick={() => setFields(listSchemaFields(DEFAULT_FIELD_SCHEMA, columns))}
+          data-testid="field-settings-reset-btn"
+        >
+          ↺ Defaults
+        </button>
+        <button
+          className="btn btn-stop"
+          onClick={onCancel}
+          data-testid="field-settings-cancel-btn"
+        >
+          ❌ Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default FieldSchemaSettings;
@@ -1,91 +1,346 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { startRecording, stopRecording, formatDuration, downloadAudio } from '../utils/audioRecorder';
-import { generateMockTranscript, downloadTranscript } from '../utils/transcriptGenerator';
+import { formatDuration, downloadAudio, downloadAudioAsWAV, getExtensionForType } from '../utils/audioRecorder';
+import { createRecordingSession } from '../utils/recordingSession';
+import { downloadTranscript } from '../utils/transcriptGenerator';
+import {
+  transcribeAudio,
+  formatTranscription,
+  getSelectedProvider,
+  isTranscriptionCancelled
+} from '../utils/transcriptionProviders';
+import { getTileFields } from '../utils/fieldSchema';
+import { describeInputChange } from '../utils/inputDevices';
+import { describeLevelWarning } from '../utils/levelMonitor';
+import { getTakes, getTotalDuration, addTake, getTakeFilename, downloadRecordingManifest, transcribeTakes } from '../utils/recordingTakes';
+import { AUDIO_FILE_ACCEPT, importAudioFile } from '../utils/audioImport';
+import { isTabAudioError } from '../utils/tabAudio';
+import { QUALITY_LABELS, checkRecording, getOverallQuality } from '../utils/recordingQuality';
+import {
+  redactAudio,
+  buildRedactionLog,
+  sealOriginal,
+  openSealedOriginal,
+  applyRedactionToTakes,
+  buildOriginalAccessEntry,
+  describeRedactionEntry
+} from '../utils/audioRedaction';
+import LevelMeter from './LevelMeter';
+import TakeList from './TakeList';
+import RedactionEditor from './RedactionEditor';
+import OriginalAccessDialog from './OriginalAccessDialog';
 
-function HearingTile({ hearing, recording, onUpdateRecording }) {
-  const [recorder, setRecorder] = useState(null);
-  const [startTime, setStartTime] = useState(null);
-  const intervalRef = useRef(null);
+const QUALITY_ICONS = { pass: '✅', warn: '⚠️', fail: '❌' };
 
+function HearingTile({
+  hearing,
+  recording,
+  conflicts = [],
+  fieldSchema,
+  audioSettings,
+  transcriptionSettings,
+  hidden = false,
+  canRecord = true,
+  onUpdateRecording,
+  onRecordingChunk
+}) {
+  const [isConvertingWav, setIsConvertingWav] = useState(false);
+  const [isImporting, setIsImporting] = useState(false);
+  const [redactingTake, setRedactingTake] = useState(null);
+  const [isRedacting, setIsRedacting] = useState(false);
+  const [openingOriginal, setOpeningOriginal] = useState(null);
+  const [inputNotice, setInputNotice] = useState(null);
+  const [level, setLevel] = useState(null);
+  const [pendingQualityChecks, setPendingQualityChecks] = useState(0);
+  const [transcriptionProgress, setTranscriptionProgress] = useState(null);
+  const sessionRef = useRef(null);
+  const transcriptionRef = useRef(null);
+  const audioFileInputRef = useRef(null);
+  const levelWarningsRef = useRef([]);
+  const qualityChecksRef = useRef([]);
+  // The latest recording, for the session's callbacks, which fire long after recording starts
+  const recordingRef = useRef(recording);
+
+  // A tile only goes away when its hearing leaves the docket (a search just hides it); its recording
+  // is stopped then, so the take is kept rather than left running
   useEffect(() => {
     return () => {
-      if (intervalRef.current) {
-        clearInterval(intervalRef.current);
+      if (sessionRef.current) {
+        sessionRef.current.stop();
+      }
+      if (transcriptionRef.current) {
+        transcriptionRef.current.abort();
       }
     };
   }, []);
 
+  useEffect(() => {
+    recordingRef.current = recording;
+  }, [recording]);
+
+  // Time spent paused does not count towards the take
+  const getTakeSeconds = () => (sessionRef.current ? sessionRef.current.getElapsedSeconds() : 0);
+
+  // Each take is decoded and checked as soon as it stops, so a bad one is found while it can still be recorded again
+  const checkTakeQuality = async (takeIndex, audioBlob, duration) => {
+    setPendingQualityChecks(count => count + 1);
+    try {
+      const result = await checkRecording(audioBlob, duration);
+      qualityChecksRef.current = [
+        ...qualityChecksRef.current.filter(check => check.take !== takeIndex),
+        { take: takeIndex, ...result }
+      ].sort((a, b) => a.take - b.take);
+      onUpdateRecording({ qualityChecks: qualityChecksRef.current });
+    } finally {
+      setPendingQualityChecks(count => count - 1);
+    }
+  };
+
+  // Adds a finished take to the hearing's takes as they are now, so nothing done to them while it recorded is lost
+  const keepTake = (take, update) => {
+    const added = addTake(recordingRef.current, take);
+    // A segment and the last take can both finish before the tile re-renders, so the next one builds on this one
+    recordingRef.current = { ...recordingRef.current, ...added };
+    onUpdateRecording({ ...added, ...update });
+    checkTakeQuality(added.takes.length - 1, take.audioBlob, take.duration);
+  };
+
   const handleStartRecording = async () => {
+    setInputNotice(null);
+    levelWarningsRef.current = recording.levelWarnings || [];
+    qualityChecksRef.current = recording.qualityChecks || [];
+    const session = createRecordingSession(audioSettings, {
+      // Each chunk is handed over as it arrives so a crash does not lose the whole hearing;
+      // a new segment's chunks start again from 0, replacing the stored chunks of the last one
+      onChunk: (data, sequence) => {
+        if (onRecordingChunk) onRecordingChunk(data, sequence);
+      },
+      onInputChange: (change) => setInputNotice(change),
+      onLevel: setLevel,
+      // Silence and clipping warnings are kept on the hearing's record with their times
+      onWarning: (warning) => {
+        levelWarningsRef.current = [...levelWarningsRef.current, warning];
+        onUpdateRecording({ levelWarnings: levelWarningsRef.current });
+      },
+      onTick: (seconds) => {
+        onUpdateRecording({ duration: getTotalDuration(getTakes(recordingRef.current)) + seconds });
+      },
+      // A long recording split as it goes: the finished segment is kept as a take while the next one records
+      onSegment: (take) => {
+        keepTake(take, { takeStartedAt: session.startedAt });
+      },
+      onStop: (take) => {
+        sessionRef.current = null;
+        setLevel(null);
+        keepTake(take, {
+          isRecording: false,
+          isPaused: false,
+          takeStartedAt: null,
+          status: 'recorded'
+        });
+      }
+    });
+
     try {
-      const mediaRecorder = await startRecording(
-        null, // onDataAvailable
-        (blob) => {
-          onUpdateRecording({ 
-            audioBlob: blob, 
-            isRecording: false,
-            status: 'recorded'
-          });
-        }
-      );
-      
-      setRecorder(mediaRecorder);
-      setStartTime(Date.now());
-      onUpdateRecording({ isRecording: true, status: 'recording' });
-      
-      // Update duration every second
-      intervalRef.current = setInterval(() => {
-        const duration = Math.floor((Date.now() - startTime) / 1000);
-        onUpdateRecording({ duration });
-      }, 1000);
+      await session.start();
+      sessionRef.current = session;
+      onUpdateRecording({
+        isRecording: true,
+        isPaused: false,
+        status: 'recording',
+        takeStartedAt: session.startedAt,
+        levelWarnings: levelWarningsRef.current
+      });
     } catch (error) {
       console.error('Error starting recording:', error);
-      alert('Error accessing microphone. Please check permissions.');
+      alert(isTabAudioError(error) ? error.message : 'Error accessing microphone. Please check permissions.');
+    }
+  };
+
+  const handlePauseRecording = () => {
+    const session = sessionRef.current;
+    if (!session) return;
+    if (session.state === 'paused') {
+      session.resume();
+      onUpdateRecording({ isPaused: false });
+    } else {
+      session.pause();
+      onUpdateRecording({ isPaused: true });
     }
   };
 
   const handleStopRecording = () => {
-    if (recorder) {
-      stopRecording(recorder);
-      setRecorder(null);
-      clearInterval(intervalRef.current);
-      
-      const duration = Math.floor((Date.now() - startTime) / 1000);
-      onUpdateRecording({ duration });
+    if (sessionRef.current) {
+      sessionRef.current.stop();
     }
   };
 
-  const handleGenerateTranscript = async () => {
-    if (!recording.audioBlob) return;
-    
+  const handleImportAudio = async (event) => {
+    const file = event.target.files && event.target.files[0];
+    // Cleared so choosing the same file again still imports it
+    event.target.value = '';
+    if (!file) return;
+
+    setIsImporting(true);
+    try {
+      const take = await importAudioFile(file);
+      onUpdateRecording({ ...addTake(recording, take), status: 'recorded' });
+    } catch (error) {
+      console.error('Error importing audio:', error);
+      alert(`Error importing audio: ${error.message}`);
+    } finally {
+      setIsImporting(false);
+    }
+  };
+
+  // Transcribes the takes with the engine from the transcription settings; progress covers all of them
+  const runTranscription = async (takesToTranscribe, previousStatus, onDone) => {
+    const controller = new AbortController();
+    transcriptionRef.current = controller;
+    setTranscriptionProgress(0);
     onUpdateRecording({ status: 'processing' });
-    
+
     try {
-      const transcript = await generateMockTranscript(
-        recording.audioBlob, 
-        hearing, 
-        recording.duration
-      );
-      
-      onUpdateRecording({ 
-        transcript,
-        status: 'complete'
+      const result = await transcribeTakes(takesToTranscribe, async (take, index) => {
+        const transcription = await transcribeAudio(take.audioBlob, {
+          settings: transcriptionSettings,
+          hearing,
+          duration: take.duration,
+          signal: controller.signal,
+          onProgress: (fraction) => setTranscriptionProgress((index + fraction) / takesToTranscribe.length)
+        });
+        return { transcript: formatTranscription(transcription), transcription };
       });
+      onDone(result);
     } catch (error) {
-      console.error('Error generating transcript:', error);
-      onUpdateRecording({ status: 'recorded' });
-      alert('Error generating transcript.');
+      onUpdateRecording({ status: previousStatus });
+      // Cancelling is not an error; the recording goes back to how it was
+      if (!isTranscriptionCancelled(error)) {
+        console.error('Error generating transcript:', error);
+        alert('Error generating transcript.');
+      }
+    } finally {
+      transcriptionRef.current = null;
+      setTranscriptionProgress(null);
+    }
+  };
+
+  const handleGenerateTranscript = async () => {
+    const takes = getTakes(recording);
+    // A take being recorded would be written over by the transcribed takes
+    if (takes.length === 0 || recording.isRecording) return;
+
+    await runTranscription(takes, recording.status, (result) => {
+      onUpdateRecording({
+        transcript: result.transcript,
+        takes: result.takes,
+        status: 'complete'
+      });
+    });
+  };
+
+  const handleTranscribeTake = async (index) => {
+    const takes = getTakes(recording);
+    const previousStatus = recording.status;
+
+    await runTranscription([takes[index]], previousStatus, (result) => {
+      onUpdateRecording({
+        takes: takes.map((take, i) => (i === index ? result.takes[0] : take)),
+        status: previousStatus
+      });
+    });
+  };
+
+  const handleCancelTranscript = () => {
+    if (transcriptionRef.current) {
+      transcriptionRef.current.abort();
     }
   };
 
   const handleDownloadRecording = () => {
     try {
-      downloadAudio(recording.audioBlob, `${hearing['Case Number']}_recording.webm`);
+      const takes = getTakes(recording);
+      if (takes.length > 1) {
+        // Takes cannot be joined without re-encoding, so each is saved as recorded; the WAV export joins them
+        // and the manifest gives each file's start time so they still read as one hearing
+        takes.forEach((take, index) => downloadAudio(take.audioBlob, getTakeFilename(hearing['Case Number'], index, take.audioBlob)));
+        downloadRecordingManifest(hearing['Case Number'], takes);
+        return;
+      }
+      const extension = getExtensionForType(recording.audioBlob.type);
+      downloadAudio(recording.audioBlob, `${hearing['Case Number']}_recording.${extension}`);
+    } catch (error) {
+      console.error('Error downloading recording:', error);
+      alert('Error downloading recording.');
+    }
+  };
+
+  const handleDownloadTake = (index) => {
+    try {
+      const take = getTakes(recording)[index];
+      downloadAudio(take.audioBlob, getTakeFilename(hearing['Case Number'], index, take.audioBlob));
+    } catch (error) {
+      console.error('Error downloading recording:', error);
+      alert('Error downloading recording.');
+    }
+  };
+
+  const handleApplyRedaction = async (ranges, { fill, redactedBy, passphrase }) => {
+    const takes = getTakes(recording);
+    const index = redactingTake;
+    setIsRedacting(true);
+    try {
+      const redactedBlob = await redactAudio(takes[index].audioBlob, ranges, { fill });
+      // Only the encrypted original is kept; a take redacted before is already sealed
+      const sealedOriginal = takes[index].sealedOriginal || await sealOriginal(takes[index].audioBlob, passphrase);
+      const log = buildRedactionLog(ranges, { redactedBy, take: index, fill });
+      onUpdateRecording(applyRedactionToTakes(recording, takes, index, redactedBlob, log, sealedOriginal));
+      setRedactingTake(null);
+    } catch (error) {
+      console.error('Error redacting recording:', error);
+      alert(`Error redacting recording: ${error.message}`);
+    } finally {
+      setIsRedacting(false);
+    }
+  };
+
+  // The sealed original is only handed out with its passphrase, once a name and a reason are logged;
+  // a wrong passphrase is thrown back to the dialog
+  const handleOpenOriginal = async ({ by, reason, passphrase }) => {
+    const index = openingOriginal;
+    const take = getTakes(recording)[index];
+    const originalBlob = await openSealedOriginal(take.sealedOriginal, passphrase);
+    setOpeningOriginal(null);
+
+    try {
+      onUpdateRecording({
+        redactionLog: [...(recording.redactionLog || []), buildOriginalAccessEntry(index, by, reason)]
+      });
+      downloadAudio(
+        originalBlob,
+        `${hearing['Case Number']}_take${index + 1}_original.${getExtensionForType(originalBlob.type)}`
+      );
     } catch (error) {
       console.error('Error downloading recording:', error);
       alert('Error downloading recording.');
     }
   };
 
+  const handleDownloadWAV = async () => {
+    setIsConvertingWav(true);
+    try {
+      const takes = getTakes(recording);
+      const audio = takes.length > 1 ? takes.map(take => take.audioBlob) : recording.audioBlob;
+      await downloadAudioAsWAV(audio, `${hearing['Case Number']}_recording.wav`, {
+        encoding: audioSettings && audioSettings.wavEncoding
+      });
+    } catch (error) {
+      console.error('Error converting recording to WAV:', error);
+      alert('Error converting recording to WAV.');
+    } finally {
+      setIsConvertingWav(false);
+    }
+  };
+
   const handleDownloadTranscript = () => {
     try {
       downloadTranscript(
@@ -93,7 +348,8 @@ function HearingTile({ hearing, recording, onUpdateRecording }) {
         recording.transcript,
         recording.notes,
         recording.duration,
-        `${hearing['Case Number']}_transcript.txt`
+        `${hearing['Case Number']}_transcript.txt`,
+        fieldSchema
       );
     } catch (error) {
       console.error('Error downloading transcript:', error);
@@ -101,6 +357,20 @@ function HearingTile({ hearing, recording, onUpdateRecording }) {
     }
   };
 
+  const getReimportLabel = () => {
+    switch (hearing.reimportStatus) {
+      case 'added': return '🆕 New on updated docket';
+      case 'rescheduled': {
+        const previous = Object.entries(hearing.previousSchedule || {})
+          .map(([field, value]) => `${field}: ${value || 'blank'}`)
+          .join(', ');
+        return `🔁 Rescheduled (was ${previous})`;
+      }
+      case 'removed': return '⚠️ No longer on docket';
+      default: return null;
+    }
+  };
+
   const getStatusClass = () => {
     switch (recording.status) {
       case 'recording': return 'recording';
@@ -110,9 +380,15 @@ function HearingTile({ hearing, recording, onUpdateRecording }) {
     }
   };
 
+  const tileFields = getTileFields(hearing, fieldSchema);
+  const takes = getTakes(recording);
+  const qualityChecks = recording.qualityChecks || [];
+  const overallQuality = getOverallQuality(qualityChecks);
+
   return (
     <div 
-      className={`hearing-tile ${recording.isRecording ? 'recording' : ''}`}
+      className={`hearing-tile ${recording.isRecording ? 'recording' : ''} ${conflicts.length > 0 ? 'conflict' : ''}`}
+      hidden={hidden}
       data-testid={`hearing-tile-${hearing.id}`}
     >
       <div className="case-header">
@@ -126,17 +402,65 @@ function HearingTile({ hearing, recording, onUpdateRecording }) {
           <span data-testid="division">📍 {hearing['Division']}</span>
           <span data-testid="time">🕐 {hearing['Time']}</span>
         </div>
+        {tileFields.length > 0 && (
+          <div className="case-extra-fields" data-testid="extra-fields">
+            {tileFields.map(field => (
+              <span key={field.key} className="case-extra-field">
+                <strong>{field.key}:</strong> {field.value}
+              </span>
+            ))}
+          </div>
+        )}
+        {conflicts.length > 0 && (
+          <div className="schedule-conflict" data-testid="schedule-conflict">
+            {conflicts.map(conflict => (
+              <div key={conflict.id}>
+                ⚠️ Overlaps {conflict.caseNumber} at {conflict.time} (same {conflict.field === 'Attorney' ? 'attorney' : 'client'}: {conflict.name})
+              </div>
+            ))}
+          </div>
+        )}
+        {hearing.reimportStatus && (
+          <div className={`reimport-badge ${hearing.reimportStatus}`} data-testid="reimport-badge">
+            {getReimportLabel()}
+          </div>
+        )}
       </div>
       
       <div className="controls">
         <button
           className="btn btn-start"
           onClick={handleStartRecording}
-          disabled={recording.isRecording}
+          disabled={recording.isRecording || recording.status === 'processing' || !canRecord}
+          title={canRecord ? undefined : 'Restore or discard the saved session first'}
           data-testid="start-recording-btn"
         >
-          🟢 Start
+          {takes.length > 0 ? '🟢 New Take' : '🟢 Start'}
         </button>
+        <button
+          className="btn btn-reset"
+          onClick={handlePauseRecording}
+          disabled={!recording.isRecording}
+          data-testid="pause-recording-btn"
+        >
+          {recording.isPaused ? '▶️ Resume' : '⏸️ Pause'}
+        </button>
+        <button
+          className="btn btn-reset"
+          onClick={() => audioFileInputRef.current.click()}
+          disabled={recording.isRecording || recording.status === 'processing' || isImporting}
+          data-testid="import-audio-btn"
+        >
+          {isImporting ? '⏳ Importing...' : '📂 Import Audio'}
+        </button>
+        <input
+          ref={audioFileInputRef}
+          type="file"
+          accept={AUDIO_FILE_ACCEPT}
+          onChange={handleImportAudio}
+          style={{ display: 'none' }}
+          data-testid="import-audio-input"
+        />
         <button
           className="btn btn-stop"
           onClick={handleStopRecording}
@@ -148,7 +472,7 @@ function HearingTile({ hearing, recording, onUpdateRecording }) {
         <button
           className="btn btn-transcript"
           onClick={handleGenerateTranscript}
-          disabled={!recording.audioBlob || recording.status === 'processing'}
+          disabled={!recording.audioBlob || recording.isRecording || recording.status === 'processing'}
           data-testid="generate-transcript-btn"
         >
           📄 Generate Transcript
@@ -161,6 +485,14 @@ function HearingTile({ hearing, recording, onUpdateRecording }) {
         >
           💾 Audio
         </button>
+        <button
+          className="btn btn-download"
+          onClick={handleDownloadWAV}
+          disabled={!recording.audioBlob || isConvertingWav}
+          data-testid="download-wav-btn"
+        >
+          {isConvertingWav ? '⏳ Converting...' : '🎧 WAV'}
+        </button>
         <button
           className="btn btn-download"
           onClick={handleDownloadTranscript}
@@ -174,18 +506,113 @@ function HearingTile({ hearing, recording, onUpdateRecording }) {
       <div className={`status ${getStatusClass()}`} data-testid="status">
         {recording.isRecording && (
           <>
-            🔴 Recording
+            {recording.isPaused ? '⏸️ Paused' : '🔴 Recording'}
+            {takes.length > 0 && ` take ${takes.length + 1}`}
             <span className="recording-time">
-              {formatDuration(Math.floor((Date.now() - startTime) / 1000))}
+              {formatDuration(getTakeSeconds())}
             </span>
           </>
         )}
-        {recording.status === 'processing' && '⏳ Processing transcript...'}
-        {recording.status === 'recorded' && `✓ Recorded (${formatDuration(recording.duration)})`}
+        {recording.status === 'processing' && (
+          <>
+            ⏳ Transcribing with {getSelectedProvider(transcriptionSettings).label}
+            {transcriptionProgress !== null && ` (${Math.round(transcriptionProgress * 100)}%)`}
+            {transcriptionRef.current && (
+              <button
+                className="btn btn-stop btn-cancel-transcript"
+                onClick={handleCancelTranscript}
+                data-testid="cancel-transcript-btn"
+              >
+                Cancel
+              </button>
+            )}
+          </>
+        )}
+        {recording.status === 'recorded' && `✓ Recorded (${formatDuration(recording.duration)}${takes.length > 1 ? ` in ${takes.length} takes` : ''})`}
         {recording.status === 'complete' && '✓ Transcript ready'}
         {recording.status === 'ready' && 'Ready to record'}
       </div>
       
+      {(pendingQualityChecks > 0 || overallQuality) && (
+        <div className={`quality-check quality-${overallQuality || 'checking'}`} data-testid="quality-check">
+          <div className="quality-badge" data-testid="quality-badge">
+            {overallQuality && `${QUALITY_ICONS[overallQuality]} ${QUALITY_LABELS[overallQuality]}`}
+            {pendingQualityChecks > 0 && ' ⏳ Checking audio...'}
+          </div>
+          <ul className="quality-details">
+            {qualityChecks.map(result => result.checks.map(check => (
+              <li key={`${result.take}-${check.check}`}>
+                {QUALITY_ICONS[check.status]} {takes.length > 1 && `Take ${result.take + 1}: `}{check.message}
+              </li>
+            )))}
+          </ul>
+        </div>
+      )}
+      
+      {recording.isRecording && level && (
+        <LevelMeter level={level} silenceSeconds={audioSettings && audioSettings.silenceWarningSeconds} />
+      )}
+      
+      {takes.length > 0 && (
+        <TakeList
+          takes={takes}
+          disabled={recording.isRecording || recording.status === 'processing'}
+          onDownloadTake={handleDownloadTake}
+          onTranscribeTake={handleTranscribeTake}
+          onRedactTake={setRedactingTake}
+          onOpenOriginal={setOpeningOriginal}
+        />
+      )}
+      
+      {redactingTake !== null && takes[redactingTake] && (
+        <RedactionEditor
+          key={redactingTake}
+          take={takes[redactingTake]}
+          index={redactingTake}
+          isRendering={isRedacting}
+          onApply={handleApplyRedaction}
+          onCancel={() => setRedactingTake(null)}
+        />
+      )}
+      
+      {openingOriginal !== null && takes[openingOriginal] && (
+        <OriginalAccessDialog
+          key={openingOriginal}
+          take={takes[openingOriginal]}
+          index={openingOriginal}
+          onOpen={handleOpenOriginal}
+          onCancel={() => setOpeningOriginal(null)}
+        />
+      )}
+      
+      {recording.recovered && recording.audioBlob && (
+        <div className="recovered-notice" data-testid="recovered-notice">
+          ⚠️ Recovered after an interruption; the last few seconds before it may be missing
+        </div>
+      )}
+      
+      {inputNotice && (
+        <div className="input-notice" data-testid="input-notice">
+          {inputNotice.type === 'reconnected' ? '✓' : '⚠️'} {describeInputChange(inputNotice)}
+        </div>
+      )}
+      
+      {recording.levelWarnings && recording.levelWarnings.length > 0 && (
+        <ul className="level-warnings" data-testid="level-warnings">
+          {recording.levelWarnings.map((warning, index) => (
+            <li key={index}>{warning.type === 'clipping' ? '📢' : '🔇'} {describeLevelWarning(warning)}</li>
+          ))}
+        </ul>
+      )}
+      
+      {recording.redactionLog && recording.redactionLog.length > 0 && (
+        <ul className="redaction-log" data-testid="redaction-log">
+          {recording.redactionLog.map((entry, index) => (
+            <li key={index}>{entry.action === 'original-opened' ? '🔓' : '✂️'} {describeRedactionEntry(entry)}</li>
+          ))}
+        </ul>
+      )}
+      
       <div className="notes-section">
         <label className="notes-label">✏️ Notes</label>
         <textarea
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { DEFAULT_ICS_PATTERNS } from '../utils/icsParser';
+
+const PATTERN_FIELDS = [
+  { key: 'caseNumber', label: 'Case number pattern' },
+  { key: 'division', label: 'Division pattern' }
+];
+
+function ICSPatternSettings({ patterns, onSave, onCancel }) {
+  const [values, setValues] = useState(patterns);
+  const [error, setError] = useState(null);
+
+  const handleSave = () => {
+    try {
+      onSave(values);
+      setError(null);
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  return (
+    <div className="ics-settings" data-testid="ics-settings">
+      <h3>Calendar Import Patterns</h3>
+      <p className="ics-settings-hint">
+        Regular expressions used to find the case number and division in an event's summary,
+        location or description. The first capturing group is used when there is one.
+      </p>
+
+      {PATTERN_FIELDS.map(field => (
+        <label key={field.key} className="ics-settings-field">
+          {field.label}
+          <input
+            type="text"
+            value={values[field.key] || ''}
+            onChange={(e) => setValues(prev => ({ ...prev, [field.key]: e.target.value }))}
+            data-testid={`ics-pattern-${field.key}`}
+          />
+        </label>
+      ))}
+
+      {error && (
+        <div className="import-error" data-testid="ics-settings-error">
+          {error}
+        </div>
+      )}
+
+      <div className="column-mapping-actions">
+        <button
+          className="btn btn-start"
+          onClick={handleSave}
+          data-testid="ics-settings-save-btn"
+        >
+          ✅ Save Patterns
+        </button>
+        <button
+          className="btn btn-reset"
+          onClick={() => setValues({ ...DEFAULT_ICS_PATTERNS })}
+          data-testid="ics-settings-reset-btn"
+        >
+          ↺ Defaults
+        </button>
+        <button
+          className="btn btn-stop"
+          onClick={onCancel}
+          data-testid="ics-settings-cancel-btn"
+        >
+          ❌ Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ICSPatternSettings;
@@ -0,0 +1,124 @@
+import React, { useState } from 'react';
+import { diagnoseRows, prepareHearings } from '../utils/csvParser';
+
+const EDITABLE_FIELDS = ['Case Number', 'Client Name', 'Division', 'Time'];
+
+function ImportPreview({ report, onConfirm, onCancel }) {
+  const [rows, setRows] = useState(report.rows);
+  const [showAll, setShowAll] = useState(false);
+  const fields = report.rows.some(row => row.hearing['Date'] !== undefined)
+    ? [...EDITABLE_FIELDS, 'Date']
+    : EDITABLE_FIELDS;
+  // Rows flagged when the preview opened stay visible while they are being fixed
+  const [flaggedRows] = useState(() =>
+    new Set(report.rows.filter(row => row.issues.length > 0).map(row => row.row))
+  );
+
+  const updateRows = (updater) => {
+    setRows(prev => diagnoseRows(updater(prev)));
+  };
+
+  const handleFieldChange = (rowNumber, field, value) => {
+    updateRows(prev => prev.map(row =>
+      row.row === rowNumber ? { ...row, hearing: { ...row.hearing, [field]: value } } : row
+    ));
+  };
+
+  const handleToggleSkip = (rowNumber) => {
+    updateRows(prev => prev.map(row =>
+      row.row === rowNumber ? { ...row, skipped: !row.skipped } : row
+    ));
+  };
+
+  const included = rows.filter(row => !row.skipped);
+  const blocking = included.filter(row => row.issues.some(issue => issue.severity === 'error'));
+  const visibleRows = showAll ? rows : rows.filter(row => flaggedRows.has(row.row));
+
+  return (
+    <div className="import-preview" data-testid="import-preview">
+      <h3>Review Import</h3>
+      <p className="import-preview-summary" data-testid="import-summary">
+        {rows.length} rows, {flaggedRows.size} flagged. Fix or skip flagged rows before adding them.
+      </p>
+
+      <label className="import-preview-toggle">
+        <input
+          type="checkbox"
+          checked={showAll}
+          onChange={(e) => setShowAll(e.target.checked)}
+          data-testid="import-show-all"
+        />
+        Show all rows
+      </label>
+
+      <table className="import-preview-table">
+        <thead>
+          <tr>
+            <th>Row</th>
+            {fields.map(field => <th key={field}>{field}</th>)}
+            <th>Issues</th>
+            <th>Skip</th>
+          </tr>
+        </thead>
+        <tbody>
+          {visibleRows.map(row => (
+            <tr
+              key={row.row}
+              className={`${row.issues.length > 0 ? 'flagged' : ''} ${row.skipped ? 'skipped' : ''}`}
+              data-testid={`import-row-${row.row}`}
+            >
+              <td>{row.row}</td>
+              {fields.map(field => (
+                <td key={field}>
+                  <input
+                    type="text"
+                    value={row.hearing[field] || ''}
+                    onChange={(e) => handleFieldChange(row.row, field, e.target.value)}
+                    className={row.issues.some(issue => issue.field === field) ? 'invalid' : ''}
+                    disabled={row.skipped}
+                    data-testid={`import-input-${row.row}-${field}`}
+                  />
+                </td>
+              ))}
+              <td className="import-issues">
+                {row.issues.map(issue => (
+                  <div key={issue.code} className={`import-issue ${issue.severity}`}>
+                    {issue.severity === 'error' ? '⛔' : '⚠️'} {issue.message}
+                  </div>
+                ))}
+              </td>
+              <td>
+                <input
+                  type="checkbox"
+                  checked={!!row.skipped}
+                  onChange={() => handleToggleSkip(row.row)}
+                  data-testid={`import-skip-${row.row}`}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div className="import-preview-actions">
+        <button
+          className="btn btn-start"
+          onClick={() => onConfirm(prepareHearings(included.map(row => row.hearing)))}
+          disabled={blocking.length > 0 || included.length === 0}
+          data-testid="import-confirm-btn"
+        >
+          ✅ Add {included.length} Hearings
+        </button>
+        <button
+          className="btn btn-stop"
+          onClick={onCancel}
+          data-testid="import-cancel-btn"
+        >
+          ❌ Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default ImportPreview;
@@ -0,0 +1,31 @@
+import React from 'react';
+import { getMeterPercent, DEFAULT_SILENCE_WARNING_SECONDS } from '../utils/levelMonitor';
+
+function LevelMeter({ level, silenceSeconds = DEFAULT_SILENCE_WARNING_SECONDS }) {
+  const current = level || { peak: 0, silentFor: 0, clipping: false };
+  const isSilent = current.silentFor >= silenceSeconds;
+
+  return (
+    <div className="level-meter" data-testid="level-meter">
+      <div className="level-meter-bar">
+        <div
+          className={`level-meter-fill ${current.clipping ? 'level-meter-clipping' : ''}`}
+          style={{ width: `${getMeterPercent(current.peak)}%` }}
+          data-testid="level-meter-fill"
+        />
+      </div>
+      {current.clipping && (
+        <div className="level-meter-warning" data-testid="clipping-warning">
+          📢 Clipping - lower the input gain
+        </div>
+      )}
+      {isSilent && (
+        <div className="level-meter-warning" data-testid="silence-warning">
+          🔇 No input for {current.silentFor} s - check the microphone
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default LevelMeter;
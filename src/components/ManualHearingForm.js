@@ -0,0 +1,73 @@
+import React, { useState } from 'react';
+
+const CORE_INPUTS = [
+  { key: 'Case Number', label: 'Case Number *', placeholder: 'e.g., 2024-CR-001', required: true },
+  { key: 'Client Name', label: 'Client Name', placeholder: 'e.g., John Doe' },
+  { key: 'Division', label: 'Division', placeholder: 'e.g., Criminal, Civil' },
+  { key: 'Time', label: 'Scheduled Time', placeholder: 'e.g., 9:00 AM' }
+];
+
+function ManualHearingForm({ extraFields = [], onSubmit, onCancel }) {
+  const [values, setValues] = useState({});
+
+  const inputs = [
+    ...CORE_INPUTS,
+    ...extraFields.map(key => ({ key, label: key, placeholder: '' }))
+  ];
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+
+    const value = (key) => (values[key] || '').trim();
+    if (!value('Case Number')) {
+      alert('Case number is required');
+      return;
+    }
+
+    const hearing = {
+      'Case Number': value('Case Number'),
+      'Client Name': value('Client Name') || 'Not specified',
+      'Division': value('Division') || 'Not specified',
+      'Time': value('Time') || new Date().toLocaleTimeString()
+    };
+    // Blank extra fields are left off rather than stored as empty columns
+    extraFields.forEach(key => {
+      if (value(key)) hearing[key] = value(key);
+    });
+
+    onSubmit(hearing);
+    setValues({});
+  };
+
+  return (
+    <form className="manual-form" onSubmit={handleSubmit} data-testid="manual-form">
+      <h3>Add Case Details</h3>
+      <div className="manual-form-grid">
+        {inputs.map(input => (
+          <div key={input.key}>
+            <label className="manual-form-label">{input.label}</label>
+            <input
+              type="text"
+              className="manual-form-input"
+              value={values[input.key] || ''}
+              onChange={(e) => setValues(prev => ({ ...prev, [input.key]: e.target.value }))}
+              placeholder={input.placeholder}
+              required={input.required}
+              data-testid={`manual-field-${input.key}`}
+            />
+          </div>
+        ))}
+      </div>
+      <div className="manual-form-actions">
+        <button type="submit" className="btn btn-start" data-testid="manual-submit-btn">
+          ✅ Add Case
+        </button>
+        <button type="button" className="btn btn-stop" onClick={onCancel} data-testid="manual-cancel-btn">
+          ❌ Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default ManualHearingForm;
@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { describeTake } from '../utils/recordingTakes';
+
+function OriginalAccessDialog({ take, index, onOpen, onCancel }) {
+  const [by, setBy] = useState('');
+  const [reason, setReason] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [isOpening, setIsOpening] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleOpen = async () => {
+    if (!by.trim() || !reason.trim()) {
+      setError('Enter your name and the reason for the redaction log');
+      return;
+    }
+    if (!passphrase) {
+      setError('Enter the passphrase the original was sealed with');
+      return;
+    }
+    setIsOpening(true);
+    try {
+      await onOpen({ by: by.trim(), reason: reason.trim(), passphrase });
+    } catch (openError) {
+      setError(openError.message);
+      setIsOpening(false);
+    }
+  };
+
+  return (
+    <div className="redaction-editor" data-testid="original-access-dialog">
+      <div className="take-list-header">
+        <strong>🔓 Open the sealed original of {describeTake(take, index)}</strong>
+      </div>
+      <p className="ics-settings-hint">
+        The original is encrypted and only opens with the passphrase it was sealed with.
+        Your name and reason are written to this hearing's redaction log before it downloads.
+      </p>
+
+      <label className="ics-settings-field">
+        Your name
+        <input
+          type="text"
+          value={by}
+          onChange={(e) => setBy(e.target.value)}
+          required
+          data-testid="original-access-by-input"
+        />
+      </label>
+
+      <label className="ics-settings-field">
+        Reason
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="e.g. appeal record"
+          required
+          data-testid="original-access-reason-input"
+        />
+      </label>
+
+      <label className="ics-settings-field">
+        Passphrase
+        <input
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          required
+          data-testid="original-access-passphrase-input"
+        />
+      </label>
+
+      {error && <div className="import-error" data-testid="original-access-error">⚠️ {error}</div>}
+
+      <div className="column-mapping-actions">
+        <button className="btn btn-start" onClick={handleOpen} disabled={isOpening} data-testid="open-original-btn">
+          {isOpening ? '⏳ Decrypting...' : '🔓 Log and Download'}
+        </button>
+        <button className="btn btn-stop" onClick={onCancel} disabled={isOpening} data-testid="cancel-open-original-btn">
+          ❌ Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default OriginalAccessDialog;
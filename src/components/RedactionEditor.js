@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { formatDuration } from '../utils/audioRecorder';
+import { REDACTION_FILLS, parseTimestamp, normalizeRanges } from '../utils/audioRedaction';
+import { describeTake } from '../utils/recordingTakes';
+import WaveformPlayer from './WaveformPlayer';
+
+function RedactionEditor({ take, index, isRendering, onApply, onCancel }) {
+  const [ranges, setRanges] = useState([]);
+  const [start, setStart] = useState('');
+  const [end, setEnd] = useState('');
+  const [reason, setReason] = useState('');
+  const [fill, setFill] = useState('silence');
+  const [redactedBy, setRedactedBy] = useState('');
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmPassphrase, setConfirmPassphrase] = useState('');
+  const [error, setError] = useState(null);
+
+  const handleAddRange = () => {
+    const range = { start: parseTimestamp(start), end: parseTimestamp(end), reason: reason.trim() };
+    if (range.start === null || range.end === null) {
+      setError('Enter the start and end as m:ss');
+      return;
+    }
+    try {
+      normalizeRanges([range], take.duration);
+    } catch (rangeError) {
+      setError(rangeError.message);
+      return;
+    }
+    setRanges(prev => [...prev, range]);
+    setStart('');
+    setEnd('');
+    setReason('');
+    setError(null);
+  };
+
+  const handleApply = () => {
+    if (!redactedBy.trim()) {
+      setError('Enter your name for the redaction log');
+      return;
+    }
+    // A take redacted before keeps the original sealed then
+    if (!take.redacted && !passphrase) {
+      setError('Enter a passphrase to seal the original');
+      return;
+    }
+    if (!take.redacted && passphrase !== confirmPassphrase) {
+      setError('The passphrases do not match');
+      return;
+    }
+    try {
+      onApply(normalizeRanges(ranges, take.duration), { fill, redactedBy: redactedBy.trim(), passphrase });
+      setError(null);
+    } catch (rangeError) {
+      setError(rangeError.message);
+    }
+  };
+
+  return (
+    <div className="redaction-editor" data-testid="redaction-editor">
+      <div className="take-list-header">
+        <strong>✂️ Redact {describeTake(take, index)}</strong>
+      </div>
+      <p className="ics-settings-hint">
+        The redacted copy replaces this take for playback, downloads and transcripts.
+        {take.redacted
+          ? ' The original stays sealed with the passphrase it was first redacted with; opening it is logged.'
+          : ' The original is encrypted with the passphrase below and cannot be opened without it; opening it is logged.'}
+      </p>
+
+      <WaveformPlayer audioBlob={take.audioBlob} />
+
+      <div className="redaction-range-form">
+        <input
+          type="text"
+          value={start}
+          onChange={(e) => setStart(e.target.value)}
+          placeholder="From (m:ss)"
+          aria-label="Redact from"
+          data-testid="redaction-start-input"
+        />
+        <input
+          type="text"
+          value={end}
+          onChange={(e) => setEnd(e.target.value)}
+          placeholder="To (m:ss)"
+          aria-label="Redact to"
+          data-testid="redaction-end-input"
+        />
+        <input
+          type="text"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder="Reason, e.g. sealed sidebar"
+          aria-label="Reason"
+          data-testid="redaction-reason-input"
+        />
+        <button className="btn btn-reset" onClick={handleAddRange} data-testid="add-redaction-range-btn">
+          ➕ Add
+        </button>
+      </div>
+
+      {ranges.length > 0 && (
+        <ul className="redaction-ranges">
+          {ranges.map((range, i) => (
+            <li key={i} data-testid={`redaction-range-${i}`}>
+              {formatDuration(Math.floor(range.start))}-{formatDuration(Math.ceil(range.end))}
+              {range.reason && ` · ${range.reason}`}
+              <button
+                className="btn btn-reset"
+                onClick={() => setRanges(prev => prev.filter((_, j) => j !== i))}
+                data-testid={`remove-redaction-range-${i}`}
+              >
+                ✖
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <label className="ics-settings-field">
+        Replace with
+        <select value={fill} onChange={(e) => setFill(e.target.value)} data-testid="redaction-fill-select">
+          {Object.keys(REDACTION_FILLS).map(key => (
+            <option key={key} value={key}>{REDACTION_FILLS[key]}</option>
+          ))}
+        </select>
+      </label>
+
+      <label className="ics-settings-field">
+        Redacted by
+        <input
+          type="text"
+          value={redactedBy}
+          onChange={(e) => setRedactedBy(e.target.value)}
+          data-testid="redaction-by-input"
+        />
+      </label>
+
+      {!take.redacted && (
+        <>
+          <label className="ics-settings-field">
+            Passphrase to seal the original
+            <input
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              autoComplete="new-password"
+              data-testid="redaction-passphrase-input"
+            />
+          </label>
+
+          <label className="ics-settings-field">
+            Repeat passphrase
+            <input
+              type="password"
+              value={confirmPassphrase}
+              onChange={(e) => setConfirmPassphrase(e.target.value)}
+              autoComplete="new-password"
+              data-testid="redaction-passphrase-confirm-input"
+            />
+          </label>
+        </>
+      )}
+
+      {error && <div className="import-error" data-testid="redaction-error">⚠️ {error}</div>}
+
+      <div className="column-mapping-actions">
+        <button
+          className="btn btn-start"
+          onClick={handleApply}
+          disabled={ranges.length === 0 || isRendering}
+          data-testid="apply-redaction-btn"
+        >
+          {isRendering ? '⏳ Redacting...' : '✂️ Redact'}
+        </button>
+        <button className="btn btn-stop" onClick={onCancel} disabled={isRendering} data-testid="cancel-redaction-btn">
+          ❌ Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default RedactionEditor;
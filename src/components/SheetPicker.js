@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import { guessHeaderRow } from '../utils/xlsxReader';
+
+const PREVIEW_ROWS = 12;
+
+function SheetPicker({ workbook, onConfirm, onCancel }) {
+  // Start on the first visible sheet that has any data
+  const [sheetIndex, setSheetIndex] = useState(() => {
+    const index = workbook.sheets.findIndex(sheet => !sheet.hidden && sheet.rows.some(row => row.length > 0));
+    return index === -1 ? 0 : index;
+  });
+  const [headerRow, setHeaderRow] = useState(() => guessHeaderRow(workbook.sheets[sheetIndex].rows));
+
+  const sheet = workbook.sheets[sheetIndex];
+  const previewStart = Math.max(1, headerRow - 2);
+  const previewRows = sheet.rows.slice(previewStart - 1, previewStart - 1 + PREVIEW_ROWS);
+  const columnCount = Math.max(0, ...previewRows.map(row => row.length));
+
+  const handleSheetChange = (index) => {
+    setSheetIndex(index);
+    setHeaderRow(guessHeaderRow(workbook.sheets[index].rows));
+  };
+
+  return (
+    <div className="column-mapping sheet-picker" data-testid="sheet-picker">
+      <h3>Choose Sheet</h3>
+      <p className="column-mapping-hint">
+        Pick the sheet with the hearings and the row that holds its column headers.
+      </p>
+
+      <div className="sheet-picker-controls">
+        <label>
+          Sheet
+          <select
+            value={sheetIndex}
+            onChange={(e) => handleSheetChange(Number(e.target.value))}
+            data-testid="sheet-select"
+          >
+            {workbook.sheets.map((option, index) => (
+              <option key={index} value={index}>
+                {option.name}{option.hidden ? ' (hidden)' : ''}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Header row
+          <input
+            type="number"
+            min="1"
+            max={Math.max(1, sheet.rows.length)}
+            value={headerRow}
+            onChange={(e) => setHeaderRow(Math.max(1, Number(e.target.value) || 1))}
+            data-testid="header-row-input"
+          />
+        </label>
+      </div>
+
+      <table className="column-mapping-table sheet-preview" data-testid="sheet-preview">
+        <tbody>
+          {previewRows.map((row, index) => {
+            const rowNumber = previewStart + index;
+            return (
+              <tr
+                key={rowNumber}
+                className={rowNumber === headerRow ? 'header-row' : rowNumber < headerRow ? 'skipped' : ''}
+                onClick={() => setHeaderRow(rowNumber)}
+                data-testid={`sheet-preview-row-${rowNumber}`}
+              >
+                <th>{rowNumber}</th>
+                {Array.from({ length: columnCount }, (_, column) => (
+                  <td key={column}>{row[column] || ''}</td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="column-mapping-actions">
+        <button
+          className="btn btn-start"
+          onClick={() => onConfirm(sheetIndex, headerRow)}
+          disabled={headerRow >= sheet.rows.length}
+          data-testid="sheet-confirm-btn"
+        >
+          ✅ Use Sheet
+        </button>
+        <button
+          className="btn btn-stop"
+          onClick={onCancel}
+          data-testid="sheet-cancel-btn"
+        >
+          ❌ Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SheetPicker;
@@ -11,7 +11,7 @@ import {
   removeParty
 } from '../utils/speakingTimeTracker';
 
-function SpeakingTimeTracker({ hearing, onSaveReport }) {
+function SpeakingTimeTracker({ hearing, fieldSchema, onSaveReport }) {
   const [speakingState, setSpeakingState] = useState(() => 
     initializeSpeakingTime(['State', 'Defense', 'Court'])
   );
@@ -75,7 +75,7 @@ function SpeakingTimeTracker({ hearing, onSaveReport }) {
   };
 
   const handleSaveReport = () => {
-    const report = generateTextReport(speakingState, hearing);
+    const report = generateTextReport(speakingState, hearing, fieldSchema);
     const chartData = generateChartData(speakingState);
     const stats = calculateStatistics(speakingState);
     
@@ -240,7 +240,7 @@ function SpeakingTimeTracker({ hearing, onSaveReport }) {
             <button 
               className="btn btn-download"
               onClick={() => {
-                const report = generateTextReport(speakingState, hearing);
+                const report = generateTextReport(speakingState, hearing, fieldSchema);
                 const blob = new Blob([report], { type: 'text/plain' });
                 const url = URL.createObjectURL(blob);
                 const a = document.createElement('a');
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import { describeTake } from '../utils/recordingTakes';
+import WaveformPlayer from './WaveformPlayer';
+
+function TakeList({ takes, disabled, onDownloadTake, onTranscribeTake, onRedactTake, onOpenOriginal }) {
+  // Index of the take open in the player, and whether playback carries on to the next take
+  const [playing, setPlaying] = useState(null);
+  const [playAll, setPlayAll] = useState(false);
+
+  const playingTake = playing === null ? null : takes[playing];
+
+  const handlePlay = (index) => {
+    setPlayAll(false);
+    setPlaying(playing === index ? null : index);
+  };
+
+  const handlePlayAll = () => {
+    if (playAll) {
+      setPlayAll(false);
+      setPlaying(null);
+      return;
+    }
+    setPlayAll(true);
+    setPlaying(0);
+  };
+
+  const handleEnded = () => {
+    if (playAll && playing < takes.length - 1) {
+      setPlaying(playing + 1);
+    } else {
+      setPlayAll(false);
+      setPlaying(null);
+    }
+  };
+
+  return (
+    <div className="take-list" data-testid="take-list">
+      <div className="take-list-header">
+        <strong>🎞️ Takes</strong>
+        {takes.length > 1 && (
+          <button className="btn btn-reset" onClick={handlePlayAll} data-testid="play-all-takes-btn">
+            {playAll ? '⏹️ Stop' : '▶️ Play all'}
+          </button>
+        )}
+      </div>
+      <ol>
+        {takes.map((take, index) => (
+          <li key={index} className={`take ${playing === index ? 'take-playing' : ''}`} data-testid={`take-${index}`}>
+            <span className="take-description">
+              {describeTake(take, index)}
+              {take.recovered && ' ⚠️ recovered'}
+              {take.redacted && ' 🔒 redacted'}
+            </span>
+            <button className="btn btn-reset" onClick={() => handlePlay(index)} data-testid={`play-take-${index}`}>
+              {playing === index ? '⏹️' : '▶️'}
+            </button>
+            <button
+              className="btn btn-download"
+              onClick={() => onDownloadTake(index)}
+              data-testid={`download-take-${index}`}
+            >
+              💾
+            </button>
+            <button
+              className="btn btn-transcript"
+              onClick={() => onTranscribeTake(index)}
+              disabled={disabled}
+              data-testid={`transcribe-take-${index}`}
+            >
+              📄
+            </button>
+            {onRedactTake && (
+              <button
+                className="btn btn-reset"
+                onClick={() => onRedactTake(index)}
+                disabled={disabled}
+                title="Redact passages"
+                data-testid={`redact-take-${index}`}
+              >
+                ✂️
+              </button>
+            )}
+            {take.redacted && onOpenOriginal && (
+              <button
+                className="btn btn-reset"
+                onClick={() => onOpenOriginal(index)}
+                title="Download the sealed original (logged)"
+                data-testid={`open-original-${index}`}
+              >
+                🔓
+              </button>
+            )}
+            {take.transcript && (
+              <div className="take-transcript" data-testid={`take-transcript-${index}`}>{take.transcript}</div>
+            )}
+          </li>
+        ))}
+      </ol>
+      {playingTake && playingTake.audioBlob && (
+        <WaveformPlayer audioBlob={playingTake.audioBlob} autoPlay onEnded={handleEnded} />
+      )}
+    </div>
+  );
+}
+
+export default TakeList;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import {
+  LANGUAGE_NAMES,
+  getProviderLanguage,
+  getLanguageName,
+  describeCapabilities
+} from '../utils/transcriptionProviders';
+
+function TranscriptionSettings({ settings, providers = [], onSave, onCancel }) {
+  const [values, setValues] = useState(settings);
+
+  // An engine that was saved and is no longer installed leaves the mock doing the work
+  const isInstalled = providers.some(provider => provider.id === values.providerId);
+  const provider = providers.find(registered => registered.id === values.providerId) || providers[0];
+  const languages = provider.capabilities.languages.length > 0
+    ? provider.capabilities.languages
+    : Object.keys(LANGUAGE_NAMES);
+  const language = getProviderLanguage(provider, values.language);
+  const engineOptions = (values.providerOptions || {})[provider.id] || {};
+
+  const setEngineOption = (key, value) => {
+    setValues(prev => ({
+      ...prev,
+      providerOptions: {
+        ...prev.providerOptions,
+        [provider.id]: { ...((prev.providerOptions || {})[provider.id]), [key]: value }
+      }
+    }));
+  };
+
+  return (
+    <div className="ics-settings" data-testid="transcription-settings">
+      <h3>Transcription Engine</h3>
+      <p className="ics-settings-hint">
+        Every hearing is transcribed by the engine chosen here. Engines installed with the app are listed;
+        the mock engine only returns a placeholder.
+      </p>
+
+      <label className="ics-settings-field">
+        Engine
+        <select
+          value={values.providerId}
+          onChange={(e) => setValues(prev => ({ ...prev, providerId: e.target.value }))}
+          data-testid="transcription-provider-select"
+        >
+          {providers.map(registered => (
+            <option key={registered.id} value={registered.id}>{registered.label}</option>
+          ))}
+          {!isInstalled && <option value={values.providerId}>Saved engine - not installed</option>}
+        </select>
+      </label>
+
+      {provider.description && (
+        <p className="ics-settings-hint" data-testid="transcription-provider-description">{provider.description}</p>
+      )}
+      <ul className="transcription-capabilities" data-testid="transcription-capabilities">
+        {describeCapabilities(provider).map(capability => (
+          <li key={capability}>{capability}</li>
+        ))}
+      </ul>
+
+      {languages.length > 1 && (
+        <label className="ics-settings-field">
+          Language
+          <select
+            value={language}
+            onChange={(e) => setValues(prev => ({ ...prev, language: e.target.value }))}
+            data-testid="transcription-language-select"
+          >
+            {languages.map(code => (
+              <option key={code} value={code}>{getLanguageName(code)}</option>
+            ))}
+          </select>
+        </label>
+      )}
+
+      {provider.options.map(option => (
+        <label key={option.key} className="ics-settings-field">
+          {option.label}
+          <input
+            type="text"
+            value={engineOptions[option.key] || ''}
+            placeholder={option.placeholder || ''}
+            onChange={(e) => setEngineOption(option.key, e.target.value)}
+            data-testid={`transcription-option-${option.key}`}
+          />
+        </label>
+      ))}
+
+      <div className="column-mapping-actions">
+        <button
+          className="btn btn-start"
+          onClick={() => onSave({ ...values, language })}
+          data-testid="transcription-settings-save-btn"
+        >
+          ✅ Save Settings
+        </button>
+        <button
+          className="btn btn-stop"
+          onClick={onCancel}
+          data-testid="transcription-settings-cancel-btn"
+        >
+          ❌ Close
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TranscriptionSettings;
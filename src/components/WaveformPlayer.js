@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { formatDuration } from '../utils/audioRecorder';
+import { PLAYBACK_RATES, JUMP_SECONDS, getSkipTarget, clampTime, analyzeRecording } from '../utils/waveform';
+
+function WaveformPlayer({ audioBlob, autoPlay = false, onEnded }) {
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [analysis, setAnalysis] = useState(null);
+  const [analysisFailed, setAnalysisFailed] = useState(false);
+  const [mediaDuration, setMediaDuration] = useState(0);
+  const [position, setPosition] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [playbackRate, setPlaybackRate] = useState(1);
+  const [skipSilence, setSkipSilence] = useState(false);
+  const audioRef = useRef(null);
+  const containerRef = useRef(null);
+
+  useEffect(() => {
+    if (!audioBlob) return undefined;
+    let cancelled = false;
+    const url = URL.createObjectURL(audioBlob);
+    setAudioUrl(url);
+    setAnalysis(null);
+    setAnalysisFailed(false);
+    setPosition(0);
+
+    analyzeRecording(audioBlob)
+      .then(result => {
+        if (!cancelled) setAnalysis(result);
+      })
+      .catch(error => {
+        // Playback still works without the waveform
+        console.error('Error drawing waveform:', error);
+        if (!cancelled) setAnalysisFailed(true);
+      });
+
+    return () => {
+      cancelled = true;
+      URL.revokeObjectURL(url);
+    };
+  }, [audioBlob]);
+
+  useEffect(() => {
+    if (audioRef.current) audioRef.current.playbackRate = playbackRate;
+  }, [playbackRate, audioUrl]);
+
+  // WebM from MediaRecorder reports no duration to the media element, so the decoded length comes first
+  const duration = (analysis && analysis.duration) || mediaDuration;
+
+  const seek = (time) => {
+    const target = clampTime(time, duration);
+    if (audioRef.current) audioRef.current.currentTime = target;
+    setPosition(target);
+  };
+
+  // Jumps from where playback actually is, which can be ahead of the last timeupdate
+  const jump = (seconds) => {
+    seek((audioRef.current ? audioRef.current.currentTime : position) + seconds);
+  };
+
+  const togglePlay = () => {
+    const audio = audioRef.current;
+    if (!audio) return;
+    if (audio.paused) {
+      const playing = audio.play();
+      if (playing && playing.catch) playing.catch(error => console.error('Error playing recording:', error));
+    } else {
+      audio.pause();
+    }
+  };
+
+  const handleTimeUpdate = () => {
+    const audio = audioRef.current;
+    if (skipSilence && analysis) {
+      const target = getSkipTarget(audio.currentTime, analysis.silentRanges);
+      if (target !== null) {
+        audio.currentTime = target;
+      }
+    }
+    setPosition(audio.currentTime);
+  };
+
+  const handleLoadedMetadata = () => {
+    const audio = audioRef.current;
+    if (Number.isFinite(audio.duration)) setMediaDuration(audio.duration);
+    audio.playbackRate = playbackRate;
+  };
+
+  const handleWaveformClick = (event) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    if (!rect.width) return;
+    seek(((event.clientX - rect.left) / rect.width) * duration);
+    if (containerRef.current) containerRef.current.focus();
+  };
+
+  const handleKeyDown = (event) => {
+    // The speed menu and scrubber keep their own keys, and a focused button already answers Space
+    const tag = event.target.tagName;
+    if (tag === 'SELECT' || tag === 'INPUT') return;
+    if (event.key === 'ArrowLeft') {
+      event.preventDefault();
+      jump(-JUMP_SECONDS);
+    } else if (event.key === 'ArrowRight') {
+      event.preventDefault();
+      jump(JUMP_SECONDS);
+    } else if (event.key === ' ' && tag !== 'BUTTON') {
+      event.preventDefault();
+      togglePlay();
+    }
+  };
+
+  const progress = duration > 0 ? position / duration : 0;
+
+  return (
+    <div
+      className="waveform-player"
+      ref={containerRef}
+      tabIndex={0}
+      onKeyDown={handleKeyDown}
+      data-testid="waveform-player"
+    >
+      {audioUrl && (
+        <audio
+          ref={audioRef}
+          src={audioUrl}
+          autoPlay={autoPlay}
+          onLoadedMetadata={handleLoadedMetadata}
+          onTimeUpdate={handleTimeUpdate}
+          onPlay={() => setIsPlaying(true)}
+          onPause={() => setIsPlaying(false)}
+          onEnded={() => {
+            setIsPlaying(false);
+            if (onEnded) onEnded();
+          }}
+          data-testid="waveform-audio"
+        />
+      )}
+      <div className="waveform" onClick={handleWaveformClick} data-testid="waveform">
+        {analysis ? (
+          analysis.peaks.map((peak, index) => (
+            <div
+              key={index}
+              className={`waveform-bar ${(index + 0.5) / analysis.peaks.length <= progress ? 'waveform-bar-played' : ''}`}
+              style={{ height: `${Math.max(2, Math.round(peak * 100))}%` }}
+            />
+          ))
+        ) : (
+          <div className="waveform-placeholder">
+            {analysisFailed ? 'Waveform unavailable' : '⏳ Drawing waveform...'}
+          </div>
+        )}
+      </div>
+      <input
+        type="range"
+        className="waveform-seek"
+        min="0"
+        max={duration || 0}
+        step="0.1"
+        value={Math.min(position, duration || 0)}
+        onChange={(e) => seek(Number(e.target.value))}
+        aria-label="Playback position"
+        data-testid="waveform-seek"
+      />
+      <div className="waveform-controls">
+        <button className="btn btn-start" onClick={togglePlay} data-testid="waveform-play-btn">
+          {isPlaying ? '⏸️ Pause' : '▶️ Play'}
+        </button>
+        <button
+          className="btn btn-reset"
+          onClick={() => jump(-JUMP_SECONDS)}
+          title="Back 5 seconds (Left arrow)"
+          data-testid="waveform-back-btn"
+        >
+          ⏪ {JUMP_SECONDS}s
+        </button>
+        <span className="waveform-time" data-testid="waveform-time">
+          {formatDuration(Math.floor(position))} / {formatDuration(Math.floor(duration))}
+        </span>
+        <select
+          value={playbackRate}
+          onChange={(e) => setPlaybackRate(Number(e.target.value))}
+          aria-label="Playback speed"
+          data-testid="waveform-speed-select"
+        >
+          {PLAYBACK_RATES.map(rate => (
+            <option key={rate} value={rate}>{rate}x</option>
+          ))}
+        </select>
+        <label className="waveform-skip-silence">
+          <input
+            type="checkbox"
+            checked={skipSilence}
+            onChange={(e) => setSkipSilence(e.target.checked)}
+            disabled={!analysis}
+            data-testid="waveform-skip-silence"
+          />
+          Skip silence
+        </label>
+      </div>
+    </div>
+  );
+}
+
+export default WaveformPlayer;
@@ -2,19 +2,37 @@ import React from 'react';
 import { render, screen, fireEvent, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import App from '../App';
+import { DEFAULT_AUDIO_SETTINGS } from '../../utils/audioRecorder';
 
 // Mock the utility functions
-jest.mock('../../utils/csvParser', () => ({
-  parseCSV: jest.fn(),
-  initializeRecordingStates: jest.fn()
+jest.mock('../../utils/csvParser', () => {
+  const actual = jest.requireActual('../../utils/csvParser');
+  return {
+    parseCSV: jest.fn(),
+    parseCSVWithDiagnostics: jest.fn(),
+    parseRecordsWithDiagnostics: actual.parseRecordsWithDiagnostics,
+    cleanHeaderRow: actual.cleanHeaderRow,
+    diagnoseRows: actual.diagnoseRows,
+    prepareHearings: actual.prepareHearings,
+    formatTime: actual.formatTime,
+    formatDayKey: actual.formatDayKey,
+    getCSVHeaders: jest.fn(() => ['Case Number', 'Client Name', 'Division', 'Time']),
+    initializeRecordingStates: jest.fn()
+  };
+});
+
+jest.mock('../../utils/xlsxReader', () => ({
+  ...jest.requireActual('../../utils/xlsxReader'),
+  readXLSX: jest.fn()
 }));
 
 jest.mock('../HearingTile', () => {
-  return function MockHearingTile({ hearing, recording, onUpdateRecording }) {
+  return function MockHearingTile({ hearing, recording, conflicts, hidden, canRecord, onUpdateRecording }) {
     return (
-      <div data-testid={`mock-hearing-tile-${hearing.id}`}>
+      <div data-testid={`mock-hearing-tile-${hearing.id}`} hidden={hidden} data-can-record={String(canRecord)}>
         <span>Case: {hearing['Case Number']}</span>
         <span>Client: {hearing['Client Name']}</span>
+        {conflicts && <span>Conflicts: {conflicts.length}</span>}
         <button onClick={() => onUpdateRecording({ notes: 'test note' })}>
           Update Recording
         </button>
@@ -23,7 +41,29 @@ jest.mock('../HearingTile', () => {
   };
 });
 
-import { parseCSV, initializeRecordingStates } from '../../utils/csvParser';
+jest.mock('../../utils/docketExport', () => ({
+  downloadDocketExport: jest.fn()
+}));
+
+jest.mock('../../utils/sessionStore', () => ({
+  openSessionDB: jest.fn(() => Promise.resolve({})),
+  loadSession: jest.fn(() => Promise.resolve(null)),
+  saveSession: jest.fn(() => Promise.resolve()),
+  clearSession: jest.fn(() => Promise.resolve()),
+  saveRecordingChunk: jest.fn(() => Promise.resolve()),
+  recoverRecordings: jest.fn(() => Promise.resolve([]))
+}));
+
+import { parseCSV, parseCSVWithDiagnostics, getCSVHeaders, initializeRecordingStates } from '../../utils/csvParser';
+import { readXLSX } from '../../utils/xlsxReader';
+import { downloadDocketExport } from '../../utils/docketExport';
+import { loadSession, saveSession, clearSession, recoverRecordings } from '../../utils/sessionStore';
+
+// Builds the report parseCSVWithDiagnostics returns for a clean file
+const cleanReport = (hearings) => ({
+  headers: ['Case Number', 'Client Name', 'Division', 'Time'],
+  rows: hearings.map((hearing, index) => ({ row: index + 2, hearing, extraValues: [], issues: [] }))
+});
 
 describe('App', () => {
   beforeEach(() => {
@@ -57,7 +97,7 @@ describe('App', () => {
       '456-2': { isRecording: false, status: 'ready' }
     };
 
-    parseCSV.mockReturnValue(mockHearings);
+    parseCSVWithDiagnostics.mockReturnValue(cleanReport(mockHearings));
     initializeRecordingStates.mockReturnValue(mockRecordings);
 
     render(<App />);
@@ -79,7 +119,7 @@ describe('App', () => {
     await userEvent.upload(fileInput, file);
 
     await waitFor(() => {
-      expect(parseCSV).toHaveBeenCalledWith('case,client\n123,John');
+      expect(parseCSVWithDiagnostics).toHaveBeenCalledWith('case,client\n123,John');
       expect(initializeRecordingStates).toHaveBeenCalledWith(mockHearings);
     });
 
@@ -89,13 +129,10 @@ describe('App', () => {
   });
 
   it('should handle CSV parsing errors', async () => {
-    parseCSV.mockImplementation(() => {
+    parseCSVWithDiagnostics.mockImplementation(() => {
       throw new Error('Invalid CSV format');
     });
 
-    // Mock alert
-    window.alert = jest.fn();
-
     render(<App />);
     
     const fileInput = screen.getByTestId('csv-upload-input');
@@ -114,8 +151,9 @@ describe('App', () => {
     await userEvent.upload(fileInput, file);
 
     await waitFor(() => {
-      expect(window.alert).toHaveBeenCalledWith('Error parsing CSV: Invalid CSV format');
+      expect(screen.getByTestId('import-error')).toHaveTextContent('Error parsing CSV: Invalid CSV format');
     });
+    expect(screen.getByTestId('empty-state')).toBeInTheDocument();
   });
 
   it('should update recording state correctly', async () => {
@@ -126,7 +164,7 @@ describe('App', () => {
       '123-1': { isRecording: false, status: 'ready', notes: '' }
     };
 
-    parseCSV.mockReturnValue(mockHearings);
+    parseCSVWithDiagnostics.mockReturnValue(cleanReport(mockHearings));
     initializeRecordingStates.mockReturnValue(mockRecordings);
 
     render(<App />);
@@ -184,7 +222,7 @@ describe('App', () => {
       '3': { status: 'ready' }
     };
 
-    parseCSV.mockReturnValue(mockHearings);
+    parseCSVWithDiagnostics.mockReturnValue(cleanReport(mockHearings));
     initializeRecordingStates.mockReturnValue(mockRecordings);
 
     render(<App />);
@@ -210,4 +248,664 @@ describe('App', () => {
       expect(screen.getByTestId('mock-hearing-tile-3')).toBeInTheDocument();
     });
   });
-});
\ No newline at end of file
+
+  it('should ask for a column mapping when headers do not match', async () => {
+    const mockHearings = [
+      { id: '123-1', 'Case Number': '123-2024', 'Client Name': 'John Doe' }
+    ];
+    window.localStorage.clear();
+    getCSVHeaders.mockReturnValueOnce(['Case No.', 'Defendant', 'Courtroom', 'Sched Time']);
+    parseCSV.mockReturnValue([{ 'Case No.': '123-2024', 'Defendant': 'John Doe' }]);
+    parseCSVWithDiagnostics.mockReturnValue(cleanReport(mockHearings));
+    initializeRecordingStates.mockReturnValue({ '123-1': { status: 'ready' } });
+
+    render(<App />);
+    
+    const fileInput = screen.getByTestId('csv-upload-input');
+    const file = new File(['county export'], 'county.csv', { type: 'text/csv' });
+    
+    const mockFileReader = {
+      onload: null,
+      readAsText: jest.fn(function() {
+        setTimeout(() => {
+          this.onload({ target: { result: 'county export' } });
+        }, 0);
+      })
+    };
+    global.FileReader = jest.fn(() => mockFileReader);
+
+    await userEvent.upload(fileInput, file);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('column-mapping-wizard')).toBeInTheDocument();
+    });
+    expect(screen.getByTestId('mapping-select-Client Name')).toHaveValue('Defendant');
+    expect(initializeRecordingStates).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByTestId('mapping-confirm-btn'));
+
+    expect(parseCSVWithDiagnostics).toHaveBeenLastCalledWith('county export', {
+      mapping: expect.objectContaining({
+        'Case Number': 'Case No.',
+        'Client Name': 'Defendant',
+        'Division': 'Courtroom',
+        'Time': 'Sched Time'
+      })
+    });
+    expect(screen.queryByTestId('column-mapping-wizard')).not.toBeInTheDocument();
+    expect(screen.getByTestId('mock-hearing-tile-123-1')).toBeInTheDocument();
+  });
+
+  it('should hold flagged rows for review before adding hearings', async () => {
+    const report = cleanReport([
+      { id: '1', 'Case Number': '123-2024', 'Client Name': 'John Doe', 'Time': '9:00 AM' },
+      { id: '2', 'Case Number': '', 'Client Name': 'Jane Smith', 'Time': '10:00 AM' }
+    ]);
+    report.rows[1].issues = [
+      { code: 'missing-case-number', severity: 'error', field: 'Case Number', message: 'Missing case number' }
+    ];
+    parseCSVWithDiagnostics.mockReturnValue(report);
+    initializeRecordingStates.mockReturnValue({ '1': { status: 'ready' } });
+
+    render(<App />);
+    
+    const fileInput = screen.getByTestId('csv-upload-input');
+    const file = new File(['csv data'], 'test.csv', { type: 'text/csv' });
+    
+    const mockFileReader = {
+      onload: null,
+      readAsText: jest.fn(function() {
+        setTimeout(() => {
+          this.onload({ target: { result: 'csv data' } });
+        }, 0);
+      })
+    };
+    global.FileReader = jest.fn(() => mockFileReader);
+
+    await userEvent.upload(fileInput, file);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('import-preview')).toBeInTheDocument();
+    });
+    expect(screen.getByTestId('empty-state')).toBeInTheDocument();
+    expect(screen.getByTestId('import-confirm-btn')).toBeDisabled();
+
+    fireEvent.click(screen.getByTestId('import-skip-3'));
+    fireEvent.click(screen.getByTestId('import-confirm-btn'));
+
+    const [[imported]] = initializeRecordingStates.mock.calls;
+    expect(imported).toEqual([expect.objectContaining({ 'Case Number': '123-2024' })]);
+    expect(screen.queryByTestId('import-preview')).not.toBeInTheDocument();
+    expect(screen.getByTestId(`mock-hearing-tile-${imported[0].id}`)).toBeInTheDocument();
+  });
+
+  it('should merge a re-uploaded docket instead of replacing it', async () => {
+    const first = [
+      { id: 'a', 'Case Number': '123-2024', 'Client Name': 'John Doe', 'Time': '9:00 AM' },
+      { id: 'b', 'Case Number': '456-2024', 'Client Name': 'Jane Smith', 'Time': '10:30 AM' }
+    ];
+    const second = [
+      { id: 'a', 'Case Number': '123-2024', 'Client Name': 'John Doe', 'Time': '11:00 AM' },
+      { id: 'c', 'Case Number': '789-2024', 'Client Name': 'Bob Johnson', 'Time': '2:00 PM' }
+    ];
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+
+    render(<App />);
+    
+    const fileInput = screen.getByTestId('csv-upload-input');
+    const upload = async (hearings) => {
+      parseCSVWithDiagnostics.mockReturnValue(cleanReport(hearings));
+      global.FileReader = jest.fn(() => ({
+        onload: null,
+        readAsText: jest.fn(function() {
+          setTimeout(() => {
+            this.onload({ target: { result: 'csv data' } });
+          }, 0);
+        })
+      }));
+      await userEvent.upload(fileInput, new File(['csv data'], 'docket.csv', { type: 'text/csv' }));
+    };
+
+    await upload(first);
+    await waitFor(() => {
+      expect(screen.getByTestId('mock-hearing-tile-a')).toBeInTheDocument();
+    });
+
+    await upload(second);
+    await waitFor(() => {
+      expect(screen.getByTestId('merge-summary')).toHaveTextContent('1 added, 1 rescheduled, 1 no longer listed, 0 unchanged');
+    });
+
+    expect(screen.getByTestId('mock-hearing-tile-a')).toBeInTheDocument();
+    expect(screen.getByTestId('mock-hearing-tile-b')).toBeInTheDocument();
+    expect(screen.getByTestId('mock-hearing-tile-c')).toBeInTheDocument();
+    expect(initializeRecordingStates).toHaveBeenLastCalledWith([expect.objectContaining({ id: 'c' })]);
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should group hearings by day in chronological order', async () => {
+    const { parseCSVWithDiagnostics: actualParse } = jest.requireActual('../../utils/csvParser');
+    parseCSVWithDiagnostics.mockImplementation(actualParse);
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+    const csvText = `Case Number,Client Name,Division,Time
+111-2024,John Doe,Criminal,3/18/2024 2:00 PM
+222-2024,Jane Smith,Civil,3/15/2024 10:30 AM
+333-2024,Jane Smith,Family,3/15/2024 10:45 AM`;
+
+    render(<App />);
+
+    global.FileReader = jest.fn(() => ({
+      onload: null,
+      readAsText: jest.fn(function() {
+        setTimeout(() => {
+          this.onload({ target: { result: csvText } });
+        }, 0);
+      })
+    }));
+    await userEvent.upload(screen.getByTestId('csv-upload-input'), new File([csvText], 'docket.csv', { type: 'text/csv' }));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('docket-day-2024-03-15')).toBeInTheDocument();
+    });
+
+    expect(screen.getByTestId('docket-day-2024-03-15')).toHaveTextContent('Friday, March 15, 2024 (2)');
+    expect(screen.getByTestId('docket-day-2024-03-18')).toHaveTextContent('Monday, March 18, 2024 (1)');
+    // Each day's heading is followed by its tiles, in time order
+    const order = [...screen.getByTestId('hearings-grid').children].map(element =>
+      element.tagName === 'H2' ? element.dataset.testid : element.firstChild.textContent
+    );
+    expect(order).toEqual(['docket-day-2024-03-15', 'Case: 222-2024', 'Case: 333-2024', 'docket-day-2024-03-18', 'Case: 111-2024']);
+    expect(screen.getByTestId('hearings-grid')).toHaveTextContent('Conflicts: 1');
+    parseCSVWithDiagnostics.mockReset();
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should keep a hearing\'s tile mounted when a re-import moves it to another day', async () => {
+    const { parseCSVWithDiagnostics: actualParse } = jest.requireActual('../../utils/csvParser');
+    parseCSVWithDiagnostics.mockImplementation(actualParse);
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+    const upload = async (csvText) => {
+      global.FileReader = jest.fn(() => ({
+        onload: null,
+        readAsText: jest.fn(function() {
+          setTimeout(() => {
+            this.onload({ target: { result: csvText } });
+          }, 0);
+        })
+      }));
+      await userEvent.upload(screen.getByTestId('csv-upload-input'), new File([csvText], 'docket.csv', { type: 'text/csv' }));
+    };
+
+    render(<App />);
+    await upload(`Case Number,Client Name,Division,Time
+111-2024,John Doe,Criminal,3/15/2024 9:00 AM
+222-2024,Jane Smith,Civil,3/15/2024 10:30 AM`);
+    await waitFor(() => {
+      expect(screen.getByTestId('docket-day-2024-03-15')).toBeInTheDocument();
+    });
+    const tile = screen.getByText('Case: 111-2024').parentElement;
+
+    await upload(`Case Number,Client Name,Division,Time
+111-2024,John Doe,Criminal,3/18/2024 9:00 AM
+222-2024,Jane Smith,Civil,3/15/2024 10:30 AM`);
+    await waitFor(() => {
+      expect(screen.getByTestId('docket-day-2024-03-18')).toBeInTheDocument();
+    });
+
+    // The same element, so the tile and any recording in it carried on
+    expect(screen.getByText('Case: 111-2024').parentElement).toBe(tile);
+    expect(screen.getByTestId('docket-day-2024-03-18').compareDocumentPosition(tile))
+      .toBe(Node.DOCUMENT_POSITION_FOLLOWING);
+    parseCSVWithDiagnostics.mockReset();
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should import hearings from a calendar file', async () => {
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+    const icsText = [
+      'BEGIN:VCALENDAR',
+      'BEGIN:VEVENT',
+      'SUMMARY:John Doe 2024-CF-001234',
+      'LOCATION:Courtroom 3A',
+      'DTSTART:20240315T090000',
+      'END:VEVENT',
+      'END:VCALENDAR'
+    ].join('\r\n');
+
+    render(<App />);
+
+    global.FileReader = jest.fn(() => ({
+      onload: null,
+      readAsText: jest.fn(function() {
+        setTimeout(() => {
+          this.onload({ target: { result: icsText } });
+        }, 0);
+      })
+    }));
+    await userEvent.upload(screen.getByTestId('csv-upload-input'), new File([icsText], 'settings.ics', { type: 'text/calendar' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Case: 2024-CF-001234')).toBeInTheDocument();
+    });
+
+    expect(parseCSVWithDiagnostics).not.toHaveBeenCalled();
+    expect(screen.getByText('Client: John Doe')).toBeInTheDocument();
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should import a workbook sheet through the mapping step', async () => {
+    window.localStorage.clear();
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+    readXLSX.mockReturnValue({
+      sheets: [{
+        name: 'Jail',
+        hidden: false,
+        rows: [
+          ['County Jail Docket'],
+          ['Case No.', 'Defendant', 'Courtroom', 'Sched Time'],
+          ['123-2024', 'John Doe', '3A', '9:00 AM']
+        ]
+      }]
+    });
+    const mockFileReader = {
+      onload: null,
+      readAsArrayBuffer: jest.fn(function() {
+        setTimeout(() => {
+          this.onload({ target: { result: new ArrayBuffer(8) } });
+        }, 0);
+      })
+    };
+    global.FileReader = jest.fn(() => mockFileReader);
+
+    render(<App />);
+
+    await userEvent.upload(
+      screen.getByTestId('csv-upload-input'),
+      new File(['xlsx'], 'jail.xlsx', { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
+    );
+
+    await waitFor(() => {
+      expect(screen.getByTestId('sheet-picker')).toBeInTheDocument();
+    });
+    expect(mockFileReader.readAsArrayBuffer).toHaveBeenCalled();
+    expect(screen.getByTestId('header-row-input')).toHaveValue(2);
+
+    fireEvent.click(screen.getByTestId('sheet-confirm-btn'));
+
+    expect(screen.getByTestId('column-mapping-wizard')).toBeInTheDocument();
+    expect(screen.getByText('John Doe')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('mapping-remember'));
+    fireEvent.click(screen.getByTestId('mapping-confirm-btn'));
+
+    expect(screen.getByText('Case: 123-2024')).toBeInTheDocument();
+    expect(parseCSVWithDiagnostics).not.toHaveBeenCalled();
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should append a pasted table without flagging missing hearings', async () => {
+    window.localStorage.clear();
+    const first = [
+      { id: 'a', 'Case Number': '123-2024', 'Client Name': 'John Doe', 'Time': '9:00 AM' },
+      { id: 'b', 'Case Number': '456-2024', 'Client Name': 'Jane Smith', 'Time': '10:30 AM' }
+    ];
+    const pasted = [
+      { id: 'c', 'Case Number': '789-2024', 'Client Name': 'Bob Johnson', 'Time': '2:00 PM' }
+    ];
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+    global.FileReader = jest.fn(() => ({
+      onload: null,
+      readAsText: jest.fn(function() {
+        setTimeout(() => {
+          this.onload({ target: { result: 'csv data' } });
+        }, 0);
+      })
+    }));
+
+    render(<App />);
+
+    parseCSVWithDiagnostics.mockReturnValue(cleanReport(first));
+    await userEvent.upload(screen.getByTestId('csv-upload-input'), new File(['csv data'], 'docket.csv', { type: 'text/csv' }));
+    await waitFor(() => {
+      expect(screen.getByTestId('mock-hearing-tile-a')).toBeInTheDocument();
+    });
+    // Once the docket has been saved, the paste handler has been re-registered with it too
+    await waitFor(() => {
+      expect(saveSession).toHaveBeenLastCalledWith({}, first, expect.any(Object), expect.any(Object));
+    });
+
+    const tsv = 'Case Number\tClient Name\tTime\n789-2024\tBob Johnson\t2:00 PM';
+    parseCSVWithDiagnostics.mockReturnValue(cleanReport(pasted));
+    fireEvent.paste(document, { clipboardData: { getData: () => tsv } });
+
+    expect(parseCSVWithDiagnostics).toHaveBeenLastCalledWith(tsv);
+    expect(screen.getByTestId('merge-summary')).toHaveTextContent('1 added, 0 rescheduled, 0 no longer listed, 0 unchanged');
+    expect(screen.getByTestId('mock-hearing-tile-a')).toBeInTheDocument();
+    expect(screen.getByTestId('mock-hearing-tile-b')).toBeInTheDocument();
+    expect(screen.getByTestId('mock-hearing-tile-c')).toBeInTheDocument();
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should ignore pastes into form fields and single lines', () => {
+    render(<App />);
+
+    fireEvent.paste(document, { clipboardData: { getData: () => '123-2024' } });
+    fireEvent.paste(screen.getByTestId('csv-upload-input'), {
+      clipboardData: { getData: () => 'Case Number\tTime\n123-2024\t9:00 AM' }
+    });
+
+    expect(parseCSVWithDiagnostics).not.toHaveBeenCalled();
+    expect(screen.getByTestId('empty-state')).toBeInTheDocument();
+  });
+
+  it('should import a file dropped on the page', async () => {
+    window.localStorage.clear();
+    const mockHearings = [{ id: 'a', 'Case Number': '123-2024', 'Client Name': 'John Doe' }];
+    parseCSVWithDiagnostics.mockReturnValue(cleanReport(mockHearings));
+    initializeRecordingStates.mockReturnValue({ a: { status: 'ready' } });
+    global.FileReader = jest.fn(() => ({
+      onload: null,
+      readAsText: jest.fn(function() {
+        setTimeout(() => {
+          this.onload({ target: { result: 'dropped data' } });
+        }, 0);
+      })
+    }));
+
+    render(<App />);
+
+    fireEvent.dragOver(document);
+    expect(screen.getByTestId('drop-overlay')).toBeInTheDocument();
+
+    const file = new File(['dropped data'], 'docket.csv', { type: 'text/csv' });
+    fireEvent.drop(document, { dataTransfer: { files: [file], getData: () => '' } });
+
+    expect(screen.queryByTestId('drop-overlay')).not.toBeInTheDocument();
+    await waitFor(() => {
+      expect(screen.getByTestId('mock-hearing-tile-a')).toBeInTheDocument();
+    });
+    expect(parseCSVWithDiagnostics).toHaveBeenCalledWith('dropped data');
+  });
+
+  it('should filter hearings by searchable fields', async () => {
+    window.localStorage.clear();
+    const mockHearings = [
+      { id: 'a', 'Case Number': '123-2024', 'Client Name': 'John Doe', 'Judge': 'Hon. Rivera', 'Bond': '$500' },
+      { id: 'b', 'Case Number': '456-2024', 'Client Name': 'Jane Smith', 'Judge': 'Hon. Chen', 'Bond': '$900' }
+    ];
+    parseCSVWithDiagnostics.mockReturnValue(cleanReport(mockHearings));
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+    global.FileReader = jest.fn(() => ({
+      onload: null,
+      readAsText: jest.fn(function() {
+        setTimeout(() => {
+          this.onload({ target: { result: 'csv data' } });
+        }, 0);
+      })
+    }));
+
+    render(<App />);
+    await userEvent.upload(screen.getByTestId('csv-upload-input'), new File(['csv data'], 'docket.csv', { type: 'text/csv' }));
+    await waitFor(() => {
+      expect(screen.getByTestId('mock-hearing-tile-a')).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByTestId('hearing-search'), { target: { value: 'chen' } });
+
+    // A hearing left out of the search stays mounted, so a recording in it carries on
+    expect(screen.getByTestId('mock-hearing-tile-a')).not.toBeVisible();
+    expect(screen.getByTestId('mock-hearing-tile-b')).toBeVisible();
+
+    // Bond is not searchable in the default schema
+    fireEvent.change(screen.getByTestId('hearing-search'), { target: { value: '$900' } });
+
+    expect(screen.getByTestId('no-search-results')).toBeInTheDocument();
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should add a hearing from the manual form with configured extra fields', () => {
+    window.localStorage.clear();
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+
+    render(<App />);
+
+    fireEvent.click(screen.getByTestId('manual-input-toggle'));
+    fireEvent.change(screen.getByTestId('manual-field-Case Number'), { target: { value: '789-2024' } });
+    fireEvent.change(screen.getByTestId('manual-field-Client Name'), { target: { value: 'Bob Johnson' } });
+    fireEvent.change(screen.getByTestId('manual-field-Charge'), { target: { value: 'Trespass' } });
+    fireEvent.click(screen.getByTestId('manual-submit-btn'));
+
+    expect(screen.queryByTestId('manual-form')).not.toBeInTheDocument();
+    expect(screen.getByText('Client: Bob Johnson')).toBeInTheDocument();
+    expect(initializeRecordingStates).toHaveBeenCalledWith([
+      expect.objectContaining({ 'Case Number': '789-2024', 'Charge': 'Trespass', id: expect.any(String) })
+    ]);
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should save the field schema from the settings panel', () => {
+    window.localStorage.clear();
+    render(<App />);
+
+    fireEvent.click(screen.getByTestId('field-settings-toggle'));
+    fireEvent.click(screen.getByTestId('field-inManualForm-Charge'));
+    fireEvent.click(screen.getByTestId('field-settings-save-btn'));
+
+    expect(screen.queryByTestId('field-settings')).not.toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem('courtReporter.fieldSchema')).fields)
+      .toContainEqual(expect.objectContaining({ key: 'Charge', inManualForm: false }));
+
+    fireEvent.click(screen.getByTestId('manual-input-toggle'));
+
+    expect(screen.getByTestId('manual-field-Judge')).toBeInTheDocument();
+    expect(screen.queryByTestId('manual-field-Charge')).not.toBeInTheDocument();
+  });
+
+  it('should export the whole docket regardless of the search', () => {
+    window.localStorage.clear();
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+
+    render(<App />);
+
+    expect(screen.queryByTestId('export-csv-btn')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('manual-input-toggle'));
+    fireEvent.change(screen.getByTestId('manual-field-Case Number'), { target: { value: '789-2024' } });
+    fireEvent.click(screen.getByTestId('manual-submit-btn'));
+    fireEvent.change(screen.getByTestId('hearing-search'), { target: { value: 'no match' } });
+    fireEvent.click(screen.getByTestId('export-tsv-btn'));
+
+    expect(downloadDocketExport).toHaveBeenCalledWith(
+      [expect.objectContaining({ 'Case Number': '789-2024' })],
+      expect.any(Object),
+      { format: 'tsv' }
+    );
+
+    downloadDocketExport.mockImplementationOnce(() => {
+      throw new Error('No hearings to export');
+    });
+    fireEvent.click(screen.getByTestId('export-csv-btn'));
+
+    expect(screen.getByTestId('import-error')).toHaveTextContent('Export failed: No hearings to export');
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should offer to restore a saved session', async () => {
+    const session = {
+      hearings: [{ id: 'a', 'Case Number': '123-2024', 'Client Name': 'John Doe' }],
+      recordings: { a: { status: 'recorded', audioBlob: { type: 'audio/webm' }, notes: 'Saved note' } },
+      savedAt: Date.now()
+    };
+    loadSession.mockResolvedValueOnce(session);
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('restore-prompt')).toHaveTextContent('1 hearing was');
+    });
+    expect(screen.getByTestId('restore-prompt')).toHaveTextContent('Recording waits until you choose');
+    // Nothing is overwritten while the prompt is open
+    expect(saveSession).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByTestId('restore-session-btn'));
+
+    expect(screen.queryByTestId('restore-prompt')).not.toBeInTheDocument();
+    expect(screen.getByTestId('mock-hearing-tile-a')).toHaveAttribute('data-can-record', 'true');
+    expect(saveSession).toHaveBeenLastCalledWith({}, session.hearings, session.recordings, session.recordings);
+  });
+
+  it('should hold recording while the restore prompt is open', async () => {
+    const pasted = [{ id: 'c', 'Case Number': '789-2024', 'Client Name': 'Bob Johnson', 'Time': '2:00 PM' }];
+    loadSession.mockResolvedValueOnce({
+      hearings: [{ id: 'a', 'Case Number': '123-2024' }],
+      recordings: {},
+      savedAt: Date.now()
+    });
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+
+    render(<App />);
+    await waitFor(() => {
+      expect(screen.getByTestId('restore-prompt')).toBeInTheDocument();
+    });
+
+    parseCSVWithDiagnostics.mockReturnValue(cleanReport(pasted));
+    fireEvent.paste(document, { clipboardData: { getData: () => 'Case Number\tClient Name\tTime\n789-2024\tBob Johnson\t2:00 PM' } });
+
+    expect(screen.getByTestId('mock-hearing-tile-c')).toHaveAttribute('data-can-record', 'false');
+
+    fireEvent.click(screen.getByTestId('discard-session-btn'));
+
+    expect(screen.getByTestId('mock-hearing-tile-c')).toHaveAttribute('data-can-record', 'true');
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should clear the saved session when starting fresh', async () => {
+    loadSession.mockResolvedValueOnce({
+      hearings: [{ id: 'a', 'Case Number': '123-2024' }],
+      recordings: {},
+      savedAt: Date.now()
+    });
+
+    render(<App />);
+    await waitFor(() => {
+      expect(screen.getByTestId('restore-prompt')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByTestId('discard-session-btn'));
+
+    expect(clearSession).toHaveBeenCalled();
+    expect(screen.queryByTestId('mock-hearing-tile-a')).not.toBeInTheDocument();
+    expect(saveSession).toHaveBeenCalledWith({}, [], {}, {});
+  });
+
+  it('should clear the day after confirmation', async () => {
+    window.localStorage.clear();
+    window.confirm = jest.fn(() => true);
+    initializeRecordingStates.mockImplementation((list) =>
+      Object.fromEntries(list.map(h => [h.id, { status: 'ready' }]))
+    );
+
+    render(<App />);
+    await waitFor(() => {
+      expect(saveSession).toHaveBeenCalled();
+    });
+
+    fireEvent.click(screen.getByTestId('manual-input-toggle'));
+    fireEvent.change(screen.getByTestId('manual-field-Case Number'), { target: { value: '789-2024' } });
+    fireEvent.click(screen.getByTestId('manual-submit-btn'));
+
+    expect(saveSession).toHaveBeenLastCalledWith(
+      {},
+      [expect.objectContaining({ 'Case Number': '789-2024' })],
+      expect.any(Object),
+      {}
+    );
+
+    fireEvent.click(screen.getByTestId('clear-day-btn'));
+
+    expect(window.confirm).toHaveBeenCalled();
+    expect(clearSession).toHaveBeenCalled();
+    expect(screen.getByTestId('empty-state')).toBeInTheDocument();
+    initializeRecordingStates.mockReset();
+  });
+
+  it('should recover interrupted recordings before offering the saved session', async () => {
+    loadSession.mockImplementationOnce(() => {
+      // Recovery has to finish first so the session includes the reassembled audio
+      expect(recoverRecordings).toHaveBeenCalled();
+      return Promise.resolve({
+        hearings: [{ id: 'a', 'Case Number': '123-2024' }],
+        recordings: { a: { status: 'recorded', audioBlob: {}, recovered: true } },
+        savedAt: Date.now()
+      });
+    });
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByTestId('restore-prompt')).toHaveTextContent('including 1 recording recovered after an interruption');
+    });
+  });
+
+  it('should save the recording format from the audio settings panel', () => {
+    window.localStorage.clear();
+    render(<App />);
+
+    fireEvent.click(screen.getByTestId('audio-settings-toggle'));
+    fireEvent.change(screen.getByTestId('audio-bitrate-select'), { target: { value: '32000' } });
+    fireEvent.click(screen.getByTestId('audio-settings-save-btn'));
+
+    expect(screen.queryByTestId('audio-settings')).not.toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem('courtReporter.audioSettings')))
+      .toEqual({ ...DEFAULT_AUDIO_SETTINGS, audioBitsPerSecond: 32000 });
+  });
+
+  it('should save the chosen transcription engine', () => {
+    window.localStorage.clear();
+    render(<App />);
+
+    fireEvent.click(screen.getByTestId('transcription-settings-toggle'));
+    expect(screen.getByTestId('transcription-provider-select')).toHaveValue('mock');
+    fireEvent.click(screen.getByTestId('transcription-settings-save-btn'));
+
+    expect(screen.queryByTestId('transcription-settings')).not.toBeInTheDocument();
+    expect(JSON.parse(window.localStorage.getItem('courtReporter.transcriptionSettings')))
+      .toEqual({ providerId: 'mock', language: 'en', providerOptions: {} });
+  });
+
+  it('should offer the connected microphones in the audio settings', async () => {
+    window.localStorage.clear();
+    navigator.mediaDevices.enumerateDevices = jest.fn().mockResolvedValue([
+      { kind: 'audioinput', deviceId: 'usb-mic', label: 'USB Boundary Mic' }
+    ]);
+    render(<App />);
+
+    fireEvent.click(screen.getByTestId('audio-settings-toggle'));
+    await screen.findByRole('option', { name: 'USB Boundary Mic' });
+    fireEvent.change(screen.getByTestId('audio-device-select'), { target: { value: 'usb-mic' } });
+    fireEvent.click(screen.getByTestId('audio-settings-save-btn'));
+
+    expect(JSON.parse(window.localStorage.getItem('courtReporter.audioSettings')).deviceId).toBe('usb-mic');
+    delete navigator.mediaDevices.enumerateDevices;
+  });
+});
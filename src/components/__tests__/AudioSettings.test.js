@@ -0,0 +1,125 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import AudioSettings from '../AudioSettings';
+import { AUDIO_FORMATS, DEFAULT_AUDIO_SETTINGS } from '../../utils/audioRecorder';
+
+describe('AudioSettings', () => {
+  const settings = DEFAULT_AUDIO_SETTINGS;
+  const inputDevices = [
+    { deviceId: 'laptop-mic', label: 'Built-in Microphone' },
+    { deviceId: 'usb-mic', label: 'USB Boundary Mic' }
+  ];
+  const supportedFormats = AUDIO_FORMATS.filter(format => format.mimeType.startsWith('audio/ogg'));
+  const mockOnSave = jest.fn();
+  const mockOnCancel = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const renderSettings = (props = {}) => render(
+    <AudioSettings
+      settings={settings}
+      supportedFormats={supportedFormats}
+      inputDevices={inputDevices}
+      onSave={mockOnSave}
+      onCancel={mockOnCancel}
+      {...props}
+    />
+  );
+
+  it('should save the chosen format, bitrate and WAV encoding', () => {
+    renderSettings();
+
+    fireEvent.change(screen.getByTestId('audio-format-select'), { target: { value: 'audio/ogg;codecs=opus' } });
+    fireEvent.change(screen.getByTestId('audio-bitrate-select'), { target: { value: '128000' } });
+    fireEvent.change(screen.getByTestId('wav-encoding-select'), { target: { value: 'mulaw' } });
+    fireEvent.click(screen.getByTestId('audio-settings-save-btn'));
+
+    expect(mockOnSave).toHaveBeenCalledWith({
+      ...DEFAULT_AUDIO_SETTINGS,
+      mimeType: 'audio/ogg;codecs=opus',
+      audioBitsPerSecond: 128000,
+      wavEncoding: 'mulaw'
+    });
+  });
+
+  it('should save the chosen microphone, its processing and the silence warning', () => {
+    renderSettings();
+
+    fireEvent.change(screen.getByTestId('audio-device-select'), { target: { value: 'usb-mic' } });
+    fireEvent.click(screen.getByTestId('audio-echoCancellation-checkbox'));
+    fireEvent.click(screen.getByTestId('audio-autoGainControl-checkbox'));
+    fireEvent.change(screen.getByTestId('silence-warning-select'), { target: { value: '30' } });
+    fireEvent.click(screen.getByTestId('audio-settings-save-btn'));
+
+    expect(mockOnSave).toHaveBeenCalledWith({
+      ...DEFAULT_AUDIO_SETTINGS,
+      deviceId: 'usb-mic',
+      echoCancellation: false,
+      autoGainControl: false,
+      silenceWarningSeconds: 30
+    });
+  });
+
+  it('should save the limits for splitting long recordings', () => {
+    renderSettings();
+
+    expect(screen.getByTestId('segment-minutes-select')).toHaveDisplayValue('No length limit');
+    fireEvent.change(screen.getByTestId('segment-minutes-select'), { target: { value: '30' } });
+    fireEvent.change(screen.getByTestId('segment-megabytes-select'), { target: { value: '100' } });
+    fireEvent.change(screen.getByTestId('split-silence-select'), { target: { value: '10' } });
+    fireEvent.click(screen.getByTestId('audio-settings-save-btn'));
+
+    expect(mockOnSave).toHaveBeenCalledWith({
+      ...DEFAULT_AUDIO_SETTINGS,
+      segmentMinutes: 30,
+      segmentMegabytes: 100,
+      splitSilenceSeconds: 10
+    });
+  });
+
+  it('should save tab audio with its levels and channel layout', () => {
+    renderSettings();
+
+    expect(screen.queryByTestId('tab-gain-select')).not.toBeInTheDocument();
+    fireEvent.click(screen.getByTestId('capture-tab-audio-checkbox'));
+    fireEvent.change(screen.getByTestId('mic-gain-select'), { target: { value: '0.5' } });
+    fireEvent.change(screen.getByTestId('tab-gain-select'), { target: { value: '2' } });
+    fireEvent.click(screen.getByTestId('separate-channels-checkbox'));
+    fireEvent.click(screen.getByTestId('audio-settings-save-btn'));
+
+    expect(mockOnSave).toHaveBeenCalledWith({
+      ...DEFAULT_AUDIO_SETTINGS,
+      captureTabAudio: true,
+      micGain: 0.5,
+      tabGain: 2,
+      separateChannels: true
+    });
+  });
+
+  it('should keep a saved microphone that is not connected', () => {
+    renderSettings({ settings: { ...DEFAULT_AUDIO_SETTINGS, deviceId: 'mixer-tap' } });
+
+    expect(screen.getByTestId('audio-device-select')).toHaveValue('mixer-tap');
+    expect(screen.getByRole('option', { name: 'Saved microphone - not connected' })).toBeInTheDocument();
+  });
+
+  it('should show which format automatic picks and disable unsupported ones', () => {
+    renderSettings();
+
+    expect(screen.getByRole('option', { name: 'Automatic (Opus / Ogg)' })).toBeInTheDocument();
+    expect(screen.getByRole('option', { name: 'Opus / WebM - not supported' })).toBeDisabled();
+  });
+
+  it('should restore the defaults and close', () => {
+    renderSettings({ settings: { ...DEFAULT_AUDIO_SETTINGS, mimeType: 'audio/ogg;codecs=opus', deviceId: 'usb-mic', noiseSuppression: false } });
+
+    fireEvent.click(screen.getByTestId('audio-settings-reset-btn'));
+    fireEvent.click(screen.getByTestId('audio-settings-save-btn'));
+    fireEvent.click(screen.getByTestId('audio-settings-cancel-btn'));
+
+    expect(mockOnSave).toHaveBeenCalledWith(DEFAULT_AUDIO_SETTINGS);
+    expect(mockOnCancel).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,77 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ColumnMappingWizard from '../ColumnMappingWizard';
+
+describe('ColumnMappingWizard', () => {
+  const headers = ['Case No.', 'Defendant', 'Courtroom', 'Sched Time', 'Bond'];
+  const initialMapping = {
+    'Case Number': 'Case No.',
+    'Client Name': 'Defendant',
+    'Division': 'Courtroom',
+    'Time': 'Sched Time',
+    'Date': null,
+    'Attorney': null,
+    'Judge': null,
+    'Hearing Type': null
+  };
+  const sampleRow = { 'Case No.': '123-2024', 'Defendant': 'John Doe', 'Courtroom': '3A', 'Sched Time': '9:00 AM', 'Bond': '$500' };
+
+  const mockOnConfirm = jest.fn();
+  const mockOnCancel = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const renderWizard = (mapping = initialMapping) => render(
+    <ColumnMappingWizard
+      headers={headers}
+      initialMapping={mapping}
+      sampleRow={sampleRow}
+      onConfirm={mockOnConfirm}
+      onCancel={mockOnCancel}
+    />
+  );
+
+  it('should show the proposed mapping with example values', () => {
+    renderWizard();
+
+    expect(screen.getByTestId('mapping-select-Case Number')).toHaveValue('Case No.');
+    expect(screen.getByTestId('mapping-select-Date')).toHaveValue('');
+    expect(screen.getByText('John Doe')).toBeInTheDocument();
+    expect(screen.queryByTestId('mapping-missing')).not.toBeInTheDocument();
+  });
+
+  it('should confirm the edited mapping', () => {
+    renderWizard();
+
+    fireEvent.change(screen.getByTestId('mapping-select-Hearing Type'), { target: { value: 'Bond' } });
+    fireEvent.click(screen.getByTestId('mapping-remember'));
+    fireEvent.click(screen.getByTestId('mapping-confirm-btn'));
+
+    expect(mockOnConfirm).toHaveBeenCalledWith(
+      expect.objectContaining({ 'Hearing Type': 'Bond', 'Case Number': 'Case No.' }),
+      false
+    );
+  });
+
+  it('should move a column instead of mapping it twice', () => {
+    renderWizard();
+
+    fireEvent.change(screen.getByTestId('mapping-select-Division'), { target: { value: 'Defendant' } });
+
+    expect(screen.getByTestId('mapping-select-Division')).toHaveValue('Defendant');
+    expect(screen.getByTestId('mapping-select-Client Name')).toHaveValue('');
+    expect(screen.getByTestId('mapping-missing')).toHaveTextContent('Client Name');
+    expect(screen.getByTestId('mapping-confirm-btn')).toBeDisabled();
+  });
+
+  it('should call onCancel when cancelled', () => {
+    renderWizard();
+
+    fireEvent.click(screen.getByTestId('mapping-cancel-btn'));
+
+    expect(mockOnCancel).toHaveBeenCalled();
+    expect(mockOnConfirm).not.toHaveBeenCalled();
+  });
+});
@@ -1,79 +1,71 @@
-const { DepositionMode } = require('../DepositionMode');
+import { renderHook, act } from '@testing-library/react';
 
-// Mock browser APIs
-const mockMediaRecorder = {
-    start: jest.fn(),
-    stop: jest.fn(),
-    pause: jest.fn(),
-    resume: jest.fn(),
-    state: 'inactive',
-    ondataavailable: null,
-    onstop: null
-};
-
-global.MediaRecorder = jest.fn(() => mockMediaRecorder);
-global.navigator = {
-    mediaDevices: {
-        getUserMedia: jest.fn()
-    }
-};
-
-global.URL = {
-    createObjectURL: jest.fn(() => 'mock-url'),
-    revokeObjectURL: jest.fn()
-};
-
-global.document = {
-    createElement: jest.fn(() => ({
-        href: '',
-        download: '',
-        click: jest.fn(),
-        remove: jest.fn()
-    })),
-    body: {
-        appendChild: jest.fn(),
-        removeChild: jest.fn()
-    }
-};
-
-global.Blob = jest.fn((chunks, options) => ({
-    size: chunks.reduce((size, chunk) => size + (chunk.size || 0), 0),
-    type: options.type
+jest.mock('../../utils/audioRecorder', () => ({
+    ...jest.requireActual('../../utils/audioRecorder'),
+    downloadAudioAsWAV: jest.fn()
 }));
 
+const { DepositionMode } = require('../DepositionMode');
+const { RECORDING_TIMESLICE_MS, downloadAudioAsWAV } = require('../../utils/audioRecorder');
+
+// MediaRecorder stand-in that moves through its states and reports the stop
+const createRecorderClass = () => jest.fn(function MockMediaRecorder(stream, options) {
+    const recorder = {
+        stream,
+        options,
+        state: 'inactive',
+        ondataavailable: null,
+        onstop: null,
+        start: jest.fn(() => { recorder.state = 'recording'; }),
+        pause: jest.fn(() => { recorder.state = 'paused'; }),
+        resume: jest.fn(() => { recorder.state = 'recording'; }),
+        stop: jest.fn(() => {
+            recorder.state = 'inactive';
+            recorder.onstop();
+        })
+    };
+    return recorder;
+});
+
+const createdRecorders = () => MediaRecorder.mock.results.map(result => result.value);
+
 describe('DepositionMode Component', () => {
-    let depositionMode;
     let mockStream;
+    let track;
+
+    const renderDeposition = (audioSettings) => renderHook(() => DepositionMode(audioSettings)).result;
+
+    const startRecording = async (result) => {
+        await act(() => result.current.startRecording());
+    };
 
     beforeEach(() => {
         jest.clearAllMocks();
-        
-        // Mock audio stream
-        mockStream = {
-            getTracks: jest.fn(() => [{
-                stop: jest.fn()
-            }])
-        };
-        
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+
+        track = { stop: jest.fn() };
+        mockStream = { getTracks: jest.fn(() => [track]) };
         navigator.mediaDevices.getUserMedia.mockResolvedValue(mockStream);
-        
-        // Reset MediaRecorder state
-        mockMediaRecorder.state = 'inactive';
-        
-        // Create fresh instance
-        depositionMode = DepositionMode();
+        global.MediaRecorder = createRecorderClass();
+    });
+
+    afterEach(() => {
+        console.error.mockRestore();
     });
 
     describe('Initial State', () => {
         it('should initialize with correct default state', () => {
-            expect(depositionMode.isRecording).toBe(false);
-            expect(depositionMode.isPaused).toBe(false);
-            expect(depositionMode.duration).toBe(0);
-            expect(depositionMode.audioBlob).toBeNull();
+            const result = renderDeposition();
+
+            expect(result.current.isRecording).toBe(false);
+            expect(result.current.isPaused).toBe(false);
+            expect(result.current.duration).toBe(0);
+            expect(result.current.audioBlob).toBeNull();
         });
 
         it('should provide correct initial status', () => {
-            const status = depositionMode.getStatus();
+            const status = renderDeposition().current.getStatus();
+
             expect(status.text).toBe('Ready');
             expect(status.class).toBe('status-stopped');
         });
@@ -81,174 +73,255 @@ describe('DepositionMode Component', () => {
 
     describe('Recording Functions', () => {
         it('should start recording successfully', async () => {
-            await depositionMode.startRecording();
+            const result = renderDeposition();
+
+            await startRecording(result);
 
             expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: true });
-            expect(MediaRecorder).toHaveBeenCalledWith(mockStream);
-            expect(mockMediaRecorder.start).toHaveBeenCalled();
-            expect(depositionMode.isRecording).toBe(true);
-            expect(depositionMode.isPaused).toBe(false);
+            expect(MediaRecorder).toHaveBeenCalledWith(mockStream, { audioBitsPerSecond: 64000 });
+            expect(createdRecorders()[0].start).toHaveBeenCalledWith(RECORDING_TIMESLICE_MS);
+            expect(result.current.isRecording).toBe(true);
+            expect(result.current.isPaused).toBe(false);
+        });
+
+        it('should record with the saved input and format settings', async () => {
+            MediaRecorder.isTypeSupported = jest.fn(() => true);
+            const result = renderDeposition({
+                deviceId: 'usb-mic',
+                echoCancellation: false,
+                mimeType: 'audio/ogg;codecs=opus',
+                audioBitsPerSecond: 128000
+            });
+
+            await startRecording(result);
+
+            expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({
+                audio: { deviceId: { exact: 'usb-mic' }, echoCancellation: false, noiseSuppression: true, autoGainControl: true }
+            });
+            expect(MediaRecorder).toHaveBeenCalledWith(mockStream, { audioBitsPerSecond: 128000, mimeType: 'audio/ogg;codecs=opus' });
         });
 
         it('should handle microphone access errors', async () => {
-            navigator.mediaDevices.getUserMedia.mockRejectedValue(new Error('Permission denied'));
+            navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(new Error('Permission denied'));
+            const result = renderDeposition();
 
-            await expect(depositionMode.startRecording()).rejects.toThrow('Failed to access microphone. Please check permissions.');
+            await act(async () => {
+                await expect(result.current.startRecording()).rejects.toThrow('Failed to access microphone. Please check permissions.');
+            });
+            expect(result.current.isRecording).toBe(false);
         });
 
         it('should stop recording properly', async () => {
-            await depositionMode.startRecording();
-            mockMediaRecorder.state = 'recording';
-            
-            depositionMode.stopRecording();
-
-            expect(mockMediaRecorder.stop).toHaveBeenCalled();
-            expect(depositionMode.isRecording).toBe(false);
-            expect(depositionMode.isPaused).toBe(false);
+            const result = renderDeposition();
+            await startRecording(result);
+
+            act(() => result.current.stopRecording());
+
+            expect(createdRecorders()[0].stop).toHaveBeenCalled();
+            expect(track.stop).toHaveBeenCalled();
+            expect(result.current.isRecording).toBe(false);
+            expect(result.current.isPaused).toBe(false);
         });
 
-        it('should not stop inactive recorder', () => {
-            mockMediaRecorder.state = 'inactive';
-            
-            depositionMode.stopRecording();
+        it('should not stop when nothing is recording', () => {
+            const result = renderDeposition();
 
-            expect(mockMediaRecorder.stop).not.toHaveBeenCalled();
+            expect(() => act(() => result.current.stopRecording())).not.toThrow();
+            expect(MediaRecorder).not.toHaveBeenCalled();
         });
     });
 
     describe('Pause/Resume Functionality', () => {
-        beforeEach(async () => {
-            await depositionMode.startRecording();
-            mockMediaRecorder.state = 'recording';
-        });
+        it('should pause recording', async () => {
+            const result = renderDeposition();
+            await startRecording(result);
 
-        it('should pause recording', () => {
-            depositionMode.togglePause();
+            act(() => result.current.togglePause());
 
-            expect(mockMediaRecorder.pause).toHaveBeenCalled();
-            expect(depositionMode.isPaused).toBe(true);
+            expect(createdRecorders()[0].pause).toHaveBeenCalled();
+            expect(result.current.isPaused).toBe(true);
         });
 
-        it('should resume recording after pause', () => {
-            depositionMode.togglePause(); // Pause
-            depositionMode.togglePause(); // Resume
+        it('should resume recording after pause', async () => {
+            const result = renderDeposition();
+            await startRecording(result);
 
-            expect(mockMediaRecorder.resume).toHaveBeenCalled();
-            expect(depositionMode.isPaused).toBe(false);
+            act(() => result.current.togglePause());
+            act(() => result.current.togglePause());
+
+            expect(createdRecorders()[0].resume).toHaveBeenCalled();
+            expect(result.current.isPaused).toBe(false);
         });
 
-        it('should handle toggle when no recorder exists', () => {
-            const modeWithoutRecorder = DepositionMode();
-            
-            expect(() => modeWithoutRecorder.togglePause()).not.toThrow();
+        it('should handle toggle when no recording exists', () => {
+            const result = renderDeposition();
+
+            expect(() => act(() => result.current.togglePause())).not.toThrow();
+            expect(result.current.isPaused).toBe(false);
         });
     });
 
     describe('Audio Processing', () => {
+        const recordAndStop = async (result, chunks) => {
+            await startRecording(result);
+            const [recorder] = createdRecorders();
+            chunks.forEach(data => recorder.ondataavailable({ data }));
+            act(() => result.current.stopRecording());
+            return recorder;
+        };
+
         it('should handle audio data and create blob on stop', async () => {
-            await depositionMode.startRecording();
-            
-            const mockAudioData = { data: new Blob(['audio'], { type: 'audio/webm', size: 100 }) };
-            
-            // Simulate data available
-            mockMediaRecorder.ondataavailable(mockAudioData);
-            
-            // Simulate stop
-            mockMediaRecorder.onstop();
-
-            expect(global.Blob).toHaveBeenCalledWith([mockAudioData.data], { type: 'audio/webm' });
-            expect(mockStream.getTracks()[0].stop).toHaveBeenCalled();
+            const result = renderDeposition();
+            const chunk = { size: 100 };
+
+            await recordAndStop(result, [chunk]);
+
+            expect(global.Blob).toHaveBeenCalledWith([chunk], { type: 'audio/webm' });
+            expect(result.current.audioBlob).toEqual(expect.objectContaining({ type: 'audio/webm' }));
+            expect(track.stop).toHaveBeenCalled();
         });
 
         it('should download audio file when available', async () => {
-            await depositionMode.startRecording();
-            
-            // Simulate recording completion
-            const mockBlob = new Blob(['audio'], { type: 'audio/webm' });
-            mockMediaRecorder.onstop();
-            // Manually set audioBlob since we can't trigger the full flow
-            depositionMode.audioBlob = mockBlob;
-
-            depositionMode.downloadAudio();
-
-            expect(URL.createObjectURL).toHaveBeenCalledWith(mockBlob);
-            expect(document.createElement).toHaveBeenCalledWith('a');
+            const result = renderDeposition();
+            await recordAndStop(result, [{ size: 100 }]);
+            const link = { href: '', download: '', click: jest.fn() };
+            document.createElement.mockReturnValueOnce(link);
+            jest.spyOn(document.body, 'appendChild').mockImplementation(() => link);
+            jest.spyOn(document.body, 'removeChild').mockImplementation(() => link);
+
+            result.current.downloadAudio();
+
+            expect(URL.createObjectURL).toHaveBeenCalledWith(result.current.audioBlob);
+            expect(link.download).toMatch(/^deposition-.+\.webm$/);
+            expect(link.click).toHaveBeenCalled();
+            expect(URL.revokeObjectURL).toHaveBeenCalledWith('mock-url');
+            document.body.appendChild.mockRestore();
+            document.body.removeChild.mockRestore();
         });
 
         it('should throw error when downloading without audio', () => {
-            expect(() => depositionMode.downloadAudio()).toThrow('No audio data available for download');
+            expect(() => renderDeposition().current.downloadAudio()).toThrow('No audio data available for download');
+        });
+
+        it('should export the recording as WAV in the chosen encoding', async () => {
+            const result = renderDeposition({ wavEncoding: 'mulaw' });
+            await recordAndStop(result, [{ size: 100 }]);
+
+            await result.current.downloadWAV();
+
+            expect(downloadAudioAsWAV).toHaveBeenCalledWith(
+                result.current.audioBlob,
+                expect.stringMatching(/^deposition-.+\.wav$/),
+                { encoding: 'mulaw' }
+            );
+        });
+
+        it('should reject a WAV export without audio', async () => {
+            await expect(renderDeposition().current.downloadWAV()).rejects.toThrow('No audio data available for download');
+            expect(downloadAudioAsWAV).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Chunk Persistence', () => {
+        it('should hand each chunk to the store as the deposition records', async () => {
+            const onRecordingChunk = jest.fn();
+            const onRecordingDone = jest.fn();
+            const result = renderHook(() => DepositionMode({}, { onRecordingChunk, onRecordingDone })).result;
+            await startRecording(result);
+            const [recorder] = createdRecorders();
+            const first = { size: 100 };
+            const second = { size: 200 };
+
+            recorder.ondataavailable({ data: first });
+            recorder.ondataavailable({ data: second });
+
+            expect(onRecordingChunk).toHaveBeenNthCalledWith(1, first, 0);
+            expect(onRecordingChunk).toHaveBeenNthCalledWith(2, second, 1);
+
+            // A stopped deposition stays stored until it is reset
+            act(() => result.current.stopRecording());
+            expect(onRecordingDone).not.toHaveBeenCalled();
+
+            act(() => result.current.reset());
+            expect(onRecordingDone).toHaveBeenCalledTimes(1);
+        });
+
+        it('should adopt a deposition recovered after a crash until it is reset', () => {
+            const recoveredAudio = { type: 'audio/webm', size: 300 };
+            const onRecordingDone = jest.fn();
+            const result = renderHook(() => DepositionMode({}, { recoveredAudio, onRecordingDone })).result;
+
+            expect(result.current.audioBlob).toBe(recoveredAudio);
+            expect(result.current.isRecovered).toBe(true);
+
+            act(() => result.current.reset());
+
+            expect(result.current.audioBlob).toBeNull();
+            expect(result.current.isRecovered).toBe(false);
+            expect(onRecordingDone).toHaveBeenCalledTimes(1);
         });
     });
 
     describe('Duration Formatting', () => {
         it('should format seconds correctly', () => {
-            expect(depositionMode.formatDuration(0)).toBe('0:00');
-            expect(depositionMode.formatDuration(30)).toBe('0:30');
-            expect(depositionMode.formatDuration(60)).toBe('1:00');
-            expect(depositionMode.formatDuration(90)).toBe('1:30');
+            const { formatDuration } = renderDeposition().current;
+
+            expect(formatDuration(0)).toBe('0:00');
+            expect(formatDuration(30)).toBe('0:30');
+            expect(formatDuration(60)).toBe('1:00');
+            expect(formatDuration(90)).toBe('1:30');
         });
 
         it('should format hours correctly', () => {
-            expect(depositionMode.formatDuration(3600)).toBe('1:00:00');
-            expect(depositionMode.formatDuration(3661)).toBe('1:01:01');
-            expect(depositionMode.formatDuration(7200)).toBe('2:00:00');
+            const { formatDuration } = renderDeposition().current;
+
+            expect(formatDuration(3600)).toBe('1:00:00');
+            expect(formatDuration(3661)).toBe('1:01:01');
+            expect(formatDuration(7200)).toBe('2:00:00');
         });
 
         it('should handle large durations', () => {
             const longDuration = 25 * 3600 + 30 * 60 + 45; // 25:30:45
-            expect(depositionMode.formatDuration(longDuration)).toBe('25:30:45');
+            expect(renderDeposition().current.formatDuration(longDuration)).toBe('25:30:45');
         });
     });
 
     describe('Status Management', () => {
-        it('should return correct status for different states', () => {
-            // Ready state
-            expect(depositionMode.getStatus().text).toBe('Ready');
-            expect(depositionMode.getStatus().class).toBe('status-stopped');
-        });
-
         it('should return recording status when active', async () => {
-            await depositionMode.startRecording();
-            
-            const status = depositionMode.getStatus();
-            expect(status.text).toBe('Recording');
-            expect(status.class).toBe('status-recording');
+            const result = renderDeposition();
+            await startRecording(result);
+
+            expect(result.current.getStatus()).toEqual({ text: 'Recording', class: 'status-recording' });
         });
 
         it('should return paused status when paused', async () => {
-            await depositionMode.startRecording();
-            depositionMode.togglePause();
-            
-            const status = depositionMode.getStatus();
-            expect(status.text).toBe('Paused');
-            expect(status.class).toBe('status-paused');
+            const result = renderDeposition();
+            await startRecording(result);
+            act(() => result.current.togglePause());
+
+            expect(result.current.getStatus()).toEqual({ text: 'Paused', class: 'status-paused' });
         });
 
         it('should return completed status when audio is available', async () => {
-            await depositionMode.startRecording();
-            depositionMode.stopRecording();
-            // Manually set audioBlob to simulate completion
-            depositionMode.audioBlob = new Blob(['audio'], { type: 'audio/webm' });
-            
-            const status = depositionMode.getStatus();
-            expect(status.text).toBe('Completed');
-            expect(status.class).toBe('status-stopped');
+            const result = renderDeposition();
+            await startRecording(result);
+            act(() => result.current.stopRecording());
+
+            expect(result.current.getStatus()).toEqual({ text: 'Completed', class: 'status-stopped' });
         });
     });
 
     describe('Reset Functionality', () => {
         it('should reset state for new recording', async () => {
-            await depositionMode.startRecording();
-            depositionMode.stopRecording();
-            
-            // Simulate having recorded data
-            depositionMode.duration = 120;
-            depositionMode.audioBlob = new Blob(['audio'], { type: 'audio/webm' });
-            
-            depositionMode.reset();
-
-            expect(depositionMode.duration).toBe(0);
-            expect(depositionMode.audioBlob).toBeNull();
+            const result = renderDeposition();
+            await startRecording(result);
+            act(() => result.current.stopRecording());
+            expect(result.current.audioBlob).not.toBeNull();
+
+            act(() => result.current.reset());
+
+            expect(result.current.duration).toBe(0);
+            expect(result.current.audioBlob).toBeNull();
         });
     });
 
@@ -257,87 +330,56 @@ describe('DepositionMode Component', () => {
             global.MediaRecorder = jest.fn(() => {
                 throw new Error('MediaRecorder not supported');
             });
+            const result = renderDeposition();
 
-            await expect(depositionMode.startRecording()).rejects.toThrow();
-        });
-
-        it('should handle stream errors gracefully', async () => {
-            const errorStream = {
-                getTracks: jest.fn(() => {
-                    throw new Error('Stream error');
-                })
-            };
-            
-            navigator.mediaDevices.getUserMedia.mockResolvedValue(errorStream);
-
-            // Should not throw during setup
-            await expect(depositionMode.startRecording()).resolves.not.toThrow();
+            await act(async () => {
+                await expect(result.current.startRecording()).rejects.toThrow('Failed to access microphone. Please check permissions.');
+            });
+            // The microphone opened for the failed recorder is released
+            expect(track.stop).toHaveBeenCalled();
+            expect(result.current.isRecording).toBe(false);
         });
     });
 
     describe('Long Recording Sessions', () => {
         it('should handle extended recording durations', () => {
-            const longDuration = 4 * 3600 + 15 * 60 + 30; // 4 hours 15 minutes 30 seconds
-            const formatted = depositionMode.formatDuration(longDuration);
-            
+            const formatted = renderDeposition().current.formatDuration(4 * 3600 + 15 * 60 + 30);
+
             expect(formatted).toBe('4:15:30');
             expect(formatted).toMatch(/^\d+:\d{2}:\d{2}$/);
         });
-
-        it('should maintain accuracy over time', async () => {
-            await depositionMode.startRecording();
-            
-            // Simulate time passage
-            const startTime = Date.now();
-            
-            // Mock passage of 30 seconds
-            const mockNow = startTime + 30000;
-            Date.now = jest.fn(() => mockNow);
-            
-            // The actual duration calculation would happen in the interval
-            // This tests the formula logic
-            const expectedDuration = Math.floor((mockNow - startTime) / 1000);
-            expect(expectedDuration).toBe(30);
-        });
     });
 
     describe('Integration Scenarios', () => {
         it('should handle complete deposition workflow', async () => {
-            // Start recording
-            await depositionMode.startRecording();
-            expect(depositionMode.isRecording).toBe(true);
-            
-            // Pause
-            depositionMode.togglePause();
-            expect(depositionMode.isPaused).toBe(true);
-            
-            // Resume
-            depositionMode.togglePause();
-            expect(depositionMode.isPaused).toBe(false);
-            
-            // Stop
-            depositionMode.stopRecording();
-            expect(depositionMode.isRecording).toBe(false);
-            
-            // Simulate audio blob creation
-            mockMediaRecorder.onstop();
-            
-            // Should be ready for download
-            expect(() => depositionMode.downloadAudio).toBeDefined();
+            const result = renderDeposition();
+
+            await startRecording(result);
+            expect(result.current.isRecording).toBe(true);
+
+            act(() => result.current.togglePause());
+            expect(result.current.isPaused).toBe(true);
+
+            act(() => result.current.togglePause());
+            expect(result.current.isPaused).toBe(false);
+
+            act(() => result.current.stopRecording());
+            expect(result.current.isRecording).toBe(false);
+            expect(result.current.audioBlob).not.toBeNull();
         });
 
         it('should handle multiple recording sessions', async () => {
-            // First recording
-            await depositionMode.startRecording();
-            depositionMode.stopRecording();
-            
-            // Reset
-            depositionMode.reset();
-            expect(depositionMode.duration).toBe(0);
-            expect(depositionMode.audioBlob).toBeNull();
-            
-            // Second recording should work
-            await expect(depositionMode.startRecording()).resolves.not.toThrow();
+            const result = renderDeposition();
+            await startRecording(result);
+            act(() => result.current.stopRecording());
+
+            act(() => result.current.reset());
+            expect(result.current.duration).toBe(0);
+            expect(result.current.audioBlob).toBeNull();
+
+            await startRecording(result);
+            expect(result.current.isRecording).toBe(true);
+            expect(MediaRecorder).toHaveBeenCalledTimes(2);
         });
     });
-});
\ No newline at end of file
+});
@@ -0,0 +1,62 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import FieldSchemaSettings from '../FieldSchemaSettings';
+
+describe('FieldSchemaSettings', () => {
+  const schema = {
+    fields: [{ key: 'Judge', showOnTile: true, searchable: true, inManualForm: true, inReports: true }]
+  };
+  const mockOnSave = jest.fn();
+  const mockOnCancel = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const renderSettings = (columns = []) => render(
+    <FieldSchemaSettings schema={schema} columns={columns} onSave={mockOnSave} onCancel={mockOnCancel} />
+  );
+
+  it('should list schema fields and docket columns the schema does not mention', () => {
+    renderSettings(['Charge', 'Judge']);
+
+    expect(screen.getByTestId('field-row-Judge')).toBeInTheDocument();
+    expect(screen.getByTestId('field-row-Charge')).toBeInTheDocument();
+    expect(screen.getByTestId('field-showOnTile-Charge')).toBeChecked();
+    expect(screen.getByTestId('field-inManualForm-Charge')).not.toBeChecked();
+  });
+
+  it('should save toggled settings', () => {
+    renderSettings();
+
+    fireEvent.click(screen.getByTestId('field-searchable-Judge'));
+    fireEvent.click(screen.getByTestId('field-settings-save-btn'));
+
+    expect(mockOnSave).toHaveBeenCalledWith({
+      fields: [{ key: 'Judge', showOnTile: true, searchable: false, inManualForm: true, inReports: true }]
+    });
+  });
+
+  it('should add and remove fields', () => {
+    renderSettings();
+
+    fireEvent.change(screen.getByTestId('field-new-input'), { target: { value: ' Bond ' } });
+    fireEvent.click(screen.getByTestId('field-add-btn'));
+    fireEvent.click(screen.getByTestId('field-remove-Judge'));
+    fireEvent.click(screen.getByTestId('field-settings-save-btn'));
+
+    expect(mockOnSave).toHaveBeenCalledWith({
+      fields: [{ key: 'Bond', showOnTile: true, searchable: true, inManualForm: false, inReports: true }]
+    });
+    expect(screen.getByTestId('field-new-input')).toHaveValue('');
+  });
+
+  it('should close without saving', () => {
+    renderSettings();
+
+    fireEvent.click(screen.getByTestId('field-settings-cancel-btn'));
+
+    expect(mockOnCancel).toHaveBeenCalled();
+    expect(mockOnSave).not.toHaveBeenCalled();
+  });
+});
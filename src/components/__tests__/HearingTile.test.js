@@ -1,23 +1,85 @@
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import HearingTile from '../HearingTile';
 
 // Mock the utility functions
 jest.mock('../../utils/audioRecorder', () => ({
-  startRecording: jest.fn(),
-  stopRecording: jest.fn(),
   formatDuration: jest.fn(),
-  downloadAudio: jest.fn()
+  downloadAudio: jest.fn(),
+  downloadAudioAsWAV: jest.fn(),
+  getExtensionForType: jest.requireActual('../../utils/audioRecorder').getExtensionForType
+}));
+
+jest.mock('../../utils/recordingSession', () => ({
+  createRecordingSession: jest.fn()
+}));
+
+jest.mock('../../utils/audioImport', () => ({
+  ...jest.requireActual('../../utils/audioImport'),
+  importAudioFile: jest.fn()
+}));
+
+jest.mock('../../utils/audioRedaction', () => ({
+  ...jest.requireActual('../../utils/audioRedaction'),
+  redactAudio: jest.fn(),
+  sealOriginal: jest.fn(),
+  openSealedOriginal: jest.fn()
+}));
+
+jest.mock('../../utils/waveform', () => ({
+  ...jest.requireActual('../../utils/waveform'),
+  analyzeRecording: jest.fn(() => new Promise(() => {}))
+}));
+
+jest.mock('../../utils/recordingQuality', () => ({
+  ...jest.requireActual('../../utils/recordingQuality'),
+  checkRecording: jest.fn(() => new Promise(() => {}))
+}));
+
+jest.mock('../../utils/recordingTakes', () => ({
+  ...jest.requireActual('../../utils/recordingTakes'),
+  downloadRecordingManifest: jest.fn()
 }));
 
 jest.mock('../../utils/transcriptGenerator', () => ({
-  generateMockTranscript: jest.fn(),
   downloadTranscript: jest.fn()
 }));
 
-import { startRecording, stopRecording, formatDuration, downloadAudio } from '../../utils/audioRecorder';
-import { generateMockTranscript, downloadTranscript } from '../../utils/transcriptGenerator';
+jest.mock('../../utils/transcriptionProviders', () => ({
+  ...jest.requireActual('../../utils/transcriptionProviders'),
+  transcribeAudio: jest.fn()
+}));
+
+import { formatDuration, downloadAudio, downloadAudioAsWAV } from '../../utils/audioRecorder';
+import { downloadTranscript } from '../../utils/transcriptGenerator';
+import { transcribeAudio } from '../../utils/transcriptionProviders';
+import { createRecordingSession } from '../../utils/recordingSession';
+import { importAudioFile } from '../../utils/audioImport';
+import { downloadRecordingManifest } from '../../utils/recordingTakes';
+import { redactAudio, sealOriginal, openSealedOriginal } from '../../utils/audioRedaction';
+import { checkRecording } from '../../utils/recordingQuality';
+
+// A recording session stand-in that starts at once
+const createMockSession = () => {
+  const session = {
+    state: 'recording',
+    startedAt: '2024-01-15T09:00:00.000Z',
+    start: jest.fn().mockResolvedValue(),
+    pause: jest.fn(() => { session.state = 'paused'; }),
+    resume: jest.fn(() => { session.state = 'recording'; }),
+    stop: jest.fn(),
+    getElapsedSeconds: jest.fn(() => 0)
+  };
+  return session;
+};
+
+// What the transcription engine returns for the given text
+const transcribed = (text) => ({ text, segments: [], language: 'en', provider: 'mock', providerLabel: 'Mock', createdAt: '2024-01-15T10:00:00.000Z' });
+
+// The tile's callbacks and the session it started
+const getSessionOptions = () => createRecordingSession.mock.calls[0][1];
+const getSession = () => createRecordingSession.mock.results[0].value;
 
 describe('HearingTile', () => {
   const mockHearing = {
@@ -41,6 +103,7 @@ describe('HearingTile', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
+    createRecordingSession.mockImplementation(createMockSession);
     formatDuration.mockImplementation((seconds) => {
       const mins = Math.floor(seconds / 60);
       const secs = seconds % 60;
@@ -92,9 +155,6 @@ describe('HearingTile', () => {
   });
 
   it('should handle start recording', async () => {
-    const mockMediaRecorder = { id: 'mock-recorder' };
-    startRecording.mockResolvedValue(mockMediaRecorder);
-
     render(
       <HearingTile 
         hearing={mockHearing} 
@@ -107,19 +167,42 @@ describe('HearingTile', () => {
     fireEvent.click(startButton);
 
     await waitFor(() => {
-      expect(startRecording).toHaveBeenCalledWith(
-        null,
-        expect.any(Function)
-      );
+      expect(createRecordingSession).toHaveBeenCalledWith(undefined, expect.objectContaining({
+        onInputChange: expect.any(Function),
+        onSegment: expect.any(Function),
+        onStop: expect.any(Function)
+      }));
+      expect(getSession().start).toHaveBeenCalled();
       expect(mockOnUpdateRecording).toHaveBeenCalledWith({
         isRecording: true,
-        status: 'recording'
+        isPaused: false,
+        status: 'recording',
+        takeStartedAt: '2024-01-15T09:00:00.000Z',
+        levelWarnings: []
       });
     });
   });
 
+  it('should hold recording until the saved session is restored or discarded', () => {
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={mockRecording} 
+        canRecord={false}
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    const startButton = screen.getByTestId('start-recording-btn');
+    expect(startButton).toBeDisabled();
+    expect(startButton).toHaveAttribute('title', 'Restore or discard the saved session first');
+  });
+
   it('should handle recording errors', async () => {
-    startRecording.mockRejectedValue(new Error('Microphone access denied'));
+    createRecordingSession.mockImplementationOnce(() => ({
+      ...createMockSession(),
+      start: jest.fn().mockRejectedValue(new Error('Failed to access microphone. Please check permissions.'))
+    }));
     window.alert = jest.fn();
 
     render(
@@ -138,13 +221,44 @@ describe('HearingTile', () => {
     });
   });
 
-  it('should handle stop recording', () => {
-    const recordingState = { ...mockRecording, isRecording: true };
-    
+  it('should say why tab audio could not be recorded', async () => {
+    createRecordingSession.mockImplementationOnce(() => ({
+      ...createMockSession(),
+      start: jest.fn().mockRejectedValue(
+        Object.assign(new Error('No tab was shared, so the recording did not start'), { name: 'TabAudioError' })
+      )
+    }));
+    window.alert = jest.fn();
+
     render(
       <HearingTile 
         hearing={mockHearing} 
-        recording={recordingState} 
+        recording={mockRecording} 
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    fireEvent.click(screen.getByTestId('start-recording-btn'));
+
+    await waitFor(() => {
+      expect(window.alert).toHaveBeenCalledWith('No tab was shared, so the recording did not start');
+    });
+  });
+
+  it('should handle stop recording', async () => {
+    const { rerender } = render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={mockRecording} 
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+    fireEvent.click(screen.getByTestId('start-recording-btn'));
+    await waitFor(() => expect(getSession().start).toHaveBeenCalled());
+    rerender(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={{ ...mockRecording, isRecording: true, status: 'recording' }} 
         onUpdateRecording={mockOnUpdateRecording} 
       />
     );
@@ -152,12 +266,13 @@ describe('HearingTile', () => {
     const stopButton = screen.getByTestId('stop-recording-btn');
     fireEvent.click(stopButton);
 
-    expect(stopRecording).toHaveBeenCalled();
+    expect(getSession().stop).toHaveBeenCalled();
   });
 
   it('should handle transcript generation', async () => {
     const mockTranscript = 'Generated transcript content';
-    generateMockTranscript.mockResolvedValue(mockTranscript);
+    transcribeAudio.mockResolvedValueOnce(transcribed(mockTranscript));
+    const transcriptionSettings = { providerId: 'mock', language: 'en', providerOptions: {} };
     
     const recordingWithAudio = {
       ...mockRecording,
@@ -169,6 +284,7 @@ describe('HearingTile', () => {
       <HearingTile 
         hearing={mockHearing} 
         recording={recordingWithAudio} 
+        transcriptionSettings={transcriptionSettings}
         onUpdateRecording={mockOnUpdateRecording} 
       />
     );
@@ -179,25 +295,32 @@ describe('HearingTile', () => {
     expect(mockOnUpdateRecording).toHaveBeenCalledWith({ status: 'processing' });
 
     await waitFor(() => {
-      expect(generateMockTranscript).toHaveBeenCalledWith(
+      expect(transcribeAudio).toHaveBeenCalledWith(
         recordingWithAudio.audioBlob,
-        mockHearing,
-        120
+        expect.objectContaining({ settings: transcriptionSettings, hearing: mockHearing, duration: 120 })
       );
       expect(mockOnUpdateRecording).toHaveBeenCalledWith({
         transcript: mockTranscript,
+        takes: [{
+          startedAt: null,
+          duration: 120,
+          audioBlob: recordingWithAudio.audioBlob,
+          transcript: mockTranscript,
+          transcription: transcribed(mockTranscript)
+        }],
         status: 'complete'
       });
     });
   });
 
   it('should handle transcript generation errors', async () => {
-    generateMockTranscript.mockRejectedValue(new Error('Transcription failed'));
+    transcribeAudio.mockRejectedValueOnce(new Error('Transcription failed'));
     window.alert = jest.fn();
     
     const recordingWithAudio = {
       ...mockRecording,
-      audioBlob: new Blob(['audio'], { type: 'audio/webm' })
+      audioBlob: new Blob(['audio'], { type: 'audio/webm' }),
+      status: 'recorded'
     };
 
     render(
@@ -264,18 +387,27 @@ describe('HearingTile', () => {
       'Mock transcript',
       'Test notes',
       180,
-      '123-2024_transcript.txt'
+      '123-2024_transcript.txt',
+      undefined
     );
   });
 
   it('should update notes correctly', async () => {
-    render(
-      <HearingTile 
-        hearing={mockHearing} 
-        recording={mockRecording} 
-        onUpdateRecording={mockOnUpdateRecording} 
-      />
-    );
+    // The notes are controlled, so the recording has to take each update for the next keystroke to add to it
+    const NotesHost = () => {
+      const [recording, setRecording] = React.useState(mockRecording);
+      return (
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recording} 
+          onUpdateRecording={(update) => {
+            mockOnUpdateRecording(update);
+            setRecording(prev => ({ ...prev, ...update }));
+          }} 
+        />
+      );
+    };
+    render(<NotesHost />);
 
     const notesTextarea = screen.getByTestId('notes-textarea');
     await userEvent.type(notesTextarea, 'Important case notes');
@@ -350,4 +482,834 @@ describe('HearingTile', () => {
 
     expect(screen.getByTestId('status')).toHaveClass('complete');
   });
-});
\ No newline at end of file
+
+  it('should flag a hearing rescheduled by a re-import', () => {
+    const rescheduled = {
+      ...mockHearing,
+      'Time': '1:30 PM',
+      reimportStatus: 'rescheduled',
+      previousSchedule: { Time: '9:00 AM' }
+    };
+
+    render(
+      <HearingTile 
+        hearing={rescheduled} 
+        recording={mockRecording} 
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    expect(screen.getByTestId('reimport-badge')).toHaveTextContent('Rescheduled (was Time: 9:00 AM)');
+  });
+
+  it('should not show a re-import badge for unchanged hearings', () => {
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={mockRecording} 
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    expect(screen.queryByTestId('reimport-badge')).not.toBeInTheDocument();
+  });
+
+  it('should warn about overlapping settings', () => {
+    const conflicts = [{ id: 'other', field: 'Attorney', name: 'A. Lawyer', caseNumber: '456-2024', time: '9:15 AM' }];
+
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={mockRecording} 
+        conflicts={conflicts}
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    expect(screen.getByTestId('schedule-conflict')).toHaveTextContent('Overlaps 456-2024 at 9:15 AM (same attorney: A. Lawyer)');
+    expect(screen.getByTestId(`hearing-tile-${mockHearing.id}`)).toHaveClass('conflict');
+  });
+
+  it('should show extra docket fields chosen for tiles', () => {
+    const hearing = { ...mockHearing, 'Judge': 'Hon. Rivera', 'Charge': 'Petty Theft', 'Bond': '' };
+    const fieldSchema = { fields: [{ key: 'Charge', showOnTile: false }] };
+
+    render(
+      <HearingTile 
+        hearing={hearing} 
+        recording={mockRecording} 
+        fieldSchema={fieldSchema}
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    expect(screen.getByTestId('extra-fields')).toHaveTextContent('Judge: Hon. Rivera');
+    expect(screen.getByTestId('extra-fields')).not.toHaveTextContent('Charge');
+    expect(screen.getByTestId('extra-fields')).not.toHaveTextContent('Bond');
+  });
+
+  it('should pass the field schema to the transcript download', () => {
+    const fieldSchema = { fields: [{ key: 'Judge', inReports: true }] };
+
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={{ ...mockRecording, transcript: 'Mock transcript', status: 'complete' }} 
+        fieldSchema={fieldSchema}
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    fireEvent.click(screen.getByTestId('download-transcript-btn'));
+
+    expect(downloadTranscript).toHaveBeenCalledWith(
+      mockHearing,
+      'Mock transcript',
+      '',
+      0,
+      '123-2024_transcript.txt',
+      fieldSchema
+    );
+  });
+
+  it('should hand each recorded chunk over in order', async () => {
+    const onRecordingChunk = jest.fn();
+
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={mockRecording} 
+        onUpdateRecording={mockOnUpdateRecording} 
+        onRecordingChunk={onRecordingChunk}
+      />
+    );
+
+    fireEvent.click(screen.getByTestId('start-recording-btn'));
+    await waitFor(() => {
+      expect(createRecordingSession).toHaveBeenCalled();
+    });
+
+    const { onChunk } = getSessionOptions();
+    const first = { size: 100 };
+    const second = { size: 80 };
+    onChunk(first, 0);
+    onChunk(second, 1);
+
+    expect(onRecordingChunk.mock.calls).toEqual([[first, 0], [second, 1]]);
+  });
+
+  it('should note a recording recovered after an interruption', () => {
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={{ ...mockRecording, audioBlob: {}, duration: 3300, status: 'recorded', recovered: true }} 
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    expect(screen.getByTestId('recovered-notice')).toBeInTheDocument();
+    expect(screen.getByTestId('status')).toHaveTextContent('Recorded (55:00)');
+  });
+
+  it('should record with the chosen audio settings', async () => {
+    const audioSettings = { mimeType: 'audio/ogg;codecs=opus', audioBitsPerSecond: 32000 };
+
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={mockRecording} 
+        audioSettings={audioSettings}
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    fireEvent.click(screen.getByTestId('start-recording-btn'));
+
+    await waitFor(() => {
+      expect(createRecordingSession).toHaveBeenCalledWith(audioSettings, expect.any(Object));
+    });
+  });
+
+  it('should warn when the microphone is lost mid-recording', async () => {
+    const at = new Date(2024, 0, 15, 10, 32, 5).toISOString();
+    createRecordingSession.mockImplementationOnce((settings, options) => ({
+      ...createMockSession(),
+      start: jest.fn(async () => options.onInputChange({ type: 'fallback', at }))
+    }));
+
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={mockRecording} 
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    fireEvent.click(screen.getByTestId('start-recording-btn'));
+
+    await waitFor(() => {
+      expect(screen.getByTestId('input-notice')).toHaveTextContent(
+        `Recording from the default microphone since ${new Date(at).toLocaleTimeString()}`
+      );
+    });
+  });
+
+  it('should name the audio download after the recorded container', () => {
+    const recordingWithAudio = {
+      ...mockRecording,
+      audioBlob: { type: 'audio/mp4;codecs=mp4a.40.2' },
+      status: 'recorded'
+    };
+
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={recordingWithAudio} 
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    fireEvent.click(screen.getByTestId('download-audio-btn'));
+
+    expect(downloadAudio).toHaveBeenCalledWith(recordingWithAudio.audioBlob, '123-2024_recording.m4a');
+  });
+
+  it('should export the recording as WAV with the chosen encoding', async () => {
+    downloadAudioAsWAV.mockResolvedValue();
+    const recordingWithAudio = {
+      ...mockRecording,
+      audioBlob: { type: 'audio/webm' },
+      status: 'recorded'
+    };
+
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={recordingWithAudio} 
+        audioSettings={{ wavEncoding: 'mulaw' }}
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    fireEvent.click(screen.getByTestId('download-wav-btn'));
+
+    expect(screen.getByTestId('download-wav-btn')).toBeDisabled();
+    expect(downloadAudioAsWAV).toHaveBeenCalledWith(recordingWithAudio.audioBlob, '123-2024_recording.wav', { encoding: 'mulaw' });
+    await waitFor(() => expect(screen.getByTestId('download-wav-btn')).not.toBeDisabled());
+  });
+
+  it('should list the level warnings logged for the hearing', () => {
+    const at = new Date(2024, 0, 15, 10, 32, 5).toISOString();
+
+    render(
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={{ ...mockRecording, levelWarnings: [{ type: 'silence', at, seconds: 10 }, { type: 'clipping', at }] }} 
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+
+    const warnings = screen.getByTestId('level-warnings');
+    expect(warnings).toHaveTextContent(`No input for 10+ s from ${new Date(at).toLocaleTimeString()}`);
+    expect(warnings).toHaveTextContent('Input clipping at');
+  });
+
+  it('should meter the recording and log its warnings', async () => {
+    const warning = { type: 'clipping', at: new Date().toISOString() };
+
+    const renderTile = (recording) => (
+      <HearingTile 
+        hearing={mockHearing} 
+        recording={recording} 
+        audioSettings={{ silenceWarningSeconds: 30 }}
+        onUpdateRecording={mockOnUpdateRecording} 
+      />
+    );
+    const { rerender } = render(renderTile(mockRecording));
+
+    fireEvent.click(screen.getByTestId('start-recording-btn'));
+    await waitFor(() => expect(getSession().start).toHaveBeenCalled());
+    expect(createRecordingSession).toHaveBeenCalledWith({ silenceWarningSeconds: 30 }, expect.any(Object));
+    rerender(renderTile({ ...mockRecording, isRecording: true, status: 'recording' }));
+
+    const { onLevel, onWarning } = getSessionOptions();
+    act(() => onLevel({ peak: 1, rms: 0.5, silentFor: 0, clipping: true }));
+    onWarning(warning);
+
+    expect(screen.getByTestId('clipping-warning')).toBeInTheDocument();
+    expect(mockOnUpdateRecording).toHaveBeenCalledWith({ levelWarnings: [warning] });
+  });
+
+  describe('takes', () => {
+    const firstTake = { startedAt: new Date(2024, 0, 15, 9, 5).toISOString(), duration: 60, audioBlob: { type: 'audio/webm', name: 'first' } };
+    const secondTake = { startedAt: new Date(2024, 0, 15, 11, 40).toISOString(), duration: 90, audioBlob: { type: 'audio/webm', name: 'second' } };
+    const recalled = { ...mockRecording, takes: [firstTake, secondTake], audioBlob: secondTake.audioBlob, duration: 150, status: 'recorded' };
+
+    it('should add a new take after the earlier ones', async () => {
+      const blob = { type: 'audio/webm', name: 'third' };
+      const take = { startedAt: '2024-01-15T14:00:00.000Z', duration: 0, audioBlob: blob };
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recalled} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      expect(screen.getByTestId('start-recording-btn')).toHaveTextContent('New Take');
+      fireEvent.click(screen.getByTestId('start-recording-btn'));
+      await waitFor(() => expect(createRecordingSession).toHaveBeenCalled());
+
+      const { onStop } = getSessionOptions();
+      act(() => onStop(take));
+
+      expect(mockOnUpdateRecording).toHaveBeenLastCalledWith({
+        takes: [firstTake, secondTake, take],
+        audioBlob: blob,
+        duration: 150,
+        isRecording: false,
+        isPaused: false,
+        takeStartedAt: null,
+        status: 'recorded'
+      });
+    });
+
+    it('should pause and resume a take', async () => {
+      const renderTile = (recording) => (
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recording} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+      const { rerender } = render(renderTile(mockRecording));
+
+      expect(screen.getByTestId('pause-recording-btn')).toBeDisabled();
+      fireEvent.click(screen.getByTestId('start-recording-btn'));
+      await waitFor(() => expect(mockOnUpdateRecording).toHaveBeenCalledWith(expect.objectContaining({ isRecording: true })));
+      rerender(renderTile({ ...mockRecording, isRecording: true, status: 'recording' }));
+
+      fireEvent.click(screen.getByTestId('pause-recording-btn'));
+      expect(getSession().pause).toHaveBeenCalled();
+      expect(mockOnUpdateRecording).toHaveBeenLastCalledWith({ isPaused: true });
+
+      rerender(renderTile({ ...mockRecording, isRecording: true, isPaused: true, status: 'recording' }));
+      expect(screen.getByTestId('status')).toHaveTextContent('Paused');
+
+      fireEvent.click(screen.getByTestId('pause-recording-btn'));
+      expect(getSession().resume).toHaveBeenCalled();
+      expect(mockOnUpdateRecording).toHaveBeenLastCalledWith({ isPaused: false });
+    });
+
+    it('should stop the session and show the take\'s time without pauses', async () => {
+      const renderTile = (recording) => (
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recording} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+      const { rerender } = render(renderTile(recalled));
+
+      fireEvent.click(screen.getByTestId('start-recording-btn'));
+      await waitFor(() => expect(getSession().start).toHaveBeenCalled());
+      getSession().getElapsedSeconds.mockReturnValue(75);
+      act(() => getSessionOptions().onTick(75));
+      expect(mockOnUpdateRecording).toHaveBeenLastCalledWith({ duration: 225 });
+
+      rerender(renderTile({ ...recalled, isRecording: true, status: 'recording' }));
+      expect(screen.getByTestId('status')).toHaveTextContent('Recording take 3');
+      expect(screen.getByText('1:15')).toHaveClass('recording-time');
+
+      fireEvent.click(screen.getByTestId('stop-recording-btn'));
+      expect(getSession().stop).toHaveBeenCalled();
+    });
+
+    it('should list the takes with their start times', () => {
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recalled} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Recorded (2:30 in 2 takes)');
+      expect(screen.getByTestId('take-1')).toHaveTextContent(`Take 2 · ${new Date(secondTake.startedAt).toLocaleTimeString()} · 1:30`);
+    });
+
+    it('should download each take or all of them', () => {
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recalled} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.click(screen.getByTestId('download-take-1'));
+      expect(downloadAudio).toHaveBeenCalledWith(secondTake.audioBlob, '123-2024_take2.webm');
+
+      downloadAudio.mockClear();
+      fireEvent.click(screen.getByTestId('download-audio-btn'));
+      expect(downloadAudio.mock.calls).toEqual([
+        [firstTake.audioBlob, '123-2024_take1.webm'],
+        [secondTake.audioBlob, '123-2024_take2.webm']
+      ]);
+      expect(downloadRecordingManifest).toHaveBeenCalledWith('123-2024', [firstTake, secondTake]);
+    });
+
+    it('should keep recording while hidden by a search', async () => {
+      const renderTile = (hidden) => (
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recalled} 
+          hidden={hidden}
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+      const { rerender } = render(renderTile(false));
+
+      fireEvent.click(screen.getByTestId('start-recording-btn'));
+      await waitFor(() => expect(getSession().start).toHaveBeenCalled());
+      rerender(renderTile(true));
+
+      expect(screen.getByTestId('hearing-tile-123-test')).not.toBeVisible();
+      expect(getSession().stop).not.toHaveBeenCalled();
+    });
+
+    it('should not transcribe while a take is recording', () => {
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={{ ...recalled, isRecording: true, isPaused: true, status: 'recording' }} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      expect(screen.getByTestId('generate-transcript-btn')).toBeDisabled();
+    });
+
+    it('should add the new take to the takes as they are when it stops', async () => {
+      const take = { startedAt: '2024-01-15T14:00:00.000Z', duration: 30, audioBlob: { type: 'audio/webm', name: 'third' } };
+      const renderTile = (recording) => (
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recording} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+      const { rerender } = render(renderTile(recalled));
+
+      fireEvent.click(screen.getByTestId('start-recording-btn'));
+      await waitFor(() => expect(getSession().start).toHaveBeenCalled());
+      const transcribedTakes = [{ ...firstTake, transcript: 'First' }, secondTake];
+      rerender(renderTile({ ...recalled, takes: transcribedTakes, isRecording: true, status: 'recording' }));
+      act(() => getSessionOptions().onStop(take));
+
+      expect(mockOnUpdateRecording).toHaveBeenLastCalledWith(expect.objectContaining({
+        takes: [...transcribedTakes, take],
+        status: 'recorded'
+      }));
+    });
+
+    it('should keep each segment of a split recording as a take', async () => {
+      const segment = { startedAt: '2024-01-15T09:00:00.000Z', duration: 1800, audioBlob: { type: 'audio/webm', name: 'segment' } };
+      const last = { startedAt: '2024-01-15T09:30:00.000Z', duration: 600, audioBlob: { type: 'audio/webm', name: 'last' }, split: 'length' };
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={mockRecording} 
+          audioSettings={{ segmentMinutes: 30 }}
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.click(screen.getByTestId('start-recording-btn'));
+      await waitFor(() => expect(createRecordingSession).toHaveBeenCalled());
+      expect(createRecordingSession.mock.calls[0][0]).toEqual({ segmentMinutes: 30 });
+      const { onSegment, onStop } = getSessionOptions();
+
+      getSession().startedAt = last.startedAt;
+      act(() => onSegment(segment));
+      const segmented = mockOnUpdateRecording.mock.calls[mockOnUpdateRecording.mock.calls.length - 1][0];
+      expect(segmented.takes).toEqual([segment]);
+      expect(segmented.audioBlob).toBe(segment.audioBlob);
+      expect(segmented.takeStartedAt).toBe(last.startedAt);
+
+      act(() => onStop(last));
+      expect(mockOnUpdateRecording).toHaveBeenLastCalledWith(expect.objectContaining({
+        takes: [segment, last],
+        isRecording: false,
+        status: 'recorded'
+      }));
+    });
+
+    it('should join the takes into one WAV file', async () => {
+      downloadAudioAsWAV.mockResolvedValue();
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recalled} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.click(screen.getByTestId('download-wav-btn'));
+
+      expect(downloadAudioAsWAV).toHaveBeenCalledWith(
+        [firstTake.audioBlob, secondTake.audioBlob],
+        '123-2024_recording.wav',
+        { encoding: undefined }
+      );
+      await waitFor(() => expect(screen.getByTestId('download-wav-btn')).not.toBeDisabled());
+    });
+
+    it('should transcribe a single take', async () => {
+      transcribeAudio.mockResolvedValueOnce(transcribed('Second take transcript'));
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recalled} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.click(screen.getByTestId('transcribe-take-1'));
+
+      await waitFor(() => {
+        expect(transcribeAudio).toHaveBeenCalledWith(secondTake.audioBlob, expect.objectContaining({ hearing: mockHearing, duration: 90 }));
+        expect(mockOnUpdateRecording).toHaveBeenLastCalledWith({
+          takes: [firstTake, { ...secondTake, transcript: 'Second take transcript', transcription: transcribed('Second take transcript') }],
+          status: 'recorded'
+        });
+      });
+    });
+
+    it('should transcribe all takes as one transcript', async () => {
+      transcribeAudio.mockResolvedValueOnce(transcribed('First')).mockResolvedValueOnce(transcribed('Second'));
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recalled} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.click(screen.getByTestId('generate-transcript-btn'));
+
+      await waitFor(() => {
+        expect(mockOnUpdateRecording).toHaveBeenLastCalledWith(expect.objectContaining({ status: 'complete' }));
+      });
+      const { transcript } = mockOnUpdateRecording.mock.calls[mockOnUpdateRecording.mock.calls.length - 1][0];
+      expect(transcript).toMatch(/^--- Take 1 · .* · 1:00 ---\n\nFirst\n\n--- Take 2 · .* · 1:30 ---\n\nSecond$/);
+    });
+
+    it('should show the engine\'s progress and put the recording back when cancelled', async () => {
+      window.alert = jest.fn();
+      transcribeAudio.mockImplementationOnce((audioBlob, options) => new Promise((resolve, reject) => {
+        options.onProgress(0.5);
+        options.signal.addEventListener('abort', () => {
+          const error = new Error('Transcription cancelled');
+          error.name = 'TranscriptionCancelled';
+          reject(error);
+        });
+      }));
+      const { rerender } = render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recalled} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.click(screen.getByTestId('generate-transcript-btn'));
+      rerender(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={{ ...recalled, status: 'processing' }} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      expect(screen.getByTestId('status')).toHaveTextContent('Transcribing with Mock transcript (demonstration) (25%)');
+      fireEvent.click(screen.getByTestId('cancel-transcript-btn'));
+
+      await waitFor(() => {
+        expect(mockOnUpdateRecording).toHaveBeenLastCalledWith({ status: 'recorded' });
+      });
+      expect(window.alert).not.toHaveBeenCalled();
+      expect(transcribeAudio).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave a transcribed hearing complete when a new transcript is cancelled', async () => {
+      transcribeAudio.mockImplementationOnce((audioBlob, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => {
+          const error = new Error('Transcription cancelled');
+          error.name = 'TranscriptionCancelled';
+          reject(error);
+        });
+      }));
+      const complete = { ...recalled, transcript: 'Earlier transcript', status: 'complete' };
+      const { rerender } = render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={complete} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.click(screen.getByTestId('generate-transcript-btn'));
+      rerender(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={{ ...complete, status: 'processing' }} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+      expect(screen.getByTestId('start-recording-btn')).toBeDisabled();
+      fireEvent.click(screen.getByTestId('cancel-transcript-btn'));
+
+      await waitFor(() => {
+        expect(mockOnUpdateRecording).toHaveBeenLastCalledWith({ status: 'complete' });
+      });
+    });
+  });
+
+  describe('importing audio', () => {
+    const file = { name: 'handheld.mp3', type: 'audio/mpeg' };
+
+    it('should attach an imported file as the hearing\'s recording', async () => {
+      const take = { startedAt: null, duration: 754, audioBlob: file, fileName: 'handheld.mp3' };
+      importAudioFile.mockResolvedValue(take);
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={mockRecording} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.change(screen.getByTestId('import-audio-input'), { target: { files: [file] } });
+
+      expect(screen.getByTestId('import-audio-btn')).toBeDisabled();
+      await waitFor(() => {
+        expect(mockOnUpdateRecording).toHaveBeenCalledWith({
+          takes: [take],
+          audioBlob: file,
+          duration: 754,
+          status: 'recorded'
+        });
+      });
+      expect(importAudioFile).toHaveBeenCalledWith(file);
+      await waitFor(() => expect(screen.getByTestId('import-audio-btn')).not.toBeDisabled());
+    });
+
+    it('should report files that cannot be imported', async () => {
+      importAudioFile.mockRejectedValue(new Error('docket.csv is not an audio file'));
+      window.alert = jest.fn();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={mockRecording} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.change(screen.getByTestId('import-audio-input'), { target: { files: [{ name: 'docket.csv' }] } });
+
+      await waitFor(() => {
+        expect(window.alert).toHaveBeenCalledWith('Error importing audio: docket.csv is not an audio file');
+      });
+      expect(mockOnUpdateRecording).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+
+    it('should not import while recording', () => {
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={{ ...mockRecording, isRecording: true, status: 'recording' }} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      expect(screen.getByTestId('import-audio-btn')).toBeDisabled();
+    });
+  });
+
+  describe('redaction', () => {
+    const original = { type: 'audio/webm', name: 'original' };
+    const take = { startedAt: null, duration: 300, audioBlob: original };
+    const recorded = { ...mockRecording, takes: [take], audioBlob: original, duration: 300, transcript: 'Privileged', status: 'complete' };
+    const sealed = { type: 'audio/webm', data: 'ciphertext' };
+
+    it('should replace the take with a redacted copy, seal the original and log the redaction', async () => {
+      const redactedBlob = { type: 'audio/wav' };
+      redactAudio.mockResolvedValue(redactedBlob);
+      sealOriginal.mockResolvedValue(sealed);
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={recorded} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.click(screen.getByTestId('redact-take-0'));
+      fireEvent.change(screen.getByTestId('redaction-start-input'), { target: { value: '1:00' } });
+      fireEvent.change(screen.getByTestId('redaction-end-input'), { target: { value: '1:30' } });
+      fireEvent.change(screen.getByTestId('redaction-reason-input'), { target: { value: 'Sealed sidebar' } });
+      fireEvent.click(screen.getByTestId('add-redaction-range-btn'));
+      fireEvent.change(screen.getByTestId('redaction-by-input'), { target: { value: 'J. Clerk' } });
+      fireEvent.change(screen.getByTestId('redaction-passphrase-input'), { target: { value: 'correct horse' } });
+      fireEvent.change(screen.getByTestId('redaction-passphrase-confirm-input'), { target: { value: 'correct horse' } });
+      fireEvent.click(screen.getByTestId('apply-redaction-btn'));
+
+      await waitFor(() => expect(screen.queryByTestId('redaction-editor')).not.toBeInTheDocument());
+      expect(redactAudio).toHaveBeenCalledWith(original, [{ start: 60, end: 90, reason: 'Sealed sidebar' }], { fill: 'silence' });
+      expect(sealOriginal).toHaveBeenCalledWith(original, 'correct horse');
+      // Only the encrypted original is kept on the take
+      expect(mockOnUpdateRecording).toHaveBeenCalledWith({
+        takes: [{ ...take, audioBlob: redactedBlob, sealedOriginal: sealed, redacted: true }],
+        audioBlob: redactedBlob,
+        transcript: '',
+        status: 'recorded',
+        redactionLog: [{
+          action: 'redacted',
+          by: 'J. Clerk',
+          at: expect.any(String),
+          take: 0,
+          start: 60,
+          end: 90,
+          reason: 'Sealed sidebar',
+          fill: 'silence'
+        }]
+      });
+    });
+
+    const redactedTake = { ...take, audioBlob: { type: 'audio/wav' }, sealedOriginal: sealed, redacted: true };
+    const entry = { action: 'redacted', by: 'J. Clerk', at: '2024-01-15T10:00:00.000Z', take: 0, start: 60, end: 90, reason: 'Sealed sidebar', fill: 'silence' };
+    const redacted = { ...recorded, takes: [redactedTake], audioBlob: redactedTake.audioBlob, redactionLog: [entry] };
+
+    const openOriginal = (reason, passphrase) => {
+      fireEvent.click(screen.getByTestId('open-original-0'));
+      fireEvent.change(screen.getByTestId('original-access-by-input'), { target: { value: 'A. Judge' } });
+      fireEvent.change(screen.getByTestId('original-access-reason-input'), { target: { value: reason } });
+      fireEvent.change(screen.getByTestId('original-access-passphrase-input'), { target: { value: passphrase } });
+      fireEvent.click(screen.getByTestId('open-original-btn'));
+    };
+
+    it('should only hand out the sealed original with its passphrase and a logged name and reason', async () => {
+      openSealedOriginal.mockResolvedValue(original);
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={redacted} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      expect(screen.getByTestId('redaction-log')).toHaveTextContent('J. Clerk redacted take 1 1:00-1:30 with silence: Sealed sidebar');
+
+      openOriginal('', 'correct horse');
+      expect(openSealedOriginal).not.toHaveBeenCalled();
+      expect(downloadAudio).not.toHaveBeenCalled();
+      expect(mockOnUpdateRecording).not.toHaveBeenCalled();
+
+      fireEvent.change(screen.getByTestId('original-access-reason-input'), { target: { value: 'Appeal record' } });
+      fireEvent.click(screen.getByTestId('open-original-btn'));
+
+      await waitFor(() => expect(screen.queryByTestId('original-access-dialog')).not.toBeInTheDocument());
+      expect(openSealedOriginal).toHaveBeenCalledWith(sealed, 'correct horse');
+      expect(mockOnUpdateRecording).toHaveBeenCalledWith({
+        redactionLog: [entry, { action: 'original-opened', by: 'A. Judge', at: expect.any(String), take: 0, reason: 'Appeal record' }]
+      });
+      expect(downloadAudio).toHaveBeenCalledWith(original, '123-2024_take1_original.webm');
+    });
+
+    it('should neither log nor download the original with a wrong passphrase', async () => {
+      openSealedOriginal.mockRejectedValue(new Error('Wrong passphrase; the original stays sealed'));
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={redacted} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      openOriginal('Appeal record', 'battery staple');
+
+      expect(await screen.findByTestId('original-access-error')).toHaveTextContent('Wrong passphrase; the original stays sealed');
+      expect(mockOnUpdateRecording).not.toHaveBeenCalled();
+      expect(downloadAudio).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('quality check', () => {
+    it('should check each take once it stops', async () => {
+      const blob = { type: 'audio/webm', size: 2048 };
+      const result = {
+        status: 'warn',
+        checks: [{ check: 'silence', status: 'warn', message: '60% silence' }],
+        checkedAt: '2024-03-15T09:00:00.000Z'
+      };
+      checkRecording.mockResolvedValueOnce(result);
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={mockRecording} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      fireEvent.click(screen.getByTestId('start-recording-btn'));
+      await waitFor(() => expect(createRecordingSession).toHaveBeenCalled());
+      const { onStop } = getSessionOptions();
+      act(() => onStop({ startedAt: '2024-03-15T08:59:00.000Z', duration: 60, audioBlob: blob }));
+
+      expect(checkRecording).toHaveBeenCalledWith(blob, 60);
+      expect(screen.getByTestId('quality-badge')).toHaveTextContent('Checking audio...');
+      await waitFor(() => {
+        expect(mockOnUpdateRecording).toHaveBeenLastCalledWith({ qualityChecks: [{ take: 0, ...result }] });
+      });
+      expect(screen.queryByTestId('quality-check')).not.toBeInTheDocument();
+    });
+
+    it('should show the worst result across takes with the details of each', () => {
+      const takes = [
+        { startedAt: null, duration: 60, audioBlob: { type: 'audio/webm' } },
+        { startedAt: null, duration: 90, audioBlob: { type: 'audio/webm' } }
+      ];
+      const qualityChecks = [
+        { take: 0, status: 'pass', checks: [{ check: 'silence', status: 'pass', message: '10% silence' }] },
+        { take: 1, status: 'fail', checks: [{ check: 'file', status: 'fail', message: 'The recording is empty (0 bytes)' }] }
+      ];
+
+      render(
+        <HearingTile 
+          hearing={mockHearing} 
+          recording={{ ...mockRecording, takes, audioBlob: takes[1].audioBlob, status: 'recorded', qualityChecks }} 
+          onUpdateRecording={mockOnUpdateRecording} 
+        />
+      );
+
+      expect(screen.getByTestId('quality-check')).toHaveClass('quality-fail');
+      expect(screen.getByTestId('quality-badge')).toHaveTextContent('❌ Audio check failed');
+      expect(screen.getByTestId('quality-check')).toHaveTextContent('Take 1: 10% silence');
+      expect(screen.getByTestId('quality-check')).toHaveTextContent('Take 2: The recording is empty (0 bytes)');
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ICSPatternSettings from '../ICSPatternSettings';
+import { DEFAULT_ICS_PATTERNS } from '../../utils/icsParser';
+
+describe('ICSPatternSettings', () => {
+  const patterns = { caseNumber: 'CASE-\\d+', division: 'Room (\\w+)' };
+  const mockOnSave = jest.fn();
+  const mockOnCancel = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const renderSettings = () => render(
+    <ICSPatternSettings patterns={patterns} onSave={mockOnSave} onCancel={mockOnCancel} />
+  );
+
+  it('should save edited patterns', () => {
+    renderSettings();
+
+    expect(screen.getByTestId('ics-pattern-caseNumber')).toHaveValue('CASE-\\d+');
+
+    fireEvent.change(screen.getByTestId('ics-pattern-division'), { target: { value: 'Dept (\\d+)' } });
+    fireEvent.click(screen.getByTestId('ics-settings-save-btn'));
+
+    expect(mockOnSave).toHaveBeenCalledWith({ caseNumber: 'CASE-\\d+', division: 'Dept (\\d+)' });
+  });
+
+  it('should show why a pattern could not be saved', () => {
+    mockOnSave.mockImplementation(() => {
+      throw new Error('Invalid case number pattern: Unterminated group');
+    });
+    renderSettings();
+
+    fireEvent.click(screen.getByTestId('ics-settings-save-btn'));
+
+    expect(screen.getByTestId('ics-settings-error')).toHaveTextContent('Invalid case number pattern');
+    mockOnSave.mockReset();
+  });
+
+  it('should restore the default patterns', () => {
+    renderSettings();
+
+    fireEvent.click(screen.getByTestId('ics-settings-reset-btn'));
+
+    expect(screen.getByTestId('ics-pattern-caseNumber')).toHaveValue(DEFAULT_ICS_PATTERNS.caseNumber);
+  });
+});
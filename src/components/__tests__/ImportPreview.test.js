@@ -0,0 +1,99 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ImportPreview from '../ImportPreview';
+import { parseCSVWithDiagnostics } from '../../utils/csvParser';
+
+describe('ImportPreview', () => {
+  const csvData = `Case Number,Client Name,Division,Time
+123-2024,John Doe,Criminal,9:00 AM
+,Jane Smith,Civil,10:30 AM
+789-2024,Bob Johnson,Family,after lunch`;
+
+  const mockOnConfirm = jest.fn();
+  const mockOnCancel = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const renderPreview = () => render(
+    <ImportPreview
+      report={parseCSVWithDiagnostics(csvData)}
+      onConfirm={mockOnConfirm}
+      onCancel={mockOnCancel}
+    />
+  );
+
+  it('should list only flagged rows by default', () => {
+    renderPreview();
+
+    expect(screen.getByTestId('import-summary')).toHaveTextContent('3 rows, 2 flagged');
+    expect(screen.queryByTestId('import-row-2')).not.toBeInTheDocument();
+    expect(screen.getByTestId('import-row-3')).toHaveTextContent('Missing case number');
+    expect(screen.getByTestId('import-row-4')).toHaveTextContent('Unrecognized time "after lunch"');
+  });
+
+  it('should show all rows when requested', () => {
+    renderPreview();
+
+    fireEvent.click(screen.getByTestId('import-show-all'));
+
+    expect(screen.getByTestId('import-row-2')).toBeInTheDocument();
+  });
+
+  it('should block import until errors are fixed', () => {
+    renderPreview();
+
+    expect(screen.getByTestId('import-confirm-btn')).toBeDisabled();
+
+    fireEvent.change(screen.getByTestId('import-input-3-Case Number'), { target: { value: '456-2024' } });
+
+    expect(screen.getByTestId('import-row-3')).not.toHaveTextContent('Missing case number');
+    expect(screen.getByTestId('import-confirm-btn')).not.toBeDisabled();
+
+    fireEvent.click(screen.getByTestId('import-confirm-btn'));
+
+    const hearings = mockOnConfirm.mock.calls[0][0];
+    expect(hearings).toHaveLength(3);
+    expect(hearings[1]['Case Number']).toBe('456-2024');
+  });
+
+  it('should leave skipped rows out of the import', () => {
+    renderPreview();
+
+    fireEvent.click(screen.getByTestId('import-skip-3'));
+
+    expect(screen.getByTestId('import-confirm-btn')).toHaveTextContent('Add 2 Hearings');
+
+    fireEvent.click(screen.getByTestId('import-confirm-btn'));
+
+    const hearings = mockOnConfirm.mock.calls[0][0];
+    expect(hearings.map(h => h['Case Number'])).toEqual(['123-2024', '789-2024']);
+  });
+
+  it('should call onCancel when cancelled', () => {
+    renderPreview();
+
+    fireEvent.click(screen.getByTestId('import-cancel-btn'));
+
+    expect(mockOnCancel).toHaveBeenCalled();
+  });
+
+  it('should let an unrecognized date be corrected', () => {
+    render(
+      <ImportPreview
+        report={parseCSVWithDiagnostics(`Case Number,Client Name,Division,Date,Time
+123-2024,John Doe,Criminal,someday,9:00 AM`)}
+        onConfirm={mockOnConfirm}
+        onCancel={mockOnCancel}
+      />
+    );
+
+    expect(screen.getByTestId('import-row-2')).toHaveTextContent('Unrecognized date "someday"');
+
+    fireEvent.change(screen.getByTestId('import-input-2-Date'), { target: { value: '3/15/2024' } });
+    fireEvent.click(screen.getByTestId('import-confirm-btn'));
+
+    expect(mockOnConfirm.mock.calls[0][0][0].scheduledAt).toBe(new Date(2024, 2, 15, 9, 0).getTime());
+  });
+});
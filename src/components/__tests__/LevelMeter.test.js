@@ -0,0 +1,29 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import LevelMeter from '../LevelMeter';
+
+describe('LevelMeter', () => {
+  it('should fill the meter by the peak level', () => {
+    render(<LevelMeter level={{ peak: 0.1, rms: 0.05, silentFor: 0, clipping: false }} />);
+
+    expect(screen.getByTestId('level-meter-fill')).toHaveStyle({ width: '67%' });
+    expect(screen.queryByTestId('clipping-warning')).not.toBeInTheDocument();
+    expect(screen.queryByTestId('silence-warning')).not.toBeInTheDocument();
+  });
+
+  it('should warn while the input is clipping', () => {
+    render(<LevelMeter level={{ peak: 1, rms: 0.6, silentFor: 0, clipping: true }} />);
+
+    expect(screen.getByTestId('clipping-warning')).toBeInTheDocument();
+  });
+
+  it('should warn once the input has been silent for the configured time', () => {
+    const { rerender } = render(<LevelMeter level={{ peak: 0, rms: 0, silentFor: 4, clipping: false }} silenceSeconds={5} />);
+
+    expect(screen.queryByTestId('silence-warning')).not.toBeInTheDocument();
+
+    rerender(<LevelMeter level={{ peak: 0, rms: 0, silentFor: 6, clipping: false }} silenceSeconds={5} />);
+
+    expect(screen.getByTestId('silence-warning')).toHaveTextContent('No input for 6 s');
+  });
+});
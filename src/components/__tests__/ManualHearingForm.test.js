@@ -0,0 +1,46 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ManualHearingForm from '../ManualHearingForm';
+
+describe('ManualHearingForm', () => {
+  const mockOnSubmit = jest.fn();
+  const mockOnCancel = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should offer the core fields and the configured extra fields', () => {
+    render(<ManualHearingForm extraFields={['Judge', 'Bond']} onSubmit={mockOnSubmit} onCancel={mockOnCancel} />);
+
+    ['Case Number', 'Client Name', 'Division', 'Time', 'Judge', 'Bond'].forEach(key => {
+      expect(screen.getByTestId(`manual-field-${key}`)).toBeInTheDocument();
+    });
+  });
+
+  it('should submit a hearing with defaults for blank core fields', () => {
+    render(<ManualHearingForm extraFields={['Judge', 'Bond']} onSubmit={mockOnSubmit} onCancel={mockOnCancel} />);
+
+    fireEvent.change(screen.getByTestId('manual-field-Case Number'), { target: { value: ' 2024-CR-001 ' } });
+    fireEvent.change(screen.getByTestId('manual-field-Time'), { target: { value: '9:00 AM' } });
+    fireEvent.change(screen.getByTestId('manual-field-Judge'), { target: { value: 'Hon. Rivera' } });
+    fireEvent.click(screen.getByTestId('manual-submit-btn'));
+
+    expect(mockOnSubmit).toHaveBeenCalledWith({
+      'Case Number': '2024-CR-001',
+      'Client Name': 'Not specified',
+      'Division': 'Not specified',
+      'Time': '9:00 AM',
+      'Judge': 'Hon. Rivera'
+    });
+    expect(screen.getByTestId('manual-field-Case Number')).toHaveValue('');
+  });
+
+  it('should call onCancel', () => {
+    render(<ManualHearingForm onSubmit={mockOnSubmit} onCancel={mockOnCancel} />);
+
+    fireEvent.click(screen.getByTestId('manual-cancel-btn'));
+
+    expect(mockOnCancel).toHaveBeenCalled();
+  });
+});
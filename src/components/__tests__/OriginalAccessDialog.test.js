@@ -0,0 +1,81 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import OriginalAccessDialog from '../OriginalAccessDialog';
+
+describe('OriginalAccessDialog', () => {
+  const take = { startedAt: null, duration: 300, audioBlob: { type: 'audio/wav' }, sealedOriginal: { type: 'audio/webm' }, redacted: true };
+  const mockOnOpen = jest.fn();
+  const mockOnCancel = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const renderDialog = () => render(
+    <OriginalAccessDialog take={take} index={0} onOpen={mockOnOpen} onCancel={mockOnCancel} />
+  );
+
+  const fillIn = (by, reason, passphrase) => {
+    fireEvent.change(screen.getByTestId('original-access-by-input'), { target: { value: by } });
+    fireEvent.change(screen.getByTestId('original-access-reason-input'), { target: { value: reason } });
+    fireEvent.change(screen.getByTestId('original-access-passphrase-input'), { target: { value: passphrase } });
+  };
+
+  it('should say that the original only opens with its passphrase', () => {
+    renderDialog();
+
+    expect(screen.getByTestId('original-access-dialog')).toHaveTextContent('Open the sealed original of Take 1');
+    expect(screen.getByTestId('original-access-dialog')).toHaveTextContent('only opens with the passphrase it was sealed with');
+  });
+
+  it('should require a name and a reason', () => {
+    renderDialog();
+
+    fillIn('A. Judge', '   ', 'correct horse');
+    fireEvent.click(screen.getByTestId('open-original-btn'));
+
+    expect(mockOnOpen).not.toHaveBeenCalled();
+    expect(screen.getByTestId('original-access-error')).toHaveTextContent('Enter your name and the reason for the redaction log');
+  });
+
+  it('should require the passphrase', () => {
+    renderDialog();
+
+    fillIn('A. Judge', 'Appeal record', '');
+    fireEvent.click(screen.getByTestId('open-original-btn'));
+
+    expect(mockOnOpen).not.toHaveBeenCalled();
+    expect(screen.getByTestId('original-access-error')).toHaveTextContent('Enter the passphrase the original was sealed with');
+  });
+
+  it('should open the original with the trimmed name and reason and the passphrase', async () => {
+    mockOnOpen.mockResolvedValueOnce();
+    renderDialog();
+
+    fillIn(' A. Judge ', 'Appeal record', 'correct horse');
+    fireEvent.click(screen.getByTestId('open-original-btn'));
+
+    expect(mockOnOpen).toHaveBeenCalledWith({ by: 'A. Judge', reason: 'Appeal record', passphrase: 'correct horse' });
+    await waitFor(() => expect(screen.getByTestId('open-original-btn')).toHaveTextContent('Decrypting'));
+  });
+
+  it('should show why the original did not open', async () => {
+    mockOnOpen.mockRejectedValueOnce(new Error('Wrong passphrase; the original stays sealed'));
+    renderDialog();
+
+    fillIn('A. Judge', 'Appeal record', 'battery staple');
+    fireEvent.click(screen.getByTestId('open-original-btn'));
+
+    expect(await screen.findByTestId('original-access-error')).toHaveTextContent('Wrong passphrase; the original stays sealed');
+    expect(screen.getByTestId('open-original-btn')).not.toBeDisabled();
+  });
+
+  it('should cancel without opening', () => {
+    renderDialog();
+
+    fireEvent.click(screen.getByTestId('cancel-open-original-btn'));
+
+    expect(mockOnCancel).toHaveBeenCalled();
+    expect(mockOnOpen).not.toHaveBeenCalled();
+  });
+});
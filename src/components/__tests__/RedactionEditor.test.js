@@ -0,0 +1,116 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import RedactionEditor from '../RedactionEditor';
+
+jest.mock('../../utils/waveform', () => ({
+  ...jest.requireActual('../../utils/waveform'),
+  analyzeRecording: jest.fn(() => new Promise(() => {}))
+}));
+
+describe('RedactionEditor', () => {
+  const take = { startedAt: null, duration: 300, audioBlob: { type: 'audio/webm' } };
+  const mockOnApply = jest.fn();
+  const mockOnCancel = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const renderEditor = (props = {}) => render(
+    <RedactionEditor take={take} index={1} onApply={mockOnApply} onCancel={mockOnCancel} {...props} />
+  );
+
+  const addRange = (start, end, reason) => {
+    fireEvent.change(screen.getByTestId('redaction-start-input'), { target: { value: start } });
+    fireEvent.change(screen.getByTestId('redaction-end-input'), { target: { value: end } });
+    fireEvent.change(screen.getByTestId('redaction-reason-input'), { target: { value: reason } });
+    fireEvent.click(screen.getByTestId('add-redaction-range-btn'));
+  };
+
+  const enterPassphrase = (passphrase, repeated = passphrase) => {
+    fireEvent.change(screen.getByTestId('redaction-passphrase-input'), { target: { value: passphrase } });
+    fireEvent.change(screen.getByTestId('redaction-passphrase-confirm-input'), { target: { value: repeated } });
+  };
+
+  it('should play the take being redacted', () => {
+    renderEditor();
+
+    expect(screen.getByTestId('redaction-editor')).toHaveTextContent('Redact Take 2');
+    expect(screen.getByTestId('waveform-player')).toBeInTheDocument();
+    expect(screen.getByTestId('apply-redaction-btn')).toBeDisabled();
+  });
+
+  it('should redact the listed passages with the chosen fill and name', () => {
+    renderEditor();
+
+    addRange('2:00', '2:30', 'Sealed sidebar');
+    addRange('0:10', '0:20', 'Client whisper');
+    expect(screen.getByTestId('redaction-range-0')).toHaveTextContent('2:00-2:30 · Sealed sidebar');
+
+    fireEvent.change(screen.getByTestId('redaction-fill-select'), { target: { value: 'tone' } });
+    fireEvent.change(screen.getByTestId('redaction-by-input'), { target: { value: 'J. Clerk' } });
+    enterPassphrase('correct horse');
+    fireEvent.click(screen.getByTestId('apply-redaction-btn'));
+
+    expect(mockOnApply).toHaveBeenCalledWith(
+      [
+        { start: 10, end: 20, reason: 'Client whisper' },
+        { start: 120, end: 150, reason: 'Sealed sidebar' }
+      ],
+      { fill: 'tone', redactedBy: 'J. Clerk', passphrase: 'correct horse' }
+    );
+  });
+
+  it('should require a passphrase, typed twice, to seal the original', () => {
+    renderEditor();
+
+    addRange('0:10', '0:20', '');
+    fireEvent.change(screen.getByTestId('redaction-by-input'), { target: { value: 'J. Clerk' } });
+    fireEvent.click(screen.getByTestId('apply-redaction-btn'));
+    expect(screen.getByTestId('redaction-error')).toHaveTextContent('Enter a passphrase to seal the original');
+
+    enterPassphrase('correct horse', 'correct hose');
+    fireEvent.click(screen.getByTestId('apply-redaction-btn'));
+    expect(screen.getByTestId('redaction-error')).toHaveTextContent('The passphrases do not match');
+    expect(mockOnApply).not.toHaveBeenCalled();
+  });
+
+  it('should not ask again for the passphrase of a take redacted before', () => {
+    renderEditor({ take: { ...take, redacted: true, sealedOriginal: { type: 'audio/webm' } } });
+
+    expect(screen.queryByTestId('redaction-passphrase-input')).not.toBeInTheDocument();
+    expect(screen.getByTestId('redaction-editor')).toHaveTextContent('The original stays sealed with the passphrase it was first redacted with');
+
+    addRange('0:10', '0:20', '');
+    fireEvent.change(screen.getByTestId('redaction-by-input'), { target: { value: 'J. Clerk' } });
+    fireEvent.click(screen.getByTestId('apply-redaction-btn'));
+
+    expect(mockOnApply).toHaveBeenCalledWith([{ start: 10, end: 20, reason: '' }], { fill: 'silence', redactedBy: 'J. Clerk', passphrase: '' });
+  });
+
+  it('should reject passages that are not times or fall outside the take', () => {
+    renderEditor();
+
+    addRange('soon', '0:20', '');
+    expect(screen.getByTestId('redaction-error')).toHaveTextContent('Enter the start and end as m:ss');
+
+    addRange('6:00', '6:30', '');
+    expect(screen.getByTestId('redaction-error')).toHaveTextContent('A passage starts after the end of the recording');
+    expect(screen.queryByTestId('redaction-range-0')).not.toBeInTheDocument();
+  });
+
+  it('should require a name for the log and allow removing a passage', () => {
+    renderEditor();
+
+    addRange('0:10', '0:20', '');
+    fireEvent.click(screen.getByTestId('apply-redaction-btn'));
+    expect(screen.getByTestId('redaction-error')).toHaveTextContent('Enter your name for the redaction log');
+    expect(mockOnApply).not.toHaveBeenCalled();
+
+    fireEvent.click(screen.getByTestId('remove-redaction-range-0'));
+    expect(screen.queryByTestId('redaction-range-0')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('cancel-redaction-btn'));
+    expect(mockOnCancel).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,78 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import SheetPicker from '../SheetPicker';
+
+describe('SheetPicker', () => {
+  const workbook = {
+    sheets: [
+      { name: 'Notes', hidden: true, rows: [['Internal']] },
+      {
+        name: 'Jail',
+        hidden: false,
+        rows: [
+          ['County Jail Docket'],
+          [],
+          ['Case No.', 'Defendant', 'Courtroom', 'Sched Time'],
+          ['123-2024', 'John Doe', '3A', '9:00 AM']
+        ]
+      },
+      {
+        name: 'Civil',
+        hidden: false,
+        rows: [
+          ['Case Number', 'Client Name', 'Division', 'Time'],
+          ['456-2024', 'Jane Smith', 'Civil', '10:30 AM']
+        ]
+      }
+    ]
+  };
+
+  const mockOnConfirm = jest.fn();
+  const mockOnCancel = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const renderPicker = () => render(
+    <SheetPicker workbook={workbook} onConfirm={mockOnConfirm} onCancel={mockOnCancel} />
+  );
+
+  it('should start on the first visible sheet with its header row guessed', () => {
+    renderPicker();
+
+    expect(screen.getByTestId('sheet-select')).toHaveValue('1');
+    expect(screen.getByTestId('header-row-input')).toHaveValue(3);
+    expect(screen.getByTestId('sheet-preview-row-3')).toHaveClass('header-row');
+    expect(screen.getByText('Notes (hidden)')).toBeInTheDocument();
+  });
+
+  it('should guess again when another sheet is picked', () => {
+    renderPicker();
+
+    fireEvent.change(screen.getByTestId('sheet-select'), { target: { value: '2' } });
+    fireEvent.click(screen.getByTestId('sheet-confirm-btn'));
+
+    expect(mockOnConfirm).toHaveBeenCalledWith(2, 1);
+  });
+
+  it('should let a preview row be chosen as the header row', () => {
+    renderPicker();
+
+    fireEvent.click(screen.getByTestId('sheet-preview-row-1'));
+
+    expect(screen.getByTestId('header-row-input')).toHaveValue(1);
+
+    fireEvent.click(screen.getByTestId('sheet-preview-row-4'));
+
+    expect(screen.getByTestId('sheet-confirm-btn')).toBeDisabled();
+  });
+
+  it('should call onCancel when cancelled', () => {
+    renderPicker();
+
+    fireEvent.click(screen.getByTestId('sheet-cancel-btn'));
+
+    expect(mockOnCancel).toHaveBeenCalled();
+  });
+});
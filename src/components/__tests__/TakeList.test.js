@@ -0,0 +1,88 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TakeList from '../TakeList';
+
+jest.mock('../../utils/waveform', () => ({
+  ...jest.requireActual('../../utils/waveform'),
+  analyzeRecording: jest.fn(() => new Promise(() => {}))
+}));
+
+describe('TakeList', () => {
+  const takes = [
+    { startedAt: new Date(2024, 0, 15, 9, 5).toISOString(), duration: 60, audioBlob: { type: 'audio/webm' } },
+    { startedAt: new Date(2024, 0, 15, 11, 40).toISOString(), duration: 90, audioBlob: { type: 'audio/webm' }, transcript: 'Recalled' }
+  ];
+  const renderList = (props = {}) => render(
+    <TakeList takes={takes} onDownloadTake={jest.fn()} onTranscribeTake={jest.fn()} {...props} />
+  );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should list each take with its own actions and transcript', () => {
+    const onDownloadTake = jest.fn();
+    const onTranscribeTake = jest.fn();
+    renderList({ onDownloadTake, onTranscribeTake });
+
+    expect(screen.getByTestId('take-0')).toHaveTextContent('Take 1');
+    expect(screen.getByTestId('take-transcript-1')).toHaveTextContent('Recalled');
+    expect(screen.queryByTestId('take-transcript-0')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('download-take-1'));
+    fireEvent.click(screen.getByTestId('transcribe-take-0'));
+
+    expect(onDownloadTake).toHaveBeenCalledWith(1);
+    expect(onTranscribeTake).toHaveBeenCalledWith(0);
+  });
+
+  it('should play a single take', () => {
+    renderList();
+
+    fireEvent.click(screen.getByTestId('play-take-1'));
+
+    expect(URL.createObjectURL).toHaveBeenCalledWith(takes[1].audioBlob);
+    expect(screen.getByTestId('waveform-audio')).toHaveAttribute('src', 'mock-url');
+
+    fireEvent.ended(screen.getByTestId('waveform-audio'));
+
+    expect(screen.queryByTestId('waveform-player')).not.toBeInTheDocument();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('mock-url');
+  });
+
+  it('should play all takes one after another', () => {
+    renderList();
+
+    fireEvent.click(screen.getByTestId('play-all-takes-btn'));
+    expect(URL.createObjectURL).toHaveBeenLastCalledWith(takes[0].audioBlob);
+
+    fireEvent.ended(screen.getByTestId('waveform-audio'));
+    expect(URL.createObjectURL).toHaveBeenLastCalledWith(takes[1].audioBlob);
+
+    fireEvent.ended(screen.getByTestId('waveform-audio'));
+    expect(screen.queryByTestId('waveform-player')).not.toBeInTheDocument();
+  });
+
+  it('should not transcribe while disabled', () => {
+    renderList({ disabled: true });
+
+    expect(screen.getByTestId('transcribe-take-0')).toBeDisabled();
+    expect(screen.getByTestId('play-take-0')).not.toBeDisabled();
+  });
+
+  it('should offer redaction, and the sealed original of a redacted take', () => {
+    const onRedactTake = jest.fn();
+    const onOpenOriginal = jest.fn();
+    const redactedTakes = [takes[0], { ...takes[1], redacted: true, sealedOriginal: { type: 'audio/webm' } }];
+    renderList({ takes: redactedTakes, onRedactTake, onOpenOriginal });
+
+    expect(screen.getByTestId('take-1')).toHaveTextContent('redacted');
+    expect(screen.queryByTestId('open-original-0')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('redact-take-0'));
+    fireEvent.click(screen.getByTestId('open-original-1'));
+
+    expect(onRedactTake).toHaveBeenCalledWith(0);
+    expect(onOpenOriginal).toHaveBeenCalledWith(1);
+  });
+});
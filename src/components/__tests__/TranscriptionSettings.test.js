@@ -0,0 +1,67 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TranscriptionSettings from '../TranscriptionSettings';
+import { DEFAULT_TRANSCRIPTION_SETTINGS, listProviders } from '../../utils/transcriptionProviders';
+
+describe('TranscriptionSettings', () => {
+  const whisper = {
+    id: 'whisper',
+    label: 'Whisper (local server)',
+    description: 'Transcribes on a Whisper server in the courthouse.',
+    capabilities: { languages: ['en', 'es'], timestamps: true, speakerLabels: false, offline: true, cancellable: true },
+    options: [{ key: 'endpoint', label: 'Server address', placeholder: 'http://localhost:9000' }],
+    transcribe: jest.fn()
+  };
+  const providers = [...listProviders(), whisper];
+  const mockOnSave = jest.fn();
+  const mockOnCancel = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const renderSettings = (props = {}) => render(
+    <TranscriptionSettings
+      settings={DEFAULT_TRANSCRIPTION_SETTINGS}
+      providers={providers}
+      onSave={mockOnSave}
+      onCancel={mockOnCancel}
+      {...props}
+    />
+  );
+
+  it('should describe the mock engine', () => {
+    renderSettings();
+
+    expect(screen.getByTestId('transcription-provider-select')).toHaveValue('mock');
+    expect(screen.getByTestId('transcription-capabilities')).toHaveTextContent('Audio stays on this computer');
+    expect(screen.queryByTestId('transcription-language-select')).not.toBeInTheDocument();
+  });
+
+  it('should save the chosen engine, its language and its settings', () => {
+    renderSettings();
+
+    fireEvent.change(screen.getByTestId('transcription-provider-select'), { target: { value: 'whisper' } });
+    expect(screen.getByTestId('transcription-provider-description')).toHaveTextContent('Whisper server in the courthouse');
+    expect(screen.getByTestId('transcription-capabilities')).toHaveTextContent('Timestamps');
+    fireEvent.change(screen.getByTestId('transcription-language-select'), { target: { value: 'es' } });
+    fireEvent.change(screen.getByTestId('transcription-option-endpoint'), { target: { value: 'http://10.0.0.5:9000' } });
+    fireEvent.click(screen.getByTestId('transcription-settings-save-btn'));
+
+    expect(mockOnSave).toHaveBeenCalledWith({
+      providerId: 'whisper',
+      language: 'es',
+      providerOptions: { whisper: { endpoint: 'http://10.0.0.5:9000' } }
+    });
+  });
+
+  it('should keep a saved engine that is not installed, and close', () => {
+    renderSettings({ settings: { ...DEFAULT_TRANSCRIPTION_SETTINGS, providerId: 'vosk' } });
+
+    expect(screen.getByTestId('transcription-provider-select')).toHaveValue('vosk');
+    expect(screen.getByRole('option', { name: 'Saved engine - not installed' })).toBeInTheDocument();
+
+    fireEvent.click(screen.getByTestId('transcription-settings-cancel-btn'));
+    expect(mockOnCancel).toHaveBeenCalled();
+  });
+});
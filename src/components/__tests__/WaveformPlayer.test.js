@@ -0,0 +1,115 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import WaveformPlayer from '../WaveformPlayer';
+
+jest.mock('../../utils/waveform', () => ({
+  ...jest.requireActual('../../utils/waveform'),
+  analyzeRecording: jest.fn()
+}));
+
+import { analyzeRecording } from '../../utils/waveform';
+
+describe('WaveformPlayer', () => {
+  const audioBlob = { type: 'audio/webm' };
+  const analysis = { duration: 60, peaks: [0.5, 1, 0.25, 0], silentRanges: [{ start: 10.2, end: 19.8 }] };
+
+  // jsdom has no media playback, so the position is a plain property
+  const getAudio = () => {
+    const audio = screen.getByTestId('waveform-audio');
+    if (!Object.prototype.hasOwnProperty.call(audio, 'currentTime')) {
+      Object.defineProperty(audio, 'currentTime', { value: 0, writable: true });
+    }
+    return audio;
+  };
+
+  const renderPlayer = async () => {
+    render(<WaveformPlayer audioBlob={audioBlob} />);
+    await waitFor(() => expect(screen.getByTestId('waveform-time')).toHaveTextContent('0:00 / 1:00'));
+    return getAudio();
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    analyzeRecording.mockResolvedValue(analysis);
+    window.HTMLMediaElement.prototype.play = jest.fn(() => Promise.resolve());
+    window.HTMLMediaElement.prototype.pause = jest.fn();
+  });
+
+  it('should draw the waveform of the recording', async () => {
+    await renderPlayer();
+
+    expect(analyzeRecording).toHaveBeenCalledWith(audioBlob);
+    const bars = screen.getByTestId('waveform').children;
+    expect(bars).toHaveLength(4);
+    expect(bars[1]).toHaveStyle({ height: '100%' });
+    expect(bars[3]).toHaveStyle({ height: '2%' });
+  });
+
+  it('should play and pause', async () => {
+    const audio = await renderPlayer();
+
+    fireEvent.click(screen.getByTestId('waveform-play-btn'));
+    expect(window.HTMLMediaElement.prototype.play).toHaveBeenCalled();
+
+    fireEvent.play(audio);
+    expect(screen.getByTestId('waveform-play-btn')).toHaveTextContent('Pause');
+  });
+
+  it('should seek with the scrubber', async () => {
+    const audio = await renderPlayer();
+
+    fireEvent.change(screen.getByTestId('waveform-seek'), { target: { value: '45' } });
+
+    expect(audio.currentTime).toBe(45);
+    expect(screen.getByTestId('waveform-time')).toHaveTextContent('0:45 / 1:00');
+    expect(screen.getByTestId('waveform').children[1]).toHaveClass('waveform-bar-played');
+    expect(screen.getByTestId('waveform').children[3]).not.toHaveClass('waveform-bar-played');
+  });
+
+  it('should jump back 5 seconds from the keyboard or the button', async () => {
+    const audio = await renderPlayer();
+    audio.currentTime = 30;
+
+    fireEvent.keyDown(screen.getByTestId('waveform-player'), { key: 'ArrowLeft' });
+    expect(audio.currentTime).toBe(25);
+
+    fireEvent.click(screen.getByTestId('waveform-back-btn'));
+    expect(audio.currentTime).toBe(20);
+
+    audio.currentTime = 2;
+    fireEvent.keyDown(screen.getByTestId('waveform-player'), { key: 'ArrowLeft' });
+    expect(audio.currentTime).toBe(0);
+  });
+
+  it('should change the playback speed', async () => {
+    const audio = await renderPlayer();
+
+    fireEvent.change(screen.getByTestId('waveform-speed-select'), { target: { value: '2.5' } });
+
+    expect(audio.playbackRate).toBe(2.5);
+  });
+
+  it('should skip silent stretches when asked', async () => {
+    const audio = await renderPlayer();
+
+    audio.currentTime = 12;
+    fireEvent.timeUpdate(audio);
+    expect(audio.currentTime).toBe(12);
+
+    fireEvent.click(screen.getByTestId('waveform-skip-silence'));
+    fireEvent.timeUpdate(audio);
+    expect(audio.currentTime).toBe(19.8);
+  });
+
+  it('should still play when the waveform cannot be drawn', async () => {
+    analyzeRecording.mockRejectedValue(new Error('Web Audio is not available in this browser'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    render(<WaveformPlayer audioBlob={audioBlob} />);
+
+    await waitFor(() => expect(screen.getByTestId('waveform')).toHaveTextContent('Waveform unavailable'));
+    expect(screen.getByTestId('waveform-skip-silence')).toBeDisabled();
+    expect(screen.getByTestId('waveform-play-btn')).not.toBeDisabled();
+    console.error.mockRestore();
+  });
+});
@@ -15,7 +15,9 @@ Object.defineProperty(global.navigator, 'mediaDevices', {
     getUserMedia: jest.fn().mockResolvedValue({
       getTracks: () => [{ stop: jest.fn() }]
     })
-  }
+  },
+  writable: true,
+  configurable: true
 });
 
 // Mock FileReader
@@ -46,8 +48,9 @@ global.Blob = jest.fn().mockImplementation((content, options) => ({
   size: content?.length || 0
 }));
 
-// Mock DOM methods for downloads
-global.document.createElement = jest.fn((tagName) => {
+// Mock download links; every other element is a real one so components can render
+const createElement = document.createElement.bind(document);
+global.document.createElement = jest.fn((tagName, options) => {
   if (tagName === 'a') {
     return {
       href: '',
@@ -55,5 +58,5 @@ global.document.createElement = jest.fn((tagName) => {
       click: jest.fn()
     };
   }
-  return {};
+  return createElement(tagName, options);
 });
\ No newline at end of file
@@ -0,0 +1,15 @@
+/**
+ * In-memory stand-in for localStorage, passed to the settings readers and writers in tests
+ * @returns {Object} Storage-like object with getItem and setItem
+ */
+function createMemoryStorage() {
+  const data = {};
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); }
+  };
+}
+
+module.exports = {
+  createMemoryStorage
+};
@@ -0,0 +1,106 @@
+const {
+  AUDIO_FILE_ACCEPT,
+  getAudioFileType,
+  readAudioDuration,
+  importAudioFile
+} = require('../audioImport');
+
+// Audio element stand-in that loads the given duration once its source is set
+const createAudioClass = (durations, options = {}) => {
+  const elements = [];
+  const AudioClass = jest.fn(function AudioElement() {
+    let duration = durations[0];
+    let src = '';
+    const element = {
+      removeAttribute: jest.fn(() => { src = ''; }),
+      get duration() { return duration; },
+      get src() { return src; },
+      set src(value) {
+        src = value;
+        setTimeout(() => (options.fail ? element.onerror() : element.onloadedmetadata()), 0);
+      },
+      set currentTime(value) {
+        element.seekedTo = value;
+        duration = durations[1];
+        if (!options.neverReports) setTimeout(() => element.ontimeupdate(), 0);
+      }
+    };
+    elements.push(element);
+    return element;
+  });
+  AudioClass.elements = elements;
+  return AudioClass;
+};
+
+describe('audioImport', () => {
+  const file = (name, type) => ({ name, type, size: 2048 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('should accept audio files by type or extension', () => {
+    expect(AUDIO_FILE_ACCEPT).toContain('audio/*');
+    expect(AUDIO_FILE_ACCEPT).toContain('.m4a');
+    expect(getAudioFileType(file('hearing.mp3', 'audio/mpeg'))).toBe('audio/mpeg');
+    expect(getAudioFileType(file('HEARING.FLAC', ''))).toBe('audio/flac');
+    expect(getAudioFileType(file('hearing.webm', 'video/webm'))).toBe('audio/webm');
+    expect(getAudioFileType(file('docket.csv', 'text/csv'))).toBeNull();
+  });
+
+  it('should read the duration from the media metadata', async () => {
+    const AudioClass = createAudioClass([95.4]);
+
+    expect(await readAudioDuration({ type: 'audio/mpeg' }, AudioClass)).toBe(95);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('mock-url');
+    expect(AudioClass.elements[0].removeAttribute).toHaveBeenCalledWith('src');
+  });
+
+  it('should seek to the end of recordings that do not report a duration', async () => {
+    const AudioClass = createAudioClass([Infinity, 3300.2]);
+
+    expect(await readAudioDuration({ type: 'audio/webm' }, AudioClass)).toBe(3300);
+    expect(AudioClass.elements[0].seekedTo).toBe(Number.MAX_SAFE_INTEGER);
+  });
+
+  it('should give up on a duration that never arrives and still free the file', async () => {
+    jest.useFakeTimers();
+    const AudioClass = createAudioClass([Infinity, Infinity], { neverReports: true });
+
+    const promise = readAudioDuration({ type: 'audio/webm' }, AudioClass);
+    await jest.advanceTimersByTimeAsync(5000);
+
+    expect(await promise).toBe(0);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('mock-url');
+    expect(AudioClass.elements[0].ontimeupdate).toBeNull();
+    jest.useRealTimers();
+  });
+
+  it('should reject files the browser cannot play', async () => {
+    await expect(readAudioDuration({ type: 'audio/x-ms-wma' }, createAudioClass([0], { fail: true })))
+      .rejects.toThrow('This audio format cannot be played in this browser');
+  });
+
+  it('should turn an audio file into a take', async () => {
+    const recorded = file('handheld.mp3', 'audio/mpeg');
+
+    expect(await importAudioFile(recorded, createAudioClass([61]))).toEqual({
+      startedAt: null,
+      duration: 61,
+      audioBlob: recorded,
+      fileName: 'handheld.mp3'
+    });
+  });
+
+  it('should label files whose type was not reported', async () => {
+    const take = await importAudioFile(file('court-system.m4a', ''), createAudioClass([30]));
+
+    expect(take.audioBlob.type).toBe('audio/mp4');
+    expect(take.fileName).toBe('court-system.m4a');
+  });
+
+  it('should refuse files that are not audio', async () => {
+    await expect(importAudioFile(file('docket.csv', 'text/csv'))).rejects.toThrow('docket.csv is not an audio file');
+    await expect(importAudioFile(null)).rejects.toThrow('No file selected');
+  });
+});
@@ -1,4 +1,23 @@
-const { startRecording, stopRecording, formatDuration, downloadAudio } = require('../audioRecorder');
+const {
+  AUDIO_FORMATS,
+  DEFAULT_AUDIO_SETTINGS,
+  getSupportedAudioFormats,
+  selectAudioFormat,
+  getRecorderOptions,
+  getExtensionForType,
+  getAudioSettings,
+  saveAudioSettings,
+  stopRecording,
+  formatDuration,
+  downloadAudio,
+  downloadAudioAsWAV
+} = require('../audioRecorder');
+const { createMemoryStorage } = require('../../testUtils/memoryStorage');
+
+// A MediaRecorder stand-in that only supports the given types
+const createRecorderClass = (supportedTypes) => ({
+  isTypeSupported: jest.fn(type => supportedTypes.includes(type))
+});
 
 describe('audioRecorder', () => {
   beforeEach(() => {
@@ -6,68 +25,78 @@ describe('audioRecorder', () => {
     jest.clearAllMocks();
   });
 
-  describe('startRecording', () => {
-    it('should start recording successfully', async () => {
-      const onDataAvailable = jest.fn();
-      const onStop = jest.fn();
-
-      const recorder = await startRecording(onDataAvailable, onStop);
-
-      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: true });
-      expect(MediaRecorder).toHaveBeenCalled();
-      expect(recorder.start).toHaveBeenCalled();
+  describe('format negotiation', () => {
+    afterEach(() => {
+      delete MediaRecorder.isTypeSupported;
     });
 
-    it('should handle microphone access errors', async () => {
-      navigator.mediaDevices.getUserMedia.mockRejectedValue(new Error('Permission denied'));
+    it('should list supported formats in order of preference', () => {
+      const Recorder = createRecorderClass(['audio/mp4', 'audio/ogg;codecs=opus']);
 
-      await expect(startRecording()).rejects.toThrow('Failed to access microphone. Please check permissions.');
+      expect(getSupportedAudioFormats(Recorder).map(format => format.mimeType))
+        .toEqual(['audio/ogg;codecs=opus', 'audio/mp4']);
+      expect(getSupportedAudioFormats({})).toEqual([]);
     });
 
-    it('should set up event handlers correctly', async () => {
-      const onDataAvailable = jest.fn();
-      const onStop = jest.fn();
-
-      const recorder = await startRecording(onDataAvailable, onStop);
+    it('should honour the preferred format only when it is supported', () => {
+      const Recorder = createRecorderClass(['audio/webm;codecs=opus', 'audio/ogg;codecs=opus']);
 
-      // Simulate data available event
-      const mockEvent = { data: new Blob(['test'], { type: 'audio/webm' }) };
-      recorder.ondataavailable(mockEvent);
-      expect(onDataAvailable).toHaveBeenCalledWith(mockEvent);
-
-      // Simulate stop event
-      recorder.onstop();
-      expect(onStop).toHaveBeenCalledWith(expect.any(Blob));
+      expect(selectAudioFormat('audio/ogg;codecs=opus', Recorder).mimeType).toBe('audio/ogg;codecs=opus');
+      expect(selectAudioFormat('audio/mp4', Recorder)).toBe(AUDIO_FORMATS[0]);
+      expect(selectAudioFormat('', createRecorderClass([]))).toBeNull();
     });
 
-    it('should stop stream tracks when recording stops', async () => {
-      const mockTrack = { stop: jest.fn() };
-      navigator.mediaDevices.getUserMedia.mockResolvedValue({
-        getTracks: () => [mockTrack]
-      });
-
-      const onStop = jest.fn();
-      const recorder = await startRecording(null, onStop);
+    it('should build recorder options with the bitrate', () => {
+      const Recorder = createRecorderClass(['audio/mp4;codecs=mp4a.40.2']);
 
-      // Simulate stop event
-      recorder.onstop();
+      expect(getRecorderOptions({ audioBitsPerSecond: 32000 }, Recorder))
+        .toEqual({ mimeType: 'audio/mp4;codecs=mp4a.40.2', audioBitsPerSecond: 32000 });
+      // Without isTypeSupported the browser picks the format
+      expect(getRecorderOptions({}, {})).toEqual({ audioBitsPerSecond: 64000 });
+    });
 
-      expect(mockTrack.stop).toHaveBeenCalled();
+    it('should map recording types to file extensions', () => {
+      expect(getExtensionForType('audio/webm;codecs=opus')).toBe('webm');
+      expect(getExtensionForType('audio/ogg; codecs=opus')).toBe('ogg');
+      expect(getExtensionForType('audio/mp4')).toBe('m4a');
+      expect(getExtensionForType('')).toBe('webm');
     });
 
-    it('should create blob with correct type when stopping', async () => {
-      const onStop = jest.fn();
-      const recorder = await startRecording(null, onStop);
+    it('should save and load audio settings', () => {
+      const storage = createMemoryStorage();
 
-      // Mock chunks data
-      const chunks = [new Blob(['chunk1']), new Blob(['chunk2'])];
-      recorder.ondataavailable({ data: chunks[0] });
-      recorder.ondataavailable({ data: chunks[1] });
+      expect(getAudioSettings(storage)).toEqual(DEFAULT_AUDIO_SETTINGS);
 
-      recorder.onstop();
+      saveAudioSettings({
+        mimeType: 'audio/ogg;codecs=opus',
+        audioBitsPerSecond: '128000',
+        wavEncoding: 'mulaw',
+        deviceId: 'usb-mic',
+        autoGainControl: false,
+        silenceWarningSeconds: '30'
+      }, storage);
 
-      expect(global.Blob).toHaveBeenCalledWith(chunks, { type: 'audio/webm' });
-      expect(onStop).toHaveBeenCalledWith(expect.any(Object));
+      expect(getAudioSettings(storage)).toEqual({
+        mimeType: 'audio/ogg;codecs=opus',
+        audioBitsPerSecond: 128000,
+        wavEncoding: 'mulaw',
+        deviceId: 'usb-mic',
+        echoCancellation: true,
+        noiseSuppression: true,
+        autoGainControl: false,
+        silenceWarningSeconds: 30,
+        segmentMinutes: 0,
+        segmentMegabytes: 0,
+        splitSilenceSeconds: 0,
+        captureTabAudio: false,
+        micGain: 1,
+        tabGain: 1,
+        separateChannels: false
+      });
+      expect(saveAudioSettings({ captureTabAudio: true, tabGain: '1.5', separateChannels: true }, storage)).toEqual(
+        expect.objectContaining({ captureTabAudio: true, micGain: 1, tabGain: 1.5, separateChannels: true })
+      );
+      expect(saveAudioSettings({ wavEncoding: 'mp3' }, storage).wavEncoding).toBe('pcm16');
     });
   });
 
@@ -165,4 +194,41 @@ describe('audioRecorder', () => {
       expect(URL.revokeObjectURL).toHaveBeenCalledWith('mock-url');
     });
   });
-});
\ No newline at end of file
+
+  describe('downloadAudioAsWAV', () => {
+    const originalAudioContext = window.AudioContext;
+    let mockAnchor;
+
+    beforeEach(() => {
+      mockAnchor = { href: '', download: '', click: jest.fn() };
+      document.createElement.mockReturnValue(mockAnchor);
+      window.AudioContext = jest.fn(() => ({
+        decodeAudioData: jest.fn().mockResolvedValue({
+          sampleRate: 16000,
+          numberOfChannels: 1,
+          getChannelData: () => new Float32Array([0, 0.5, -0.5])
+        }),
+        close: jest.fn()
+      }));
+    });
+
+    afterEach(() => {
+      window.AudioContext = originalAudioContext;
+    });
+
+    it('should convert the recording and download it as WAV', async () => {
+      const audioBlob = { type: 'audio/webm', arrayBuffer: jest.fn().mockResolvedValue(new ArrayBuffer(8)) };
+
+      await downloadAudioAsWAV(audioBlob, 'test.wav', { encoding: 'mulaw' });
+
+      expect(window.AudioContext).toHaveBeenCalledWith({ sampleRate: 16000 });
+      expect(URL.createObjectURL).toHaveBeenCalledWith(expect.objectContaining({ type: 'audio/wav' }));
+      expect(mockAnchor.download).toBe('test.wav');
+      expect(mockAnchor.click).toHaveBeenCalled();
+    });
+
+    it('should reject when there is no recording', async () => {
+      await expect(downloadAudioAsWAV(null, 'test.wav')).rejects.toThrow('No audio data available for download');
+    });
+  });
+});
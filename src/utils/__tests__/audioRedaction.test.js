@@ -0,0 +1,159 @@
+const {
+  parseTimestamp,
+  normalizeRanges,
+  applyRedactions,
+  redactAudio,
+  buildRedactionLog,
+  sealOriginal,
+  openSealedOriginal,
+  applyRedactionToTakes,
+  buildOriginalAccessEntry,
+  describeRedactionEntry
+} = require('../audioRedaction');
+const { webcrypto } = require('crypto');
+const { TextEncoder } = require('util');
+
+// An AudioContext stand-in that decodes every blob to the given mono samples
+const createContextClass = (samples, sampleRate) => jest.fn().mockImplementation(() => ({
+  decodeAudioData: jest.fn().mockResolvedValue({
+    numberOfChannels: 1,
+    sampleRate,
+    getChannelData: () => samples
+  }),
+  close: jest.fn()
+}));
+
+describe('audioRedaction', () => {
+  it('should read times typed as seconds, m:ss or h:mm:ss', () => {
+    expect(parseTimestamp('95')).toBe(95);
+    expect(parseTimestamp('1:35')).toBe(95);
+    expect(parseTimestamp(' 1:02:03 ')).toBe(3723);
+    expect(parseTimestamp('0:30.5')).toBe(30.5);
+    expect(parseTimestamp('')).toBeNull();
+    expect(parseTimestamp('1:xx')).toBeNull();
+  });
+
+  it('should sort the ranges and merge the ones that overlap', () => {
+    expect(normalizeRanges([
+      { start: 60, end: 90, reason: 'Sealed sidebar' },
+      { start: 10, end: 20, reason: 'Client whisper' },
+      { start: 80, end: 200, reason: 'Juror name' }
+    ], 120)).toEqual([
+      { start: 10, end: 20, reason: 'Client whisper' },
+      { start: 60, end: 120, reason: 'Sealed sidebar; Juror name' }
+    ]);
+  });
+
+  it('should reject ranges that cannot be redacted', () => {
+    expect(() => normalizeRanges([], 60)).toThrow('Add at least one passage to redact');
+    expect(() => normalizeRanges([{ start: 20, end: 10 }], 60)).toThrow('Each passage must end after it starts');
+    expect(() => normalizeRanges([{ start: 70, end: 80 }], 60)).toThrow('A passage starts after the end of the recording');
+  });
+
+  it('should replace the ranges with silence or a tone and leave the rest', () => {
+    const samples = new Float32Array(10).fill(0.5);
+
+    const silenced = applyRedactions(samples, 10, [{ start: 0.2, end: 0.5 }]);
+    expect(Array.from(silenced)).toEqual([0.5, 0.5, 0, 0, 0, 0.5, 0.5, 0.5, 0.5, 0.5]);
+    expect(samples[2]).toBe(0.5);
+
+    const toned = applyRedactions(new Float32Array(8000).fill(0.5), 8000, [{ start: 0, end: 0.5 }], 'tone');
+    expect(toned[2]).not.toBe(0.5);
+    expect(Math.max(...toned.slice(0, 4000))).toBeLessThan(0.5);
+    expect(toned[4000]).toBe(0.5);
+  });
+
+  it('should render the redacted copy as a WAV file', async () => {
+    const ContextClass = createContextClass(new Float32Array(16000).fill(0.5), 16000);
+    const audioBlob = { type: 'audio/webm', arrayBuffer: jest.fn().mockResolvedValue(new ArrayBuffer(8)) };
+
+    const result = await redactAudio(audioBlob, [{ start: 0, end: 0.5 }], { fill: 'silence' }, ContextClass);
+
+    expect(result.type).toBe('audio/wav');
+    const view = new DataView(result.content[0]);
+    expect(view.getInt16(44, true)).toBe(0);
+    expect(view.getInt16(44 + 2 * 15999, true)).toBeGreaterThan(0);
+    await expect(redactAudio(null, [])).rejects.toThrow('No audio data available for redaction');
+  });
+
+  it('should log who redacted what, when and why', () => {
+    const now = new Date('2024-01-15T10:00:00.000Z');
+
+    expect(buildRedactionLog([{ start: 10, end: 20, reason: 'Client whisper' }], { redactedBy: 'J. Clerk', take: 1, fill: 'tone' }, now)).toEqual([
+      { action: 'redacted', by: 'J. Clerk', at: '2024-01-15T10:00:00.000Z', take: 1, start: 10, end: 20, reason: 'Client whisper', fill: 'tone' }
+    ]);
+    expect(buildOriginalAccessEntry(0, 'A. Judge', 'Appeal', now)).toEqual({
+      action: 'original-opened', by: 'A. Judge', at: '2024-01-15T10:00:00.000Z', take: 0, reason: 'Appeal'
+    });
+  });
+
+  describe('sealed originals', () => {
+    // Buffers, as jsdom's own ArrayBuffers are not accepted by Node's Web Crypto
+    const bytes = Buffer.from([1, 2, 3, 250]);
+    const original = { type: 'audio/webm', arrayBuffer: () => Promise.resolve(bytes) };
+
+    beforeEach(() => {
+      global.TextEncoder = TextEncoder;
+    });
+
+    afterEach(() => {
+      delete global.TextEncoder;
+    });
+
+    it('should encrypt the original and open it again with the passphrase', async () => {
+      const sealed = await sealOriginal(original, 'correct horse', webcrypto);
+
+      expect(sealed.type).toBe('audio/webm');
+      expect(Buffer.from(sealed.data)).not.toEqual(bytes);
+
+      const opened = await openSealedOriginal(sealed, 'correct horse', webcrypto);
+      expect(opened.type).toBe('audio/webm');
+      expect(Buffer.from(opened.content[0])).toEqual(bytes);
+    });
+
+    it('should keep the original sealed against a wrong passphrase', async () => {
+      const sealed = await sealOriginal(original, 'correct horse', webcrypto);
+
+      await expect(openSealedOriginal(sealed, 'battery staple', webcrypto)).rejects.toThrow('Wrong passphrase; the original stays sealed');
+    });
+
+    it('should not seal without a passphrase or Web Crypto', async () => {
+      await expect(sealOriginal(original, '', webcrypto)).rejects.toThrow('Enter a passphrase to seal the original');
+      await expect(sealOriginal(original, 'correct horse', {})).rejects.toThrow('This browser cannot encrypt the original');
+    });
+  });
+
+  it('should swap in the redacted copy, keep the first sealed original and clear transcripts', () => {
+    const original = { type: 'audio/webm' };
+    const sealed = { type: 'audio/webm', data: 'ciphertext' };
+    const redacted = { type: 'audio/wav' };
+    const later = { type: 'audio/webm', name: 'later' };
+    const takes = [
+      { startedAt: null, duration: 60, audioBlob: original, transcript: 'Privileged words', transcription: { text: 'Privileged words' } },
+      { startedAt: null, duration: 30, audioBlob: later }
+    ];
+    const entry = { action: 'redacted' };
+
+    const update = applyRedactionToTakes({ status: 'complete', redactionLog: [] }, takes, 0, redacted, [entry], sealed);
+
+    expect(update.takes[0]).toEqual({ startedAt: null, duration: 60, audioBlob: redacted, sealedOriginal: sealed, redacted: true });
+    expect(update.takes[1]).toBe(takes[1]);
+    expect(update.audioBlob).toBe(later);
+    expect(update.transcript).toBe('');
+    expect(update.status).toBe('recorded');
+    expect(update.redactionLog).toEqual([entry]);
+
+    const again = applyRedactionToTakes({ status: 'recorded' }, update.takes, 0, { type: 'audio/wav' }, []);
+    expect(again.takes[0].sealedOriginal).toBe(sealed);
+  });
+
+  it('should describe redactions and openings of the original', () => {
+    const at = '2024-01-15T10:00:00.000Z';
+    const when = new Date(at).toLocaleString();
+
+    expect(describeRedactionEntry({ action: 'redacted', by: 'J. Clerk', at, take: 0, start: 10, end: 75.5, reason: 'Sealed sidebar', fill: 'tone' }))
+      .toBe(`${when} · J. Clerk redacted take 1 0:10-1:16 with a tone: Sealed sidebar`);
+    expect(describeRedactionEntry({ action: 'original-opened', by: 'A. Judge', at, take: 1, reason: 'Appeal' }))
+      .toBe(`${when} · A. Judge opened the original of take 2: Appeal`);
+  });
+});
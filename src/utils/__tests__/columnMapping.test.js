@@ -0,0 +1,146 @@
+const {
+  normalizeHeader,
+  proposeColumnMapping,
+  getMissingFields,
+  isIdentityMapping,
+  applyColumnMapping,
+  getHeaderSignature,
+  getSavedMapping,
+  saveMapping
+} = require('../columnMapping');
+const { parseCSV } = require('../csvParser');
+const { createMemoryStorage } = require('../../testUtils/memoryStorage');
+
+describe('columnMapping', () => {
+  describe('normalizeHeader', () => {
+    it('should lowercase and strip punctuation', () => {
+      expect(normalizeHeader('  Case No. ')).toBe('case no');
+      expect(normalizeHeader('Sched_Time')).toBe('sched time');
+      expect(normalizeHeader('Case #')).toBe('case #');
+    });
+
+    it('should handle empty input', () => {
+      expect(normalizeHeader('')).toBe('');
+      expect(normalizeHeader(undefined)).toBe('');
+    });
+  });
+
+  describe('proposeColumnMapping', () => {
+    it('should map a county export onto hearing fields', () => {
+      const mapping = proposeColumnMapping(['Case No.', 'Defendant', 'Courtroom', 'Sched Time']);
+
+      expect(mapping['Case Number']).toBe('Case No.');
+      expect(mapping['Client Name']).toBe('Defendant');
+      expect(mapping['Division']).toBe('Courtroom');
+      expect(mapping['Time']).toBe('Sched Time');
+      expect(mapping['Date']).toBeNull();
+    });
+
+    it('should map optional fields when present', () => {
+      const mapping = proposeColumnMapping(['Case Number', 'Client Name', 'Division', 'Time', 'Hearing Date', 'Atty']);
+
+      expect(mapping['Date']).toBe('Hearing Date');
+      expect(mapping['Attorney']).toBe('Atty');
+    });
+
+    it('should prefer exact matches over partial ones', () => {
+      const mapping = proposeColumnMapping(['Hearing Time', 'Time', 'Case Number']);
+
+      expect(mapping['Time']).toBe('Time');
+    });
+
+    it('should match partial headers on whole or abbreviated words only', () => {
+      const mapping = proposeColumnMapping(['Case No.', 'Defendant', 'Subdivision', 'Div Code', 'Last Updated Timestamp', 'Appearance Time']);
+
+      expect(mapping['Division']).toBe('Div Code');
+      expect(mapping['Time']).toBe('Appearance Time');
+    });
+
+    it('should use each header only once', () => {
+      const mapping = proposeColumnMapping(['Case Number']);
+      const mapped = Object.values(mapping).filter(Boolean);
+
+      expect(mapped).toEqual(['Case Number']);
+    });
+  });
+
+  describe('getMissingFields', () => {
+    it('should list unmapped required fields', () => {
+      const mapping = proposeColumnMapping(['Case No.', 'Defendant']);
+
+      expect(getMissingFields(mapping)).toEqual(['Division', 'Time']);
+    });
+  });
+
+  describe('isIdentityMapping', () => {
+    it('should accept files already using the standard headers', () => {
+      const mapping = proposeColumnMapping(['Case Number', 'Client Name', 'Division', 'Time', 'Notes']);
+
+      expect(isIdentityMapping(mapping)).toBe(true);
+    });
+
+    it('should reject files that need renaming', () => {
+      const mapping = proposeColumnMapping(['Case No.', 'Defendant', 'Courtroom', 'Sched Time']);
+
+      expect(isIdentityMapping(mapping)).toBe(false);
+    });
+  });
+
+  describe('applyColumnMapping', () => {
+    it('should rename mapped columns and keep the rest', () => {
+      const row = { 'Case No.': '123-2024', 'Defendant': 'John Doe', 'Bond': '$500' };
+      const result = applyColumnMapping(row, { 'Case Number': 'Case No.', 'Client Name': 'Defendant', 'Division': null });
+
+      expect(result).toEqual({ 'Case Number': '123-2024', 'Client Name': 'John Doe', 'Bond': '$500' });
+    });
+
+    it('should be applied by parseCSV when a mapping is given', () => {
+      const csvData = `Case No.,Defendant,Courtroom,Sched Time
+123-2024,"Doe, John",3A,9:00 AM`;
+      const mapping = proposeColumnMapping(['Case No.', 'Defendant', 'Courtroom', 'Sched Time']);
+
+      const result = parseCSV(csvData, { mapping });
+
+      expect(result[0]).toMatchObject({
+        'Case Number': '123-2024',
+        'Client Name': 'Doe, John',
+        'Division': '3A',
+        'Time': '9:00 AM'
+      });
+      expect(result[0].id).toContain('123-2024');
+    });
+  });
+
+  describe('saved mappings', () => {
+    const headers = ['Case No.', 'Defendant', 'Courtroom', 'Sched Time'];
+
+    it('should identify a source by its header layout', () => {
+      expect(getHeaderSignature(headers)).toBe(getHeaderSignature(['case no', 'DEFENDANT', 'Courtroom', 'Sched Time']));
+      expect(getHeaderSignature(headers)).not.toBe(getHeaderSignature(['Case Number', 'Defendant']));
+    });
+
+    it('should remember a mapping per source', () => {
+      const storage = createMemoryStorage();
+      const mapping = { ...proposeColumnMapping(headers), Division: 'Defendant', 'Client Name': 'Courtroom' };
+
+      saveMapping(headers, mapping, storage);
+
+      expect(getSavedMapping(headers, storage)).toEqual(mapping);
+      expect(getSavedMapping(['Case Number', 'Client Name'], storage)).toBeNull();
+    });
+
+    it('should ignore a saved mapping that names missing headers', () => {
+      const storage = createMemoryStorage();
+      saveMapping(headers, { 'Case Number': 'Case No', 'Time': 'Sched Time' }, storage);
+
+      expect(getSavedMapping(headers, storage)).toBeNull();
+    });
+
+    it('should tolerate corrupt storage', () => {
+      const storage = createMemoryStorage();
+      storage.setItem('courtReporter.columnMappings', '{not json');
+
+      expect(getSavedMapping(headers, storage)).toBeNull();
+    });
+  });
+});
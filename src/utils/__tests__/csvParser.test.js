@@ -1,6 +1,93 @@
-const { parseCSV, validateCSVHeaders, initializeRecordingStates } = require('../csvParser');
+const {
+  detectDelimiter,
+  tokenizeCSV,
+  parseCSV,
+  parseCSVWithDiagnostics,
+  diagnoseRows,
+  parseTime,
+  parseDate,
+  parseDateTime,
+  getHearingSchedule,
+  validateCSVHeaders,
+  initializeRecordingStates
+} = require('../csvParser');
 
 describe('csvParser', () => {
+  describe('tokenizeCSV', () => {
+    it('should keep delimiters inside quoted fields', () => {
+      const result = tokenizeCSV('123-2024,"Smith, John",Criminal');
+
+      expect(result).toEqual([['123-2024', 'Smith, John', 'Criminal']]);
+    });
+
+    it('should unescape doubled quotes', () => {
+      const result = tokenizeCSV('"He said ""objection""",x');
+
+      expect(result[0][0]).toBe('He said "objection"');
+    });
+
+    it('should keep line breaks inside quoted fields', () => {
+      const result = tokenizeCSV('a,"line one\nline two",c\nd,e,f');
+
+      expect(result).toHaveLength(2);
+      expect(result[0][1]).toBe('line one\nline two');
+    });
+
+    it('should handle CRLF line endings and a byte order mark', () => {
+      const result = tokenizeCSV('\uFEFFCase Number,Time\r\n123-2024,9:00 AM\r\n');
+
+      expect(result).toEqual([['Case Number', 'Time'], ['123-2024', '9:00 AM']]);
+    });
+
+    it('should support a custom delimiter', () => {
+      const result = tokenizeCSV('a\tb, c\td', { delimiter: '\t' });
+
+      expect(result).toEqual([['a', 'b, c', 'd']]);
+    });
+
+    it('should detect tab-separated text copied from a web page', () => {
+      const result = tokenizeCSV('Case Number\tClient Name\tTime\n123-2024\tSmith, John\t9:00 AM');
+
+      expect(result).toEqual([['Case Number', 'Client Name', 'Time'], ['123-2024', 'Smith, John', '9:00 AM']]);
+    });
+
+    it('should report the position of an unterminated quote', () => {
+      const csvData = 'Case Number,Client Name\n123-2024,"Smith, John\n456-2024,Doe';
+
+      expect(() => tokenizeCSV(csvData)).toThrow('Malformed CSV at row 2, column 2 (line 2): unterminated quoted field');
+    });
+
+    it('should report characters after a closing quote', () => {
+      let error;
+      try {
+        tokenizeCSV('a,b\nc,"d"e');
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeDefined();
+      expect(error.row).toBe(2);
+      expect(error.column).toBe(2);
+      expect(error.line).toBe(2);
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('should pick tabs when the header line is tab-separated', () => {
+      expect(detectDelimiter('\n\nCase Number\tClient Name\nDoe, John\t1')).toBe('\t');
+    });
+
+    it('should default to commas', () => {
+      expect(detectDelimiter('Case Number,Client Name\n123,Doe')).toBe(',');
+      expect(detectDelimiter('')).toBe(',');
+    });
+
+    it('should ignore delimiters inside quoted headers', () => {
+      expect(detectDelimiter('"Case, Number"\t"Client, Name"\tTime')).toBe('\t');
+      expect(detectDelimiter('"Case\tNumber","Client\tName",Time')).toBe(',');
+    });
+  });
+
   describe('parseCSV', () => {
     it('should parse valid CSV data correctly', () => {
       const csvData = `Case Number,Client Name,Division,Time
@@ -80,6 +167,232 @@ describe('csvParser', () => {
       expect(result[0].id).toContain('123-2024');
       expect(result[1].id).toContain('456-2024');
     });
+
+    it('should parse quoted names containing commas', () => {
+      const csvData = `Case Number,Client Name,Division,Time
+"123-2024","Smith, John",Criminal,9:00 AM`;
+
+      const result = parseCSV(csvData);
+
+      expect(result).toHaveLength(1);
+      expect(result[0]['Client Name']).toBe('Smith, John');
+      expect(result[0]['Division']).toBe('Criminal');
+    });
+
+    it('should not leak carriage returns from Windows exports', () => {
+      const csvData = 'Case Number,Client Name,Division,Time\r\n123-2024,John Doe,Criminal,9:00 AM\r\n';
+
+      const result = parseCSV(csvData);
+
+      expect(result).toHaveLength(1);
+      expect(result[0]['Time']).toBe('9:00 AM');
+    });
+
+    it('should ignore blank trailing columns', () => {
+      const csvData = `Case Number,Client Name,Division,Time,,
+123-2024,John Doe,Criminal,9:00 AM,,
+456-2024,Jane Smith,Civil,,,`;
+
+      const result = parseCSV(csvData);
+
+      expect(result).toHaveLength(2);
+      expect(Object.keys(result[0])).toEqual(['Case Number', 'Client Name', 'Division', 'Time', 'id', 'scheduledDate', 'scheduledAt']);
+      expect(result[1]['Time']).toBe('');
+    });
+  });
+
+  describe('parseTime', () => {
+    it('should parse common docket time formats', () => {
+      expect(parseTime('9:00 AM')).toEqual({ hours: 9, minutes: 0 });
+      expect(parseTime('9am')).toEqual({ hours: 9, minutes: 0 });
+      expect(parseTime('1:30 p.m.')).toEqual({ hours: 13, minutes: 30 });
+      expect(parseTime('12:15 AM')).toEqual({ hours: 0, minutes: 15 });
+      expect(parseTime('0900')).toEqual({ hours: 9, minutes: 0 });
+      expect(parseTime('14:30')).toEqual({ hours: 14, minutes: 30 });
+      expect(parseTime('2:35:12 PM')).toEqual({ hours: 14, minutes: 35 });
+    });
+
+    it('should reject unparseable times', () => {
+      expect(parseTime('TBD')).toBeNull();
+      expect(parseTime('25:00')).toBeNull();
+      expect(parseTime('13 PM')).toBeNull();
+      expect(parseTime('')).toBeNull();
+    });
+  });
+
+  describe('parseDate', () => {
+    it('should parse common docket date formats', () => {
+      const expected = { year: 2024, month: 3, day: 15 };
+
+      expect(parseDate('2024-03-15')).toEqual(expected);
+      expect(parseDate('3/15/2024')).toEqual(expected);
+      expect(parseDate('03/15/24')).toEqual(expected);
+      expect(parseDate('Mar 15, 2024')).toEqual(expected);
+      expect(parseDate('Friday, March 15, 2024')).toEqual(expected);
+      expect(parseDate('15-Mar-2024')).toEqual(expected);
+    });
+
+    it('should reject dates that do not exist', () => {
+      expect(parseDate('2/30/2024')).toBeNull();
+      expect(parseDate('13/01/2024')).toBeNull();
+      expect(parseDate('Smarch 1, 2024')).toBeNull();
+      expect(parseDate('next week')).toBeNull();
+      expect(parseDate('')).toBeNull();
+    });
+
+    it('should split combined date and time values', () => {
+      expect(parseDateTime('3/15/2024 9:00 AM')).toEqual({
+        date: { year: 2024, month: 3, day: 15 },
+        time: { hours: 9, minutes: 0 }
+      });
+      expect(parseDateTime('2024-03-15T14:30:00')).toMatchObject({ time: { hours: 14, minutes: 30 } });
+      expect(parseDateTime('9:00 AM')).toBeNull();
+    });
+  });
+
+  describe('getHearingSchedule', () => {
+    const referenceDate = new Date(2024, 2, 15);
+
+    it('should combine the Date and Time columns', () => {
+      const schedule = getHearingSchedule({ 'Date': '3/18/2024', 'Time': '0930' }, referenceDate);
+
+      expect(schedule).toEqual({
+        scheduledDate: '2024-03-18',
+        scheduledAt: new Date(2024, 2, 18, 9, 30).getTime()
+      });
+    });
+
+    it('should use the reference date when there is no Date column', () => {
+      const schedule = getHearingSchedule({ 'Time': '2pm' }, referenceDate);
+
+      expect(schedule.scheduledDate).toBe('2024-03-15');
+      expect(schedule.scheduledAt).toBe(new Date(2024, 2, 15, 14, 0).getTime());
+    });
+
+    it('should read a date embedded in the Time column', () => {
+      const schedule = getHearingSchedule({ 'Time': '3/19/2024 1:30 PM' }, referenceDate);
+
+      expect(schedule.scheduledAt).toBe(new Date(2024, 2, 19, 13, 30).getTime());
+    });
+
+    it('should leave unparseable values unscheduled', () => {
+      expect(getHearingSchedule({ 'Time': 'TBD' }, referenceDate)).toEqual({
+        scheduledDate: '2024-03-15',
+        scheduledAt: null
+      });
+      expect(getHearingSchedule({ 'Date': 'soon', 'Time': '9am' }, referenceDate)).toEqual({
+        scheduledDate: null,
+        scheduledAt: null
+      });
+    });
+  });
+
+  describe('parseCSVWithDiagnostics', () => {
+    it('should report no issues for a clean file', () => {
+      const csvData = `Case Number,Client Name,Division,Time
+123-2024,John Doe,Criminal,9:00 AM
+456-2024,Jane Smith,Civil,10:30 AM`;
+
+      const report = parseCSVWithDiagnostics(csvData);
+
+      expect(report.headers).toEqual(['Case Number', 'Client Name', 'Division', 'Time']);
+      expect(report.rows).toHaveLength(2);
+      expect(report.rows.every(row => row.issues.length === 0)).toBe(true);
+    });
+
+    it('should flag missing case numbers as errors', () => {
+      const csvData = `Case Number,Client Name,Division,Time
+,John Doe,Criminal,9:00 AM`;
+
+      const [row] = parseCSVWithDiagnostics(csvData).rows;
+
+      expect(row.row).toBe(2);
+      expect(row.issues).toEqual([
+        expect.objectContaining({ code: 'missing-case-number', severity: 'error', field: 'Case Number' })
+      ]);
+    });
+
+    it('should flag unparseable times', () => {
+      const csvData = `Case Number,Client Name,Division,Time
+123-2024,John Doe,Criminal,after lunch`;
+
+      const [row] = parseCSVWithDiagnostics(csvData).rows;
+
+      expect(row.issues[0]).toMatchObject({ code: 'invalid-time', severity: 'warning', field: 'Time' });
+    });
+
+    it('should flag unparseable dates', () => {
+      const csvData = `Case Number,Client Name,Division,Date,Time
+123-2024,John Doe,Criminal,someday,9:00 AM`;
+
+      const [row] = parseCSVWithDiagnostics(csvData).rows;
+
+      expect(row.issues[0]).toMatchObject({ code: 'invalid-date', severity: 'warning', field: 'Date' });
+    });
+
+    it('should accept a date embedded in the Time column', () => {
+      const csvData = `Case Number,Client Name,Division,Time
+123-2024,John Doe,Criminal,3/15/2024 9:00 AM`;
+
+      const [row] = parseCSVWithDiagnostics(csvData).rows;
+
+      expect(row.issues).toHaveLength(0);
+      expect(row.hearing.scheduledDate).toBe('2024-03-15');
+    });
+
+    it('should schedule hearings on the reference date', () => {
+      const csvData = `Case Number,Client Name,Division,Time
+123-2024,John Doe,Criminal,9:00 AM`;
+
+      const [row] = parseCSVWithDiagnostics(csvData, { referenceDate: new Date(2024, 2, 15) }).rows;
+
+      expect(row.hearing.scheduledAt).toBe(new Date(2024, 2, 15, 9, 0).getTime());
+    });
+
+    it('should flag duplicate case numbers with the original row', () => {
+      const csvData = `Case Number,Client Name,Division,Time
+123-2024,John Doe,Criminal,9:00 AM
+
+123-2024,John Doe,Criminal,11:00 AM`;
+
+      const report = parseCSVWithDiagnostics(csvData);
+
+      expect(report.rows[0].issues).toHaveLength(0);
+      expect(report.rows[1].row).toBe(4);
+      expect(report.rows[1].issues[0]).toMatchObject({
+        code: 'duplicate-case-number',
+        message: 'Duplicate case number (also on row 2)'
+      });
+    });
+
+    it('should flag values beyond the header columns', () => {
+      const csvData = `Case Number,Client Name,Division,Time
+123-2024,Doe,John,Criminal,9:00 AM`;
+
+      const [row] = parseCSVWithDiagnostics(csvData).rows;
+
+      expect(row.extraValues).toEqual(['9:00 AM']);
+      expect(row.issues.map(issue => issue.code)).toContain('extra-columns');
+    });
+  });
+
+  describe('diagnoseRows', () => {
+    it('should clear issues once a row is fixed', () => {
+      const rows = [{ row: 2, hearing: { 'Case Number': '', 'Time': '9:00 AM' }, extraValues: [] }];
+      const fixed = [{ ...rows[0], hearing: { ...rows[0].hearing, 'Case Number': '123-2024' } }];
+
+      expect(diagnoseRows(rows)[0].issues).toHaveLength(1);
+      expect(diagnoseRows(fixed)[0].issues).toHaveLength(0);
+    });
+
+    it('should ignore skipped rows when checking duplicates', () => {
+      const rows = [
+        { row: 2, hearing: { 'Case Number': '123-2024' }, extraValues: [], skipped: true },
+        { row: 3, hearing: { 'Case Number': '123-2024' }, extraValues: [] }
+      ];
+
+      expect(diagnoseRows(rows)[1].issues).toHaveLength(0);
+    });
   });
 
   describe('validateCSVHeaders', () => {
@@ -0,0 +1,146 @@
+const {
+  getDocketColumns,
+  buildDocketTable,
+  exportDocket,
+  downloadDocketExport
+} = require('../docketExport');
+const { tokenizeCSV } = require('../csvParser');
+
+describe('docketExport', () => {
+  const hearings = [
+    {
+      id: 'a',
+      'Case Number': '123-2024',
+      'Client Name': 'Doe, John',
+      'Division': 'Criminal',
+      'Time': '9:00 AM',
+      'Judge': 'Hon. Rivera',
+      scheduledDate: '2024-03-15',
+      scheduledAt: 1710493200000,
+      reimportStatus: 'rescheduled',
+      previousSchedule: { Time: '8:30 AM' }
+    },
+    {
+      id: 'b',
+      'Case Number': '456-2024',
+      'Client Name': 'Jane Smith',
+      'Division': 'Civil',
+      'Time': '10:30 AM',
+      'Bond': '$500'
+    }
+  ];
+
+  const recordings = {
+    a: {
+      status: 'complete',
+      audioBlob: {},
+      duration: 95,
+      transcript: 'Transcript text',
+      notes: 'Continued to "April"\nClient present',
+      speakingTimeReport: {
+        stats: {
+          parties: {
+            State: { totalTime: 60000 },
+            Defense: { totalTime: 3725000 }
+          }
+        }
+      }
+    },
+    b: { status: 'ready', audioBlob: null, duration: 0, transcript: '', notes: '' }
+  };
+
+  describe('getDocketColumns', () => {
+    it('should keep original columns and drop keys the app adds', () => {
+      expect(getDocketColumns(hearings)).toEqual(['Case Number', 'Client Name', 'Division', 'Time', 'Judge', 'Bond']);
+    });
+  });
+
+  describe('buildDocketTable', () => {
+    it('should add outcome and speaking-time columns', () => {
+      const { headers, rows } = buildDocketTable(hearings, recordings);
+
+      expect(headers.slice(6)).toEqual([
+        'Status',
+        'Recorded Duration',
+        'Transcript Available',
+        'Notes',
+        'Speaking Time: State',
+        'Speaking Time: Defense'
+      ]);
+      expect(rows[0].slice(6)).toEqual([
+        'Transcribed',
+        '1:35',
+        'Yes',
+        'Continued to "April"\nClient present',
+        '1:00',
+        '1:02:05'
+      ]);
+      expect(rows[1]).toEqual([
+        '456-2024', 'Jane Smith', 'Civil', '10:30 AM', '', '$500',
+        'Not recorded', '', 'No', '', '', ''
+      ]);
+    });
+
+    it('should handle hearings without recording state', () => {
+      const { rows } = buildDocketTable([hearings[1]], {});
+
+      expect(rows[0].slice(4)).toEqual(['$500', '', '', 'No', '']);
+    });
+  });
+
+  describe('exportDocket', () => {
+    it('should write CSV that reads back to the same table', () => {
+      const csv = exportDocket(hearings, recordings);
+
+      expect(csv.endsWith('\r\n')).toBe(true);
+      expect(csv).toContain('"Doe, John"');
+      expect(csv).toContain('"Continued to ""April""\nClient present"');
+      expect(tokenizeCSV(csv)).toEqual([
+        buildDocketTable(hearings, recordings).headers,
+        ...buildDocketTable(hearings, recordings).rows
+      ]);
+    });
+
+    it('should write TSV', () => {
+      const tsv = exportDocket(hearings, recordings, { format: 'tsv' });
+      const lines = tsv.split('\r\n');
+
+      expect(lines[0].split('\t').slice(0, 4)).toEqual(['Case Number', 'Client Name', 'Division', 'Time']);
+      expect(lines[1]).toContain('Doe, John\tCriminal');
+    });
+
+    it('should stop spreadsheets running fields as formulas', () => {
+      const risky = [{ ...hearings[1], 'Client Name': '=HYPERLINK("http://evil.test","Click")', 'Bond': '-500' }];
+      const notes = { b: { ...recordings.b, notes: '@SUM(A1:A9)' } };
+
+      const [, row] = tokenizeCSV(exportDocket(risky, notes));
+
+      expect(row[1]).toBe('\'=HYPERLINK("http://evil.test","Click")');
+      expect(row[4]).toBe('\'-500');
+      expect(row).toContain('\'@SUM(A1:A9)');
+      expect(exportDocket(risky, notes, { format: 'tsv' })).toContain('\t\'-500\t');
+    });
+
+    it('should reject an unknown format or an empty docket', () => {
+      expect(() => exportDocket(hearings, recordings, { format: 'xls' })).toThrow('Unsupported export format: xls');
+      expect(() => exportDocket([], {})).toThrow('No hearings to export');
+    });
+  });
+
+  describe('downloadDocketExport', () => {
+    it('should download the export with the matching extension and type', () => {
+      const anchor = { href: '', download: '', click: jest.fn() };
+      document.createElement.mockReturnValueOnce(anchor);
+
+      downloadDocketExport(hearings, recordings, { format: 'tsv', filename: 'docket_2024-03-15' });
+
+      expect(global.Blob).toHaveBeenCalledWith(
+        [expect.stringMatching(/^\uFEFFCase Number\t/)],
+        { type: 'text/tab-separated-values' }
+      );
+      expect(anchor.download).toBe('docket_2024-03-15.tsv');
+      expect(anchor.click).toHaveBeenCalled();
+      expect(URL.revokeObjectURL).toHaveBeenCalledWith('mock-url');
+    });
+  });
+});
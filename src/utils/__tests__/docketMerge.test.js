@@ -0,0 +1,128 @@
+const { mergeDockets, mergeRecordingStates, stripMergeKeys } = require('../docketMerge');
+const { parseCSV, createHearingId, assignHearingIds } = require('../csvParser');
+
+describe('docketMerge', () => {
+  const morningDocket = `Case Number,Client Name,Division,Time
+123-2024,John Doe,Criminal,9:00 AM
+456-2024,Jane Smith,Civil,10:30 AM
+789-2024,Bob Johnson,Family,2:00 PM`;
+
+  const updatedDocket = `Case Number,Client Name,Division,Time
+123-2024,John Doe,Criminal,9:00 AM
+456-2024,Jane Smith,Civil,1:30 PM
+999-2024,Alice Brown,Criminal,3:00 PM`;
+
+  describe('createHearingId', () => {
+    it('should derive the same ID from the same fields', () => {
+      const hearing = { 'Case Number': '123-2024', 'Client Name': 'John Doe', 'Time': '9:00 AM' };
+
+      expect(createHearingId(hearing)).toBe(createHearingId({ ...hearing, 'Time': '11:00 AM' }));
+      expect(createHearingId(hearing)).toContain('123-2024');
+    });
+
+    it('should distinguish co-defendants sharing a case number', () => {
+      const first = { 'Case Number': '123-2024', 'Client Name': 'John Doe' };
+      const second = { 'Case Number': '123-2024', 'Client Name': 'Richard Roe' };
+
+      expect(createHearingId(first)).not.toBe(createHearingId(second));
+    });
+
+    it('should number repeated settings of the same hearing', () => {
+      const hearing = { 'Case Number': '123-2024', 'Client Name': 'John Doe' };
+      const [first, second] = assignHearingIds([hearing, { ...hearing }]);
+
+      expect(second.id).toBe(`${first.id}-2`);
+    });
+
+    it('should give parseCSV stable IDs across uploads', () => {
+      const firstUpload = parseCSV(morningDocket);
+      const secondUpload = parseCSV(morningDocket);
+
+      expect(firstUpload.map(h => h.id)).toEqual(secondUpload.map(h => h.id));
+    });
+  });
+
+  describe('mergeDockets', () => {
+    it('should import everything unflagged when nothing is loaded', () => {
+      const { hearings, summary } = mergeDockets([], parseCSV(morningDocket));
+
+      expect(hearings).toHaveLength(3);
+      expect(hearings.every(h => !h.reimportStatus)).toBe(true);
+      expect(summary.added).toHaveLength(3);
+    });
+
+    it('should flag added, rescheduled and removed hearings', () => {
+      const current = parseCSV(morningDocket);
+      const { hearings, summary } = mergeDockets(current, parseCSV(updatedDocket));
+
+      const byCase = Object.fromEntries(hearings.map(h => [h['Case Number'], h]));
+
+      expect(hearings).toHaveLength(4);
+      expect(byCase['123-2024'].reimportStatus).toBeUndefined();
+      expect(byCase['456-2024']).toMatchObject({
+        reimportStatus: 'rescheduled',
+        previousSchedule: { Time: '10:30 AM' },
+        'Time': '1:30 PM'
+      });
+      expect(byCase['999-2024'].reimportStatus).toBe('added');
+      expect(byCase['789-2024'].reimportStatus).toBe('removed');
+      expect(summary).toEqual({
+        added: [byCase['999-2024'].id],
+        rescheduled: [byCase['456-2024'].id],
+        removed: [byCase['789-2024'].id],
+        unchanged: [byCase['123-2024'].id]
+      });
+    });
+
+    it('should keep hearing IDs of unchanged and rescheduled hearings', () => {
+      const current = parseCSV(morningDocket);
+      const { hearings } = mergeDockets(current, parseCSV(updatedDocket));
+
+      expect(hearings[0].id).toBe(current[0].id);
+      expect(hearings[1].id).toBe(current[1].id);
+    });
+
+    it('should clear flags from an earlier merge', () => {
+      const current = mergeDockets(parseCSV(morningDocket), parseCSV(updatedDocket)).hearings;
+      const { hearings } = mergeDockets(current, parseCSV(updatedDocket));
+
+      expect(hearings.filter(h => h.reimportStatus && h.reimportStatus !== 'removed')).toHaveLength(0);
+    });
+
+    it('should append without flagging removals when flagRemoved is false', () => {
+      const current = parseCSV(morningDocket);
+      const pasted = parseCSV(`Case Number,Client Name,Division,Time
+999-2024,Alice Brown,Criminal,3:00 PM`);
+
+      const { hearings, summary } = mergeDockets(current, pasted, { flagRemoved: false });
+
+      expect(hearings.map(h => h['Case Number'])).toEqual(['123-2024', '456-2024', '789-2024', '999-2024']);
+      expect(summary.removed).toHaveLength(0);
+      expect(hearings[3].reimportStatus).toBe('added');
+    });
+  });
+
+  describe('mergeRecordingStates', () => {
+    it('should keep existing recordings and initialize new hearings', () => {
+      const current = parseCSV(morningDocket);
+      const recordings = {
+        [current[0].id]: { status: 'complete', transcript: 'Kept', notes: 'Kept note', audioBlob: { size: 10 } }
+      };
+      const { hearings } = mergeDockets(current, parseCSV(updatedDocket));
+
+      const result = mergeRecordingStates(recordings, hearings);
+
+      expect(result[current[0].id]).toBe(recordings[current[0].id]);
+      expect(Object.keys(result)).toHaveLength(4);
+      expect(result[hearings[2].id]).toMatchObject({ status: 'ready', audioBlob: null });
+    });
+  });
+
+  describe('stripMergeKeys', () => {
+    it('should remove merge bookkeeping only', () => {
+      const hearing = { id: 'x', 'Case Number': '1', reimportStatus: 'added', previousSchedule: {} };
+
+      expect(stripMergeKeys(hearing)).toEqual({ id: 'x', 'Case Number': '1' });
+    });
+  });
+});
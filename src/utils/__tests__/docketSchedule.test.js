@@ -0,0 +1,81 @@
+const {
+  sortHearings,
+  formatDayLabel,
+  groupHearingsByDay,
+  findScheduleConflicts
+} = require('../docketSchedule');
+const { parseCSV } = require('../csvParser');
+
+describe('docketSchedule', () => {
+  const multiDayDocket = `Case Number,Client Name,Division,Date,Time,Attorney
+111-2024,John Doe,Criminal,3/18/2024,2:00 PM,A. Lawyer
+222-2024,Jane Smith,Civil,3/15/2024,10:30 AM,B. Counsel
+333-2024,Bob Johnson,Family,3/15/2024,TBD,A. Lawyer
+444-2024,Alice Brown,Criminal,3/15/2024,9:00 AM,A. Lawyer
+555-2024,Carl White,Criminal,3/15/2024,9:15 AM,a lawyer`;
+
+  describe('sortHearings', () => {
+    it('should order hearings by day and time with untimed hearings last', () => {
+      const sorted = sortHearings(parseCSV(multiDayDocket));
+
+      expect(sorted.map(h => h['Case Number'])).toEqual([
+        '444-2024', '555-2024', '222-2024', '333-2024', '111-2024'
+      ]);
+    });
+
+    it('should put undated hearings after every day', () => {
+      const sorted = sortHearings([
+        { id: 'a', scheduledDate: null, scheduledAt: null },
+        { id: 'b', scheduledDate: '2024-03-15', scheduledAt: 1 }
+      ]);
+
+      expect(sorted.map(h => h.id)).toEqual(['b', 'a']);
+    });
+  });
+
+  describe('groupHearingsByDay', () => {
+    it('should group hearings into labelled days', () => {
+      const groups = groupHearingsByDay(parseCSV(multiDayDocket));
+
+      expect(groups.map(group => group.day)).toEqual(['2024-03-15', '2024-03-18']);
+      expect(groups[0].label).toBe('Friday, March 15, 2024');
+      expect(groups[0].hearings).toHaveLength(4);
+      expect(groups[1].hearings[0]['Case Number']).toBe('111-2024');
+    });
+
+    it('should label hearings without a date as unscheduled', () => {
+      expect(formatDayLabel(null)).toBe('Unscheduled');
+    });
+  });
+
+  describe('findScheduleConflicts', () => {
+    it('should flag the same attorney in overlapping settings', () => {
+      const hearings = parseCSV(multiDayDocket);
+      const byCase = Object.fromEntries(hearings.map(h => [h['Case Number'], h]));
+
+      const conflicts = findScheduleConflicts(hearings);
+
+      expect(Object.keys(conflicts).sort()).toEqual([byCase['444-2024'].id, byCase['555-2024'].id].sort());
+      expect(conflicts[byCase['444-2024'].id]).toEqual([
+        expect.objectContaining({ id: byCase['555-2024'].id, field: 'Attorney', time: '9:15 AM' })
+      ]);
+    });
+
+    it('should flag the same client and respect the window', () => {
+      const hearings = parseCSV(`Case Number,Client Name,Division,Date,Time
+111-2024,John Doe,Criminal,3/15/2024,9:00 AM
+222-2024,John Doe,Civil,3/15/2024,10:00 AM`);
+
+      expect(findScheduleConflicts(hearings)).toEqual({});
+      expect(Object.keys(findScheduleConflicts(hearings, { windowMinutes: 90 }))).toHaveLength(2);
+    });
+
+    it('should ignore hearings no longer on the docket', () => {
+      const hearings = parseCSV(multiDayDocket).map(h =>
+        h['Case Number'] === '555-2024' ? { ...h, reimportStatus: 'removed' } : h
+      );
+
+      expect(findScheduleConflicts(hearings)).toEqual({});
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const {
+  DEFAULT_FIELD_SCHEMA,
+  normalizeFieldSchema,
+  getExtraColumns,
+  listSchemaFields,
+  getTileFields,
+  getReportFields,
+  getManualFormFields,
+  matchesSearch,
+  getFieldSchema,
+  saveFieldSchema
+} = require('../fieldSchema');
+const { createMemoryStorage } = require('../../testUtils/memoryStorage');
+
+describe('fieldSchema', () => {
+  const hearing = {
+    id: '123-2024-abc',
+    'Case Number': '123-2024',
+    'Client Name': 'John Doe',
+    'Division': 'Criminal',
+    'Time': '9:00 AM',
+    'Date': '2024-03-15',
+    scheduledDate: '2024-03-15',
+    scheduledAt: 0,
+    'Judge': 'Hon. Rivera',
+    'Charge': 'Petty Theft',
+    'Bond': '$500',
+    'Interpreter': 'Spanish'
+  };
+
+  const schema = {
+    fields: [
+      { key: 'Charge', showOnTile: true, searchable: true, inManualForm: true, inReports: true },
+      { key: 'Judge', showOnTile: false, searchable: true, inManualForm: false, inReports: true },
+      { key: 'Bond', showOnTile: true, searchable: false, inManualForm: true, inReports: false }
+    ]
+  };
+
+  describe('normalizeFieldSchema', () => {
+    it('should drop blank, duplicate, core and reserved fields and fill in settings', () => {
+      const result = normalizeFieldSchema({
+        fields: [
+          { key: ' Judge ', showOnTile: false },
+          { key: 'Judge' },
+          { key: '' },
+          { key: 'Case Number' },
+          { key: 'scheduledAt' },
+          null
+        ]
+      });
+
+      expect(result).toEqual({
+        fields: [{ key: 'Judge', showOnTile: false, searchable: true, inManualForm: false, inReports: true }]
+      });
+    });
+
+    it('should accept a missing schema', () => {
+      expect(normalizeFieldSchema(undefined)).toEqual({ fields: [] });
+    });
+  });
+
+  describe('getExtraColumns', () => {
+    it('should list columns beyond the core fields in first-seen order', () => {
+      const result = getExtraColumns([hearing, { 'Case Number': '456', 'Prosecutor': 'ADA Kim', reimportStatus: 'added' }]);
+
+      expect(result).toEqual(['Judge', 'Charge', 'Bond', 'Interpreter', 'Prosecutor']);
+    });
+  });
+
+  describe('listSchemaFields', () => {
+    it('should append docket columns the schema does not mention with default settings', () => {
+      const result = listSchemaFields(schema, ['Judge', 'Interpreter']);
+
+      expect(result.map(field => field.key)).toEqual(['Charge', 'Judge', 'Bond', 'Interpreter']);
+      expect(result[3]).toEqual({ key: 'Interpreter', showOnTile: true, searchable: true, inManualForm: false, inReports: true });
+    });
+  });
+
+  describe('getTileFields', () => {
+    it('should return tile fields in schema order followed by unlisted columns', () => {
+      expect(getTileFields(hearing, schema)).toEqual([
+        { key: 'Charge', value: 'Petty Theft' },
+        { key: 'Bond', value: '$500' },
+        { key: 'Interpreter', value: 'Spanish' }
+      ]);
+    });
+
+    it('should skip empty values', () => {
+      expect(getTileFields({ ...hearing, 'Charge': '  ', 'Interpreter': '' }, schema)).toEqual([
+        { key: 'Bond', value: '$500' }
+      ]);
+    });
+  });
+
+  describe('getReportFields', () => {
+    it('should respect the reports setting', () => {
+      expect(getReportFields(hearing, schema).map(field => field.key)).toEqual(['Charge', 'Judge', 'Interpreter']);
+    });
+
+    it('should include every extra column without a schema', () => {
+      expect(getReportFields(hearing).map(field => field.key)).toEqual(['Judge', 'Charge', 'Bond', 'Interpreter']);
+      expect(getReportFields(null)).toEqual([]);
+    });
+  });
+
+  describe('getManualFormFields', () => {
+    it('should list the fields offered in the manual form', () => {
+      expect(getManualFormFields(schema)).toEqual(['Charge', 'Bond']);
+      expect(getManualFormFields(DEFAULT_FIELD_SCHEMA)).toEqual(['Judge', 'Courtroom', 'Charge', 'Prosecutor', 'Bond']);
+    });
+  });
+
+  describe('matchesSearch', () => {
+    it('should match core and searchable fields case-insensitively', () => {
+      expect(matchesSearch(hearing, 'john', schema)).toBe(true);
+      expect(matchesSearch(hearing, 'rivera theft', schema)).toBe(true);
+      expect(matchesSearch(hearing, 'spanish', schema)).toBe(true);
+    });
+
+    it('should require every word and ignore fields that are not searchable', () => {
+      expect(matchesSearch(hearing, 'john civil', schema)).toBe(false);
+      expect(matchesSearch(hearing, '$500', schema)).toBe(false);
+    });
+
+    it('should match everything for an empty query', () => {
+      expect(matchesSearch(hearing, '   ', schema)).toBe(true);
+    });
+  });
+
+  describe('getFieldSchema and saveFieldSchema', () => {
+    it('should fall back to the default schema', () => {
+      expect(getFieldSchema(createMemoryStorage())).toEqual(DEFAULT_FIELD_SCHEMA);
+    });
+
+    it('should save and load a normalized schema', () => {
+      const storage = createMemoryStorage();
+
+      const saved = saveFieldSchema({ fields: [{ key: 'Judge', showOnTile: false }, { key: 'Time' }] }, storage);
+
+      expect(saved.fields).toHaveLength(1);
+      expect(getFieldSchema(storage)).toEqual(saved);
+    });
+
+    it('should ignore corrupt saved data', () => {
+      const storage = createMemoryStorage();
+      storage.setItem('courtReporter.fieldSchema', '{not json');
+
+      expect(getFieldSchema(storage)).toEqual(DEFAULT_FIELD_SCHEMA);
+    });
+  });
+});
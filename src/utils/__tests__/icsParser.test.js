@@ -0,0 +1,170 @@
+const {
+  DEFAULT_ICS_PATTERNS,
+  unfoldICSLines,
+  parseICSProperty,
+  parseICSDate,
+  parseICS,
+  parseICSWithDiagnostics,
+  getICSPatterns,
+  saveICSPatterns,
+  isICSFile
+} = require('../icsParser');
+const { createMemoryStorage } = require('../../testUtils/memoryStorage');
+
+describe('icsParser', () => {
+  const calendar = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'BEGIN:VEVENT',
+    'UID:1@example.com',
+    'SUMMARY:State v. John Doe 2024-CF-0012',
+    ' 34',
+    'LOCATION:Courtroom 3A\\, Main Courthouse',
+    'DTSTART;TZID=America/New_York:20240315T090000',
+    'BEGIN:VALARM',
+    'DESCRIPTION:Reminder',
+    'END:VALARM',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:2@example.com',
+    'SUMMARY:Jane Smith',
+    'DESCRIPTION:Case 456-2024\\nBring exhibits',
+    'LOCATION:Civil Division',
+    'DTSTART;VALUE=DATE:20240318',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:3@example.com',
+    'STATUS:CANCELLED',
+    'SUMMARY:Bob Johnson 789-2024',
+    'DTSTART:20240315T140000',
+    'END:VEVENT',
+    'END:VCALENDAR'
+  ].join('\r\n');
+
+  describe('unfoldICSLines', () => {
+    it('should join folded lines', () => {
+      expect(unfoldICSLines('SUMMARY:Long\r\n  title\r\nEND:VEVENT')).toEqual(['SUMMARY:Long title', 'END:VEVENT']);
+    });
+  });
+
+  describe('parseICSProperty', () => {
+    it('should split name, parameters and value', () => {
+      expect(parseICSProperty('DTSTART;TZID="America/New_York":20240315T090000')).toEqual({
+        name: 'DTSTART',
+        params: { TZID: 'America/New_York' },
+        value: '20240315T090000'
+      });
+    });
+
+    it('should keep colons inside the value', () => {
+      expect(parseICSProperty('SUMMARY:Hearing: John Doe').value).toBe('Hearing: John Doe');
+    });
+  });
+
+  describe('parseICSDate', () => {
+    it('should parse dates and local date-times', () => {
+      expect(parseICSDate('20240318')).toEqual({ date: { year: 2024, month: 3, day: 18 }, time: null });
+      expect(parseICSDate('20240315T093000')).toEqual({
+        date: { year: 2024, month: 3, day: 15 },
+        time: { hours: 9, minutes: 30 }
+      });
+    });
+
+    it('should convert UTC date-times to local time', () => {
+      const local = new Date(Date.UTC(2024, 2, 15, 14, 0));
+      const result = parseICSDate('20240315T140000Z');
+
+      expect(result.time).toEqual({ hours: local.getHours(), minutes: local.getMinutes() });
+      expect(result.date.day).toBe(local.getDate());
+    });
+
+    it('should reject malformed values', () => {
+      expect(parseICSDate('March 15')).toBeNull();
+    });
+  });
+
+  describe('parseICS', () => {
+    it('should turn events into hearings', () => {
+      const hearings = parseICS(calendar);
+
+      expect(hearings).toHaveLength(2);
+      expect(hearings[0]).toMatchObject({
+        'Case Number': '2024-CF-001234',
+        'Client Name': 'State v. John Doe',
+        'Division': '3A',
+        'Date': '2024-03-15',
+        'Time': '9:00 AM',
+        scheduledAt: new Date(2024, 2, 15, 9, 0).getTime()
+      });
+      expect(hearings[0].id).toBeDefined();
+    });
+
+    it('should search the description and fall back to the location', () => {
+      const [, hearing] = parseICS(calendar);
+
+      expect(hearing).toMatchObject({
+        'Case Number': '456-2024',
+        'Client Name': 'Jane Smith',
+        'Division': 'Civil Division',
+        'Date': '2024-03-18',
+        'Time': ''
+      });
+    });
+
+    it('should use configured patterns', () => {
+      const hearings = parseICS(calendar, { patterns: { caseNumber: 'v\\. (\\w+)', division: '' } });
+
+      expect(hearings[0]['Case Number']).toBe('John');
+      expect(hearings[0]['Division']).toBe('Courtroom 3A, Main Courthouse');
+    });
+
+    it('should reject invalid patterns and non-calendar content', () => {
+      expect(() => parseICS(calendar, { patterns: { caseNumber: '(' } })).toThrow('Invalid case number pattern');
+      expect(() => parseICS('Case Number,Client Name')).toThrow('not an iCalendar');
+      expect(() => parseICS('BEGIN:VCALENDAR\r\nEND:VCALENDAR')).toThrow('at least one event');
+    });
+  });
+
+  describe('parseICSWithDiagnostics', () => {
+    it('should flag events without a case number', () => {
+      const report = parseICSWithDiagnostics([
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'SUMMARY:Status check',
+        'DTSTART:20240315T100000',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\n'));
+
+      expect(report.rows[0].row).toBe(1);
+      expect(report.rows[0].issues[0]).toMatchObject({ code: 'missing-case-number', severity: 'error' });
+    });
+  });
+
+  describe('saved patterns', () => {
+    it('should return defaults until patterns are saved', () => {
+      const storage = createMemoryStorage();
+
+      expect(getICSPatterns(storage)).toEqual(DEFAULT_ICS_PATTERNS);
+
+      saveICSPatterns({ caseNumber: 'CASE-\\d+', division: '' }, storage);
+
+      expect(getICSPatterns(storage)).toEqual({ caseNumber: 'CASE-\\d+', division: '' });
+    });
+
+    it('should refuse to save patterns that do not compile', () => {
+      const storage = createMemoryStorage();
+
+      expect(() => saveICSPatterns({ caseNumber: '[', division: '' }, storage)).toThrow('Invalid case number pattern');
+      expect(getICSPatterns(storage)).toEqual(DEFAULT_ICS_PATTERNS);
+    });
+  });
+
+  describe('isICSFile', () => {
+    it('should recognize calendar files by name or content', () => {
+      expect(isICSFile('docket.ics', '')).toBe(true);
+      expect(isICSFile('export.txt', 'BEGIN:VCALENDAR\r\n')).toBe(true);
+      expect(isICSFile('docket.csv', 'Case Number,Time')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const {
+  listAudioInputs,
+  getAudioConstraints,
+  openInputStream,
+  createResilientInput,
+  describeInputChange
+} = require('../inputDevices');
+
+const createStream = (label) => {
+  const track = { label, readyState: 'live', stop: jest.fn(() => { track.readyState = 'ended'; }), onended: null };
+  return { track, getTracks: () => [track], getAudioTracks: () => [track] };
+};
+
+const overconstrained = () => Object.assign(new Error('Device not found'), { name: 'OverconstrainedError' });
+
+// MediaDevices stand-in with a fixed set of inputs; getUserMedia rejects devices that are not plugged in
+const createMediaDevices = (inputs) => {
+  const listeners = {};
+  const devices = {
+    inputs,
+    getUserMedia: jest.fn(async ({ audio }) => {
+      const deviceId = audio.deviceId ? audio.deviceId.exact : 'default';
+      if (!devices.inputs.some(input => input.deviceId === deviceId)) throw overconstrained();
+      return createStream(deviceId);
+    }),
+    enumerateDevices: jest.fn(async () => devices.inputs.map(input => ({ kind: 'audioinput', ...input }))),
+    addEventListener: jest.fn((type, listener) => { listeners[type] = listener; }),
+    removeEventListener: jest.fn((type) => { delete listeners[type]; }),
+    emit: (type) => listeners[type] && listeners[type]()
+  };
+  return devices;
+};
+
+const createAudioContextClass = () => {
+  const sources = [];
+  const AudioContextClass = jest.fn(() => ({
+    createMediaStreamDestination: () => ({ stream: 'recorded-stream' }),
+    createMediaStreamSource: (stream) => {
+      const source = { stream, connect: jest.fn(), disconnect: jest.fn() };
+      sources.push(source);
+      return source;
+    },
+    close: jest.fn()
+  }));
+  AudioContextClass.sources = sources;
+  return AudioContextClass;
+};
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('inputDevices', () => {
+  const settings = { deviceId: 'usb-mic', echoCancellation: false, noiseSuppression: false, autoGainControl: false };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should list audio inputs and name the ones without labels', async () => {
+    const mediaDevices = {
+      enumerateDevices: jest.fn().mockResolvedValue([
+        { kind: 'videoinput', deviceId: 'camera', label: 'Camera' },
+        { kind: 'audioinput', deviceId: 'default', label: '' },
+        { kind: 'audioinput', deviceId: 'usb-mic', label: 'USB Boundary Mic' }
+      ])
+    };
+
+    expect(await listAudioInputs(mediaDevices)).toEqual([
+      { deviceId: 'default', label: 'Microphone 1' },
+      { deviceId: 'usb-mic', label: 'USB Boundary Mic' }
+    ]);
+    expect(await listAudioInputs({})).toEqual([]);
+  });
+
+  it('should only constrain the input when a device or processing is chosen', () => {
+    expect(getAudioConstraints({})).toBe(true);
+    expect(getAudioConstraints({ deviceId: '', echoCancellation: true })).toBe(true);
+    expect(getAudioConstraints(settings)).toEqual({
+      deviceId: { exact: 'usb-mic' },
+      echoCancellation: false,
+      noiseSuppression: false,
+      autoGainControl: false
+    });
+  });
+
+  it('should fall back to the default microphone when the chosen one is missing', async () => {
+    const mediaDevices = createMediaDevices([{ deviceId: 'default' }]);
+
+    const input = await openInputStream(settings, mediaDevices);
+
+    expect(input.fallback).toBe(true);
+    expect(mediaDevices.getUserMedia).toHaveBeenLastCalledWith({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    });
+  });
+
+  it('should keep recording on the default microphone when the chosen one is unplugged', async () => {
+    const mediaDevices = createMediaDevices([{ deviceId: 'default' }, { deviceId: 'usb-mic' }]);
+    const AudioContextClass = createAudioContextClass();
+    const onChange = jest.fn();
+
+    const input = await createResilientInput(settings, { mediaDevices, AudioContextClass, onChange });
+    const [usbSource] = AudioContextClass.sources;
+
+    mediaDevices.inputs = [{ deviceId: 'default' }];
+    usbSource.stream.track.onended();
+    await flush();
+
+    expect(input.stream).toBe('recorded-stream');
+    expect(usbSource.disconnect).toHaveBeenCalled();
+    expect(AudioContextClass.sources[1].stream.track.label).toBe('default');
+    expect(onChange.mock.calls.map(([event]) => event.type)).toEqual(['lost', 'fallback']);
+    expect(onChange).toHaveBeenCalledWith({ type: 'lost', at: expect.any(String) });
+  });
+
+  it('should switch back to the chosen microphone when it is plugged in again', async () => {
+    const mediaDevices = createMediaDevices([{ deviceId: 'default' }]);
+    const AudioContextClass = createAudioContextClass();
+    const onChange = jest.fn();
+
+    const input = await createResilientInput(settings, { mediaDevices, AudioContextClass, onChange });
+    mediaDevices.inputs = [{ deviceId: 'default' }, { deviceId: 'usb-mic' }];
+    mediaDevices.emit('devicechange');
+    await flush();
+    await flush();
+
+    expect(AudioContextClass.sources[1].stream.track.label).toBe('usb-mic');
+    expect(AudioContextClass.sources[0].stream.track.stop).toHaveBeenCalled();
+    expect(onChange.mock.calls.map(([event]) => event.type)).toEqual(['fallback', 'reconnected']);
+
+    input.stop();
+
+    expect(AudioContextClass.sources[1].stream.track.stop).toHaveBeenCalled();
+    expect(mediaDevices.removeEventListener).toHaveBeenCalledWith('devicechange', expect.any(Function));
+  });
+
+  it('should stay on the default microphone when the inputs cannot be listed', async () => {
+    const mediaDevices = createMediaDevices([{ deviceId: 'default' }]);
+    const AudioContextClass = createAudioContextClass();
+    const onChange = jest.fn();
+
+    await createResilientInput(settings, { mediaDevices, AudioContextClass, onChange });
+    mediaDevices.enumerateDevices.mockRejectedValueOnce(new Error('Not allowed'));
+    mediaDevices.emit('devicechange');
+    await flush();
+    await flush();
+
+    expect(console.error).toHaveBeenCalledWith('Error listing microphones:', expect.any(Error));
+    expect(AudioContextClass.sources).toHaveLength(1);
+    expect(AudioContextClass.sources[0].stream.track.stop).not.toHaveBeenCalled();
+    expect(onChange.mock.calls.map(([event]) => event.type)).toEqual(['fallback']);
+  });
+
+  it('should record the microphone directly without Web Audio', async () => {
+    const mediaDevices = createMediaDevices([{ deviceId: 'default' }]);
+
+    const input = await createResilientInput({}, { mediaDevices });
+    input.stop();
+
+    expect(input.stream.track.stop).toHaveBeenCalled();
+  });
+
+  it('should describe input changes with their time', () => {
+    const at = new Date(2024, 0, 15, 10, 32, 5).toISOString();
+    const time = new Date(at).toLocaleTimeString();
+
+    expect(describeInputChange({ type: 'lost', at })).toBe(`Microphone disconnected at ${time}; reconnecting`);
+    expect(describeInputChange({ type: 'reconnected', at })).toBe(`Chosen microphone back at ${time}`);
+    expect(describeInputChange({ type: 'tab-ended', at })).toBe(`Tab audio stopped at ${time}; recording the microphone only`);
+  });
+});
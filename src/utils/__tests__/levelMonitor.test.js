@@ -0,0 +1,126 @@
+const {
+  measureLevel,
+  getMeterPercent,
+  createLevelTracker,
+  monitorLevels,
+  describeLevelWarning
+} = require('../levelMonitor');
+
+const SILENT = { peak: 0.001, rms: 0.001 };
+const SPEECH = { peak: 0.4, rms: 0.1 };
+const CLIPPED = { peak: 1, rms: 0.5 };
+
+describe('levelMonitor', () => {
+  it('should measure peak and RMS levels', () => {
+    expect(measureLevel(new Float32Array([0.5, -1, 0.5, 0]))).toEqual({ peak: 1, rms: Math.sqrt(1.5 / 4) });
+    expect(measureLevel(new Float32Array(0))).toEqual({ peak: 0, rms: 0 });
+  });
+
+  it('should scale the meter in decibels', () => {
+    expect(getMeterPercent(1)).toBe(100);
+    expect(getMeterPercent(0.1)).toBe(67);
+    expect(getMeterPercent(0.0001)).toBe(0);
+    expect(getMeterPercent(0)).toBe(0);
+  });
+
+  describe('createLevelTracker', () => {
+    it('should warn once when the input stays silent for the configured time', () => {
+      const tracker = createLevelTracker({ silenceSeconds: 5 });
+      const start = Date.UTC(2024, 0, 15, 15, 0, 0);
+
+      expect(tracker.update(SILENT, start).warnings).toEqual([]);
+      expect(tracker.update(SILENT, start + 4000)).toEqual({ warnings: [], silentFor: 4, clipping: false });
+      expect(tracker.update(SILENT, start + 5000).warnings).toEqual([
+        { type: 'silence', at: new Date(start).toISOString(), seconds: 5 }
+      ]);
+      expect(tracker.update(SILENT, start + 9000).warnings).toEqual([]);
+
+      // Sound re-arms the warning
+      tracker.update(SPEECH, start + 10000);
+      tracker.update(SILENT, start + 11000);
+      expect(tracker.update(SILENT, start + 16000).warnings).toHaveLength(1);
+    });
+
+    it('should warn once per clipping episode', () => {
+      const tracker = createLevelTracker();
+      const start = Date.UTC(2024, 0, 15, 15, 0, 0);
+
+      expect(tracker.update(CLIPPED, start).warnings).toEqual([{ type: 'clipping', at: new Date(start).toISOString() }]);
+      expect(tracker.update(CLIPPED, start + 1000).warnings).toEqual([]);
+      expect(tracker.update(SPEECH, start + 2500)).toEqual({ warnings: [], silentFor: 0, clipping: true });
+      expect(tracker.update(SPEECH, start + 3500).clipping).toBe(false);
+      expect(tracker.update(CLIPPED, start + 4000).warnings).toHaveLength(1);
+    });
+  });
+
+  describe('monitorLevels', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const createAudioContextClass = (level) => {
+      const analyser = {
+        fftSize: 0,
+        getFloatTimeDomainData: jest.fn(samples => samples.fill(level))
+      };
+      const source = { connect: jest.fn(), disconnect: jest.fn() };
+      const context = {
+        createMediaStreamSource: jest.fn(() => source),
+        createAnalyser: () => analyser,
+        close: jest.fn()
+      };
+      return { AudioContextClass: jest.fn(() => context), context, source };
+    };
+
+    it('should report levels and warnings until stopped', () => {
+      const { AudioContextClass, context, source } = createAudioContextClass(0);
+      const onLevel = jest.fn();
+      const onWarning = jest.fn();
+
+      const monitor = monitorLevels('stream', { silenceSeconds: 1, onLevel, onWarning, AudioContextClass });
+      jest.advanceTimersByTime(1200);
+
+      expect(context.createMediaStreamSource).toHaveBeenCalledWith('stream');
+      expect(onLevel).toHaveBeenLastCalledWith({ peak: 0, rms: 0, silentFor: 1, clipping: false });
+      expect(onWarning).toHaveBeenCalledWith(expect.objectContaining({ type: 'silence', seconds: 1 }));
+
+      monitor.stop();
+      jest.advanceTimersByTime(1000);
+
+      expect(onLevel).toHaveBeenCalledTimes(12);
+      expect(source.disconnect).toHaveBeenCalled();
+      expect(context.close).toHaveBeenCalled();
+    });
+
+    it('should not count a pause as silence', () => {
+      const { AudioContextClass } = createAudioContextClass(0);
+      const onWarning = jest.fn();
+
+      const monitor = monitorLevels('stream', { silenceSeconds: 1, onWarning, AudioContextClass });
+      jest.advanceTimersByTime(500);
+      monitor.pause();
+      jest.advanceTimersByTime(5000);
+      monitor.resume();
+      jest.advanceTimersByTime(500);
+
+      expect(onWarning).not.toHaveBeenCalled();
+      monitor.stop();
+    });
+
+    it('should do nothing without Web Audio', () => {
+      expect(() => monitorLevels('stream').stop()).not.toThrow();
+    });
+  });
+
+  it('should describe logged warnings', () => {
+    const at = new Date(2024, 0, 15, 10, 32, 5).toISOString();
+    const time = new Date(at).toLocaleTimeString();
+
+    expect(describeLevelWarning({ type: 'silence', at, seconds: 10 })).toBe(`No input for 10+ s from ${time}`);
+    expect(describeLevelWarning({ type: 'clipping', at })).toBe(`Input clipping at ${time}`);
+  });
+});
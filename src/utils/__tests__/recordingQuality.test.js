@@ -0,0 +1,126 @@
+const {
+  formatDecibels,
+  analyzeSamples,
+  assessQuality,
+  checkRecording,
+  getOverallQuality
+} = require('../recordingQuality');
+
+// Tone at the given level for a number of seconds
+const tone = (seconds, level, sampleRate = 100) =>
+  Array.from({ length: seconds * sampleRate }, (_, i) => (i % 2 === 0 ? level : -level));
+
+const goodStats = { duration: 60, peak: 0.5, rms: 0.1, clippedPercent: 0, silencePercent: 10, dropouts: [] };
+
+describe('recordingQuality', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should show levels in dBFS', () => {
+    expect(formatDecibels(1)).toBe('0 dBFS');
+    expect(formatDecibels(0.5)).toBe('-6 dBFS');
+    expect(formatDecibels(0)).toBe('-∞ dBFS');
+  });
+
+  it('should measure level, clipping, silence and dropouts', () => {
+    const samples = new Float32Array([...tone(1, 0), ...tone(2, 0.5), ...tone(1, 0), ...tone(1, 1)]);
+
+    const stats = analyzeSamples(samples, 100);
+
+    expect(stats.duration).toBe(5);
+    expect(stats.peak).toBe(1);
+    expect(stats.clippedPercent).toBe(20);
+    expect(stats.silencePercent).toBe(40);
+    // The zeros before the first sound are the recorder starting, not a dropout
+    expect(stats.dropouts).toEqual([{ at: 3, duration: 1 }]);
+  });
+
+  it('should pass a recording that matches the timer', () => {
+    const result = assessQuality(goodStats, 61);
+
+    expect(result.status).toBe('pass');
+    expect(result.checks.map(check => check.check)).toEqual(['duration', 'level', 'silence']);
+    expect(result.checks[0].message).toBe('1:00 of audio, matching the timer');
+    expect(result.checks[1].message).toBe('Level peak -6 dBFS, average -20 dBFS');
+  });
+
+  it('should warn about a short recording, clipping, dropouts and long silences', () => {
+    const result = assessQuality({
+      ...goodStats,
+      duration: 50,
+      clippedPercent: 0.5,
+      silencePercent: 60,
+      dropouts: [{ at: 12.4, duration: 0.2 }, { at: 30, duration: 0.5 }]
+    }, 60);
+
+    expect(result.status).toBe('warn');
+    expect(result.checks).toEqual([
+      { check: 'duration', status: 'warn', message: '0:50 of audio for 1:00 on the timer' },
+      { check: 'level', status: 'pass', message: 'Level peak -6 dBFS, average -20 dBFS' },
+      { check: 'clipping', status: 'warn', message: 'Clipping in 0.5% of the audio' },
+      { check: 'silence', status: 'warn', message: '60% silence' },
+      { check: 'dropouts', status: 'warn', message: '2 dropouts, the first at 0:12' }
+    ]);
+  });
+
+  it('should fail a recording that is mostly missing or silent', () => {
+    expect(assessQuality({ ...goodStats, duration: 20 }, 60).checks[0]).toEqual({
+      check: 'duration', status: 'fail', message: 'Only 0:20 of audio for 1:00 on the timer'
+    });
+
+    const silent = assessQuality({ ...goodStats, peak: 0, rms: 0, silencePercent: 100 }, 60);
+    expect(silent.status).toBe('fail');
+    expect(silent.checks[1].message).toBe('No signal: the recording is digital silence');
+    expect(silent.checks[2].message).toBe('100% silence; check the microphone was live');
+  });
+
+  it('should fail an empty or unplayable recording without decoding it', async () => {
+    const now = new Date('2024-03-15T09:00:00Z');
+    const BrokenContext = jest.fn(() => ({
+      decodeAudioData: jest.fn().mockRejectedValue(new Error('Unable to decode audio data')),
+      close: jest.fn()
+    }));
+    const blob = { size: 100, arrayBuffer: jest.fn().mockResolvedValue(new ArrayBuffer(8)) };
+
+    expect(await checkRecording({ size: 0 }, 60, BrokenContext, now)).toEqual({
+      status: 'fail',
+      checks: [{ check: 'file', status: 'fail', message: 'The recording is empty (0 bytes)' }],
+      checkedAt: '2024-03-15T09:00:00.000Z'
+    });
+    expect(BrokenContext).not.toHaveBeenCalled();
+
+    const result = await checkRecording(blob, 60, BrokenContext, now);
+    expect(result.status).toBe('fail');
+    expect(result.checks[0].message).toBe('The recording could not be played back');
+  });
+
+  it('should decode a recording and check it against the timer', async () => {
+    const samples = new Float32Array(tone(4, 0.3, 8000));
+    const AudioContextClass = jest.fn(() => ({
+      decodeAudioData: jest.fn().mockResolvedValue({
+        sampleRate: 8000,
+        numberOfChannels: 1,
+        getChannelData: () => samples
+      }),
+      close: jest.fn()
+    }));
+    const blob = { size: 100, arrayBuffer: jest.fn().mockResolvedValue(new ArrayBuffer(8)) };
+
+    const result = await checkRecording(blob, 4, AudioContextClass);
+
+    expect(AudioContextClass).toHaveBeenCalledWith({ sampleRate: 8000 });
+    expect(result.status).toBe('pass');
+    expect(result.checkedAt).toEqual(expect.any(String));
+  });
+
+  it('should sum up the takes by the worst result', () => {
+    expect(getOverallQuality([])).toBeNull();
+    expect(getOverallQuality([{ status: 'pass' }, { status: 'warn' }])).toBe('warn');
+    expect(getOverallQuality([{ status: 'fail' }, { status: 'warn' }])).toBe('fail');
+  });
+});
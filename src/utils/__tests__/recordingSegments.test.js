@@ -0,0 +1,47 @@
+const {
+  MIN_SEGMENT_SECONDS,
+  getSegmentLimits,
+  hasSegmentLimits,
+  getRolloverReason,
+  describeSplit
+} = require('../recordingSegments');
+
+describe('recordingSegments', () => {
+  it('should read the segment limits from the audio settings', () => {
+    expect(getSegmentLimits({ segmentMinutes: 30, segmentMegabytes: '50', splitSilenceSeconds: 10 })).toEqual({
+      maxSeconds: 1800,
+      maxBytes: 50 * 1024 * 1024,
+      splitSilenceSeconds: 10
+    });
+    expect(getSegmentLimits()).toEqual({ maxSeconds: 0, maxBytes: 0, splitSilenceSeconds: 0 });
+  });
+
+  it('should only split when a limit is on', () => {
+    expect(hasSegmentLimits(getSegmentLimits({}))).toBe(false);
+    expect(hasSegmentLimits(getSegmentLimits({ segmentMegabytes: 25 }))).toBe(true);
+    expect(hasSegmentLimits(getSegmentLimits({ splitSilenceSeconds: 5 }))).toBe(true);
+  });
+
+  it('should end a segment at the length or size limit', () => {
+    const limits = getSegmentLimits({ segmentMinutes: 15, segmentMegabytes: 25 });
+
+    expect(getRolloverReason({ seconds: 899, bytes: 1000 }, limits)).toBeNull();
+    expect(getRolloverReason({ seconds: 900, bytes: 1000 }, limits)).toBe('length');
+    expect(getRolloverReason({ seconds: 10, bytes: 25 * 1024 * 1024 }, limits)).toBe('size');
+  });
+
+  it('should end a segment at a long pause once it has run long enough', () => {
+    const limits = getSegmentLimits({ splitSilenceSeconds: 10 });
+
+    expect(getRolloverReason({ seconds: 300, bytes: 0, silentSeconds: 9 }, limits)).toBeNull();
+    expect(getRolloverReason({ seconds: 300, bytes: 0, silentSeconds: 10 }, limits)).toBe('silence');
+    expect(getRolloverReason({ seconds: MIN_SEGMENT_SECONDS - 1, bytes: 0, silentSeconds: 30 }, limits)).toBeNull();
+    expect(getRolloverReason({ seconds: 300, bytes: 0, silentSeconds: 30 }, getSegmentLimits({}))).toBeNull();
+  });
+
+  it('should describe why a take continues the one before it', () => {
+    expect(describeSplit('length')).toBe('continued after the length limit');
+    expect(describeSplit('silence')).toBe('continued after a pause');
+    expect(describeSplit(undefined)).toBe('');
+  });
+});
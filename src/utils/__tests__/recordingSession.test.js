@@ -0,0 +1,224 @@
+const { RECORDING_TIMESLICE_MS } = require('../audioRecorder');
+const { createTakeTimer, createRecordingSession } = require('../recordingSession');
+
+// A clock the test moves by hand
+const createClock = () => {
+  let time = 0;
+  const now = () => time;
+  now.set = (ms) => { time = ms; };
+  return now;
+};
+
+const createdRecorders = () => MediaRecorder.mock.results.map(result => result.value);
+
+describe('recordingSession', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('createTakeTimer', () => {
+    it('should leave out the time spent paused', () => {
+      const now = createClock();
+      const timer = createTakeTimer(now);
+
+      now.set(10000);
+      timer.pause();
+      now.set(70000);
+      expect(timer.getSeconds()).toBe(10);
+
+      timer.resume();
+      now.set(75000);
+      expect(timer.getSeconds()).toBe(15);
+
+      timer.stop();
+      now.set(90000);
+      expect(timer.getSeconds()).toBe(15);
+    });
+  });
+
+  describe('createRecordingSession', () => {
+    it('should record the chosen microphone in chunks', async () => {
+      const session = createRecordingSession({ deviceId: 'usb-mic', echoCancellation: false });
+      expect(session.state).toBe('inactive');
+
+      await session.start();
+
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledWith({
+        audio: { deviceId: { exact: 'usb-mic' }, echoCancellation: false, noiseSuppression: true, autoGainControl: true }
+      });
+      expect(createdRecorders()[0].start).toHaveBeenCalledWith(RECORDING_TIMESLICE_MS);
+      expect(session.state).toBe('recording');
+      expect(session.startedAt).toEqual(expect.any(String));
+
+      await createRecordingSession({}, { timeslice: 1000 }).start();
+      expect(createdRecorders()[1].start).toHaveBeenCalledWith(1000);
+    });
+
+    it('should say why recording could not start', async () => {
+      navigator.mediaDevices.getUserMedia.mockRejectedValueOnce(new Error('Permission denied'));
+
+      await expect(createRecordingSession().start()).rejects.toThrow('Failed to access microphone. Please check permissions.');
+      await expect(createRecordingSession({ captureTabAudio: true }).start()).rejects.toThrow('This browser cannot record tab audio');
+      expect(navigator.mediaDevices.getUserMedia).toHaveBeenCalledTimes(1);
+    });
+
+    it('should hand over each chunk and the take when it stops', async () => {
+      const track = { stop: jest.fn() };
+      navigator.mediaDevices.getUserMedia.mockResolvedValueOnce({ getTracks: () => [track] });
+      const now = createClock();
+      const onChunk = jest.fn();
+      const onStop = jest.fn();
+      const session = createRecordingSession({}, { onChunk, onStop, now });
+      await session.start();
+      const [recorder] = createdRecorders();
+
+      const chunks = [{ size: 100 }, { size: 80 }];
+      recorder.ondataavailable({ data: chunks[0] });
+      recorder.ondataavailable({ data: { size: 0 } });
+      recorder.ondataavailable({ data: chunks[1] });
+      now.set(42500);
+      session.stop();
+      now.set(45000);
+      recorder.onstop();
+
+      expect(onChunk.mock.calls).toEqual([[chunks[0], 0], [chunks[1], 1]]);
+      expect(recorder.stop).toHaveBeenCalled();
+      expect(global.Blob).toHaveBeenCalledWith([chunks[0], { size: 0 }, chunks[1]], { type: 'audio/webm' });
+      expect(onStop).toHaveBeenCalledWith({ startedAt: session.startedAt, duration: 42, audioBlob: expect.any(Object) });
+      expect(track.stop).toHaveBeenCalled();
+      expect(session.state).toBe('inactive');
+    });
+
+    it('should label the recording with the type the browser produced', async () => {
+      MediaRecorder.isTypeSupported = jest.fn(type => type === 'audio/ogg;codecs=opus');
+      MediaRecorder.mockImplementationOnce(() => ({
+        start: jest.fn(),
+        stop: jest.fn(),
+        state: 'inactive',
+        mimeType: 'audio/ogg; codecs=opus'
+      }));
+      const session = createRecordingSession({ mimeType: 'audio/mp4', audioBitsPerSecond: 96000 });
+
+      await session.start();
+      createdRecorders()[0].onstop();
+
+      expect(MediaRecorder).toHaveBeenCalledWith(expect.anything(), {
+        mimeType: 'audio/ogg;codecs=opus',
+        audioBitsPerSecond: 96000
+      });
+      expect(global.Blob).toHaveBeenCalledWith([], { type: 'audio/ogg; codecs=opus' });
+      delete MediaRecorder.isTypeSupported;
+    });
+
+    it('should pause and resume without counting the pause', async () => {
+      jest.useFakeTimers();
+      const now = createClock();
+      const onTick = jest.fn();
+      const session = createRecordingSession({}, { onTick, now });
+      await session.start();
+      const [recorder] = createdRecorders();
+      recorder.pause = jest.fn();
+      recorder.resume = jest.fn();
+
+      now.set(3000);
+      jest.advanceTimersByTime(1000);
+      expect(onTick).toHaveBeenLastCalledWith(3);
+
+      session.pause();
+      expect(recorder.pause).toHaveBeenCalled();
+      expect(session.state).toBe('paused');
+      now.set(60000);
+      jest.advanceTimersByTime(1000);
+      expect(onTick).toHaveBeenCalledTimes(1);
+
+      session.resume();
+      now.set(65000);
+      jest.advanceTimersByTime(1000);
+      expect(recorder.resume).toHaveBeenCalled();
+      expect(onTick).toHaveBeenLastCalledWith(8);
+      expect(session.getElapsedSeconds()).toBe(8);
+
+      session.stop();
+      jest.advanceTimersByTime(5000);
+      expect(onTick).toHaveBeenCalledTimes(2);
+      jest.useRealTimers();
+    });
+  });
+
+  describe('segmented recording', () => {
+    it('should roll over to a new segment at the size limit', async () => {
+      const onSegment = jest.fn();
+      const onStop = jest.fn();
+      const session = createRecordingSession({ segmentMegabytes: 1 }, { onSegment, onStop });
+      await session.start();
+
+      const [first] = createdRecorders();
+      first.ondataavailable({ data: { size: 512 * 1024 } });
+      expect(MediaRecorder).toHaveBeenCalledTimes(1);
+
+      first.ondataavailable({ data: { size: 512 * 1024 } });
+      expect(MediaRecorder).toHaveBeenCalledTimes(2);
+      expect(first.stop).toHaveBeenCalled();
+
+      first.onstop();
+      expect(onSegment).toHaveBeenCalledWith({ startedAt: expect.any(String), duration: 0, audioBlob: expect.any(Object) });
+      expect(onStop).not.toHaveBeenCalled();
+
+      const second = createdRecorders()[1];
+      session.stop();
+      expect(second.stop).toHaveBeenCalled();
+      second.onstop();
+      expect(onStop).toHaveBeenCalledWith(expect.objectContaining({ split: 'size' }));
+      expect(onSegment).toHaveBeenCalledTimes(1);
+    });
+
+    it('should roll over at the length limit, not counting time paused', async () => {
+      const now = createClock();
+      const onSegment = jest.fn();
+      const session = createRecordingSession({ segmentMinutes: 15 }, { onSegment, now });
+      await session.start();
+      const [first] = createdRecorders();
+      first.pause = jest.fn();
+      first.resume = jest.fn();
+
+      now.set(10 * 60 * 1000);
+      session.pause();
+      now.set(20 * 60 * 1000);
+      session.resume();
+      first.ondataavailable({ data: { size: 10 } });
+      expect(MediaRecorder).toHaveBeenCalledTimes(1);
+
+      now.set(25 * 60 * 1000);
+      first.ondataavailable({ data: { size: 10 } });
+      expect(MediaRecorder).toHaveBeenCalledTimes(2);
+      first.onstop();
+      expect(onSegment).toHaveBeenCalledWith(expect.objectContaining({ duration: 15 * 60 }));
+      expect(session.getElapsedSeconds()).toBe(0);
+    });
+
+    it('should not roll over once stopping', async () => {
+      const session = createRecordingSession({ segmentMegabytes: 1 }, { onSegment: jest.fn() });
+      await session.start();
+      const [first] = createdRecorders();
+
+      session.stop();
+      first.ondataavailable({ data: { size: 2 * 1024 * 1024 } });
+
+      expect(MediaRecorder).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep the recording whole when nothing takes the segments', async () => {
+      const session = createRecordingSession({ segmentMegabytes: 1 });
+      await session.start();
+
+      createdRecorders()[0].ondataavailable({ data: { size: 2 * 1024 * 1024 } });
+
+      expect(MediaRecorder).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const {
+  getTakes,
+  getTotalDuration,
+  addTake,
+  getTakeFilename,
+  describeTake,
+  buildRecordingManifest,
+  transcribeTakes
+} = require('../recordingTakes');
+
+describe('recordingTakes', () => {
+  const first = { startedAt: new Date(2024, 0, 15, 9, 5).toISOString(), duration: 60, audioBlob: { type: 'audio/webm' } };
+  const second = { startedAt: new Date(2024, 0, 15, 11, 40).toISOString(), duration: 95, audioBlob: { type: 'audio/ogg;codecs=opus' } };
+
+  it('should count audio recorded before takes were kept as one take', () => {
+    const audioBlob = { type: 'audio/webm' };
+
+    expect(getTakes({ audioBlob, duration: 30 })).toEqual([{ startedAt: null, duration: 30, audioBlob }]);
+    expect(getTakes({ takes: [first], audioBlob: first.audioBlob })).toEqual([first]);
+    expect(getTakes({ audioBlob: null })).toEqual([]);
+    expect(getTakes(undefined)).toEqual([]);
+  });
+
+  it('should add a take and total the duration', () => {
+    expect(getTotalDuration([first, second])).toBe(155);
+    expect(addTake({ takes: [first], audioBlob: first.audioBlob, duration: 60 }, second)).toEqual({
+      takes: [first, second],
+      audioBlob: second.audioBlob,
+      duration: 155
+    });
+  });
+
+  it('should name and describe takes', () => {
+    expect(getTakeFilename('123-2024', 1, second.audioBlob)).toBe('123-2024_take2.ogg');
+    expect(describeTake(second, 1)).toBe(`Take 2 · ${new Date(second.startedAt).toLocaleTimeString()} · 1:35`);
+    expect(describeTake({ startedAt: null, duration: 30 }, 0)).toBe('Take 1 · 0:30');
+    expect(describeTake({ startedAt: null, duration: 30, split: 'size' }, 2)).toBe('Take 3 · 0:30 · continued after the size limit');
+  });
+
+  it('should build a manifest that places each take on the hearing timeline', () => {
+    const continued = { startedAt: new Date(2024, 0, 15, 9, 6).toISOString(), duration: 40, audioBlob: { type: 'audio/webm' }, split: 'length' };
+    const imported = { startedAt: null, duration: 20, audioBlob: { type: 'audio/mpeg' }, fileName: 'clerk.mp3' };
+
+    const manifest = buildRecordingManifest('123-2024', [first, continued, imported]);
+
+    expect(manifest.caseNumber).toBe('123-2024');
+    expect(manifest.startedAt).toBe(first.startedAt);
+    expect(manifest.duration).toBe(120);
+    expect(manifest.segments).toEqual([
+      { file: '123-2024_take1.webm', startedAt: first.startedAt, offsetSeconds: 0, duration: 60, continuesPrevious: false, split: null, importedFrom: null },
+      { file: '123-2024_take2.webm', startedAt: continued.startedAt, offsetSeconds: 60, duration: 40, continuesPrevious: true, split: 'length', importedFrom: null },
+      { file: '123-2024_take3.mp3', startedAt: null, offsetSeconds: null, duration: 20, continuesPrevious: false, split: null, importedFrom: 'clerk.mp3' }
+    ]);
+  });
+
+  it('should transcribe takes in order and join them under headings', async () => {
+    const transcribe = jest.fn(async take => `Transcript of ${take.duration} s`);
+
+    const result = await transcribeTakes([first, second], transcribe);
+
+    expect(transcribe.mock.calls.map(([take]) => take)).toEqual([first, second]);
+    expect(result.takes[1]).toEqual({ ...second, transcript: 'Transcript of 95 s' });
+    expect(result.transcript).toBe(
+      `--- ${describeTake(first, 0)} ---\n\nTranscript of 60 s\n\n--- ${describeTake(second, 1)} ---\n\nTranscript of 95 s`
+    );
+  });
+
+  it('should return a single take transcript as is', async () => {
+    const result = await transcribeTakes([first], async () => 'Only take');
+
+    expect(result.transcript).toBe('Only take');
+  });
+
+  it('should keep an engine\'s full result on each take', async () => {
+    const transcription = { text: 'Only take', segments: [], provider: 'mock' };
+    const transcribe = jest.fn(async () => ({ transcript: 'Only take', transcription }));
+
+    const result = await transcribeTakes([first], transcribe);
+
+    expect(transcribe).toHaveBeenCalledWith(first, 0);
+    expect(result.takes).toEqual([{ ...first, transcript: 'Only take', transcription }]);
+    expect(result.transcript).toBe('Only take');
+  });
+});
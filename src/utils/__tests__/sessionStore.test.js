@@ -0,0 +1,316 @@
+const {
+  openSessionDB,
+  saveSession,
+  loadSession,
+  clearSession,
+  saveRecordingChunk,
+  loadRecordingChunks,
+  clearRecordingChunks,
+  recoverRecordings,
+  DEPOSITION_RECORDING_ID
+} = require('../sessionStore');
+
+// Minimal in-memory IndexedDB: requests succeed on a later tick and a
+// transaction completes once it has no requests left
+const createIndexedDB = () => {
+  const databases = {};
+  const writes = [];
+  const reads = [];
+
+  const createDatabase = () => {
+    const stores = {};
+    return {
+      objectStoreNames: { contains: (name) => name in stores },
+      createObjectStore: (name) => { stores[name] = new Map(); },
+      transaction: (names) => {
+        const transaction = { oncomplete: null, onerror: null, onabort: null };
+        let pending = 0;
+        const finishIfIdle = () => setTimeout(() => {
+          if (pending === 0 && transaction.oncomplete) transaction.oncomplete();
+        }, 0);
+        const request = (run) => {
+          const req = { result: undefined, onsuccess: null, onerror: null };
+          pending++;
+          setTimeout(() => {
+            req.result = run();
+            if (req.onsuccess) req.onsuccess();
+            pending--;
+            finishIfIdle();
+          }, 0);
+          return req;
+        };
+
+        finishIfIdle();
+        transaction.objectStore = (name) => {
+          expect([].concat(names)).toContain(name);
+          const store = stores[name];
+          return {
+            get: (key) => request(() => store.get(key)),
+            getAll: (range) => {
+              reads.push(name);
+              return request(() => [...store.keys()].sort()
+                .filter(key => !range || (key >= range.lower && key <= range.upper))
+                .map(key => store.get(key)));
+            },
+            put: (value, key) => { writes.push([name, key]); return request(() => store.set(key, value)); },
+            delete: (key) => request(() => {
+              if (typeof key === 'string') return store.delete(key);
+              [...store.keys()].filter(stored => stored >= key.lower && stored <= key.upper).forEach(stored => store.delete(stored));
+            }),
+            clear: () => request(() => store.clear())
+          };
+        };
+        return transaction;
+      }
+    };
+  };
+
+  return {
+    writes,
+    reads,
+    open: (name) => {
+      const req = { result: undefined, onsuccess: null, onerror: null, onupgradeneeded: null };
+      setTimeout(() => {
+        const isNew = !databases[name];
+        if (isNew) databases[name] = createDatabase();
+        req.result = databases[name];
+        if (isNew && req.onupgradeneeded) req.onupgradeneeded();
+        if (req.onsuccess) req.onsuccess();
+      }, 0);
+      return req;
+    }
+  };
+};
+
+describe('sessionStore', () => {
+  const hearings = [
+    { id: 'a', 'Case Number': '123-2024', 'Client Name': 'John Doe' },
+    { id: 'b', 'Case Number': '456-2024', 'Client Name': 'Jane Smith' }
+  ];
+  const audio = { type: 'audio/webm', size: 1024 };
+  const recordings = {
+    a: { isRecording: false, audioBlob: audio, transcript: 'Transcript', notes: 'Client present', duration: 95, status: 'complete' },
+    b: { isRecording: false, audioBlob: null, transcript: '', notes: 'Continued', duration: 0, status: 'ready' }
+  };
+
+  beforeEach(() => {
+    global.IDBKeyRange = { bound: (lower, upper) => ({ lower, upper }) };
+  });
+
+  afterEach(() => {
+    delete global.IDBKeyRange;
+  });
+
+  it('should reject when IndexedDB is not available', async () => {
+    await expect(openSessionDB()).rejects.toThrow('IndexedDB is not available');
+  });
+
+  it('should return null before anything is saved', async () => {
+    const db = await openSessionDB(createIndexedDB());
+
+    expect(await loadSession(db)).toBeNull();
+  });
+
+  it('should save and restore hearings, notes, transcripts and audio', async () => {
+    const db = await openSessionDB(createIndexedDB());
+
+    await saveSession(db, hearings, recordings);
+    const session = await loadSession(db);
+
+    expect(session.hearings).toEqual(hearings);
+    expect(session.recordings).toEqual(recordings);
+    expect(session.recordings.a.audioBlob).toBe(audio);
+    expect(typeof session.savedAt).toBe('number');
+  });
+
+  it('should only write audio that changed since the last save', async () => {
+    const idb = createIndexedDB();
+    const db = await openSessionDB(idb);
+
+    await saveSession(db, hearings, recordings);
+    const updated = { ...recordings, a: { ...recordings.a, notes: 'Updated notes' } };
+    await saveSession(db, hearings, updated, recordings);
+
+    expect(idb.writes.filter(([store]) => store === 'audio')).toEqual([['audio', 'a']]);
+    expect((await loadSession(db)).recordings.a.notes).toBe('Updated notes');
+  });
+
+  it('should save and restore the audio of each take', async () => {
+    const idb = createIndexedDB();
+    const db = await openSessionDB(idb);
+    const first = { startedAt: '2024-01-15T09:05:00.000Z', duration: 60, audioBlob: { type: 'audio/webm', size: 10 } };
+    const second = { startedAt: '2024-01-15T11:40:00.000Z', duration: 35, audioBlob: audio };
+    const withTakes = { ...recordings, a: { ...recordings.a, takes: [first, second] } };
+
+    await saveSession(db, hearings, withTakes);
+    const session = await loadSession(db);
+
+    expect(session.recordings.a.takes).toEqual([first, second]);
+    expect(session.recordings.a.audioBlob).toBe(audio);
+  });
+
+  it('should save the sealed original of a redacted take and rewrite audio when a take is redacted', async () => {
+    const idb = createIndexedDB();
+    const db = await openSessionDB(idb);
+    const original = { type: 'audio/webm', size: 10 };
+    const first = { startedAt: '2024-01-15T09:05:00.000Z', duration: 60, audioBlob: original };
+    const second = { startedAt: '2024-01-15T11:40:00.000Z', duration: 35, audioBlob: audio };
+    const withTakes = { ...recordings, a: { ...recordings.a, takes: [first, second] } };
+    const sealed = { type: 'audio/webm', salt: 'salt', iv: 'iv', data: 'ciphertext' };
+    const redactedFirst = { ...first, audioBlob: { type: 'audio/wav', size: 8 }, sealedOriginal: sealed, redacted: true };
+    const redacted = { ...withTakes, a: { ...withTakes.a, takes: [redactedFirst, second] } };
+
+    await saveSession(db, hearings, withTakes);
+    await saveSession(db, hearings, redacted, withTakes);
+    const session = await loadSession(db);
+
+    expect(idb.writes.filter(([store]) => store === 'audio')).toEqual([['audio', 'a'], ['audio', 'a']]);
+    expect(session.recordings.a.takes).toEqual([redactedFirst, second]);
+    expect(session.recordings.a.takes[0].sealedOriginal).toBe(sealed);
+    expect(session.recordings.a.audioBlob).toBe(audio);
+  });
+
+  it('should not resume a recording or transcription cut off by a reload', async () => {
+    const db = await openSessionDB(createIndexedDB());
+
+    await saveSession(db, hearings, {
+      a: { ...recordings.a, status: 'processing' },
+      b: { ...recordings.b, isRecording: true, status: 'recording' }
+    });
+    const session = await loadSession(db);
+
+    expect(session.recordings.a.status).toBe('recorded');
+    expect(session.recordings.b).toEqual(expect.objectContaining({ isRecording: false, status: 'ready', audioBlob: null }));
+  });
+
+  it('should clear the saved session', async () => {
+    const db = await openSessionDB(createIndexedDB());
+
+    await saveSession(db, hearings, recordings);
+    await clearSession(db);
+
+    expect(await loadSession(db)).toBeNull();
+  });
+
+  describe('recording chunks', () => {
+    const chunk = (content) => ({ content, type: 'audio/webm' });
+
+    it('should reassemble chunks of an interrupted recording onto its hearing', async () => {
+      const db = await openSessionDB(createIndexedDB());
+      await saveSession(db, hearings, { ...recordings, b: { ...recordings.b, isRecording: true, status: 'recording', duration: 3300 } });
+      await saveRecordingChunk(db, 'b', 0, chunk('first'));
+      await saveRecordingChunk(db, 'b', 1, chunk('second'));
+
+      expect(await recoverRecordings(db)).toEqual(['b']);
+      const session = await loadSession(db);
+
+      expect(global.Blob).toHaveBeenLastCalledWith([chunk('first'), chunk('second')], { type: 'audio/webm' });
+      expect(session.recordings.b).toEqual(expect.objectContaining({
+        audioBlob: expect.objectContaining({ type: 'audio/webm' }),
+        status: 'recorded',
+        recovered: true,
+        duration: 3300
+      }));
+      // The chunks are gone once recovered
+      expect(await recoverRecordings(db)).toEqual([]);
+    });
+
+    it('should add an interrupted take after the earlier ones', async () => {
+      const db = await openSessionDB(createIndexedDB());
+      const first = { startedAt: '2024-01-15T09:05:00.000Z', duration: 60, audioBlob: audio };
+      await saveSession(db, hearings, {
+        ...recordings,
+        a: { ...recordings.a, takes: [first], isRecording: true, status: 'recording', takeStartedAt: '2024-01-15T11:40:00.000Z', duration: 100 }
+      });
+      await saveRecordingChunk(db, 'a', 0, chunk('recalled'));
+
+      await recoverRecordings(db);
+      const restored = (await loadSession(db)).recordings.a;
+
+      expect(restored.takes).toEqual([
+        first,
+        { startedAt: '2024-01-15T11:40:00.000Z', duration: 40, recovered: true, audioBlob: expect.objectContaining({ type: 'audio/webm' }) }
+      ]);
+      expect(restored.audioBlob).toBe(restored.takes[1].audioBlob);
+      expect(restored).toEqual(expect.objectContaining({ status: 'recorded', recovered: true, takeStartedAt: null }));
+    });
+
+    it('should start a new take without the chunks of the last one', async () => {
+      const db = await openSessionDB(createIndexedDB());
+      await saveSession(db, hearings, recordings);
+      await saveRecordingChunk(db, 'b', 0, chunk('old take'));
+      await saveRecordingChunk(db, 'b', 1, chunk('old take'));
+      await saveRecordingChunk(db, 'b', 0, chunk('new take'));
+
+      await recoverRecordings(db);
+
+      expect(global.Blob).toHaveBeenLastCalledWith([chunk('new take')], { type: 'audio/webm' });
+    });
+
+    it('should drop the chunks once the finished recording is saved', async () => {
+      const db = await openSessionDB(createIndexedDB());
+      await saveSession(db, hearings, recordings);
+      await saveRecordingChunk(db, 'b', 0, chunk('first'));
+
+      const finished = { ...recordings, b: { ...recordings.b, audioBlob: audio, status: 'recorded' } };
+      await saveSession(db, hearings, finished, recordings);
+
+      expect(await recoverRecordings(db)).toEqual([]);
+    });
+
+    it('should drop only the chunks of the finished hearing, without reading the others', async () => {
+      const indexedDB = createIndexedDB();
+      const db = await openSessionDB(indexedDB);
+      const stillRecording = { ...recordings, a: { ...recordings.a, isRecording: true, status: 'recording' } };
+      await saveSession(db, hearings, stillRecording);
+      await saveRecordingChunk(db, 'a', 0, chunk('still going'));
+      await saveRecordingChunk(db, 'b', 0, chunk('first'));
+      await saveRecordingChunk(db, 'b', 1, chunk('second'));
+
+      await saveSession(db, hearings, { ...stillRecording, b: { ...recordings.b, audioBlob: audio, status: 'recorded' } }, stillRecording);
+      await saveRecordingChunk(db, 'b', 0, chunk('next take'));
+
+      expect(indexedDB.reads).toEqual([]);
+      expect(await recoverRecordings(db)).toEqual(['a', 'b']);
+      expect(global.Blob.mock.calls.slice(-2).map(([parts]) => parts)).toEqual([[chunk('still going')], [chunk('next take')]]);
+    });
+
+    it('should leave chunks of hearings missing from the saved session', async () => {
+      const db = await openSessionDB(createIndexedDB());
+      await saveSession(db, hearings, recordings);
+      await saveRecordingChunk(db, 'unknown', 0, chunk('first'));
+
+      expect(await recoverRecordings(db)).toEqual([]);
+
+      await clearSession(db);
+      await saveSession(db, [...hearings, { id: 'unknown' }], { ...recordings, unknown: { status: 'recording' } });
+
+      // Clear Day removes partial recordings as well
+      expect(await recoverRecordings(db)).toEqual([]);
+    });
+
+    it('should reassemble a deposition kept apart from the hearings', async () => {
+      const db = await openSessionDB(createIndexedDB());
+      await saveSession(db, hearings, recordings);
+      await saveRecordingChunk(db, DEPOSITION_RECORDING_ID, 0, chunk('first'));
+      await saveRecordingChunk(db, DEPOSITION_RECORDING_ID, 1, chunk('second'));
+
+      expect(await loadRecordingChunks(db, DEPOSITION_RECORDING_ID)).toEqual(expect.objectContaining({ type: 'audio/webm' }));
+      expect(global.Blob).toHaveBeenLastCalledWith([chunk('first'), chunk('second')], { type: 'audio/webm' });
+      // The deposition is not mistaken for an interrupted hearing
+      expect(await recoverRecordings(db)).toEqual([]);
+    });
+
+    it('should drop a deposition\'s chunks without touching the hearings\'', async () => {
+      const db = await openSessionDB(createIndexedDB());
+      await saveSession(db, hearings, { ...recordings, b: { ...recordings.b, isRecording: true, status: 'recording' } });
+      await saveRecordingChunk(db, 'b', 0, chunk('hearing'));
+      await saveRecordingChunk(db, DEPOSITION_RECORDING_ID, 0, chunk('first'));
+
+      await clearRecordingChunks(db, DEPOSITION_RECORDING_ID);
+
+      expect(await loadRecordingChunks(db, DEPOSITION_RECORDING_ID)).toBeNull();
+      expect(await recoverRecordings(db)).toEqual(['b']);
+    });
+  });
+});
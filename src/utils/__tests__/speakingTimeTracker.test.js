@@ -234,6 +234,21 @@ describe('speakingTimeTracker', () => {
       expect(report).toContain('Speaking Turns: 2');
       expect(report).toContain('TIMELINE');
     });
+
+    it('should include extra docket fields chosen for reports', () => {
+      const hearingInfo = {
+        'Case Number': '123-2024',
+        'Division': 'Criminal',
+        'Judge': 'Hon. Rivera',
+        'Charge': 'Petty Theft'
+      };
+      const schema = { fields: [{ key: 'Charge', inReports: false }] };
+
+      const report = generateTextReport(initializeSpeakingTime(), hearingInfo, schema);
+
+      expect(report).toContain('Division: Criminal\nJudge: Hon. Rivera\n');
+      expect(report).not.toContain('Charge');
+    });
   });
 
   describe('generateChartData', () => {
@@ -0,0 +1,23 @@
+const { getStorage } = require('../storage');
+const { createMemoryStorage } = require('../../testUtils/memoryStorage');
+
+describe('storage', () => {
+  it('should use the storage it is given', () => {
+    const storage = createMemoryStorage();
+
+    expect(getStorage(storage)).toBe(storage);
+  });
+
+  it('should fall back to localStorage', () => {
+    expect(getStorage()).toBe(window.localStorage);
+  });
+
+  it('should return null when localStorage cannot be reached', () => {
+    const spy = jest.spyOn(window, 'localStorage', 'get').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+
+    expect(getStorage()).toBeNull();
+    spy.mockRestore();
+  });
+});
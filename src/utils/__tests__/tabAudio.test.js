@@ -0,0 +1,173 @@
+const {
+  SOURCE_GAINS,
+  isTabAudioError,
+  openTabAudio,
+  mixInputs,
+  openRecordingInput
+} = require('../tabAudio');
+
+const createTrack = (kind) => ({ kind, stop: jest.fn(), onended: null });
+
+const createStream = (tracks) => ({
+  tracks,
+  getTracks: () => tracks,
+  getAudioTracks: () => tracks.filter(track => track.kind === 'audio'),
+  getVideoTracks: () => tracks.filter(track => track.kind === 'video')
+});
+
+// AudioContext stand-in that records how the graph is wired
+const createAudioContextClass = () => {
+  const nodes = [];
+  const createNode = (type, extra = {}) => {
+    const node = { type, connect: jest.fn(), ...extra };
+    nodes.push(node);
+    return node;
+  };
+  const AudioContextClass = jest.fn(() => ({
+    createMediaStreamDestination: () => createNode('destination', { stream: 'mixed-stream' }),
+    createMediaStreamSource: (stream) => createNode('source', { stream }),
+    createGain: () => createNode('gain', { gain: { value: 1 } }),
+    createChannelMerger: (channels) => createNode('merger', { channels }),
+    close: jest.fn()
+  }));
+  AudioContextClass.nodes = nodes;
+  AudioContextClass.find = (type) => nodes.filter(node => node.type === type);
+  return AudioContextClass;
+};
+
+describe('tabAudio', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  it('should offer gains around unity', () => {
+    expect(SOURCE_GAINS).toContain(1);
+    expect(SOURCE_GAINS.every(gain => gain > 0)).toBe(true);
+  });
+
+  it('should keep only the audio of the shared tab', async () => {
+    const video = createTrack('video');
+    const audio = createTrack('audio');
+    const mediaDevices = { getDisplayMedia: jest.fn().mockResolvedValue(createStream([video, audio])) };
+
+    const stream = await openTabAudio(mediaDevices);
+
+    expect(mediaDevices.getDisplayMedia).toHaveBeenCalledWith(expect.objectContaining({
+      video: true,
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    }));
+    expect(video.stop).toHaveBeenCalled();
+    expect(audio.stop).not.toHaveBeenCalled();
+    expect(stream.getAudioTracks()).toEqual([audio]);
+  });
+
+  it('should explain when no tab audio was shared', async () => {
+    const video = createTrack('video');
+    const withoutAudio = { getDisplayMedia: jest.fn().mockResolvedValue(createStream([video])) };
+    const cancelled = {
+      getDisplayMedia: jest.fn().mockRejectedValue(Object.assign(new Error('Permission denied'), { name: 'NotAllowedError' }))
+    };
+
+    await expect(openTabAudio(withoutAudio)).rejects.toThrow('The shared tab has no audio');
+    await expect(openTabAudio(cancelled)).rejects.toThrow('No tab was shared, so the recording did not start');
+    await expect(openTabAudio({})).rejects.toThrow('This browser cannot record tab audio');
+
+    const error = await openTabAudio({}).catch(e => e);
+    expect(isTabAudioError(error)).toBe(true);
+    expect(isTabAudioError(new Error('Permission denied'))).toBe(false);
+  });
+
+  it('should mix the microphone and the tab with their own gains', () => {
+    const AudioContextClass = createAudioContextClass();
+    const micInput = { stream: 'mic-stream', stop: jest.fn() };
+    const tabStream = createStream([createTrack('audio')]);
+
+    const input = mixInputs(micInput, tabStream, { micGain: 0.5, tabGain: 2 }, { AudioContextClass });
+
+    const [micGain, tabGain] = AudioContextClass.find('gain');
+    const [destination] = AudioContextClass.find('destination');
+    expect(input.stream).toBe('mixed-stream');
+    expect(micGain.gain.value).toBe(0.5);
+    expect(tabGain.gain.value).toBe(2);
+    expect(micGain.connect).toHaveBeenCalledWith(destination);
+    expect(tabGain.connect).toHaveBeenCalledWith(destination);
+    expect(AudioContextClass.find('merger')).toHaveLength(0);
+  });
+
+  it('should put the microphone on the left channel and the tab on the right', () => {
+    const AudioContextClass = createAudioContextClass();
+    const micInput = { stream: 'mic-stream', stop: jest.fn() };
+    const tabStream = createStream([createTrack('audio')]);
+
+    mixInputs(micInput, tabStream, { separateChannels: true }, { AudioContextClass });
+
+    const [micGain, tabGain] = AudioContextClass.find('gain');
+    const [merger] = AudioContextClass.find('merger');
+    expect(merger.channels).toBe(2);
+    expect(micGain.connect).toHaveBeenCalledWith(merger, 0, 0);
+    expect(tabGain.connect).toHaveBeenCalledWith(merger, 0, 1);
+    expect(merger.connect).toHaveBeenCalledWith(AudioContextClass.find('destination')[0]);
+  });
+
+  it('should report when the tab stops being shared and release both sources on stop', () => {
+    const AudioContextClass = createAudioContextClass();
+    const onChange = jest.fn();
+    const micInput = { stream: 'mic-stream', stop: jest.fn() };
+    const track = createTrack('audio');
+
+    const input = mixInputs(micInput, createStream([track]), {}, { AudioContextClass, onChange });
+    track.onended();
+
+    expect(onChange).toHaveBeenCalledWith({ type: 'tab-ended', at: expect.any(String) });
+
+    input.stop();
+    track.onended();
+
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(micInput.stop).toHaveBeenCalled();
+    expect(track.stop).toHaveBeenCalled();
+  });
+
+  it('should only ask for a tab when tab audio is on', async () => {
+    const mediaDevices = {
+      getUserMedia: jest.fn().mockResolvedValue(createStream([createTrack('audio')])),
+      getDisplayMedia: jest.fn()
+    };
+
+    await openRecordingInput({}, { mediaDevices });
+
+    expect(mediaDevices.getDisplayMedia).not.toHaveBeenCalled();
+    expect(mediaDevices.getUserMedia).toHaveBeenCalledWith({ audio: true });
+  });
+
+  it('should record the tab and the microphone together', async () => {
+    const AudioContextClass = createAudioContextClass();
+    const tabTrack = createTrack('audio');
+    const mediaDevices = {
+      getUserMedia: jest.fn().mockResolvedValue(createStream([createTrack('audio')])),
+      getDisplayMedia: jest.fn().mockResolvedValue(createStream([tabTrack]))
+    };
+
+    const input = await openRecordingInput({ captureTabAudio: true }, { mediaDevices, AudioContextClass });
+
+    expect(mediaDevices.getDisplayMedia).toHaveBeenCalled();
+    expect(mediaDevices.getUserMedia).toHaveBeenCalled();
+    expect(AudioContextClass.find('gain')).toHaveLength(2);
+    expect(input.stream).toBe('mixed-stream');
+  });
+
+  it('should stop sharing the tab when the microphone cannot be opened', async () => {
+    const tabTrack = createTrack('audio');
+    const mediaDevices = {
+      getUserMedia: jest.fn().mockRejectedValue(new Error('Permission denied')),
+      getDisplayMedia: jest.fn().mockResolvedValue(createStream([tabTrack]))
+    };
+
+    await expect(openRecordingInput({ captureTabAudio: true }, { mediaDevices })).rejects.toThrow('Permission denied');
+    expect(tabTrack.stop).toHaveBeenCalled();
+  });
+});
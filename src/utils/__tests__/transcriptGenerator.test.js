@@ -1,92 +1,8 @@
-const { generateMockTranscript, downloadTranscript } = require('../transcriptGenerator');
+const { downloadTranscript } = require('../transcriptGenerator');
 
 describe('transcriptGenerator', () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    // Reset timers
-    jest.useFakeTimers();
-  });
-
-  afterEach(() => {
-    jest.useRealTimers();
-  });
-
-  describe('generateMockTranscript', () => {
-    const mockHearing = {
-      'Case Number': '123-2024',
-      'Client Name': 'John Doe',
-      'Division': 'Criminal',
-      'Time': '9:00 AM'
-    };
-
-    it('should generate transcript with hearing details', async () => {
-      const audioBlob = new Blob(['audio data'], { type: 'audio/webm' });
-      const duration = 300; // 5 minutes
-
-      const transcriptPromise = generateMockTranscript(audioBlob, mockHearing, duration);
-      
-      // Fast-forward the setTimeout
-      jest.advanceTimersByTime(2000);
-      
-      const result = await transcriptPromise;
-
-      expect(result).toContain('123-2024');
-      expect(result).toContain('John Doe');
-      expect(result).toContain('Criminal');
-      expect(result).toContain('9:00 AM');
-      expect(result).toContain('5:00'); // Duration formatted
-    });
-
-    it('should simulate processing delay', async () => {
-      const audioBlob = new Blob(['audio data'], { type: 'audio/webm' });
-      
-      const transcriptPromise = generateMockTranscript(audioBlob, mockHearing, 60);
-      
-      // Should not resolve immediately
-      let resolved = false;
-      transcriptPromise.then(() => { resolved = true; });
-      
-      // Advance by 1 second - should not be resolved yet
-      jest.advanceTimersByTime(1000);
-      await Promise.resolve(); // Allow microtasks to run
-      expect(resolved).toBe(false);
-      
-      // Advance by another second - should now be resolved
-      jest.advanceTimersByTime(1000);
-      await Promise.resolve();
-      expect(resolved).toBe(true);
-    });
-
-    it('should throw error for null audio blob', async () => {
-      await expect(generateMockTranscript(null, mockHearing, 60))
-        .rejects.toThrow('No audio data available for transcription');
-    });
-
-    it('should throw error for undefined audio blob', async () => {
-      await expect(generateMockTranscript(undefined, mockHearing, 60))
-        .rejects.toThrow('No audio data available for transcription');
-    });
-
-    it('should include mock transcript disclaimer', async () => {
-      const audioBlob = new Blob(['audio data'], { type: 'audio/webm' });
-      
-      const transcriptPromise = generateMockTranscript(audioBlob, mockHearing, 60);
-      jest.advanceTimersByTime(2000);
-      const result = await transcriptPromise;
-
-      expect(result).toContain('This is a mock transcript');
-      expect(result).toContain('Whisper/Vosk model');
-    });
-
-    it('should format duration correctly in transcript', async () => {
-      const audioBlob = new Blob(['audio data'], { type: 'audio/webm' });
-      
-      const transcriptPromise = generateMockTranscript(audioBlob, mockHearing, 125); // 2:05
-      jest.advanceTimersByTime(2000);
-      const result = await transcriptPromise;
-
-      expect(result).toContain('Duration: 2:05');
-    });
   });
 
   describe('downloadTranscript', () => {
@@ -141,6 +57,18 @@ describe('transcriptGenerator', () => {
       expect(content).toContain('NOTES:\nTest notes');
     });
 
+    it('should include extra docket fields chosen for reports', () => {
+      const hearing = { ...mockHearing, 'Judge': 'Hon. Rivera', 'Bond': '$500' };
+      const schema = { fields: [{ key: 'Bond', inReports: false }] };
+
+      downloadTranscript(hearing, 'transcript', 'notes', 60, 'test.txt', schema);
+
+      const content = global.Blob.mock.calls[0][0][0];
+
+      expect(content).toContain('Time: 9:00 AM\nJudge: Hon. Rivera\nDuration: 1:00');
+      expect(content).not.toContain('Bond');
+    });
+
     it('should create blob with correct type', () => {
       downloadTranscript(mockHearing, 'transcript', 'notes', 60, 'test.txt');
 
@@ -0,0 +1,174 @@
+const {
+  MOCK_PROVIDER_ID,
+  DEFAULT_TRANSCRIPTION_SETTINGS,
+  isTranscriptionCancelled,
+  registerProvider,
+  unregisterProvider,
+  listProviders,
+  getSelectedProvider,
+  describeCapabilities,
+  transcribeAudio,
+  formatTranscription,
+  getTranscriptionSettings,
+  saveTranscriptionSettings
+} = require('../transcriptionProviders');
+const { createMemoryStorage } = require('../../testUtils/memoryStorage');
+
+const hearing = {
+  'Case Number': '123-2024',
+  'Client Name': 'John Doe',
+  'Division': 'Criminal',
+  'Time': '9:00 AM'
+};
+
+const audioBlob = { size: 1000, type: 'audio/webm' };
+
+describe('transcriptionProviders', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+    unregisterProvider('whisper');
+  });
+
+  it('should offer the mock engine by default and fall back to it', () => {
+    expect(listProviders().map(provider => provider.id)).toEqual([MOCK_PROVIDER_ID]);
+    expect(getSelectedProvider({ providerId: 'uninstalled' }).id).toBe(MOCK_PROVIDER_ID);
+    expect(unregisterProvider(MOCK_PROVIDER_ID)).toBe(false);
+  });
+
+  it('should register an engine with its capabilities', () => {
+    const provider = registerProvider({
+      id: 'whisper',
+      label: 'Whisper (local server)',
+      capabilities: { languages: ['en', 'es'], timestamps: true, offline: true },
+      transcribe: jest.fn()
+    });
+
+    expect(provider.capabilities).toEqual({
+      languages: ['en', 'es'],
+      timestamps: true,
+      speakerLabels: false,
+      offline: true,
+      cancellable: false
+    });
+    expect(provider.options).toEqual([]);
+    expect(listProviders().map(registered => registered.id)).toEqual([MOCK_PROVIDER_ID, 'whisper']);
+    expect(describeCapabilities(provider)).toEqual(['Audio stays on this computer', 'English, Spanish', 'Timestamps']);
+    expect(() => registerProvider({ id: 'broken', label: 'Broken' })).toThrow(
+      'A transcription provider needs an id, a label and a transcribe function'
+    );
+  });
+
+  it('should transcribe with the chosen engine, its language and its settings', async () => {
+    const transcribe = jest.fn(async (blob, options) => {
+      options.onProgress(0.5);
+      return {
+        segments: [
+          { start: 0, end: 4.2, text: ' All rise. ', speaker: 'Bailiff' },
+          { start: 65, end: 70, text: 'Be seated.', speaker: 'Judge' }
+        ]
+      };
+    });
+    registerProvider({
+      id: 'whisper',
+      label: 'Whisper (local server)',
+      capabilities: { languages: ['en', 'es'] },
+      transcribe
+    });
+    const onProgress = jest.fn();
+
+    const transcription = await transcribeAudio(audioBlob, {
+      settings: { providerId: 'whisper', language: 'fr', providerOptions: { whisper: { endpoint: 'http://localhost:9000' } } },
+      hearing,
+      duration: 70,
+      onProgress
+    });
+
+    expect(transcribe).toHaveBeenCalledWith(audioBlob, expect.objectContaining({
+      hearing,
+      duration: 70,
+      language: 'en',
+      options: { endpoint: 'http://localhost:9000' }
+    }));
+    expect(onProgress.mock.calls).toEqual([[0.5], [1]]);
+    expect(transcription).toEqual({
+      text: 'All rise. Be seated.',
+      segments: [
+        { start: 0, end: 4.2, text: 'All rise.', speaker: 'Bailiff' },
+        { start: 65, end: 70, text: 'Be seated.', speaker: 'Judge' }
+      ],
+      language: 'en',
+      provider: 'whisper',
+      providerLabel: 'Whisper (local server)',
+      createdAt: expect.any(String)
+    });
+    expect(formatTranscription(transcription)).toBe('[0:00] Bailiff: All rise.\n[1:05] Judge: Be seated.');
+  });
+
+  it('should reject an engine that returns nothing, and a missing recording', async () => {
+    registerProvider({ id: 'whisper', label: 'Whisper', transcribe: jest.fn().mockResolvedValue({ text: '' }) });
+
+    await expect(transcribeAudio(audioBlob, { settings: { providerId: 'whisper' } })).rejects.toThrow('Whisper returned no transcript');
+    await expect(transcribeAudio(null)).rejects.toThrow('No audio data available for transcription');
+  });
+
+  it('should make the mock transcript with progress', async () => {
+    jest.useFakeTimers();
+    const onProgress = jest.fn();
+
+    const promise = transcribeAudio(audioBlob, { hearing, duration: 125, onProgress });
+    await jest.advanceTimersByTimeAsync(2000);
+    const transcription = await promise;
+
+    expect(onProgress.mock.calls).toEqual([[0], [0.25], [0.5], [0.75], [1]]);
+    expect(transcription.provider).toBe(MOCK_PROVIDER_ID);
+    expect(formatTranscription(transcription)).toBe(
+      '[Transcript for 123-2024]\n\n' +
+      'Court proceedings for John Doe in Criminal at 9:00 AM.\n\n' +
+      '[This is a mock transcript. In production, this would be generated by a local Whisper/Vosk model.]\n\n' +
+      'Duration: 2:05'
+    );
+    jest.useRealTimers();
+  });
+
+  it('should stop when cancelled, even if the engine carries on', async () => {
+    jest.useFakeTimers();
+    const controller = new AbortController();
+
+    const promise = transcribeAudio(audioBlob, { hearing, duration: 60, signal: controller.signal });
+    controller.abort();
+    const error = await promise.catch(rejected => rejected);
+    expect(isTranscriptionCancelled(error)).toBe(true);
+    jest.useRealTimers();
+
+    const stubborn = new AbortController();
+    registerProvider({
+      id: 'whisper',
+      label: 'Whisper',
+      transcribe: async () => {
+        stubborn.abort();
+        return 'Too late';
+      }
+    });
+    await expect(transcribeAudio(audioBlob, { settings: { providerId: 'whisper' }, signal: stubborn.signal }))
+      .rejects.toThrow('Transcription cancelled');
+    expect(isTranscriptionCancelled(new Error('Network error'))).toBe(false);
+  });
+
+  it('should save and load the transcription settings', () => {
+    const storage = createMemoryStorage();
+    expect(getTranscriptionSettings(storage)).toEqual(DEFAULT_TRANSCRIPTION_SETTINGS);
+
+    saveTranscriptionSettings({ providerId: 'whisper', language: 'es', providerOptions: { whisper: { model: 'small' } } }, storage);
+
+    expect(getTranscriptionSettings(storage)).toEqual({
+      providerId: 'whisper',
+      language: 'es',
+      providerOptions: { whisper: { model: 'small' } }
+    });
+    expect(saveTranscriptionSettings({}, storage)).toEqual(DEFAULT_TRANSCRIPTION_SETTINGS);
+  });
+});
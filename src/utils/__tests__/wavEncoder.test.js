@@ -0,0 +1,133 @@
+const {
+  mixToMono,
+  resample,
+  linearToMuLaw,
+  encodeWAV,
+  convertToWAV
+} = require('../wavEncoder');
+
+const readString = (view, offset, length) =>
+  String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+
+// An AudioContext stand-in that decodes every blob to the given channels
+const createAudioContextClass = (channels, sampleRate) => jest.fn(() => ({
+  decodeAudioData: jest.fn().mockResolvedValue({
+    sampleRate,
+    numberOfChannels: channels.length,
+    getChannelData: (index) => channels[index]
+  }),
+  close: jest.fn()
+}));
+
+describe('wavEncoder', () => {
+  describe('mixToMono', () => {
+    it('should average the channels', () => {
+      const mono = mixToMono([new Float32Array([1, 0.5]), new Float32Array([0, -0.5])]);
+
+      expect(Array.from(mono)).toEqual([0.5, 0]);
+    });
+  });
+
+  describe('resample', () => {
+    it('should average samples when downsampling', () => {
+      const samples = new Float32Array([0, 1, 1, 1, 0.5, 0.5]);
+
+      expect(Array.from(resample(samples, 48000, 16000))).toEqual([2 / 3, 2 / 3].map(Math.fround));
+    });
+
+    it('should interpolate when upsampling', () => {
+      expect(Array.from(resample(new Float32Array([0, 1]), 8000, 16000))).toEqual([0, 0.5, 1, 1]);
+    });
+
+    it('should leave samples at the target rate alone', () => {
+      const samples = new Float32Array([0.25]);
+
+      expect(resample(samples, 16000, 16000)).toBe(samples);
+    });
+  });
+
+  describe('linearToMuLaw', () => {
+    it('should encode G.711 reference values', () => {
+      expect(linearToMuLaw(0)).toBe(0xff);
+      expect(linearToMuLaw(1)).toBe(0x80);
+      expect(linearToMuLaw(-1)).toBe(0x00);
+      expect(linearToMuLaw(1000 / 32767)).toBe(0xce);
+    });
+  });
+
+  describe('encodeWAV', () => {
+    it('should write a 16-bit PCM file with a canonical header', () => {
+      const view = new DataView(encodeWAV(new Float32Array([0, 1, -1])));
+
+      expect(readString(view, 0, 4)).toBe('RIFF');
+      expect(view.getUint32(4, true)).toBe(view.byteLength - 8);
+      expect(readString(view, 8, 8)).toBe('WAVEfmt ');
+      expect(view.getUint32(16, true)).toBe(16);
+      expect(view.getUint16(20, true)).toBe(1);
+      expect(view.getUint16(22, true)).toBe(1);
+      expect(view.getUint32(24, true)).toBe(16000);
+      expect(view.getUint32(28, true)).toBe(32000);
+      expect(view.getUint16(32, true)).toBe(2);
+      expect(view.getUint16(34, true)).toBe(16);
+      expect(readString(view, 36, 4)).toBe('data');
+      expect(view.getUint32(40, true)).toBe(6);
+      expect([44, 46, 48].map(offset => view.getInt16(offset, true))).toEqual([0, 32767, -32768]);
+    });
+
+    it('should write a µ-law file with a fact chunk and a padded data chunk', () => {
+      const view = new DataView(encodeWAV(new Float32Array([0, 1, -1]), { encoding: 'mulaw', sampleRate: 8000 }));
+
+      expect(view.getUint32(16, true)).toBe(18);
+      expect(view.getUint16(20, true)).toBe(7);
+      expect(view.getUint32(28, true)).toBe(8000);
+      expect(view.getUint16(34, true)).toBe(8);
+      expect(view.getUint16(36, true)).toBe(0);
+      expect(readString(view, 38, 4)).toBe('fact');
+      expect(view.getUint32(46, true)).toBe(3);
+      expect(readString(view, 50, 4)).toBe('data');
+      expect(view.getUint32(54, true)).toBe(3);
+      expect([58, 59, 60].map(offset => view.getUint8(offset))).toEqual([0xff, 0x80, 0x00]);
+      expect(view.byteLength).toBe(62);
+      expect(view.getUint32(4, true)).toBe(54);
+    });
+
+    it('should reject unknown encodings', () => {
+      expect(() => encodeWAV(new Float32Array(1), { encoding: 'mp3' })).toThrow('Unsupported WAV encoding: mp3');
+    });
+  });
+
+  describe('convertToWAV', () => {
+    const blob = { type: 'audio/webm', arrayBuffer: jest.fn().mockResolvedValue(new ArrayBuffer(8)) };
+
+    it('should decode, downmix and resample a recording to 16 kHz mono', async () => {
+      const AudioContextClass = createAudioContextClass(
+        [new Float32Array([1, 1, 1, 0, 0, 0]), new Float32Array([0, 0, 0, 0, 0, 0])],
+        48000
+      );
+
+      const wav = await convertToWAV(blob, {}, AudioContextClass);
+      const view = new DataView(wav.content[0]);
+
+      expect(AudioContextClass).toHaveBeenCalledWith({ sampleRate: 16000 });
+      expect(wav.type).toBe('audio/wav');
+      expect(view.getUint32(40, true)).toBe(4);
+      expect([44, 46].map(offset => view.getInt16(offset, true))).toEqual([16383, 0]);
+    });
+
+    it('should join takes end to end', async () => {
+      const AudioContextClass = createAudioContextClass([new Float32Array([0.5, 0.5])], 16000);
+
+      const wav = await convertToWAV([blob, blob], {}, AudioContextClass);
+      const view = new DataView(wav.content[0]);
+
+      expect(AudioContextClass).toHaveBeenCalledTimes(2);
+      expect(view.getUint32(40, true)).toBe(8);
+    });
+
+    it('should fail without Web Audio or a recording', async () => {
+      await expect(convertToWAV(blob)).rejects.toThrow('Web Audio is not available in this browser');
+      await expect(convertToWAV(null)).rejects.toThrow('No audio data available for download');
+      await expect(convertToWAV([])).rejects.toThrow('No audio data available for download');
+    });
+  });
+});
@@ -0,0 +1,86 @@
+const {
+  PLAYBACK_RATES,
+  computePeaks,
+  findSilentRanges,
+  getSkipTarget,
+  clampTime,
+  analyzeRecording
+} = require('../waveform');
+
+// Tone at the given level for a number of seconds
+const tone = (seconds, level, sampleRate = 100) =>
+  Array.from({ length: seconds * sampleRate }, (_, i) => (i % 2 === 0 ? level : -level));
+
+describe('waveform', () => {
+  it('should offer playback from half speed to three times speed', () => {
+    expect(PLAYBACK_RATES[0]).toBe(0.5);
+    expect(PLAYBACK_RATES[PLAYBACK_RATES.length - 1]).toBe(3);
+    expect(PLAYBACK_RATES).toContain(1);
+  });
+
+  it('should reduce samples to scaled peaks per bar', () => {
+    const samples = new Float32Array([0.1, -0.2, 0.5, 0.25, 0, 0]);
+
+    expect(computePeaks(samples, 3).map(peak => Math.round(peak * 100) / 100)).toEqual([0.4, 1, 0]);
+    expect(computePeaks(new Float32Array(0), 3)).toEqual([]);
+    expect(computePeaks(new Float32Array(4), 2)).toEqual([0, 0]);
+  });
+
+  it('should find silent stretches of a second or more', () => {
+    const samples = new Float32Array([
+      ...tone(2, 0.3),
+      ...tone(3, 0),
+      ...tone(1, 0.3),
+      ...tone(0.5, 0),
+      ...tone(1, 0.3),
+      ...tone(2, 0.001)
+    ]);
+
+    const ranges = findSilentRanges(samples, 100);
+
+    expect(ranges).toHaveLength(2);
+    expect(ranges[0].start).toBeCloseTo(2.2);
+    expect(ranges[0].end).toBeCloseTo(4.8);
+    expect(ranges[1].start).toBeCloseTo(7.7);
+    expect(ranges[1].end).toBeCloseTo(9.3);
+  });
+
+  it('should jump to the end of the silent stretch being played', () => {
+    const ranges = [{ start: 2.2, end: 4.8 }];
+
+    expect(getSkipTarget(3, ranges)).toBe(4.8);
+    expect(getSkipTarget(1, ranges)).toBeNull();
+    expect(getSkipTarget(4.8, ranges)).toBeNull();
+  });
+
+  it('should keep seeks within the recording', () => {
+    expect(clampTime(-3, 60)).toBe(0);
+    expect(clampTime(75, 60)).toBe(60);
+    expect(clampTime(30, 60)).toBe(30);
+  });
+
+  it('should decode a recording into its duration, peaks and silences', async () => {
+    const samples = new Float32Array([...tone(2, 0.5, 8000), ...tone(2, 0, 8000)]);
+    const AudioContextClass = jest.fn(() => ({
+      decodeAudioData: jest.fn().mockResolvedValue({
+        sampleRate: 8000,
+        numberOfChannels: 1,
+        getChannelData: () => samples
+      }),
+      close: jest.fn()
+    }));
+    const blob = { arrayBuffer: jest.fn().mockResolvedValue(new ArrayBuffer(8)) };
+
+    const analysis = await analyzeRecording(blob, { barCount: 4 }, AudioContextClass);
+
+    expect(AudioContextClass).toHaveBeenCalledWith({ sampleRate: 8000 });
+    expect(analysis.duration).toBe(4);
+    expect(analysis.peaks).toEqual([1, 1, 0, 0]);
+    expect(analysis.silentRanges).toHaveLength(1);
+    expect(analysis.silentRanges[0].start).toBeCloseTo(2.2);
+  });
+
+  it('should fail without a recording', async () => {
+    await expect(analyzeRecording(null)).rejects.toThrow('No audio data available for playback');
+  });
+});
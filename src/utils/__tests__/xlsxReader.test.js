@@ -0,0 +1,192 @@
+const zlib = require('zlib');
+const {
+  readZipEntries,
+  extractZipEntry,
+  getFormatKind,
+  formatSerial,
+  readXLSX,
+  guessHeaderRow,
+  getSheetRecords,
+  isXLSXFile
+} = require('../xlsxReader');
+const { inflateRaw } = require('../inflate');
+const { parseRecordsWithDiagnostics } = require('../csvParser');
+
+// Builds a zip archive; entries are deflated unless stored is set (CRCs are not checked by the reader)
+const buildZip = (files, { stored = false } = {}) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = Buffer.from(name);
+    const raw = Buffer.from(content);
+    const data = stored ? raw : zlib.deflateRawSync(raw);
+    const method = stored ? 0 : 8;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+    locals.push(local, nameBytes, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, nameBytes);
+
+    offset += local.length + nameBytes.length + data.length;
+  });
+
+  const centralDirectory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(files).length, 8);
+  end.writeUInt16LE(Object.keys(files).length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return new Uint8Array(Buffer.concat([...locals, centralDirectory, end]));
+};
+
+const workbookFiles = {
+  'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<workbook xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+  <sheets>
+    <sheet name="Summary" sheetId="1" r:id="rId1"/>
+    <sheet name="Jail &amp; Holds" sheetId="2" r:id="rId2"/>
+  </sheets>
+</workbook>`,
+  'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8"?>
+<Relationships>
+  <Relationship Id="rId1" Type="worksheet" Target="worksheets/sheet1.xml"/>
+  <Relationship Id="rId2" Type="worksheet" Target="/xl/worksheets/sheet2.xml"/>
+</Relationships>`,
+  'xl/sharedStrings.xml': `<sst>
+  <si><t>County Jail Docket</t></si>
+  <si><t>Case No.</t></si>
+  <si><t>Defendant</t></si>
+  <si><t>Courtroom</t></si>
+  <si><t>Hearing Date</t></si>
+  <si><t>Sched Time</t></si>
+  <si><r><t>O'Brien, </t></r><r><t>Pat</t></r></si>
+  <si/>
+  <si><t>Smith &amp; Sons</t></si>
+</sst>`,
+  'xl/styles.xml': `<styleSheet>
+  <numFmts count="1"><numFmt numFmtId="164" formatCode="h:mm AM/PM"/></numFmts>
+  <cellXfs count="3"><xf numFmtId="0"/><xf numFmtId="14"/><xf numFmtId="164"/></cellXfs>
+</styleSheet>`,
+  'xl/worksheets/sheet1.xml': `<worksheet><sheetData>
+  <row r="1"><c r="A1" t="inlineStr"><is><t>Nothing here</t></is></c></row>
+</sheetData></worksheet>`,
+  'xl/worksheets/sheet2.xml': `<worksheet><cols><col min="1" max="5"/></cols><sheetData>
+  <row r="1"><c r="A1" t="s"><v>0</v></c></row>
+  <row r="3"><c r="A3" t="s"><v>1</v></c><c r="B3" t="s"><v>2</v></c><c r="C3" t="s"><v>3</v></c><c r="D3" t="s"><v>4</v></c><c r="E3" t="s"><v>5</v></c></row>
+  <row r="4"><c r="A4" t="str"><v>123-2024</v></c><c r="B4" t="s"><v>6</v></c><c r="C4"><v>3</v></c><c r="D4" s="1"><v>45366</v></c><c r="E4" s="2"><v>0.375</v></c></row>
+  <row r="5"><c r="A5" t="str"><v>456-2024</v></c><c r="B5" t="s"><v>8</v></c><c r="C5" t="s"><v>7</v></c><c r="D5" s="1"><v>45366</v></c><c r="E5" s="2"><v>0.5625</v></c></row>
+</sheetData></worksheet>`
+};
+
+describe('xlsxReader', () => {
+  describe('zip handling', () => {
+    it('should read stored and deflated entries', () => {
+      ['stored', 'deflated'].forEach(mode => {
+        const bytes = buildZip({ 'a.txt': 'hello', 'b.txt': 'world'.repeat(100) }, { stored: mode === 'stored' });
+        const entries = readZipEntries(bytes);
+
+        expect(Object.keys(entries)).toEqual(['a.txt', 'b.txt']);
+        expect(Buffer.from(extractZipEntry(bytes, entries['b.txt'])).toString()).toBe('world'.repeat(100));
+      });
+    });
+
+    it('should reject files that are not zip archives', () => {
+      expect(() => readZipEntries(new Uint8Array(Buffer.from('Case Number,Client Name\n123,John')))).toThrow('not a zip archive');
+    });
+
+    it('should inflate data compressed at every level', () => {
+      const text = Buffer.from('<row r="1"><c r="A1" t="s"><v>0</v></c></row>'.repeat(500));
+
+      [1, 6, 9].forEach(level => {
+        expect(Buffer.from(inflateRaw(zlib.deflateRawSync(text, { level }))).equals(text)).toBe(true);
+      });
+    });
+  });
+
+  describe('number formats', () => {
+    it('should classify date and time formats', () => {
+      expect(getFormatKind(14)).toBe('date');
+      expect(getFormatKind(22)).toBe('datetime');
+      expect(getFormatKind(164, 'h:mm AM/PM')).toBe('time');
+      expect(getFormatKind(165, '[$-409]mmmm d, yyyy')).toBe('date');
+      expect(getFormatKind(166, '#,##0.00')).toBeNull();
+      expect(getFormatKind(0)).toBeNull();
+    });
+
+    it('should format date serials as docket text', () => {
+      expect(formatSerial(45366, 'date', false)).toBe('2024-03-15');
+      expect(formatSerial(0.5625, 'time', false)).toBe('1:30 PM');
+      expect(formatSerial(45366.375, 'datetime', false)).toBe('2024-03-15 9:00 AM');
+      expect(formatSerial(43904, 'date', true)).toBe('2024-03-15');
+    });
+  });
+
+  describe('readXLSX', () => {
+    it('should read every sheet with shared strings, including empty ones, dates and times', () => {
+      const { sheets } = readXLSX(buildZip(workbookFiles));
+
+      expect(sheets.map(sheet => sheet.name)).toEqual(['Summary', 'Jail & Holds']);
+      expect(sheets[1].rows[1]).toEqual([]);
+      expect(sheets[1].rows[3]).toEqual(['123-2024', "O'Brien, Pat", '3', '2024-03-15', '9:00 AM']);
+      expect(sheets[1].rows[4]).toEqual(['456-2024', 'Smith & Sons', '', '2024-03-15', '1:30 PM']);
+    });
+
+    it('should reject zip files that are not workbooks', () => {
+      expect(() => readXLSX(buildZip({ 'word/document.xml': '<w:document/>' }))).toThrow('not an Excel (.xlsx) workbook');
+    });
+  });
+
+  describe('guessHeaderRow', () => {
+    it('should skip title rows above the table', () => {
+      const { sheets } = readXLSX(buildZip(workbookFiles));
+
+      expect(guessHeaderRow(sheets[1].rows)).toBe(3);
+      expect(guessHeaderRow([[], ['only']])).toBe(2);
+    });
+  });
+
+  describe('getSheetRecords', () => {
+    it('should feed the same diagnostics as CSV imports with sheet row numbers', () => {
+      const { sheets } = readXLSX(buildZip(workbookFiles));
+      const report = parseRecordsWithDiagnostics(getSheetRecords(sheets[1], 3), {
+        mapping: {
+          'Case Number': 'Case No.',
+          'Client Name': 'Defendant',
+          'Division': 'Courtroom',
+          'Date': 'Hearing Date',
+          'Time': 'Sched Time'
+        }
+      });
+
+      expect(report.rows.map(row => row.row)).toEqual([4, 5]);
+      expect(report.rows[0].hearing).toMatchObject({
+        'Case Number': '123-2024',
+        'Client Name': "O'Brien, Pat",
+        scheduledAt: new Date(2024, 2, 15, 9, 0).getTime()
+      });
+    });
+  });
+
+  describe('isXLSXFile', () => {
+    it('should recognize workbooks by extension', () => {
+      expect(isXLSXFile('Docket.XLSX')).toBe(true);
+      expect(isXLSXFile('docket.csv')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Audio import utilities
+ * Attaches a recording made elsewhere (a handheld recorder, the court's own system)
+ * to a hearing as one of its takes.
+ */
+
+/**
+ * MIME types for audio files whose type the operating system does not report
+ */
+const AUDIO_TYPES_BY_EXTENSION = {
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  m4a: 'audio/mp4',
+  aac: 'audio/aac',
+  ogg: 'audio/ogg',
+  oga: 'audio/ogg',
+  opus: 'audio/ogg',
+  webm: 'audio/webm',
+  flac: 'audio/flac'
+};
+
+/**
+ * How long to wait for a duration before importing the file with an unknown one
+ */
+const DURATION_TIMEOUT_MS = 5000;
+
+/**
+ * Value for the file picker's accept attribute
+ */
+const AUDIO_FILE_ACCEPT = ['audio/*', ...Object.keys(AUDIO_TYPES_BY_EXTENSION).map(extension => `.${extension}`)].join(',');
+
+/**
+ * Reads the extension of a file name
+ * @param {string} name - File name
+ * @returns {string} Lowercase extension without the dot, or '' when there is none
+ */
+function getFileExtension(name) {
+  const match = /\.([^.]+)$/.exec(name || '');
+  return match ? match[1].toLowerCase() : '';
+}
+
+/**
+ * Works out the audio MIME type of a file from its reported type or its extension
+ * @param {File} file - Chosen file
+ * @returns {string|null} Audio MIME type, or null when the file is not audio
+ */
+function getAudioFileType(file) {
+  if (file.type && file.type.startsWith('audio/')) return file.type;
+  return AUDIO_TYPES_BY_EXTENSION[getFileExtension(file.name)] || null;
+}
+
+/**
+ * Reads the duration of an audio file from its media metadata
+ * WebM files written by MediaRecorder report an unknown duration until the
+ * element has seeked to the end, so those are seeked before reading it. Some never
+ * report one; after DURATION_TIMEOUT_MS the duration is given as 0 (unknown)
+ * @param {Blob} blob - Audio file
+ * @param {Function} AudioClass - Optional audio element constructor (defaults to the browser's Audio)
+ * @returns {Promise<number>} Duration in whole seconds, or 0 when it could not be read
+ */
+function readAudioDuration(blob, AudioClass) {
+  const ElementClass = AudioClass || (typeof window !== 'undefined' ? window.Audio : null);
+  if (!ElementClass) {
+    return Promise.reject(new Error('Audio playback is not available in this browser'));
+  }
+
+  return new Promise((resolve, reject) => {
+    const audio = new ElementClass();
+    const url = URL.createObjectURL(blob);
+    const finish = (error) => {
+      clearTimeout(timeout);
+      audio.onloadedmetadata = null;
+      audio.ontimeupdate = null;
+      audio.onerror = null;
+      audio.removeAttribute('src');
+      URL.revokeObjectURL(url);
+      if (error) {
+        reject(error);
+      } else {
+        resolve(Number.isFinite(audio.duration) ? Math.round(audio.duration) : 0);
+      }
+    };
+    const timeout = setTimeout(() => finish(), DURATION_TIMEOUT_MS);
+
+    audio.preload = 'metadata';
+    audio.onloadedmetadata = () => {
+      if (Number.isFinite(audio.duration)) {
+        finish();
+        return;
+      }
+      audio.ontimeupdate = () => {
+        if (Number.isFinite(audio.duration)) finish();
+      };
+      audio.currentTime = Number.MAX_SAFE_INTEGER;
+    };
+    audio.onerror = () => finish(new Error('This audio format cannot be played in this browser'));
+    audio.src = url;
+  });
+}
+
+/**
+ * Turns an audio file into a take for a hearing
+ * @param {File} file - Chosen audio file
+ * @param {Function} AudioClass - Optional audio element constructor
+ * @returns {Promise<Object>} Take with duration, audioBlob and fileName; startedAt is unknown
+ */
+async function importAudioFile(file, AudioClass) {
+  if (!file) {
+    throw new Error('No file selected');
+  }
+  const type = getAudioFileType(file);
+  if (!type) {
+    throw new Error(`${file.name} is not an audio file`);
+  }
+
+  // Files without a reported type are relabelled so playback, export and download names work
+  const audioBlob = file.type === type ? file : new Blob([file], { type });
+  const duration = await readAudioDuration(audioBlob, AudioClass);
+
+  return { startedAt: null, duration, audioBlob, fileName: file.name };
+}
+
+module.exports = {
+  AUDIO_FILE_ACCEPT,
+  getAudioFileType,
+  readAudioDuration,
+  importAudioFile
+};
@@ -2,35 +2,165 @@
  * Audio recording utilities for court hearings
  */
 
+const { WAV_ENCODINGS, convertToWAV } = require('./wavEncoder');
+const { getStorage } = require('./storage');
+
+/**
+ * How often MediaRecorder hands over a chunk, so a crash loses at most this much audio
+ */
+const RECORDING_TIMESLICE_MS = 5000;
+
+/**
+ * Recording formats in order of preference; the first one the browser supports is used
+ */
+const AUDIO_FORMATS = [
+  { mimeType: 'audio/webm;codecs=opus', label: 'Opus / WebM' },
+  { mimeType: 'audio/ogg;codecs=opus', label: 'Opus / Ogg' },
+  { mimeType: 'audio/mp4;codecs=mp4a.40.2', label: 'AAC / MP4' },
+  { mimeType: 'audio/mp4', label: 'MP4 (browser codec)' }
+];
+
+const AUDIO_BITRATES = [32000, 64000, 96000, 128000];
+const DEFAULT_AUDIO_SETTINGS = {
+  mimeType: '',
+  audioBitsPerSecond: 64000,
+  wavEncoding: 'pcm16',
+  deviceId: '',
+  echoCancellation: true,
+  noiseSuppression: true,
+  autoGainControl: true,
+  silenceWarningSeconds: 10,
+  segmentMinutes: 0,
+  segmentMegabytes: 0,
+  splitSilenceSeconds: 0,
+  captureTabAudio: false,
+  micGain: 1,
+  tabGain: 1,
+  separateChannels: false
+};
+const AUDIO_SETTINGS_STORAGE_KEY = 'courtReporter.audioSettings';
+
+const FILE_EXTENSIONS = {
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+  'audio/ogg': 'ogg',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/mp3': 'mp3',
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/x-m4a': 'm4a',
+  'audio/aac': 'aac',
+  'audio/flac': 'flac'
+};
+
+/**
+ * Lists the formats from AUDIO_FORMATS that the browser can record
+ * @param {Function} Recorder - Optional MediaRecorder constructor (defaults to the global)
+ * @returns {Array} Supported formats, in order of preference
+ */
+function getSupportedAudioFormats(Recorder) {
+  const recorderClass = Recorder || (typeof MediaRecorder !== 'undefined' ? MediaRecorder : null);
+  if (!recorderClass || typeof recorderClass.isTypeSupported !== 'function') return [];
+  return AUDIO_FORMATS.filter(format => recorderClass.isTypeSupported(format.mimeType));
+}
+
+/**
+ * Picks the recording format: the preferred one if supported, else the first supported one
+ * @param {string} preferredType - MIME type chosen in the audio settings ('' for automatic)
+ * @param {Function} Recorder - Optional MediaRecorder constructor (defaults to the global)
+ * @returns {Object|null} Format, or null when the browser cannot be asked (its default is used)
+ */
+function selectAudioFormat(preferredType, Recorder) {
+  const supported = getSupportedAudioFormats(Recorder);
+  return supported.find(format => format.mimeType === preferredType) || supported[0] || null;
+}
+
+/**
+ * Builds the MediaRecorder options for the audio settings
+ * @param {Object} settings - Audio settings with mimeType and audioBitsPerSecond
+ * @param {Function} Recorder - Optional MediaRecorder constructor (defaults to the global)
+ * @returns {Object} MediaRecorder options
+ */
+function getRecorderOptions(settings = {}, Recorder) {
+  const format = selectAudioFormat(settings.mimeType, Recorder);
+  const options = { audioBitsPerSecond: settings.audioBitsPerSecond || DEFAULT_AUDIO_SETTINGS.audioBitsPerSecond };
+  if (format) options.mimeType = format.mimeType;
+  return options;
+}
+
 /**
- * Starts audio recording using MediaRecorder API
- * @param {Function} onDataAvailable - Callback when recording data is available
- * @param {Function} onStop - Callback when recording stops
- * @returns {Promise<MediaRecorder>} MediaRecorder instance
+ * Works out the container type a recorder actually produced
+ * @param {MediaRecorder} recorder - Recorder that made the recording
+ * @param {Object} options - Options the recorder was created with
+ * @returns {string} MIME type for the recorded Blob
  */
-async function startRecording(onDataAvailable, onStop) {
+function getRecordedType(recorder, options = {}) {
+  return (recorder && recorder.mimeType) || options.mimeType || 'audio/webm';
+}
+
+/**
+ * Maps a recording's MIME type to a file extension
+ * @param {string} mimeType - MIME type, with or without codec parameters
+ * @returns {string} File extension without the dot
+ */
+function getExtensionForType(mimeType) {
+  const baseType = (mimeType || '').split(';')[0].trim().toLowerCase();
+  return FILE_EXTENSIONS[baseType] || 'webm';
+}
+
+/**
+ * Loads the microphone, tab audio, recording format, bitrate, WAV export encoding, silence warning and segment limits chosen by the user
+ * @param {Object} storage - Optional Storage-like object (defaults to localStorage)
+ * @returns {Object} Audio settings (DEFAULT_AUDIO_SETTINGS when nothing is saved)
+ */
+function getAudioSettings(storage) {
+  const store = getStorage(storage);
+  if (!store) return { ...DEFAULT_AUDIO_SETTINGS };
+  try {
+    return { ...DEFAULT_AUDIO_SETTINGS, ...JSON.parse(store.getItem(AUDIO_SETTINGS_STORAGE_KEY)) };
+  } catch (error) {
+    return { ...DEFAULT_AUDIO_SETTINGS };
+  }
+}
+
+/**
+ * Saves the microphone, tab audio, recording format, bitrate, WAV export encoding, silence warning and segment limits
+ * @param {Object} settings - Audio settings with mimeType, audioBitsPerSecond, wavEncoding,
+ *   deviceId, echoCancellation, noiseSuppression, autoGainControl, silenceWarningSeconds,
+ *   segmentMinutes, segmentMegabytes, splitSilenceSeconds, captureTabAudio, micGain,
+ *   tabGain and separateChannels
+ * @param {Object} storage - Optional Storage-like object (defaults to localStorage)
+ * @returns {Object} The settings that were saved
+ */
+function saveAudioSettings(settings, storage) {
+  const saved = {
+    mimeType: settings.mimeType || '',
+    audioBitsPerSecond: Number(settings.audioBitsPerSecond) || DEFAULT_AUDIO_SETTINGS.audioBitsPerSecond,
+    wavEncoding: WAV_ENCODINGS[settings.wavEncoding] ? settings.wavEncoding : DEFAULT_AUDIO_SETTINGS.wavEncoding,
+    deviceId: settings.deviceId || '',
+    echoCancellation: settings.echoCancellation !== false,
+    noiseSuppression: settings.noiseSuppression !== false,
+    autoGainControl: settings.autoGainControl !== false,
+    silenceWarningSeconds: Number(settings.silenceWarningSeconds) || DEFAULT_AUDIO_SETTINGS.silenceWarningSeconds,
+    segmentMinutes: Number(settings.segmentMinutes) || 0,
+    segmentMegabytes: Number(settings.segmentMegabytes) || 0,
+    splitSilenceSeconds: Number(settings.splitSilenceSeconds) || 0,
+    captureTabAudio: settings.captureTabAudio === true,
+    micGain: Number(settings.micGain) || DEFAULT_AUDIO_SETTINGS.micGain,
+    tabGain: Number(settings.tabGain) || DEFAULT_AUDIO_SETTINGS.tabGain,
+    separateChannels: settings.separateChannels === true
+  };
+  const store = getStorage(storage);
+  if (!store) return saved;
+
   try {
-    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
-    const mediaRecorder = new MediaRecorder(stream);
-    const chunks = [];
-    
-    mediaRecorder.ondataavailable = (e) => {
-      chunks.push(e.data);
-      if (onDataAvailable) onDataAvailable(e);
-    };
-    
-    mediaRecorder.onstop = () => {
-      const blob = new Blob(chunks, { type: 'audio/webm' });
-      stream.getTracks().forEach(track => track.stop());
-      if (onStop) onStop(blob);
-    };
-    
-    mediaRecorder.start();
-    return mediaRecorder;
+    store.setItem(AUDIO_SETTINGS_STORAGE_KEY, JSON.stringify(saved));
   } catch (error) {
-    console.error('Error starting recording:', error);
-    throw new Error('Failed to access microphone. Please check permissions.');
+    console.error('Error saving audio settings:', error);
   }
+  return saved;
 }
 
 /**
@@ -72,9 +202,34 @@ function downloadAudio(audioBlob, filename) {
   URL.revokeObjectURL(url);
 }
 
+/**
+ * Downloads a recording as a 16 kHz mono WAV file, converted in the browser
+ * @param {Blob|Array} audioBlob - Recorded audio, or a list of takes to join into one file
+ * @param {string} filename - Download filename
+ * @param {Object} options - Export options
+ * @param {string} options.encoding - 'pcm16' (default) or 'mulaw'
+ * @param {number} options.sampleRate - Output sample rate in Hz (default 16000)
+ * @returns {Promise} Resolves once the download has started
+ */
+async function downloadAudioAsWAV(audioBlob, filename, options = {}) {
+  const wavBlob = await convertToWAV(audioBlob, options);
+  downloadAudio(wavBlob, filename);
+}
+
 module.exports = {
-  startRecording,
+  RECORDING_TIMESLICE_MS,
+  AUDIO_FORMATS,
+  AUDIO_BITRATES,
+  DEFAULT_AUDIO_SETTINGS,
+  getSupportedAudioFormats,
+  selectAudioFormat,
+  getRecorderOptions,
+  getRecordedType,
+  getExtensionForType,
+  getAudioSettings,
+  saveAudioSettings,
   stopRecording,
   formatDuration,
-  downloadAudio
+  downloadAudio,
+  downloadAudioAsWAV
 };
\ No newline at end of file
@@ -0,0 +1,265 @@
+/**
+ * Audio redaction utilities
+ * Produces a clean copy of a take with sealed or privileged passages replaced by
+ * silence or a tone. The redacted copy becomes the take's audio; the original is
+ * kept on the take encrypted with a passphrase (AES-GCM, key derived with PBKDF2),
+ * and every redaction and every opening of an original is written to the
+ * hearing's redaction log.
+ */
+
+const { WAV_SAMPLE_RATE, mixToMono, resample, encodeWAV, decodeAudioBlob } = require('./wavEncoder');
+const { formatDuration } = require('./audioRecorder');
+
+const REDACTION_FILLS = {
+  silence: 'Silence',
+  tone: '1 kHz tone'
+};
+const TONE_FREQUENCY = 1000;
+// Loud enough to be heard as a deliberate bleep, well short of clipping
+const TONE_LEVEL = 0.2;
+const SEAL_KEY_ITERATIONS = 250000;
+
+/**
+ * Reads a time typed as seconds, m:ss or h:mm:ss
+ * @param {string} text - Time as typed
+ * @returns {number|null} Seconds, or null when it is not a time
+ */
+function parseTimestamp(text) {
+  const value = String(text || '').trim();
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value)) return null;
+  return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+}
+
+/**
+ * Checks the ranges to redact and puts them in order, merging any that overlap
+ * @param {Array} ranges - Ranges with start and end in seconds and a reason
+ * @param {number} duration - Length of the take in seconds
+ * @returns {Array} Ranges in order; merged ranges keep both reasons
+ */
+function normalizeRanges(ranges, duration) {
+  if (!ranges || ranges.length === 0) {
+    throw new Error('Add at least one passage to redact');
+  }
+  ranges.forEach(range => {
+    if (!(range.end > range.start) || range.start < 0) {
+      throw new Error('Each passage must end after it starts');
+    }
+    if (duration && range.start >= duration) {
+      throw new Error('A passage starts after the end of the recording');
+    }
+  });
+
+  const sorted = [...ranges]
+    .map(range => ({ ...range, end: duration ? Math.min(range.end, duration) : range.end }))
+    .sort((a, b) => a.start - b.start);
+  return sorted.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+      if (range.reason && range.reason !== last.reason) {
+        last.reason = last.reason ? `${last.reason}; ${range.reason}` : range.reason;
+      }
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Replaces the given ranges of a recording's samples
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @param {Array} ranges - Ranges with start and end in seconds
+ * @param {string} fill - 'silence' (default) or 'tone'
+ * @returns {Float32Array} New samples; the input is left as it was
+ */
+function applyRedactions(samples, sampleRate, ranges, fill = 'silence') {
+  const redacted = new Float32Array(samples);
+  ranges.forEach(range => {
+    const start = Math.max(0, Math.floor(range.start * sampleRate));
+    const end = Math.min(redacted.length, Math.ceil(range.end * sampleRate));
+    for (let i = start; i < end; i++) {
+      redacted[i] = fill === 'tone' ? TONE_LEVEL * Math.sin(2 * Math.PI * TONE_FREQUENCY * (i / sampleRate)) : 0;
+    }
+  });
+  return redacted;
+}
+
+/**
+ * Renders a redacted copy of a recording as a 16 kHz mono WAV file
+ * @param {Blob} audioBlob - Audio to redact
+ * @param {Array} ranges - Ranges from normalizeRanges
+ * @param {Object} options - Redaction options
+ * @param {string} options.fill - 'silence' (default) or 'tone'
+ * @param {string} options.encoding - 'pcm16' (default) or 'mulaw'
+ * @param {Function} AudioContextClass - Optional AudioContext constructor
+ * @returns {Promise<Blob>} Redacted WAV file
+ */
+async function redactAudio(audioBlob, ranges, options = {}, AudioContextClass) {
+  if (!audioBlob) {
+    throw new Error('No audio data available for redaction');
+  }
+
+  const audioBuffer = await decodeAudioBlob(audioBlob, WAV_SAMPLE_RATE, AudioContextClass);
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+  const samples = resample(mixToMono(channels), audioBuffer.sampleRate, WAV_SAMPLE_RATE);
+  const redacted = applyRedactions(samples, WAV_SAMPLE_RATE, ranges, options.fill);
+
+  return new Blob([encodeWAV(redacted, { sampleRate: WAV_SAMPLE_RATE, encoding: options.encoding })], { type: 'audio/wav' });
+}
+
+/**
+ * Builds the redaction log entries for one redaction
+ * @param {Array} ranges - Ranges that were redacted, each with a reason
+ * @param {Object} details - Who redacted which take and how
+ * @param {string} details.redactedBy - Name of the person redacting
+ * @param {number} details.take - 0-based take index
+ * @param {string} details.fill - 'silence' or 'tone'
+ * @param {Date} now - Time of the redaction (defaults to now)
+ * @returns {Array} One entry per range
+ */
+function buildRedactionLog(ranges, details, now = new Date()) {
+  return ranges.map(range => ({
+    action: 'redacted',
+    by: details.redactedBy,
+    at: now.toISOString(),
+    take: details.take,
+    start: range.start,
+    end: range.end,
+    reason: range.reason || '',
+    fill: details.fill || 'silence'
+  }));
+}
+
+/**
+ * Derives the AES-GCM key that seals an original from a passphrase
+ * @param {string} passphrase - Passphrase given when the take was redacted
+ * @param {Uint8Array} salt - Salt stored with the sealed original
+ * @param {Crypto} cryptoImpl - WebCrypto implementation
+ * @returns {Promise<CryptoKey>} Key for encrypting and decrypting
+ */
+async function deriveSealKey(passphrase, salt, cryptoImpl) {
+  const material = await cryptoImpl.subtle.importKey(
+    'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+  );
+  return cryptoImpl.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: SEAL_KEY_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+/**
+ * Encrypts a take's original so it can only be opened with the passphrase
+ * @param {Blob} audioBlob - Unredacted audio
+ * @param {string} passphrase - Passphrase needed to open it again
+ * @param {Crypto} cryptoImpl - WebCrypto implementation (defaults to the browser's)
+ * @returns {Promise<Object>} Sealed original with the audio type, salt, IV and ciphertext
+ */
+async function sealOriginal(audioBlob, passphrase, cryptoImpl = globalThis.crypto) {
+  if (!passphrase) {
+    throw new Error('Enter a passphrase to seal the original');
+  }
+  if (!cryptoImpl || !cryptoImpl.subtle) {
+    throw new Error('This browser cannot encrypt the original');
+  }
+  const salt = cryptoImpl.getRandomValues(new Uint8Array(16));
+  const iv = cryptoImpl.getRandomValues(new Uint8Array(12));
+  const key = await deriveSealKey(passphrase, salt, cryptoImpl);
+  const data = await cryptoImpl.subtle.encrypt({ name: 'AES-GCM', iv }, key, await audioBlob.arrayBuffer());
+  return { type: audioBlob.type, salt, iv, data };
+}
+
+/**
+ * Decrypts a sealed original
+ * @param {Object} sealed - Sealed original from sealOriginal
+ * @param {string} passphrase - Passphrase it was sealed with
+ * @param {Crypto} cryptoImpl - WebCrypto implementation (defaults to the browser's)
+ * @returns {Promise<Blob>} The unredacted audio
+ */
+async function openSealedOriginal(sealed, passphrase, cryptoImpl = globalThis.crypto) {
+  if (!cryptoImpl || !cryptoImpl.subtle) {
+    throw new Error('This browser cannot decrypt the original');
+  }
+  const key = await deriveSealKey(passphrase || '', sealed.salt, cryptoImpl);
+  let data;
+  try {
+    data = await cryptoImpl.subtle.decrypt({ name: 'AES-GCM', iv: sealed.iv }, key, sealed.data);
+  } catch (error) {
+    // AES-GCM only fails here when the key, and so the passphrase, is wrong
+    throw new Error('Wrong passphrase; the original stays sealed');
+  }
+  return new Blob([data], { type: sealed.type });
+}
+
+/**
+ * Builds the recording state update that swaps a take's audio for its redacted copy
+ * The take's first sealed original is kept, and transcripts made from the
+ * unredacted audio are cleared
+ * @param {Object} recording - Recording state with takes
+ * @param {Array} takes - The recording's takes (from getTakes)
+ * @param {number} index - 0-based take index
+ * @param {Blob} redactedBlob - Redacted audio
+ * @param {Array} logEntries - Entries from buildRedactionLog
+ * @param {Object} sealedOriginal - The take's original from sealOriginal, unless it is already redacted
+ * @returns {Object} Update with takes, audioBlob, transcript, status and redactionLog
+ */
+function applyRedactionToTakes(recording, takes, index, redactedBlob, logEntries, sealedOriginal) {
+  const updatedTakes = takes.map((take, i) => {
+    if (i !== index) return take;
+    const { transcript, transcription, ...rest } = take;
+    return { ...rest, audioBlob: redactedBlob, sealedOriginal: take.sealedOriginal || sealedOriginal, redacted: true };
+  });
+
+  return {
+    takes: updatedTakes,
+    audioBlob: updatedTakes[updatedTakes.length - 1].audioBlob,
+    transcript: '',
+    status: recording.status === 'complete' ? 'recorded' : recording.status,
+    redactionLog: [...(recording.redactionLog || []), ...logEntries]
+  };
+}
+
+/**
+ * Builds the log entry for opening a take's sealed original
+ * @param {number} take - 0-based take index
+ * @param {string} by - Name of the person opening it
+ * @param {string} reason - Why it was opened
+ * @param {Date} now - Time it was opened (defaults to now)
+ * @returns {Object} Log entry
+ */
+function buildOriginalAccessEntry(take, by, reason, now = new Date()) {
+  return { action: 'original-opened', by, at: now.toISOString(), take, reason };
+}
+
+/**
+ * Describes a redaction log entry for the hearing tile
+ * @param {Object} entry - Entry from buildRedactionLog or buildOriginalAccessEntry
+ * @returns {string} Description
+ */
+function describeRedactionEntry(entry) {
+  const when = new Date(entry.at).toLocaleString();
+  if (entry.action === 'original-opened') {
+    return `${when} · ${entry.by} opened the original of take ${entry.take + 1}: ${entry.reason}`;
+  }
+  const span = `${formatDuration(Math.floor(entry.start))}-${formatDuration(Math.ceil(entry.end))}`;
+  return `${when} · ${entry.by} redacted take ${entry.take + 1} ${span} with ${entry.fill === 'tone' ? 'a tone' : 'silence'}${entry.reason ? `: ${entry.reason}` : ''}`;
+}
+
+module.exports = {
+  REDACTION_FILLS,
+  parseTimestamp,
+  normalizeRanges,
+  applyRedactions,
+  redactAudio,
+  buildRedactionLog,
+  sealOriginal,
+  openSealedOriginal,
+  applyRedactionToTakes,
+  buildOriginalAccessEntry,
+  describeRedactionEntry
+};
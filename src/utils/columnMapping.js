@@ -0,0 +1,256 @@
+/**
+ * Column mapping utilities for hearing schedule imports
+ * Maps the headers of an arbitrary county export onto the fields the app uses
+ */
+
+const { getStorage } = require('./storage');
+
+/**
+ * Hearing fields that an imported column can be mapped onto
+ * Aliases are compared against normalized headers (see normalizeHeader)
+ */
+const HEARING_FIELDS = [
+  {
+    key: 'Case Number',
+    required: true,
+    aliases: ['case no', 'case num', 'case #', 'case', 'case id', 'docket', 'docket number', 'docket no', 'cause number', 'cause no']
+  },
+  {
+    key: 'Client Name',
+    required: true,
+    aliases: ['client', 'defendant', 'defendant name', 'respondent', 'party', 'party name', 'name']
+  },
+  {
+    key: 'Division',
+    required: true,
+    aliases: ['courtroom', 'court room', 'court', 'dept', 'department', 'div', 'room']
+  },
+  {
+    key: 'Time',
+    required: true,
+    aliases: ['sched time', 'scheduled time', 'hearing time', 'start time', 'start', 'time of hearing']
+  },
+  {
+    key: 'Date',
+    required: false,
+    aliases: ['hearing date', 'sched date', 'scheduled date', 'court date', 'day']
+  },
+  {
+    key: 'Attorney',
+    required: false,
+    aliases: ['atty', 'counsel', 'defense attorney', 'lawyer', 'assigned attorney']
+  },
+  {
+    key: 'Judge',
+    required: false,
+    aliases: ['presiding judge', 'magistrate', 'hon']
+  },
+  {
+    key: 'Hearing Type',
+    required: false,
+    aliases: ['type', 'event', 'event type', 'proceeding', 'setting']
+  }
+];
+
+const MAPPING_STORAGE_KEY = 'courtReporter.columnMappings';
+
+/**
+ * Shortest header word accepted as an abbreviation of a field word ("Div" for Division)
+ */
+const MIN_ABBREVIATION_LENGTH = 3;
+
+/**
+ * Normalizes a header for comparison: lowercase, punctuation removed
+ * ('#' is kept because "Case #" is a common export header)
+ * @param {string} header - Raw header text
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return (header || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9#]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Scores how well a header matches a hearing field
+ * A partial match needs every word of the field name in the header, whole or
+ * abbreviated, so "Timestamp" or "Subdivision" never stand in for Time or Division
+ * @param {string} header - Raw header text
+ * @param {Object} field - Entry from HEARING_FIELDS
+ * @returns {number} 3 exact, 2 alias, 1 partial, 0 no match
+ */
+function scoreHeader(header, field) {
+  const normalized = normalizeHeader(header);
+  if (!normalized) return 0;
+
+  const key = normalizeHeader(field.key);
+  if (normalized === key) return 3;
+  if (field.aliases.includes(normalized)) return 2;
+
+  const words = normalized.split(' ');
+  const hasWord = keyWord => words.some(word =>
+    word === keyWord || (word.length >= MIN_ABBREVIATION_LENGTH && keyWord.startsWith(word))
+  );
+  return key.split(' ').every(hasWord) ? 1 : 0;
+}
+
+/**
+ * Proposes a mapping from file headers onto hearing fields
+ * Each header is used at most once; stronger matches win.
+ * @param {Array} headers - Array of header strings from the file
+ * @returns {Object} Object with field keys as keys and header names (or null) as values
+ */
+function proposeColumnMapping(headers) {
+  const candidates = [];
+  HEARING_FIELDS.forEach((field, fieldIndex) => {
+    headers.forEach((header, headerIndex) => {
+      const score = scoreHeader(header, field);
+      if (score > 0) {
+        candidates.push({ field: field.key, header, score, fieldIndex, headerIndex });
+      }
+    });
+  });
+
+  candidates.sort((a, b) =>
+    b.score - a.score || a.fieldIndex - b.fieldIndex || a.headerIndex - b.headerIndex
+  );
+
+  const mapping = {};
+  HEARING_FIELDS.forEach(field => { mapping[field.key] = null; });
+  const usedHeaders = new Set();
+
+  candidates.forEach(({ field, header }) => {
+    if (mapping[field] === null && !usedHeaders.has(header)) {
+      mapping[field] = header;
+      usedHeaders.add(header);
+    }
+  });
+
+  return mapping;
+}
+
+/**
+ * Lists required fields that have no column assigned
+ * @param {Object} mapping - Field to header mapping
+ * @returns {Array} Keys of unmapped required fields
+ */
+function getMissingFields(mapping) {
+  return HEARING_FIELDS
+    .filter(field => field.required && !(mapping && mapping[field.key]))
+    .map(field => field.key);
+}
+
+/**
+ * Checks whether a mapping only maps headers onto identically named fields
+ * Such files can be imported without asking the user to confirm anything.
+ * @param {Object} mapping - Field to header mapping
+ * @returns {boolean} True if every mapped header already has the field's name
+ */
+function isIdentityMapping(mapping) {
+  return getMissingFields(mapping).length === 0 &&
+    Object.entries(mapping).every(([field, header]) => !header || header === field);
+}
+
+/**
+ * Renames the columns of a parsed row according to a mapping
+ * Columns that are not mapped keep their original header as the key.
+ * @param {Object} row - Object keyed by file headers
+ * @param {Object} mapping - Field to header mapping
+ * @returns {Object} Object keyed by hearing field names
+ */
+function applyColumnMapping(row, mapping) {
+  const mappedHeaders = new Set(Object.values(mapping || {}).filter(Boolean));
+  const result = {};
+
+  Object.keys(row).forEach(header => {
+    if (!mappedHeaders.has(header)) {
+      result[header] = row[header];
+    }
+  });
+
+  Object.entries(mapping || {}).forEach(([field, header]) => {
+    if (header) {
+      result[field] = row[header] !== undefined ? row[header] : '';
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Builds a key identifying the source of an export from its header row
+ * Exports from the same county share a header layout, so the layout is the source.
+ * @param {Array} headers - Array of header strings
+ * @returns {string} Source signature
+ */
+function getHeaderSignature(headers) {
+  return headers.map(normalizeHeader).filter(Boolean).join('|');
+}
+
+/**
+ * Reads all saved mappings
+ * @param {Storage} storage - Optional storage override
+ * @returns {Object} Saved mappings keyed by source signature
+ */
+function loadSavedMappings(storage) {
+  const store = getStorage(storage);
+  if (!store) return {};
+  try {
+    return JSON.parse(store.getItem(MAPPING_STORAGE_KEY)) || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Looks up the mapping remembered for a header layout
+ * Mappings that refer to headers no longer in the file are ignored.
+ * @param {Array} headers - Array of header strings
+ * @param {Storage} storage - Optional storage override
+ * @returns {Object|null} Saved mapping or null
+ */
+function getSavedMapping(headers, storage) {
+  const saved = loadSavedMappings(storage)[getHeaderSignature(headers)];
+  if (!saved) return null;
+
+  const stillValid = Object.values(saved.mapping || {})
+    .every(header => !header || headers.includes(header));
+  return stillValid ? saved.mapping : null;
+}
+
+/**
+ * Remembers a mapping for a header layout
+ * @param {Array} headers - Array of header strings
+ * @param {Object} mapping - Field to header mapping
+ * @param {Storage} storage - Optional storage override
+ */
+function saveMapping(headers, mapping, storage) {
+  const store = getStorage(storage);
+  if (!store) return;
+
+  const mappings = loadSavedMappings(store);
+  mappings[getHeaderSignature(headers)] = {
+    mapping,
+    headers,
+    savedAt: Date.now()
+  };
+
+  try {
+    store.setItem(MAPPING_STORAGE_KEY, JSON.stringify(mappings));
+  } catch (error) {
+    console.error('Error saving column mapping:', error);
+  }
+}
+
+module.exports = {
+  HEARING_FIELDS,
+  normalizeHeader,
+  proposeColumnMapping,
+  getMissingFields,
+  isIdentityMapping,
+  applyColumnMapping,
+  getHeaderSignature,
+  getSavedMapping,
+  saveMapping
+};
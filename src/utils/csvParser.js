@@ -1,48 +1,515 @@
+const { proposeColumnMapping, getMissingFields, applyColumnMapping } = require('./columnMapping');
+
 /**
- * Parses CSV file content and returns structured hearing data
+ * Builds an Error describing malformed CSV input at a given position
+ * @param {string} reason - What went wrong
+ * @param {number} row - 1-based record number (the header is row 1)
+ * @param {number} column - 1-based field number within the record
+ * @param {number} line - 1-based physical line where the problem was found
+ * @returns {Error} Error with row, column and line properties
+ */
+function createCSVError(reason, row, column, line) {
+  const error = new Error(`Malformed CSV at row ${row}, column ${column} (line ${line}): ${reason}`);
+  error.row = row;
+  error.column = column;
+  error.line = line;
+  return error;
+}
+
+/**
+ * Guesses whether delimited text is tab- or comma-separated
+ * Tables copied out of a web page or spreadsheet are tab-separated; exported files are usually commas.
+ * Only the first non-blank line is inspected, ignoring delimiters inside quoted fields.
+ * @param {string} text - Raw delimited text
+ * @returns {string} '\t' or ','
+ */
+function detectDelimiter(text) {
+  const lines = (text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const header = lines.find(line => line.trim()) || '';
+  let tabs = 0;
+  let commas = 0;
+  let inQuotes = false;
+
+  for (const char of header) {
+    if (char === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && char === '\t') tabs++;
+    else if (!inQuotes && char === ',') commas++;
+  }
+
+  return tabs > 0 && tabs >= commas ? '\t' : ',';
+}
+
+/**
+ * Splits CSV text into records following RFC 4180
+ * Handles quoted fields, escaped quotes (""), embedded delimiters and line
+ * breaks, CRLF/CR/LF line endings and a leading byte order mark.
  * @param {string} csvText - Raw CSV file content
- * @returns {Array} Array of hearing objects
+ * @param {Object} options - Tokenizer options
+ * @param {string} options.delimiter - Field delimiter (default detected with detectDelimiter)
+ * @returns {Array<Array<string>>} Records as arrays of raw field values
+ */
+function tokenizeCSV(csvText, options = {}) {
+  const text = (csvText || '').replace(/^\uFEFF/, '');
+  const delimiter = options.delimiter || detectDelimiter(text);
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let quoteStart = null;
+  let afterQuote = false;
+  let line = 1;
+  let i = 0;
+
+  const endField = () => {
+    record.push(field);
+    field = '';
+    afterQuote = false;
+  };
+
+  const endRecord = () => {
+    endField();
+    records.push(record);
+    record = [];
+  };
+
+  while (i < text.length) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 2;
+          continue;
+        }
+        inQuotes = false;
+        afterQuote = true;
+      } else {
+        if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) line++;
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === delimiter) {
+      endField();
+    } else if (char === '\r' || char === '\n') {
+      endRecord();
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+    } else if (afterQuote) {
+      // Whitespace between a closing quote and the delimiter is tolerated
+      if (!/\s/.test(char)) {
+        throw createCSVError(`unexpected character '${char}' after closing quote`, records.length + 1, record.length + 1, line);
+      }
+    } else if (char === '"' && field.trim() === '') {
+      inQuotes = true;
+      quoteStart = { row: records.length + 1, column: record.length + 1, line };
+      field = '';
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (inQuotes) {
+    throw createCSVError('unterminated quoted field', quoteStart.row, quoteStart.column, quoteStart.line);
+  }
+
+  // A trailing line break does not start a new record
+  if (field !== '' || record.length > 0 || afterQuote) {
+    endRecord();
+  }
+
+  return records;
+}
+
+/**
+ * Trims header names and drops empty trailing columns
+ * Spreadsheet exports often pad the header row with blank columns.
+ * @param {Array} row - Raw header record
+ * @returns {Array} Array of header strings
+ */
+function cleanHeaderRow(row) {
+  const headers = row.map(h => h.trim());
+  while (headers.length && !headers[headers.length - 1]) {
+    headers.pop();
+  }
+  return headers;
+}
+
+/**
+ * Hashes a string to a short base-36 token (32-bit FNV-1a)
+ * @param {string} text - Text to hash
+ * @returns {string} Hash token
  */
-function parseCSV(csvText) {
-  const rows = csvText.split('\n').filter(row => row.trim());
-  if (rows.length < 2) {
-    throw new Error('CSV must contain at least a header row and one data row');
+function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Builds a stable hearing ID from the hearing's own fields
+ * The ID depends only on case number and client name, so re-importing an
+ * updated docket (or a rescheduled hearing) yields the same ID.
+ * @param {Object} hearing - Hearing object
+ * @param {number} occurrence - 1-based count for repeated case/client pairs
+ * @returns {string} Hearing ID
+ */
+function createHearingId(hearing, occurrence = 1) {
+  const caseNumber = (hearing['Case Number'] || '').trim();
+  const clientName = (hearing['Client Name'] || '').trim();
+  const slug = caseNumber.replace(/[^A-Za-z0-9-]+/g, '-').replace(/^-+|-+$/g, '') || 'hearing';
+  const hash = hashString(`${caseNumber.toLowerCase()}|${clientName.toLowerCase()}`);
+  return occurrence > 1 ? `${slug}-${hash}-${occurrence}` : `${slug}-${hash}`;
+}
+
+/**
+ * Assigns stable IDs to a list of hearings
+ * Repeated case/client pairs are numbered in docket order.
+ * @param {Array} hearings - Array of hearing objects
+ * @param {Array} existingIds - IDs already in use (e.g. hearings already loaded)
+ * @returns {Array} New hearing objects with id set
+ */
+function assignHearingIds(hearings, existingIds = []) {
+  const used = new Set(existingIds);
+  return hearings.map(hearing => {
+    let occurrence = 1;
+    let id = createHearingId(hearing, occurrence);
+    while (used.has(id)) {
+      occurrence++;
+      id = createHearingId(hearing, occurrence);
+    }
+    used.add(id);
+    return { ...hearing, id };
+  });
+}
+
+/**
+ * Parses a docket time such as "9:00 AM", "9am", "0900" or "14:30"
+ * @param {string} value - Time text from the schedule
+ * @returns {Object|null} Object with hours (0-23) and minutes, or null if unparseable
+ */
+function parseTime(value) {
+  const text = (value || '').trim().toLowerCase();
+  let match;
+  let hours;
+  let minutes;
+
+  if ((match = text.match(/^(\d{1,2})(?::(\d{2}))?(?::\d{2})?\s*([ap])\.?\s*m?\.?$/))) {
+    hours = parseInt(match[1], 10);
+    minutes = match[2] ? parseInt(match[2], 10) : 0;
+    if (hours < 1 || hours > 12) return null;
+    hours = (hours % 12) + (match[3] === 'p' ? 12 : 0);
+  } else if ((match = text.match(/^(\d{1,2}):(\d{2})(?::\d{2})?$/))) {
+    hours = parseInt(match[1], 10);
+    minutes = parseInt(match[2], 10);
+  } else if ((match = text.match(/^(\d{1,2})(\d{2})$/))) {
+    hours = parseInt(match[1], 10);
+    minutes = parseInt(match[2], 10);
+  } else {
+    return null;
+  }
+
+  if (hours > 23 || minutes > 59) return null;
+  return { hours, minutes };
+}
+
+/**
+ * Formats a time the way docket exports show it, e.g. "9:05 AM"
+ * @param {Object} time - Object with hours (0-23) and minutes
+ * @returns {string} Formatted time
+ */
+function formatTime(time) {
+  const suffix = time.hours < 12 ? 'AM' : 'PM';
+  const hours = time.hours % 12 || 12;
+  return `${hours}:${String(time.minutes).padStart(2, '0')} ${suffix}`;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+/**
+ * Parses a docket date such as "2024-03-15", "3/15/2024", "Mar 15, 2024" or "15-Mar-2024"
+ * @param {string} value - Date text from the schedule
+ * @returns {Object|null} Object with year, month (1-12) and day, or null if unparseable
+ */
+function parseDate(value) {
+  const text = (value || '').trim().toLowerCase();
+  let match;
+  let year;
+  let month;
+  let day;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/))) {
+    [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  } else if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/))) {
+    [month, day, year] = [match[1], match[2], match[3]].map(Number);
+  } else if ((match = text.match(/^(?:[a-z]+,?\s+)?([a-z]{3,9})\.?\s+(\d{1,2}),?\s+(\d{4})$/))) {
+    month = MONTHS.indexOf(match[1].slice(0, 3)) + 1;
+    day = Number(match[2]);
+    year = Number(match[3]);
+  } else if ((match = text.match(/^(\d{1,2})[-\s]([a-z]{3,9})[-\s](\d{2}|\d{4})$/))) {
+    day = Number(match[1]);
+    month = MONTHS.indexOf(match[2].slice(0, 3)) + 1;
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  if (month < 1 || month > 12 || day < 1) return null;
+  // Day 0 of the next month is the last day of this one
+  if (day > new Date(year, month, 0).getDate()) return null;
+  return { year, month, day };
+}
+
+/**
+ * Splits a combined value such as "3/15/2024 9:00 AM" or "2024-03-15T09:00"
+ * @param {string} value - Date and time text
+ * @returns {Object|null} Object with parsed date and time, or null if not a date/time pair
+ */
+function parseDateTime(value) {
+  const match = (value || '').trim().match(/^(.+?)(?:\s+|T)(\d{1,2}(?::\d{2}){0,2}\s*(?:[ap]\.?\s*m?\.?)?)$/i);
+  if (!match) return null;
+
+  const date = parseDate(match[1]);
+  const time = parseTime(match[2]);
+  return date && time ? { date, time } : null;
+}
+
+/**
+ * Formats a parsed date as a YYYY-MM-DD day key
+ * @param {Object} date - Object with year, month and day
+ * @returns {string} Day key
+ */
+function formatDayKey(date) {
+  return `${date.year}-${String(date.month).padStart(2, '0')}-${String(date.day).padStart(2, '0')}`;
+}
+
+/**
+ * Works out when a hearing is scheduled from its Date and Time columns
+ * Hearings without a Date column are placed on the reference date.
+ * @param {Object} hearing - Hearing object
+ * @param {Date} referenceDate - Day to use when the docket has no Date column
+ * @returns {Object} scheduledDate (YYYY-MM-DD or null) and scheduledAt (timestamp or null)
+ */
+function getHearingSchedule(hearing, referenceDate = new Date()) {
+  const dateText = (hearing['Date'] || '').trim();
+  const timeText = (hearing['Time'] || '').trim();
+
+  let date = dateText ? parseDate(dateText) : null;
+  let time = parseTime(timeText);
+
+  if (!time) {
+    const combined = parseDateTime(timeText);
+    if (combined) {
+      time = combined.time;
+      date = date || combined.date;
+    }
+  }
+
+  if (!date && !dateText) {
+    date = {
+      year: referenceDate.getFullYear(),
+      month: referenceDate.getMonth() + 1,
+      day: referenceDate.getDate()
+    };
+  }
+
+  if (!date) {
+    return { scheduledDate: null, scheduledAt: null };
+  }
+
+  return {
+    scheduledDate: formatDayKey(date),
+    scheduledAt: time
+      ? new Date(date.year, date.month - 1, date.day, time.hours, time.minutes).getTime()
+      : null
+  };
+}
+
+/**
+ * Assigns stable IDs and schedule timestamps to hearings ready to be loaded
+ * @param {Array} hearings - Array of hearing objects
+ * @param {Object} options - Options
+ * @param {Array} options.existingIds - IDs already in use
+ * @param {Date} options.referenceDate - Day to use when the docket has no Date column
+ * @returns {Array} New hearing objects with id, scheduledDate and scheduledAt
+ */
+function prepareHearings(hearings, options = {}) {
+  return assignHearingIds(hearings, options.existingIds).map(hearing => ({
+    ...hearing,
+    ...getHearingSchedule(hearing, options.referenceDate)
+  }));
+}
+
+/**
+ * Checks parsed docket rows and attaches a list of issues to each
+ * Issues with severity 'error' must be fixed or the row skipped before import;
+ * 'warning' issues are informational.
+ * @param {Array} rows - Rows with row number, hearing and extraValues
+ * @returns {Array} New row objects with an issues array
+ */
+function diagnoseRows(rows) {
+  const firstRowByCase = {};
+
+  return rows.map(row => {
+    const issues = [];
+    const caseNumber = (row.hearing['Case Number'] || '').trim();
+    const time = (row.hearing['Time'] || '').trim();
+    const date = (row.hearing['Date'] || '').trim();
+
+    if (!caseNumber) {
+      issues.push({
+        code: 'missing-case-number',
+        severity: 'error',
+        field: 'Case Number',
+        message: 'Missing case number'
+      });
+    } else if (!row.skipped) {
+      const key = caseNumber.toLowerCase();
+      if (firstRowByCase[key] !== undefined) {
+        issues.push({
+          code: 'duplicate-case-number',
+          severity: 'warning',
+          field: 'Case Number',
+          message: `Duplicate case number (also on row ${firstRowByCase[key]})`
+        });
+      } else {
+        firstRowByCase[key] = row.row;
+      }
+    }
+
+    if (time && !parseTime(time) && !parseDateTime(time)) {
+      issues.push({
+        code: 'invalid-time',
+        severity: 'warning',
+        field: 'Time',
+        message: `Unrecognized time "${time}"`
+      });
+    }
+
+    if (date && !parseDate(date)) {
+      issues.push({
+        code: 'invalid-date',
+        severity: 'warning',
+        field: 'Date',
+        message: `Unrecognized date "${date}"`
+      });
+    }
+
+    if (row.extraValues && row.extraValues.length > 0) {
+      issues.push({
+        code: 'extra-columns',
+        severity: 'warning',
+        field: null,
+        message: `${row.extraValues.length} value(s) beyond the header columns: ${row.extraValues.join(', ')}`
+      });
+    }
+
+    return { ...row, issues };
+  });
+}
+
+/**
+ * Turns tabular records into hearings and reports problems row by row
+ * Shared by CSV and spreadsheet imports; the first non-blank record is the header row.
+ * @param {Array} records - Array of { values, row } where row is the 1-based position in the source
+ * @param {Object} options - Parser options
+ * @param {Object} options.mapping - Optional field to header mapping (see columnMapping)
+ * @param {Date} options.referenceDate - Day to use when the docket has no Date column (default today)
+ * @param {string} options.sourceName - Name used in error messages (default "CSV")
+ * @returns {Object} Report with headers and rows ({ row, hearing, extraValues, issues })
+ */
+function parseRecordsWithDiagnostics(records, options = {}) {
+  const nonBlank = records.filter(record => record.values.some(value => String(value).trim()));
+  if (nonBlank.length < 2) {
+    throw new Error(`${options.sourceName || 'CSV'} must contain at least a header row and one data row`);
   }
   
-  const headers = rows[0].split(',').map(h => h.trim());
+  const headers = cleanHeaderRow(nonBlank[0].values);
   
-  const data = rows.slice(1).map((row, index) => {
-    const values = row.split(',').map(v => v.trim());
-    const hearing = {};
+  const rows = nonBlank.slice(1).map(record => {
+    const values = record.values.map(v => String(v).trim());
+    let hearing = {};
     
     headers.forEach((header, i) => {
-      hearing[header] = values[i] || '';
+      if (header) hearing[header] = values[i] || '';
     });
     
-    // Generate unique ID
-    hearing.id = `${hearing['Case Number']}-${Date.now()}-${Math.random()}`;
+    if (options.mapping) {
+      hearing = applyColumnMapping(hearing, options.mapping);
+    }
     
-    return hearing;
+    return {
+      row: record.row,
+      hearing,
+      extraValues: values.slice(headers.length).filter(Boolean)
+    };
   });
   
-  return data;
+  const hearings = prepareHearings(rows.map(row => row.hearing), options);
+  
+  return {
+    headers,
+    rows: diagnoseRows(rows.map((row, index) => ({ ...row, hearing: hearings[index] })))
+  };
+}
+
+/**
+ * Parses CSV file content and reports problems row by row
+ * @param {string} csvText - Raw CSV file content
+ * @param {Object} options - Parser options passed through to tokenizeCSV and parseRecordsWithDiagnostics
+ * @param {Object} options.mapping - Optional field to header mapping (see columnMapping)
+ * @param {Date} options.referenceDate - Day to use when the docket has no Date column (default today)
+ * @returns {Object} Report with headers and rows ({ row, hearing, extraValues, issues })
+ */
+function parseCSVWithDiagnostics(csvText, options = {}) {
+  const records = tokenizeCSV(csvText, options).map((values, index) => ({ values, row: index + 1 }));
+  return parseRecordsWithDiagnostics(records, options);
+}
+
+/**
+ * Parses CSV file content and returns structured hearing data
+ * @param {string} csvText - Raw CSV file content
+ * @param {Object} options - Parser options passed through to tokenizeCSV
+ * @param {Object} options.mapping - Optional field to header mapping (see columnMapping)
+ * @returns {Array} Array of hearing objects
+ */
+function parseCSV(csvText, options = {}) {
+  return parseCSVWithDiagnostics(csvText, options).rows.map(row => row.hearing);
+}
+
+/**
+ * Reads the header row of CSV content
+ * @param {string} csvText - Raw CSV file content
+ * @param {Object} options - Parser options passed through to tokenizeCSV
+ * @returns {Array} Array of header strings
+ */
+function getCSVHeaders(csvText, options = {}) {
+  const headerRow = tokenizeCSV(csvText, options).find(row => row.some(value => value.trim()));
+  return headerRow ? cleanHeaderRow(headerRow) : [];
 }
 
 /**
  * Validates CSV headers for required court hearing fields
  * @param {Array} headers - Array of header strings
- * @returns {Object} Validation result with isValid boolean and missing fields
+ * @returns {Object} Validation result with isValid boolean, missing fields and proposed mapping
  */
 function validateCSVHeaders(headers) {
-  const requiredHeaders = ['Case Number', 'Client Name', 'Division', 'Time'];
-  const missing = requiredHeaders.filter(required => 
-    !headers.some(header => header.toLowerCase().includes(required.toLowerCase()))
-  );
+  const mapping = proposeColumnMapping(headers);
+  const missing = getMissingFields(mapping);
   
   return {
     isValid: missing.length === 0,
     missing,
-    found: headers
+    found: headers,
+    mapping
   };
 }
 
@@ -69,7 +536,23 @@ function initializeRecordingStates(hearings) {
 }
 
 module.exports = {
+  detectDelimiter,
+  tokenizeCSV,
   parseCSV,
+  parseCSVWithDiagnostics,
+  parseRecordsWithDiagnostics,
+  cleanHeaderRow,
+  diagnoseRows,
+  parseTime,
+  formatTime,
+  parseDate,
+  formatDayKey,
+  parseDateTime,
+  getHearingSchedule,
+  prepareHearings,
+  createHearingId,
+  assignHearingIds,
+  getCSVHeaders,
   validateCSVHeaders,
   initializeRecordingStates
 };
\ No newline at end of file
@@ -0,0 +1,179 @@
+/**
+ * Docket export utilities
+ * Writes the working docket back out as CSV or TSV with each hearing's outcome,
+ * ready to paste into a case management spreadsheet.
+ */
+
+const { formatDuration } = require('./audioRecorder');
+const { formatTime } = require('./speakingTimeTracker');
+const { formatDayKey } = require('./csvParser');
+
+/**
+ * Keys the app adds to hearing objects; they were not columns of the imported docket
+ */
+const NON_DOCKET_KEYS = ['id', 'scheduledDate', 'scheduledAt', 'reimportStatus', 'previousSchedule'];
+
+const STATUS_LABELS = {
+  ready: 'Not recorded',
+  recording: 'Recording',
+  recorded: 'Recorded',
+  processing: 'Transcribing',
+  complete: 'Transcribed'
+};
+
+const EXPORT_FORMATS = {
+  csv: { delimiter: ',', extension: 'csv', type: 'text/csv' },
+  tsv: { delimiter: '\t', extension: 'tsv', type: 'text/tab-separated-values' }
+};
+
+/**
+ * Lists the docket columns of a set of hearings, in first-seen order
+ * @param {Array} hearings - Hearing objects
+ * @returns {Array} Column names
+ */
+function getDocketColumns(hearings) {
+  const columns = [];
+  hearings.forEach(hearing => {
+    Object.keys(hearing).forEach(key => {
+      if (!NON_DOCKET_KEYS.includes(key) && !columns.includes(key)) columns.push(key);
+    });
+  });
+  return columns;
+}
+
+/**
+ * Lists every party with saved speaking-time statistics, in first-seen order
+ * @param {Object} recordings - Recording states keyed by hearing ID
+ * @param {Array} hearings - Hearing objects, in export order
+ * @returns {Array} Party names
+ */
+function getSpeakingParties(recordings, hearings) {
+  const parties = [];
+  hearings.forEach(hearing => {
+    const stats = getSpeakingStats(recordings[hearing.id]);
+    Object.keys(stats ? stats.parties : {}).forEach(party => {
+      if (!parties.includes(party)) parties.push(party);
+    });
+  });
+  return parties;
+}
+
+/**
+ * Reads the calculateStatistics result saved with a speaking-time report
+ * @param {Object} recording - Recording state
+ * @returns {Object|null} Statistics, or null when no report was saved
+ */
+function getSpeakingStats(recording) {
+  const report = recording && recording.speakingTimeReport;
+  return report && report.stats ? report.stats : null;
+}
+
+/**
+ * Quotes a field when it contains the delimiter, a quote or a line break
+ * A field a spreadsheet would run as a formula (starting with =, +, - or @) is
+ * prefixed with ' so notes or docket text cannot inject one
+ * @param {*} value - Field value
+ * @param {string} delimiter - Field delimiter
+ * @returns {string} Field text safe to write
+ */
+function escapeField(value, delimiter) {
+  const raw = value == null ? '' : String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  if (text.includes(delimiter) || /["\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Builds the exported table: original docket columns followed by outcome columns
+ * @param {Array} hearings - Hearing objects, in export order
+ * @param {Object} recordings - Recording states keyed by hearing ID
+ * @returns {Object} Table with headers and rows (arrays of strings)
+ */
+function buildDocketTable(hearings, recordings = {}) {
+  const columns = getDocketColumns(hearings);
+  const parties = getSpeakingParties(recordings, hearings);
+
+  const headers = [
+    ...columns,
+    'Status',
+    'Recorded Duration',
+    'Transcript Available',
+    'Notes',
+    ...parties.map(party => `Speaking Time: ${party}`)
+  ];
+
+  const rows = hearings.map(hearing => {
+    const recording = recordings[hearing.id] || {};
+    const stats = getSpeakingStats(recording);
+    const hasAudio = !!recording.audioBlob || recording.duration > 0;
+
+    return [
+      ...columns.map(column => (hearing[column] == null ? '' : String(hearing[column]))),
+      STATUS_LABELS[recording.status] || recording.status || '',
+      hasAudio ? formatDuration(recording.duration || 0) : '',
+      recording.transcript ? 'Yes' : 'No',
+      recording.notes || '',
+      ...parties.map(party => (stats && stats.parties[party] ? formatTime(stats.parties[party].totalTime) : ''))
+    ];
+  });
+
+  return { headers, rows };
+}
+
+/**
+ * Serializes the docket and its outcomes as delimited text
+ * @param {Array} hearings - Hearing objects, in export order
+ * @param {Object} recordings - Recording states keyed by hearing ID
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'csv' (default) or 'tsv'
+ * @returns {string} Delimited text with CRLF line endings
+ */
+function exportDocket(hearings, recordings = {}, options = {}) {
+  const format = EXPORT_FORMATS[options.format || 'csv'];
+  if (!format) {
+    throw new Error(`Unsupported export format: ${options.format}`);
+  }
+  if (!hearings || hearings.length === 0) {
+    throw new Error('No hearings to export');
+  }
+
+  const { headers, rows } = buildDocketTable(hearings, recordings);
+  return [headers, ...rows]
+    .map(row => row.map(value => escapeField(value, format.delimiter)).join(format.delimiter))
+    .join('\r\n') + '\r\n';
+}
+
+/**
+ * Downloads the docket and its outcomes as a CSV or TSV file
+ * @param {Array} hearings - Hearing objects, in export order
+ * @param {Object} recordings - Recording states keyed by hearing ID
+ * @param {Object} options - Export options
+ * @param {string} options.format - 'csv' (default) or 'tsv'
+ * @param {string} options.filename - Filename without extension (default "docket_YYYY-MM-DD")
+ */
+function downloadDocketExport(hearings, recordings = {}, options = {}) {
+  const format = options.format || 'csv';
+  const content = exportDocket(hearings, recordings, { format });
+  const { extension, type } = EXPORT_FORMATS[format];
+  const today = new Date();
+  const filename = options.filename ||
+    `docket_${formatDayKey({ year: today.getFullYear(), month: today.getMonth() + 1, day: today.getDate() })}`;
+
+  // The byte order mark makes Excel read the file as UTF-8
+  const blob = new Blob(['\uFEFF' + content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${filename}.${extension}`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+module.exports = {
+  getDocketColumns,
+  buildDocketTable,
+  exportDocket,
+  downloadDocketExport
+};
@@ -0,0 +1,136 @@
+/**
+ * Docket merge utilities
+ * Reconciles a re-imported docket with the hearings already loaded so that
+ * recordings, notes and transcripts stay attached to their hearings.
+ */
+
+const { initializeRecordingStates } = require('./csvParser');
+
+/**
+ * Fields whose change means a hearing has been rescheduled
+ */
+const SCHEDULE_FIELDS = ['Date', 'Time', 'Division'];
+
+/**
+ * Keys the merge adds to hearing objects; they are not docket columns
+ */
+const MERGE_KEYS = ['reimportStatus', 'previousSchedule'];
+
+/**
+ * Removes merge bookkeeping from a hearing
+ * @param {Object} hearing - Hearing object
+ * @returns {Object} Hearing without merge keys
+ */
+function stripMergeKeys(hearing) {
+  const result = { ...hearing };
+  MERGE_KEYS.forEach(key => { delete result[key]; });
+  return result;
+}
+
+/**
+ * Lists the schedule fields that differ between two versions of a hearing
+ * @param {Object} previous - Hearing currently loaded
+ * @param {Object} next - Hearing from the new docket
+ * @returns {Object} Previous values of the fields that changed (empty if none)
+ */
+function getScheduleChanges(previous, next) {
+  const changes = {};
+  SCHEDULE_FIELDS.forEach(field => {
+    const before = (previous[field] || '').trim();
+    const after = (next[field] || '').trim();
+    if (before !== after) {
+      changes[field] = previous[field] || '';
+    }
+  });
+  return changes;
+}
+
+/**
+ * Merges a newly imported docket into the hearings already loaded
+ * Hearings are matched by ID, so both lists must carry stable IDs (see createHearingId).
+ * @param {Array} current - Hearings currently loaded
+ * @param {Array} incoming - Hearings from the new import
+ * @param {Object} options - Merge options
+ * @param {boolean} options.flagRemoved - Flag loaded hearings missing from the import (default true);
+ *   pass false when appending a partial list
+ * @returns {Object} Merged hearings and a summary of added, rescheduled, removed and unchanged IDs
+ */
+function mergeDockets(current, incoming, options = {}) {
+  const flagRemoved = options.flagRemoved !== false;
+  const currentById = new Map(current.map(hearing => [hearing.id, hearing]));
+  const summary = { added: [], rescheduled: [], removed: [], unchanged: [] };
+
+  // With nothing loaded yet this is a plain import, so nothing is flagged
+  if (current.length === 0) {
+    const hearings = incoming.map(stripMergeKeys);
+    summary.added = hearings.map(hearing => hearing.id);
+    return { hearings, summary };
+  }
+
+  const incomingHearings = incoming.map(stripMergeKeys);
+  const seen = new Set();
+
+  const merged = incomingHearings.map(hearing => {
+    const previous = currentById.get(hearing.id);
+    seen.add(hearing.id);
+
+    if (!previous) {
+      summary.added.push(hearing.id);
+      return { ...hearing, reimportStatus: 'added' };
+    }
+
+    const changes = getScheduleChanges(previous, hearing);
+    if (Object.keys(changes).length > 0) {
+      summary.rescheduled.push(hearing.id);
+      return { ...hearing, reimportStatus: 'rescheduled', previousSchedule: changes };
+    }
+
+    summary.unchanged.push(hearing.id);
+    return hearing;
+  });
+
+  if (flagRemoved) {
+    // Removed hearings stay in the list so their recordings are not lost
+    const removed = current.filter(hearing => !seen.has(hearing.id));
+    removed.forEach(hearing => summary.removed.push(hearing.id));
+    return {
+      hearings: [
+        ...merged,
+        ...removed.map(hearing => ({ ...stripMergeKeys(hearing), reimportStatus: 'removed' }))
+      ],
+      summary
+    };
+  }
+
+  // Appending keeps the current order, updating matched hearings in place
+  const mergedById = new Map(merged.map(hearing => [hearing.id, hearing]));
+  return {
+    hearings: [
+      ...current.map(hearing => mergedById.get(hearing.id) || hearing),
+      ...merged.filter(hearing => !currentById.has(hearing.id))
+    ],
+    summary
+  };
+}
+
+/**
+ * Keeps recording state for hearings that survive a merge and creates it for new ones
+ * @param {Object} recordings - Current recording states keyed by hearing ID
+ * @param {Array} hearings - Merged hearings
+ * @returns {Object} Recording states keyed by hearing ID
+ */
+function mergeRecordingStates(recordings, hearings) {
+  const missing = hearings.filter(hearing => !recordings[hearing.id]);
+  return {
+    ...recordings,
+    ...initializeRecordingStates(missing)
+  };
+}
+
+module.exports = {
+  SCHEDULE_FIELDS,
+  MERGE_KEYS,
+  stripMergeKeys,
+  mergeDockets,
+  mergeRecordingStates
+};
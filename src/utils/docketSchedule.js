@@ -0,0 +1,135 @@
+/**
+ * Docket schedule utilities
+ * Orders hearings chronologically, groups them by court day and flags
+ * hearings that overlap for the same attorney or client.
+ */
+
+/**
+ * Default window within which two hearings for the same person conflict
+ */
+const CONFLICT_WINDOW_MINUTES = 30;
+
+/**
+ * Sorts hearings by scheduled day and time
+ * Hearings without a parseable time keep their docket order at the end of their day;
+ * hearings without a parseable date go last.
+ * @param {Array} hearings - Hearings carrying scheduledDate and scheduledAt (see prepareHearings)
+ * @returns {Array} New array in chronological order
+ */
+function sortHearings(hearings) {
+  return hearings
+    .map((hearing, index) => ({ hearing, index }))
+    .sort((a, b) => {
+      const dayA = a.hearing.scheduledDate || '\uffff';
+      const dayB = b.hearing.scheduledDate || '\uffff';
+      if (dayA !== dayB) return dayA < dayB ? -1 : 1;
+
+      const timeA = a.hearing.scheduledAt != null ? a.hearing.scheduledAt : Infinity;
+      const timeB = b.hearing.scheduledAt != null ? b.hearing.scheduledAt : Infinity;
+      if (timeA !== timeB) return timeA < timeB ? -1 : 1;
+
+      return a.index - b.index;
+    })
+    .map(entry => entry.hearing);
+}
+
+/**
+ * Formats a YYYY-MM-DD day key as a heading, e.g. "Friday, March 15, 2024"
+ * @param {string|null} day - Day key
+ * @returns {string} Heading text
+ */
+function formatDayLabel(day) {
+  if (!day) return 'Unscheduled';
+
+  const [year, month, date] = day.split('-').map(Number);
+  return new Date(year, month - 1, date).toLocaleDateString('en-US', {
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric'
+  });
+}
+
+/**
+ * Groups hearings into court days in chronological order
+ * @param {Array} hearings - Hearings carrying scheduledDate and scheduledAt
+ * @returns {Array} Array of { day, label, hearings }
+ */
+function groupHearingsByDay(hearings) {
+  const groups = [];
+  const byDay = new Map();
+
+  sortHearings(hearings).forEach(hearing => {
+    const day = hearing.scheduledDate || null;
+    if (!byDay.has(day)) {
+      const group = { day, label: formatDayLabel(day), hearings: [] };
+      byDay.set(day, group);
+      groups.push(group);
+    }
+    byDay.get(day).hearings.push(hearing);
+  });
+
+  return groups;
+}
+
+/**
+ * Normalizes a name for comparison across docket rows
+ * @param {string} name - Attorney or client name
+ * @returns {string} Lowercase name with collapsed whitespace and no punctuation
+ */
+function normalizeName(name) {
+  return (name || '').toLowerCase().replace(/[.,]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Finds hearings on the same day for the same attorney or client that start close together
+ * @param {Array} hearings - Hearings carrying scheduledDate and scheduledAt
+ * @param {Object} options - Options
+ * @param {number} options.windowMinutes - Start times closer than this conflict (default 30)
+ * @returns {Object} Conflicts keyed by hearing ID, each { id, field, name, caseNumber, time }
+ */
+function findScheduleConflicts(hearings, options = {}) {
+  const windowMs = (options.windowMinutes != null ? options.windowMinutes : CONFLICT_WINDOW_MINUTES) * 60 * 1000;
+  const conflicts = {};
+  const timed = sortHearings(hearings).filter(hearing =>
+    hearing.scheduledAt != null && hearing.reimportStatus !== 'removed'
+  );
+
+  const addConflict = (hearing, other, field) => {
+    conflicts[hearing.id] = conflicts[hearing.id] || [];
+    if (conflicts[hearing.id].some(conflict => conflict.id === other.id)) return;
+    conflicts[hearing.id].push({
+      id: other.id,
+      field,
+      name: other[field],
+      caseNumber: other['Case Number'],
+      time: other['Time']
+    });
+  };
+
+  timed.forEach((hearing, i) => {
+    for (let j = i + 1; j < timed.length; j++) {
+      const other = timed[j];
+      if (other.scheduledDate !== hearing.scheduledDate) break;
+      if (other.scheduledAt - hearing.scheduledAt >= windowMs) break;
+
+      ['Attorney', 'Client Name'].forEach(field => {
+        const name = normalizeName(hearing[field]);
+        if (name && name === normalizeName(other[field])) {
+          addConflict(hearing, other, field);
+          addConflict(other, hearing, field);
+        }
+      });
+    }
+  });
+
+  return conflicts;
+}
+
+module.exports = {
+  CONFLICT_WINDOW_MINUTES,
+  sortHearings,
+  formatDayLabel,
+  groupHearingsByDay,
+  findScheduleConflicts
+};
@@ -0,0 +1,225 @@
+/**
+ * Field schema utilities
+ * Decides how docket columns beyond the four core fields are shown, searched,
+ * entered by hand and carried into transcripts and reports.
+ */
+
+const { getStorage } = require('./storage');
+
+const FIELD_SCHEMA_STORAGE_KEY = 'courtReporter.fieldSchema';
+
+/**
+ * Fields every hearing has; they are always shown, searchable and in the manual form
+ */
+const CORE_FIELDS = ['Case Number', 'Client Name', 'Division', 'Time'];
+
+/**
+ * Keys on hearing objects that are not extra docket columns
+ * (Date is shown by the day headings rather than on each tile)
+ */
+const RESERVED_KEYS = ['id', 'Date', 'scheduledDate', 'scheduledAt', 'reimportStatus', 'previousSchedule'];
+
+/**
+ * Settings for a column the schema does not list yet
+ */
+const DEFAULT_FIELD_SETTINGS = {
+  showOnTile: true,
+  searchable: true,
+  inManualForm: false,
+  inReports: true
+};
+
+/**
+ * Default schema covering the extra columns common on our dockets
+ */
+const DEFAULT_FIELD_SCHEMA = {
+  fields: ['Judge', 'Courtroom', 'Charge', 'Prosecutor', 'Bond'].map(key => ({
+    key,
+    showOnTile: true,
+    searchable: key !== 'Bond',
+    inManualForm: true,
+    inReports: true
+  }))
+};
+
+/**
+ * Cleans up a schema loaded from storage or edited by the user
+ * Entries without a name, duplicates and core or reserved fields are dropped.
+ * @param {Object} schema - Schema with a fields array
+ * @returns {Object} Schema with a fields array of { key, showOnTile, searchable, inManualForm, inReports }
+ */
+function normalizeFieldSchema(schema) {
+  const seen = new Set();
+  const fields = [];
+
+  ((schema && schema.fields) || []).forEach(field => {
+    const key = (field && typeof field.key === 'string') ? field.key.trim() : '';
+    if (!key || seen.has(key) || CORE_FIELDS.includes(key) || RESERVED_KEYS.includes(key)) return;
+
+    seen.add(key);
+    const settings = {};
+    Object.keys(DEFAULT_FIELD_SETTINGS).forEach(setting => {
+      settings[setting] = field[setting] !== undefined ? !!field[setting] : DEFAULT_FIELD_SETTINGS[setting];
+    });
+    fields.push({ key, ...settings });
+  });
+
+  return { fields };
+}
+
+/**
+ * Checks whether a hearing key is an extra docket column
+ * @param {string} key - Hearing object key
+ * @returns {boolean} True unless the key is a core field or bookkeeping
+ */
+function isExtraColumn(key) {
+  return !CORE_FIELDS.includes(key) && !RESERVED_KEYS.includes(key);
+}
+
+/**
+ * Lists the extra columns present in a set of hearings, in first-seen order
+ * @param {Array} hearings - Hearing objects
+ * @returns {Array} Column names
+ */
+function getExtraColumns(hearings) {
+  const columns = [];
+  hearings.forEach(hearing => {
+    Object.keys(hearing).forEach(key => {
+      if (isExtraColumn(key) && !columns.includes(key)) columns.push(key);
+    });
+  });
+  return columns;
+}
+
+/**
+ * Lists schema fields followed by docket columns the schema does not mention yet
+ * @param {Object} schema - Field schema
+ * @param {Array} columns - Extra columns found on the docket (see getExtraColumns)
+ * @returns {Array} Schema entries with default settings filled in for new columns
+ */
+function listSchemaFields(schema, columns = []) {
+  const fields = normalizeFieldSchema(schema).fields;
+  columns.forEach(key => {
+    if (isExtraColumn(key) && !fields.some(field => field.key === key)) {
+      fields.push({ key, ...DEFAULT_FIELD_SETTINGS });
+    }
+  });
+  return fields;
+}
+
+/**
+ * Collects the extra values of a hearing that a setting turns on
+ * Schema fields come first in schema order, then unlisted columns in hearing order.
+ * @param {Object} hearing - Hearing object
+ * @param {Object} schema - Field schema
+ * @param {string} setting - showOnTile, searchable or inReports
+ * @returns {Array} Array of { key, value } for non-empty values
+ */
+function getExtraFields(hearing, schema, setting) {
+  if (!hearing) return [];
+
+  return listSchemaFields(schema, Object.keys(hearing).filter(isExtraColumn))
+    .filter(field => field[setting])
+    .map(field => ({ key: field.key, value: String(hearing[field.key] == null ? '' : hearing[field.key]).trim() }))
+    .filter(field => field.value);
+}
+
+/**
+ * Extra values shown on a hearing tile
+ * @param {Object} hearing - Hearing object
+ * @param {Object} schema - Field schema
+ * @returns {Array} Array of { key, value }
+ */
+function getTileFields(hearing, schema) {
+  return getExtraFields(hearing, schema, 'showOnTile');
+}
+
+/**
+ * Extra values written into transcript headers and speaking-time reports
+ * @param {Object} hearing - Hearing object
+ * @param {Object} schema - Field schema (every extra column is included when omitted)
+ * @returns {Array} Array of { key, value }
+ */
+function getReportFields(hearing, schema) {
+  return getExtraFields(hearing, schema, 'inReports');
+}
+
+/**
+ * Extra fields offered in the manual entry form
+ * @param {Object} schema - Field schema
+ * @returns {Array} Column names
+ */
+function getManualFormFields(schema) {
+  return normalizeFieldSchema(schema).fields
+    .filter(field => field.inManualForm)
+    .map(field => field.key);
+}
+
+/**
+ * Checks whether a hearing matches a search query
+ * Every word of the query must appear in a core field or a searchable extra field.
+ * @param {Object} hearing - Hearing object
+ * @param {string} query - Search text
+ * @param {Object} schema - Field schema
+ * @returns {boolean} True when the hearing matches (an empty query matches everything)
+ */
+function matchesSearch(hearing, query, schema) {
+  const words = (query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return true;
+
+  const haystack = [
+    ...CORE_FIELDS.map(key => hearing[key] || ''),
+    ...getExtraFields(hearing, schema, 'searchable').map(field => field.value)
+  ].join('\n').toLowerCase();
+
+  return words.every(word => haystack.includes(word));
+}
+
+/**
+ * Loads the field schema configured by the user
+ * @param {Object} storage - Optional Storage-like object (defaults to localStorage)
+ * @returns {Object} Field schema (DEFAULT_FIELD_SCHEMA when nothing is saved)
+ */
+function getFieldSchema(storage) {
+  const store = getStorage(storage);
+  if (!store) return normalizeFieldSchema(DEFAULT_FIELD_SCHEMA);
+  try {
+    const saved = JSON.parse(store.getItem(FIELD_SCHEMA_STORAGE_KEY));
+    return normalizeFieldSchema(saved || DEFAULT_FIELD_SCHEMA);
+  } catch (error) {
+    return normalizeFieldSchema(DEFAULT_FIELD_SCHEMA);
+  }
+}
+
+/**
+ * Saves the field schema
+ * @param {Object} schema - Field schema
+ * @param {Object} storage - Optional Storage-like object (defaults to localStorage)
+ * @returns {Object} The normalized schema that was saved
+ */
+function saveFieldSchema(schema, storage) {
+  const normalized = normalizeFieldSchema(schema);
+  const store = getStorage(storage);
+  if (!store) return normalized;
+
+  try {
+    store.setItem(FIELD_SCHEMA_STORAGE_KEY, JSON.stringify(normalized));
+  } catch (error) {
+    console.error('Error saving field schema:', error);
+  }
+  return normalized;
+}
+
+module.exports = {
+  CORE_FIELDS,
+  DEFAULT_FIELD_SCHEMA,
+  normalizeFieldSchema,
+  getExtraColumns,
+  listSchemaFields,
+  getTileFields,
+  getReportFields,
+  getManualFormFields,
+  matchesSearch,
+  getFieldSchema,
+  saveFieldSchema
+};
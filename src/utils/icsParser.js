@@ -0,0 +1,307 @@
+/**
+ * iCalendar (.ics) import utilities
+ * Turns calendar events exported from Outlook or Google Calendar into hearing objects
+ */
+
+const { diagnoseRows, prepareHearings, formatTime, formatDayKey } = require('./csvParser');
+const { getStorage } = require('./storage');
+
+const ICS_PATTERN_STORAGE_KEY = 'courtReporter.icsPatterns';
+
+/**
+ * Default patterns for pulling hearing fields out of event text
+ * When a pattern has a capturing group, the first group is used as the value.
+ */
+const DEFAULT_ICS_PATTERNS = {
+  caseNumber: '\\b((?:\\d{2}-)?\\d{2,4}-[A-Z]{1,4}-\\d{3,8}|\\d{3,}-\\d{4})\\b',
+  division: '\\b(?:Division|Div\\.?|Courtroom|Dept\\.?)(?![A-Za-z])\\s*:?\\s*([A-Za-z0-9-]+)'
+};
+
+/**
+ * Joins folded content lines (RFC 5545 section 3.1)
+ * @param {string} icsText - Raw calendar file content
+ * @returns {Array} Array of unfolded content lines
+ */
+function unfoldICSLines(icsText) {
+  return icsText
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n?/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line.trim());
+}
+
+/**
+ * Undoes TEXT value escaping (\n, \, \; and \\)
+ * @param {string} value - Escaped property value
+ * @returns {string} Plain text
+ */
+function unescapeICSText(value) {
+  return value.replace(/\\([nN,;\\])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Splits a content line into its name, parameters and value
+ * @param {string} line - Unfolded content line, e.g. "DTSTART;TZID=America/New_York:20240315T090000"
+ * @returns {Object|null} Object with name, params and value, or null if the line has no value
+ */
+function parseICSProperty(line) {
+  let inQuotes = false;
+  let colon = -1;
+
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * Parses a DATE or DATE-TIME value into local date and time parts
+ * UTC values (ending in Z) are converted to local time; TZID values are read as local wall-clock time.
+ * @param {string} value - Value such as "20240315", "20240315T090000" or "20240315T140000Z"
+ * @returns {Object|null} Object with date ({ year, month, day }) and time ({ hours, minutes } or null)
+ */
+function parseICSDate(value) {
+  const match = (value || '').trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+  if (!match) return null;
+
+  const [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  if (match[4] === undefined) {
+    return { date: { year, month, day }, time: null };
+  }
+
+  let hours = Number(match[4]);
+  let minutes = Number(match[5]);
+  let date = { year, month, day };
+
+  if (match[7]) {
+    const local = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+    date = { year: local.getFullYear(), month: local.getMonth() + 1, day: local.getDate() };
+    hours = local.getHours();
+    minutes = local.getMinutes();
+  }
+
+  return { date, time: { hours, minutes } };
+}
+
+/**
+ * Compiles a configured pattern
+ * @param {string} source - Regular expression source
+ * @param {string} label - Pattern name used in error messages
+ * @returns {RegExp|null} Case-insensitive expression, or null for an empty pattern
+ */
+function compilePattern(source, label) {
+  if (!source) return null;
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    throw new Error(`Invalid ${label} pattern: ${error.message}`);
+  }
+}
+
+/**
+ * Finds the first match of a pattern in a list of texts
+ * @param {RegExp|null} pattern - Compiled pattern
+ * @param {Array} texts - Texts to search in order
+ * @returns {Object|null} Matched value and the full match text, or null
+ */
+function matchPattern(pattern, texts) {
+  if (!pattern) return null;
+
+  for (const text of texts) {
+    const match = text && text.match(pattern);
+    if (match) {
+      return { value: (match[1] !== undefined ? match[1] : match[0]).trim(), text: match[0] };
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the VEVENT blocks of a calendar
+ * @param {string} icsText - Raw calendar file content
+ * @returns {Array} Array of events, each mapping property names to { params, value }
+ */
+function readICSEvents(icsText) {
+  const events = [];
+  let current = null;
+  let nested = 0;
+
+  unfoldICSLines(icsText).forEach(line => {
+    const property = parseICSProperty(line);
+    if (!property) return;
+
+    const component = property.value.trim().toUpperCase();
+    if (property.name === 'BEGIN') {
+      if (current) {
+        nested++;
+      } else if (component === 'VEVENT') {
+        current = {};
+      }
+    } else if (property.name === 'END' && current) {
+      if (nested > 0) {
+        nested--;
+      } else if (component === 'VEVENT') {
+        events.push(current);
+        current = null;
+      }
+    } else if (current && nested === 0 && !current[property.name]) {
+      // Properties of nested components such as VALARM are ignored
+      current[property.name] = { params: property.params, value: property.value };
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Converts a calendar event into a hearing object
+ * @param {Object} event - Event properties (see readICSEvents)
+ * @param {Object} patterns - Compiled caseNumber and division patterns
+ * @returns {Object} Hearing object
+ */
+function eventToHearing(event, patterns) {
+  const text = (name) => (event[name] ? unescapeICSText(event[name].value).trim() : '');
+  const summary = text('SUMMARY');
+  const location = text('LOCATION');
+  const description = text('DESCRIPTION');
+
+  const caseNumber = matchPattern(patterns.caseNumber, [summary, location, description]);
+  const division = matchPattern(patterns.division, [location, summary, description]);
+
+  // Whatever is left of the summary once the case number and division are removed names the client
+  let clientName = summary;
+  [caseNumber, division].forEach(match => {
+    if (match) clientName = clientName.replace(match.text, ' ');
+  });
+  clientName = clientName.replace(/\s+/g, ' ').replace(/^[\s\-:|,.()]+|[\s\-:|,(]+$/g, '');
+
+  const start = event['DTSTART'] ? parseICSDate(event['DTSTART'].value) : null;
+
+  return {
+    'Case Number': caseNumber ? caseNumber.value : '',
+    'Client Name': clientName,
+    'Division': division ? division.value : location,
+    'Date': start ? formatDayKey(start.date) : '',
+    'Time': start && start.time ? formatTime(start.time) : ''
+  };
+}
+
+/**
+ * Parses calendar file content and reports problems event by event
+ * Cancelled events are left out.
+ * @param {string} icsText - Raw calendar file content
+ * @param {Object} options - Parser options
+ * @param {Object} options.patterns - caseNumber and division pattern sources (default DEFAULT_ICS_PATTERNS)
+ * @param {Date} options.referenceDate - Passed through to prepareHearings
+ * @returns {Object} Report with headers and rows ({ row, hearing, extraValues, issues }), as parseCSVWithDiagnostics
+ */
+function parseICSWithDiagnostics(icsText, options = {}) {
+  const patternSources = { ...DEFAULT_ICS_PATTERNS, ...options.patterns };
+  const patterns = {
+    caseNumber: compilePattern(patternSources.caseNumber, 'case number'),
+    division: compilePattern(patternSources.division, 'division')
+  };
+
+  if (!/BEGIN:VCALENDAR/i.test(icsText)) {
+    throw new Error('File is not an iCalendar (.ics) file');
+  }
+
+  const events = readICSEvents(icsText)
+    .map((event, index) => ({ event, row: index + 1 }))
+    .filter(({ event }) => !event['STATUS'] || event['STATUS'].value.toUpperCase() !== 'CANCELLED');
+  if (events.length === 0) {
+    throw new Error('Calendar must contain at least one event');
+  }
+
+  const rows = events.map(({ event, row }) => ({
+    row,
+    hearing: eventToHearing(event, patterns),
+    extraValues: []
+  }));
+  const hearings = prepareHearings(rows.map(row => row.hearing), options);
+
+  return {
+    headers: ['Case Number', 'Client Name', 'Division', 'Date', 'Time'],
+    rows: diagnoseRows(rows.map((row, index) => ({ ...row, hearing: hearings[index] })))
+  };
+}
+
+/**
+ * Parses calendar file content and returns structured hearing data
+ * @param {string} icsText - Raw calendar file content
+ * @param {Object} options - Parser options (see parseICSWithDiagnostics)
+ * @returns {Array} Array of hearing objects
+ */
+function parseICS(icsText, options = {}) {
+  return parseICSWithDiagnostics(icsText, options).rows.map(row => row.hearing);
+}
+
+/**
+ * Loads the ICS patterns configured by the user
+ * @param {Object} storage - Optional Storage-like object (defaults to localStorage)
+ * @returns {Object} caseNumber and division pattern sources
+ */
+function getICSPatterns(storage) {
+  const store = getStorage(storage);
+  if (!store) return { ...DEFAULT_ICS_PATTERNS };
+  try {
+    return { ...DEFAULT_ICS_PATTERNS, ...JSON.parse(store.getItem(ICS_PATTERN_STORAGE_KEY)) };
+  } catch (error) {
+    return { ...DEFAULT_ICS_PATTERNS };
+  }
+}
+
+/**
+ * Saves ICS patterns after checking that they compile
+ * @param {Object} patterns - caseNumber and division pattern sources
+ * @param {Object} storage - Optional Storage-like object (defaults to localStorage)
+ */
+function saveICSPatterns(patterns, storage) {
+  compilePattern(patterns.caseNumber, 'case number');
+  compilePattern(patterns.division, 'division');
+
+  const store = getStorage(storage);
+  if (!store) return;
+
+  try {
+    store.setItem(ICS_PATTERN_STORAGE_KEY, JSON.stringify(patterns));
+  } catch (error) {
+    console.error('Error saving ICS patterns:', error);
+  }
+}
+
+/**
+ * Checks whether uploaded content is an iCalendar file
+ * @param {string} fileName - Name of the uploaded file
+ * @param {string} text - File content
+ * @returns {boolean} True for .ics files or content starting with BEGIN:VCALENDAR
+ */
+function isICSFile(fileName, text) {
+  return /\.ics$/i.test(fileName || '') || /^\uFEFF?\s*BEGIN:VCALENDAR/i.test(text || '');
+}
+
+module.exports = {
+  DEFAULT_ICS_PATTERNS,
+  unfoldICSLines,
+  parseICSProperty,
+  parseICSDate,
+  parseICS,
+  parseICSWithDiagnostics,
+  getICSPatterns,
+  saveICSPatterns,
+  isICSFile
+};
@@ -0,0 +1,199 @@
+/**
+ * Minimal DEFLATE decompressor (RFC 1951)
+ * Used to read zip containers such as .xlsx workbooks without pulling in a dependency.
+ */
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// Order in which code length code lengths are stored in a dynamic block header
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Builds a canonical Huffman decoding table from code lengths
+ * @param {Array} lengths - Code length for each symbol (0 = unused)
+ * @returns {Object} Table with counts per length and symbols in code order
+ */
+function buildHuffmanTable(lengths) {
+  const counts = new Array(16).fill(0);
+  const offsets = new Array(16).fill(0);
+  const symbols = new Array(lengths.length);
+
+  lengths.forEach(length => { counts[length]++; });
+  counts[0] = 0;
+
+  for (let i = 1; i < 16; i++) {
+    offsets[i] = offsets[i - 1] + counts[i - 1];
+  }
+  lengths.forEach((length, symbol) => {
+    if (length) symbols[offsets[length]++] = symbol;
+  });
+
+  return { counts, symbols };
+}
+
+/**
+ * Decompresses raw DEFLATE data
+ * @param {Uint8Array} input - Compressed bytes
+ * @param {number} expectedSize - Optional uncompressed size used to preallocate the output
+ * @returns {Uint8Array} Decompressed bytes
+ */
+function inflateRaw(input, expectedSize = 0) {
+  let output = new Uint8Array(Math.max(expectedSize, input.length * 4, 1024));
+  let outLength = 0;
+  let position = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const ensureCapacity = (extra) => {
+    if (outLength + extra <= output.length) return;
+    const grown = new Uint8Array(Math.max(output.length * 2, outLength + extra));
+    grown.set(output.subarray(0, outLength));
+    output = grown;
+  };
+
+  const readBits = (count) => {
+    while (bitCount < count) {
+      if (position >= input.length) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      bitBuffer |= input[position++] << bitCount;
+      bitCount += 8;
+    }
+    const value = bitBuffer & ((1 << count) - 1);
+    bitBuffer >>>= count;
+    bitCount -= count;
+    return value;
+  };
+
+  const decodeSymbol = (table) => {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+    for (let length = 1; length < 16; length++) {
+      code |= readBits(1);
+      const count = table.counts[length];
+      if (code - first < count) {
+        return table.symbols[index + code - first];
+      }
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+    throw new Error('Invalid Huffman code in compressed data');
+  };
+
+  const inflateBlock = (literalTable, distanceTable) => {
+    for (;;) {
+      const symbol = decodeSymbol(literalTable);
+      if (symbol < 256) {
+        ensureCapacity(1);
+        output[outLength++] = symbol;
+      } else if (symbol === 256) {
+        return;
+      } else {
+        const lengthIndex = symbol - 257;
+        if (lengthIndex >= LENGTH_BASE.length) {
+          throw new Error('Invalid length code in compressed data');
+        }
+        const length = LENGTH_BASE[lengthIndex] + readBits(LENGTH_EXTRA[lengthIndex]);
+        const distanceIndex = decodeSymbol(distanceTable);
+        const distance = DIST_BASE[distanceIndex] + readBits(DIST_EXTRA[distanceIndex]);
+        if (distance > outLength) {
+          throw new Error('Invalid back-reference in compressed data');
+        }
+        ensureCapacity(length);
+        // Copy byte by byte: the source may overlap the bytes being written
+        for (let i = 0; i < length; i++) {
+          output[outLength] = output[outLength - distance];
+          outLength++;
+        }
+      }
+    }
+  };
+
+  let fixedTables = null;
+  const getFixedTables = () => {
+    if (!fixedTables) {
+      const lengths = new Array(288);
+      lengths.fill(8, 0, 144);
+      lengths.fill(9, 144, 256);
+      lengths.fill(7, 256, 280);
+      lengths.fill(8, 280, 288);
+      fixedTables = [buildHuffmanTable(lengths), buildHuffmanTable(new Array(30).fill(5))];
+    }
+    return fixedTables;
+  };
+
+  const readDynamicTables = () => {
+    const literalCount = readBits(5) + 257;
+    const distanceCount = readBits(5) + 1;
+    const codeLengthCount = readBits(4) + 4;
+
+    const codeLengthLengths = new Array(19).fill(0);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengthLengths[CODE_LENGTH_ORDER[i]] = readBits(3);
+    }
+    const codeLengthTable = buildHuffmanTable(codeLengthLengths);
+
+    const lengths = [];
+    while (lengths.length < literalCount + distanceCount) {
+      const symbol = decodeSymbol(codeLengthTable);
+      if (symbol < 16) {
+        lengths.push(symbol);
+      } else if (symbol === 16) {
+        if (lengths.length === 0) {
+          throw new Error('Invalid code lengths in compressed data');
+        }
+        const previous = lengths[lengths.length - 1];
+        for (let repeat = readBits(2) + 3; repeat > 0; repeat--) lengths.push(previous);
+      } else if (symbol === 17) {
+        for (let repeat = readBits(3) + 3; repeat > 0; repeat--) lengths.push(0);
+      } else {
+        for (let repeat = readBits(7) + 11; repeat > 0; repeat--) lengths.push(0);
+      }
+    }
+
+    return [
+      buildHuffmanTable(lengths.slice(0, literalCount)),
+      buildHuffmanTable(lengths.slice(literalCount, literalCount + distanceCount))
+    ];
+  };
+
+  let lastBlock = false;
+  while (!lastBlock) {
+    lastBlock = readBits(1) === 1;
+    const type = readBits(2);
+
+    if (type === 0) {
+      // Stored block: skip to the byte boundary, then copy LEN bytes
+      bitBuffer = 0;
+      bitCount = 0;
+      if (position + 4 > input.length) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      const length = input[position] | (input[position + 1] << 8);
+      position += 4;
+      if (position + length > input.length) {
+        throw new Error('Unexpected end of compressed data');
+      }
+      ensureCapacity(length);
+      output.set(input.subarray(position, position + length), outLength);
+      outLength += length;
+      position += length;
+    } else if (type === 1) {
+      inflateBlock(...getFixedTables());
+    } else if (type === 2) {
+      inflateBlock(...readDynamicTables());
+    } else {
+      throw new Error('Invalid block type in compressed data');
+    }
+  }
+
+  return output.slice(0, outLength);
+}
+
+module.exports = {
+  inflateRaw
+};
@@ -0,0 +1,195 @@
+/**
+ * Audio input device utilities
+ * Lists microphones, builds getUserMedia constraints from the saved audio settings,
+ * and keeps a recording fed when its microphone disappears mid-hearing.
+ */
+
+const PROCESSING_CONSTRAINTS = ['echoCancellation', 'noiseSuppression', 'autoGainControl'];
+
+/**
+ * Resolves the MediaDevices object
+ * @param {MediaDevices} mediaDevices - Optional MediaDevices (defaults to navigator.mediaDevices)
+ * @returns {MediaDevices|null} MediaDevices or null when unavailable
+ */
+function getMediaDevices(mediaDevices) {
+  if (mediaDevices) return mediaDevices;
+  return typeof navigator !== 'undefined' && navigator.mediaDevices ? navigator.mediaDevices : null;
+}
+
+/**
+ * Lists the audio inputs the browser can see
+ * Labels stay empty until the page has been allowed to use a microphone, so those get a numbered name
+ * @param {MediaDevices} mediaDevices - Optional MediaDevices (defaults to navigator.mediaDevices)
+ * @returns {Promise<Array>} Inputs with deviceId and label
+ */
+async function listAudioInputs(mediaDevices) {
+  const devices = getMediaDevices(mediaDevices);
+  if (!devices || typeof devices.enumerateDevices !== 'function') return [];
+
+  const all = await devices.enumerateDevices();
+  return all
+    .filter(device => device.kind === 'audioinput')
+    .map((device, index) => ({ deviceId: device.deviceId, label: device.label || `Microphone ${index + 1}` }));
+}
+
+/**
+ * Builds the audio constraints for getUserMedia
+ * With no device chosen and all processing left on, this is plain `true` so the browser default applies
+ * @param {Object} settings - Audio settings with deviceId, echoCancellation, noiseSuppression and autoGainControl
+ * @returns {Object|boolean} Audio constraints
+ */
+function getAudioConstraints(settings = {}) {
+  const processingOn = PROCESSING_CONSTRAINTS.every(name => settings[name] !== false);
+  if (!settings.deviceId && processingOn) return true;
+
+  const constraints = {};
+  if (settings.deviceId) constraints.deviceId = { exact: settings.deviceId };
+  PROCESSING_CONSTRAINTS.forEach(name => {
+    constraints[name] = settings[name] !== false;
+  });
+  return constraints;
+}
+
+/**
+ * Opens the chosen microphone, or the default one when the chosen one is not connected
+ * @param {Object} settings - Audio settings
+ * @param {MediaDevices} mediaDevices - Optional MediaDevices (defaults to navigator.mediaDevices)
+ * @returns {Promise<Object>} The stream, and fallback: true when the default microphone was used instead
+ */
+async function openInputStream(settings = {}, mediaDevices) {
+  const devices = getMediaDevices(mediaDevices);
+  try {
+    return { stream: await devices.getUserMedia({ audio: getAudioConstraints(settings) }), fallback: false };
+  } catch (error) {
+    if (!settings.deviceId || !['OverconstrainedError', 'NotFoundError'].includes(error.name)) throw error;
+    const stream = await devices.getUserMedia({ audio: getAudioConstraints({ ...settings, deviceId: '' }) });
+    return { stream, fallback: true };
+  }
+}
+
+/**
+ * Opens a microphone input that outlives the microphone
+ * The microphone is routed through Web Audio into a stream of its own, so when the
+ * device is unplugged the recorder keeps its track and the input is swapped underneath:
+ * to the default microphone at once, and back to the chosen one when it returns.
+ * Without Web Audio the microphone stream is returned as is.
+ * @param {Object} settings - Audio settings with deviceId and processing constraints
+ * @param {Object} options - Input options
+ * @param {Function} options.onChange - Called with { type: 'lost' | 'fallback' | 'reconnected', at } as the input changes
+ * @param {MediaDevices} options.mediaDevices - Optional MediaDevices (defaults to navigator.mediaDevices)
+ * @param {Function} options.AudioContextClass - Optional AudioContext constructor (defaults to the browser's)
+ * @returns {Promise<Object>} Input with the stream to record and stop() to release the microphone
+ */
+async function createResilientInput(settings = {}, options = {}) {
+  const devices = getMediaDevices(options.mediaDevices);
+  const ContextClass = options.AudioContextClass ||
+    (typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : null);
+  const notify = (type) => {
+    if (options.onChange) options.onChange({ type, at: new Date().toISOString() });
+  };
+  const stopTracks = (stream) => stream.getTracks().forEach(track => track.stop());
+
+  let current = await openInputStream(settings, devices);
+  if (current.fallback) notify('fallback');
+
+  if (!ContextClass) {
+    return { stream: current.stream, stop: () => stopTracks(current.stream) };
+  }
+
+  const context = new ContextClass();
+  const destination = context.createMediaStreamDestination();
+  let source = null;
+  let stopped = false;
+  let reconnecting = false;
+
+  const isLive = () => current.stream.getAudioTracks().some(track => track.readyState === 'live');
+
+  const connect = (input) => {
+    if (source) source.disconnect();
+    current = input;
+    source = context.createMediaStreamSource(input.stream);
+    source.connect(destination);
+    input.stream.getAudioTracks().forEach(track => {
+      track.onended = () => {
+        if (stopped || input !== current) return;
+        notify('lost');
+        reconnect();
+      };
+    });
+  };
+
+  const reconnect = async () => {
+    if (stopped || reconnecting) return;
+    reconnecting = true;
+    try {
+      const input = await openInputStream(settings, devices);
+      if (stopped) {
+        stopTracks(input.stream);
+        return;
+      }
+      stopTracks(current.stream);
+      connect(input);
+      notify(input.fallback ? 'fallback' : 'reconnected');
+    } catch (error) {
+      // No microphone at all; the next devicechange tries again
+      console.error('Error reopening microphone:', error);
+    } finally {
+      reconnecting = false;
+    }
+  };
+
+  const handleDeviceChange = async () => {
+    if (stopped) return;
+    if (!isLive()) {
+      reconnect();
+      return;
+    }
+    if (current.fallback && settings.deviceId) {
+      // When the inputs cannot be listed, the recording stays on the microphone it has
+      const inputs = await listAudioInputs(devices).catch(error => {
+        console.error('Error listing microphones:', error);
+        return [];
+      });
+      if (inputs.some(input => input.deviceId === settings.deviceId)) reconnect();
+    }
+  };
+
+  connect(current);
+  if (devices.addEventListener) devices.addEventListener('devicechange', handleDeviceChange);
+  if (context.state === 'suspended' && context.resume) context.resume();
+
+  return {
+    stream: destination.stream,
+    stop: () => {
+      stopped = true;
+      if (devices.removeEventListener) devices.removeEventListener('devicechange', handleDeviceChange);
+      if (source) source.disconnect();
+      stopTracks(current.stream);
+      if (context.close) context.close();
+    }
+  };
+}
+
+/**
+ * Describes an input change from createResilientInput or mixInputs for display
+ * @param {Object} change - Change with type and ISO timestamp
+ * @returns {string} Message for the recording's status area
+ */
+function describeInputChange(change) {
+  const time = new Date(change.at).toLocaleTimeString();
+  switch (change.type) {
+    case 'lost': return `Microphone disconnected at ${time}; reconnecting`;
+    case 'fallback': return `Recording from the default microphone since ${time}; the chosen one is not connected`;
+    case 'reconnected': return `Chosen microphone back at ${time}`;
+    case 'tab-ended': return `Tab audio stopped at ${time}; recording the microphone only`;
+    default: return '';
+  }
+}
+
+module.exports = {
+  listAudioInputs,
+  getAudioConstraints,
+  openInputStream,
+  createResilientInput,
+  describeInputChange
+};
@@ -0,0 +1,165 @@
+/**
+ * Input level monitoring utilities
+ * Reads a recording's stream through an AnalyserNode to drive a level meter, and
+ * raises a warning when the input stays silent too long or clips.
+ */
+
+const LEVEL_POLL_MS = 100;
+// RMS below this counts as silence (about -40 dBFS)
+const SILENCE_THRESHOLD = 0.01;
+const CLIP_THRESHOLD = 0.99;
+// Clipping within this long of the last clip belongs to the same warning
+const CLIP_REARM_MS = 2000;
+const METER_FLOOR_DB = -60;
+const SILENCE_WARNING_SECONDS = [5, 10, 30, 60];
+const DEFAULT_SILENCE_WARNING_SECONDS = 10;
+
+/**
+ * Measures a block of time-domain samples
+ * @param {Float32Array} samples - Samples between -1 and 1
+ * @returns {Object} Peak and RMS level
+ */
+function measureLevel(samples) {
+  let peak = 0;
+  let sumOfSquares = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const magnitude = Math.abs(samples[i]);
+    if (magnitude > peak) peak = magnitude;
+    sumOfSquares += samples[i] * samples[i];
+  }
+  return { peak, rms: samples.length > 0 ? Math.sqrt(sumOfSquares / samples.length) : 0 };
+}
+
+/**
+ * Converts a peak level to the filled share of the meter, on a decibel scale from -60 dBFS
+ * @param {number} peak - Peak level between 0 and 1
+ * @returns {number} Percentage between 0 and 100
+ */
+function getMeterPercent(peak) {
+  if (!peak) return 0;
+  const decibels = 20 * Math.log10(Math.min(peak, 1));
+  return Math.max(0, Math.round((1 - decibels / METER_FLOOR_DB) * 100));
+}
+
+/**
+ * Tracks silence and clipping across successive level readings
+ * @param {Object} options - Tracker options
+ * @param {number} options.silenceSeconds - Seconds of silence before warning (default 10)
+ * @returns {Object} Tracker whose update(level, now) returns the warnings raised and the current state
+ */
+function createLevelTracker(options = {}) {
+  const silenceMs = (options.silenceSeconds || DEFAULT_SILENCE_WARNING_SECONDS) * 1000;
+  let silentSince = null;
+  let silenceWarned = false;
+  let lastClipAt = null;
+
+  return {
+    update(level, now = Date.now()) {
+      const warnings = [];
+
+      if (level.rms < SILENCE_THRESHOLD) {
+        if (silentSince === null) silentSince = now;
+        if (!silenceWarned && now - silentSince >= silenceMs) {
+          silenceWarned = true;
+          warnings.push({
+            type: 'silence',
+            at: new Date(silentSince).toISOString(),
+            seconds: Math.round((now - silentSince) / 1000)
+          });
+        }
+      } else {
+        silentSince = null;
+        silenceWarned = false;
+      }
+
+      if (level.peak >= CLIP_THRESHOLD) {
+        if (lastClipAt === null || now - lastClipAt >= CLIP_REARM_MS) {
+          warnings.push({ type: 'clipping', at: new Date(now).toISOString() });
+        }
+        lastClipAt = now;
+      }
+
+      return {
+        warnings,
+        silentFor: silentSince === null ? 0 : Math.floor((now - silentSince) / 1000),
+        clipping: lastClipAt !== null && now - lastClipAt < CLIP_REARM_MS
+      };
+    }
+  };
+}
+
+/**
+ * Monitors the level of a recording's stream
+ * Without a stream or Web Audio the monitor does nothing
+ * @param {MediaStream} stream - Stream being recorded
+ * @param {Object} options - Monitor options
+ * @param {number} options.silenceSeconds - Seconds of silence before warning (default 10)
+ * @param {Function} options.onLevel - Called with { peak, rms, silentFor, clipping } every poll
+ * @param {Function} options.onWarning - Called with each { type: 'silence' | 'clipping', at } warning
+ * @param {Function} options.AudioContextClass - Optional AudioContext constructor (defaults to the browser's)
+ * @returns {Object} Monitor with pause(), resume() and stop()
+ */
+function monitorLevels(stream, options = {}) {
+  const ContextClass = options.AudioContextClass ||
+    (typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : null);
+  if (!stream || !ContextClass) {
+    return { pause: () => {}, resume: () => {}, stop: () => {} };
+  }
+
+  const context = new ContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  let tracker = createLevelTracker(options);
+  let paused = false;
+
+  const interval = setInterval(() => {
+    if (paused) return;
+    analyser.getFloatTimeDomainData(samples);
+    const level = measureLevel(samples);
+    const status = tracker.update(level);
+    if (options.onLevel) options.onLevel({ ...level, silentFor: status.silentFor, clipping: status.clipping });
+    if (options.onWarning) status.warnings.forEach(warning => options.onWarning(warning));
+  }, LEVEL_POLL_MS);
+
+  return {
+    // A paused recording is silent on purpose
+    pause: () => { paused = true; },
+    resume: () => {
+      tracker = createLevelTracker(options);
+      paused = false;
+    },
+    stop: () => {
+      clearInterval(interval);
+      source.disconnect();
+      if (context.close) context.close();
+    }
+  };
+}
+
+/**
+ * Describes a logged level warning
+ * @param {Object} warning - Warning with type, ISO timestamp and, for silence, seconds
+ * @returns {string} Description for the hearing's record
+ */
+function describeLevelWarning(warning) {
+  const time = new Date(warning.at).toLocaleTimeString();
+  if (warning.type === 'silence') return `No input for ${warning.seconds}+ s from ${time}`;
+  if (warning.type === 'clipping') return `Input clipping at ${time}`;
+  return '';
+}
+
+module.exports = {
+  SILENCE_THRESHOLD,
+  CLIP_THRESHOLD,
+  SILENCE_WARNING_SECONDS,
+  DEFAULT_SILENCE_WARNING_SECONDS,
+  measureLevel,
+  getMeterPercent,
+  createLevelTracker,
+  monitorLevels,
+  describeLevelWarning
+};
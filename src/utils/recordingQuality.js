@@ -0,0 +1,212 @@
+/**
+ * Recording quality utilities
+ * A recording can stop cleanly and still be useless: 0 bytes, far shorter than the
+ * timer says, or nothing but silence. Once a take stops it is decoded and checked
+ * against the timer and for level, clipping, dropouts and silence, so a bad take is
+ * caught before anyone leaves the courtroom.
+ */
+
+const { decodeAudioBlob, mixToMono } = require('./wavEncoder');
+const { SILENCE_THRESHOLD, CLIP_THRESHOLD } = require('./levelMonitor');
+const { formatDuration } = require('./audioRecorder');
+
+// Speech detail is not needed for the checks, so long recordings are decoded small
+const ANALYSIS_SAMPLE_RATE = 8000;
+const SILENCE_WINDOW_SECONDS = 0.05;
+// The media may differ from the timer by this much, or this share of it, before it is flagged
+const DURATION_TOLERANCE_SECONDS = 2;
+const DURATION_TOLERANCE_RATIO = 0.02;
+// Less media than this share of the timer means most of the recording is missing
+const DURATION_FAIL_RATIO = 0.5;
+// Average level below this (about -50 dBFS) is too quiet to transcribe
+const QUIET_RMS = 0.003;
+const CLIPPED_WARN_PERCENT = 0.1;
+const SILENCE_WARN_PERCENT = 50;
+const SILENCE_FAIL_PERCENT = 95;
+// A dropout is a run of digital zeros this long between stretches of audio; a live input never reads exactly zero
+const DROPOUT_LEVEL = 0.0001;
+const DROPOUT_MIN_SECONDS = 0.1;
+
+const QUALITY_ORDER = ['pass', 'warn', 'fail'];
+const QUALITY_LABELS = {
+  pass: 'Audio check passed',
+  warn: 'Audio check: listen back before leaving',
+  fail: 'Audio check failed'
+};
+
+/**
+ * Converts a level to decibels relative to full scale, for display
+ * @param {number} level - Level between 0 and 1
+ * @returns {string} Rounded level, e.g. "-12 dBFS"
+ */
+function formatDecibels(level) {
+  if (!level) return '-∞ dBFS';
+  return `${Math.round(20 * Math.log10(Math.min(level, 1)))} dBFS`;
+}
+
+/**
+ * Measures decoded samples for the quality checks
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Object} Duration, peak, rms, clippedPercent, silencePercent and dropouts with their times
+ */
+function analyzeSamples(samples, sampleRate) {
+  let peak = 0;
+  let sumOfSquares = 0;
+  let clipped = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const magnitude = Math.abs(samples[i]);
+    if (magnitude > peak) peak = magnitude;
+    if (magnitude >= CLIP_THRESHOLD) clipped++;
+    sumOfSquares += samples[i] * samples[i];
+  }
+
+  const windowSize = Math.max(1, Math.round(sampleRate * SILENCE_WINDOW_SECONDS));
+  let windows = 0;
+  let silentWindows = 0;
+  for (let offset = 0; offset < samples.length; offset += windowSize) {
+    const end = Math.min(offset + windowSize, samples.length);
+    let windowSum = 0;
+    for (let i = offset; i < end; i++) windowSum += samples[i] * samples[i];
+    windows++;
+    if (Math.sqrt(windowSum / (end - offset)) < SILENCE_THRESHOLD) silentWindows++;
+  }
+
+  // Zeros before the first sound or after the last are the recorder starting and stopping, not dropouts
+  const dropouts = [];
+  const minDropout = Math.round(sampleRate * DROPOUT_MIN_SECONDS);
+  let heardSound = false;
+  let zerosFrom = null;
+  for (let i = 0; i < samples.length; i++) {
+    if (Math.abs(samples[i]) < DROPOUT_LEVEL) {
+      if (zerosFrom === null) zerosFrom = i;
+      continue;
+    }
+    if (heardSound && zerosFrom !== null && i - zerosFrom >= minDropout) {
+      dropouts.push({ at: zerosFrom / sampleRate, duration: (i - zerosFrom) / sampleRate });
+    }
+    heardSound = true;
+    zerosFrom = null;
+  }
+
+  return {
+    duration: samples.length / sampleRate,
+    peak,
+    rms: samples.length > 0 ? Math.sqrt(sumOfSquares / samples.length) : 0,
+    clippedPercent: samples.length > 0 ? (clipped / samples.length) * 100 : 0,
+    silencePercent: windows > 0 ? (silentWindows / windows) * 100 : 100,
+    dropouts
+  };
+}
+
+/**
+ * Picks the worst of several statuses
+ * @param {Array} statuses - 'pass', 'warn' or 'fail' each
+ * @returns {string|null} Worst status, or null when there are none
+ */
+function getWorstStatus(statuses) {
+  return statuses.reduce((worst, status) => (
+    worst === null || QUALITY_ORDER.indexOf(status) > QUALITY_ORDER.indexOf(worst) ? status : worst
+  ), null);
+}
+
+/**
+ * Grades a recording's measurements
+ * @param {Object} stats - Measurements from analyzeSamples
+ * @param {number} expectedSeconds - Length of the take by the recording timer
+ * @returns {Object} Overall status and the result of each check
+ */
+function assessQuality(stats, expectedSeconds) {
+  const checks = [];
+  const duration = formatDuration(Math.round(stats.duration));
+
+  if (expectedSeconds > 0) {
+    const expected = formatDuration(Math.round(expectedSeconds));
+    const tolerance = Math.max(DURATION_TOLERANCE_SECONDS, expectedSeconds * DURATION_TOLERANCE_RATIO);
+    if (stats.duration < expectedSeconds * DURATION_FAIL_RATIO) {
+      checks.push({ check: 'duration', status: 'fail', message: `Only ${duration} of audio for ${expected} on the timer` });
+    } else if (Math.abs(stats.duration - expectedSeconds) > tolerance) {
+      checks.push({ check: 'duration', status: 'warn', message: `${duration} of audio for ${expected} on the timer` });
+    } else {
+      checks.push({ check: 'duration', status: 'pass', message: `${duration} of audio, matching the timer` });
+    }
+  }
+
+  const levels = `peak ${formatDecibels(stats.peak)}, average ${formatDecibels(stats.rms)}`;
+  if (stats.peak === 0) {
+    checks.push({ check: 'level', status: 'fail', message: 'No signal: the recording is digital silence' });
+  } else if (stats.rms < QUIET_RMS) {
+    checks.push({ check: 'level', status: 'warn', message: `Very quiet (${levels})` });
+  } else {
+    checks.push({ check: 'level', status: 'pass', message: `Level ${levels}` });
+  }
+
+  if (stats.clippedPercent >= CLIPPED_WARN_PERCENT) {
+    checks.push({ check: 'clipping', status: 'warn', message: `Clipping in ${stats.clippedPercent.toFixed(1)}% of the audio` });
+  }
+
+  const silence = `${Math.round(stats.silencePercent)}% silence`;
+  if (stats.silencePercent >= SILENCE_FAIL_PERCENT) {
+    checks.push({ check: 'silence', status: 'fail', message: `${silence}; check the microphone was live` });
+  } else if (stats.silencePercent >= SILENCE_WARN_PERCENT) {
+    checks.push({ check: 'silence', status: 'warn', message: silence });
+  } else {
+    checks.push({ check: 'silence', status: 'pass', message: silence });
+  }
+
+  if (stats.dropouts.length > 0) {
+    const first = formatDuration(Math.floor(stats.dropouts[0].at));
+    const count = stats.dropouts.length === 1 ? '1 dropout' : `${stats.dropouts.length} dropouts`;
+    checks.push({ check: 'dropouts', status: 'warn', message: `${count}, the first at ${first}` });
+  }
+
+  return { status: getWorstStatus(checks.map(check => check.status)), checks };
+}
+
+/**
+ * Decodes a take once it has stopped and checks it
+ * @param {Blob} audioBlob - Recorded audio
+ * @param {number} expectedSeconds - Length of the take by the recording timer
+ * @param {Function} AudioContextClass - Optional AudioContext constructor
+ * @param {Date} now - Time of the check (defaults to now)
+ * @returns {Promise<Object>} Status, checks and checkedAt; an empty or undecodable file fails
+ */
+async function checkRecording(audioBlob, expectedSeconds, AudioContextClass, now = new Date()) {
+  const checkedAt = now.toISOString();
+  if (!audioBlob || audioBlob.size === 0) {
+    return { status: 'fail', checks: [{ check: 'file', status: 'fail', message: 'The recording is empty (0 bytes)' }], checkedAt };
+  }
+
+  let samples;
+  let sampleRate;
+  try {
+    const audioBuffer = await decodeAudioBlob(audioBlob, ANALYSIS_SAMPLE_RATE, AudioContextClass);
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+    samples = mixToMono(channels);
+    sampleRate = audioBuffer.sampleRate;
+  } catch (error) {
+    console.error('Error checking recording:', error);
+    return { status: 'fail', checks: [{ check: 'file', status: 'fail', message: 'The recording could not be played back' }], checkedAt };
+  }
+
+  return { ...assessQuality(analyzeSamples(samples, sampleRate), expectedSeconds), checkedAt };
+}
+
+/**
+ * Sums up the checks of a hearing's takes for its badge
+ * @param {Array} qualityChecks - Results from checkRecording, each with its 0-based take
+ * @returns {string|null} Worst status, or null before any take is checked
+ */
+function getOverallQuality(qualityChecks = []) {
+  return getWorstStatus(qualityChecks.map(result => result.status));
+}
+
+module.exports = {
+  QUALITY_LABELS,
+  formatDecibels,
+  analyzeSamples,
+  assessQuality,
+  checkRecording,
+  getOverallQuality
+};
@@ -0,0 +1,82 @@
+/**
+ * Recording segment utilities
+ * A long hearing recorded in one go can be split into segments as it is recorded:
+ * after a set length or size, or at a long pause. Each segment becomes a take of
+ * its own, so it can be downloaded and transcribed on its own, and the takes'
+ * start times stitch the segments back into one hearing.
+ */
+
+// 0 leaves the limit off
+const SEGMENT_MINUTES = [0, 15, 30, 60, 120];
+const SEGMENT_MEGABYTES = [0, 25, 50, 100, 250];
+const SPLIT_SILENCE_SECONDS = [0, 5, 10, 30];
+// A pause only splits a segment that is at least this long, so a quiet hearing does not become dozens of files
+const MIN_SEGMENT_SECONDS = 60;
+
+const SPLIT_DESCRIPTIONS = {
+  length: 'continued after the length limit',
+  size: 'continued after the size limit',
+  silence: 'continued after a pause'
+};
+
+/**
+ * Reads the segment limits from the audio settings
+ * @param {Object} settings - Audio settings with segmentMinutes, segmentMegabytes and splitSilenceSeconds
+ * @returns {Object} Limits in seconds and bytes; 0 where a limit is off
+ */
+function getSegmentLimits(settings = {}) {
+  return {
+    maxSeconds: (Number(settings.segmentMinutes) || 0) * 60,
+    maxBytes: (Number(settings.segmentMegabytes) || 0) * 1024 * 1024,
+    splitSilenceSeconds: Number(settings.splitSilenceSeconds) || 0
+  };
+}
+
+/**
+ * Checks whether any segment limit is on
+ * @param {Object} limits - Limits from getSegmentLimits
+ * @returns {boolean} True when recordings should be split
+ */
+function hasSegmentLimits(limits) {
+  return limits.maxSeconds > 0 || limits.maxBytes > 0 || limits.splitSilenceSeconds > 0;
+}
+
+/**
+ * Decides whether the segment being recorded should end here
+ * @param {Object} segment - Segment so far
+ * @param {number} segment.seconds - Time recorded, not counting pauses
+ * @param {number} segment.bytes - Size of the chunks recorded
+ * @param {number} segment.silentSeconds - How long the input has been silent
+ * @param {Object} limits - Limits from getSegmentLimits
+ * @returns {string|null} 'length', 'size' or 'silence', or null to carry on
+ */
+function getRolloverReason(segment, limits) {
+  if (limits.maxSeconds > 0 && segment.seconds >= limits.maxSeconds) return 'length';
+  if (limits.maxBytes > 0 && segment.bytes >= limits.maxBytes) return 'size';
+  if (limits.splitSilenceSeconds > 0 &&
+      segment.seconds >= MIN_SEGMENT_SECONDS &&
+      (segment.silentSeconds || 0) >= limits.splitSilenceSeconds) {
+    return 'silence';
+  }
+  return null;
+}
+
+/**
+ * Describes why a take continues the one before it
+ * @param {string} reason - 'length', 'size' or 'silence'
+ * @returns {string} Description for the take list
+ */
+function describeSplit(reason) {
+  return SPLIT_DESCRIPTIONS[reason] || '';
+}
+
+module.exports = {
+  SEGMENT_MINUTES,
+  SEGMENT_MEGABYTES,
+  SPLIT_SILENCE_SECONDS,
+  MIN_SEGMENT_SECONDS,
+  getSegmentLimits,
+  hasSegmentLimits,
+  getRolloverReason,
+  describeSplit
+};
@@ -0,0 +1,217 @@
+/**
+ * Recording session utilities
+ * Every mode records through one session: it opens the input, meters it, splits a
+ * long recording into segments and times each take, and reports back through
+ * callbacks. Takes are timed on a monotonic clock with pauses left out, so a
+ * changed system clock or a long pause cannot skew a duration.
+ */
+
+const { RECORDING_TIMESLICE_MS, getRecorderOptions, getRecordedType } = require('./audioRecorder');
+const { openRecordingInput, isTabAudioError } = require('./tabAudio');
+const { monitorLevels } = require('./levelMonitor');
+const { getSegmentLimits, hasSegmentLimits, getRolloverReason } = require('./recordingSegments');
+
+// How often onTick hears the elapsed time
+const TICK_MS = 1000;
+
+/**
+ * Reads a clock that only moves forward, unlike Date.now() which jumps when the system clock is set
+ * @returns {number} Milliseconds from an arbitrary origin
+ */
+function getMonotonicTime() {
+  if (typeof performance !== 'undefined' && typeof performance.now === 'function') return performance.now();
+  return Date.now();
+}
+
+/**
+ * Times a take, leaving out the time spent paused
+ * @param {Function} now - Clock in milliseconds (defaults to getMonotonicTime)
+ * @returns {Object} Timer with pause(), resume(), stop() and getSeconds()
+ */
+function createTakeTimer(now = getMonotonicTime) {
+  const startMs = now();
+  let pausedMs = 0;
+  let pausedAt = null;
+  let stoppedAt = null;
+
+  return {
+    pause() {
+      if (pausedAt === null && stoppedAt === null) pausedAt = now();
+    },
+    resume() {
+      if (pausedAt === null) return;
+      pausedMs += now() - pausedAt;
+      pausedAt = null;
+    },
+    stop() {
+      if (stoppedAt === null) stoppedAt = now();
+    },
+    getSeconds() {
+      const end = stoppedAt === null ? now() : stoppedAt;
+      const pausedFor = pausedAt === null ? 0 : end - pausedAt;
+      return Math.max(0, end - startMs - pausedMs - pausedFor) / 1000;
+    }
+  };
+}
+
+/**
+ * Creates a recording session
+ * A MediaRecorder's later chunks cannot be played without its first one, so each
+ * segment of a split recording gets its own recorder on the same input; the next
+ * one starts before the last one stops so no audio falls between them. A recording
+ * is only split when onSegment is given to take the finished segments.
+ * @param {Object} settings - Audio settings: the input, format, silence warning and segment limits
+ * @param {Object} options - Session options
+ * @param {Function} options.onChunk - Called with each non-empty chunk and its number within the segment, e.g. to store it
+ * @param {Function} options.onLevel - Called with each input level from monitorLevels
+ * @param {Function} options.onWarning - Called with each silence or clipping warning
+ * @param {Function} options.onInputChange - Called when the microphone is lost, replaced or back, or the tab stops being shared
+ * @param {Function} options.onTick - Called every second while recording with the take's whole seconds
+ * @param {Function} options.onSegment - Called with each finished segment as a take { startedAt, duration, audioBlob, split }
+ * @param {Function} options.onStop - Called with the last take once recording stops
+ * @param {number} options.timeslice - Milliseconds per chunk (default RECORDING_TIMESLICE_MS)
+ * @param {Function} options.now - Clock in milliseconds (defaults to getMonotonicTime)
+ * @returns {Object} Session with start(), pause(), resume(), stop(), getElapsedSeconds(), state, stream and startedAt
+ */
+function createRecordingSession(settings = {}, options = {}) {
+  // Without onSegment the finished segments would be lost, so the recording is kept whole
+  const limits = getSegmentLimits(options.onSegment ? settings : {});
+  const now = options.now || getMonotonicTime;
+  let input = null;
+  let levels = null;
+  let ticker = null;
+  let current = null;
+  let state = 'inactive';
+  // A pause splits the recording once, not again for every minute it goes on
+  let splitThisPause = false;
+
+  const finishTake = (segment, audioBlob) => {
+    const take = { startedAt: segment.startedAt, duration: Math.floor(segment.timer.getSeconds()), audioBlob };
+    if (segment.split) take.split = segment.split;
+    return take;
+  };
+
+  const startSegment = (split) => {
+    const recorderOptions = getRecorderOptions(settings);
+    const mediaRecorder = new MediaRecorder(input.stream, recorderOptions);
+    const segment = {
+      recorder: mediaRecorder,
+      chunks: [],
+      bytes: 0,
+      sequence: 0,
+      startedAt: new Date().toISOString(),
+      timer: createTakeTimer(now),
+      split,
+      next: null
+    };
+
+    mediaRecorder.ondataavailable = (e) => {
+      segment.chunks.push(e.data);
+      segment.bytes += e.data.size || 0;
+      // A new segment's chunks start again from 0
+      if (options.onChunk && e.data && e.data.size > 0) options.onChunk(e.data, segment.sequence++);
+      if (segment === current) checkForRollover(0);
+    };
+
+    mediaRecorder.onstop = () => {
+      // Label the recording with what the browser produced, not what was asked for
+      const blob = new Blob(segment.chunks, { type: getRecordedType(mediaRecorder, recorderOptions) });
+      if (segment.next) {
+        options.onSegment(finishTake(segment, blob));
+        return;
+      }
+      levels.stop();
+      input.stop();
+      if (options.onStop) options.onStop(finishTake(segment, blob));
+    };
+
+    mediaRecorder.start(options.timeslice || RECORDING_TIMESLICE_MS);
+    current = segment;
+  };
+
+  function checkForRollover(silentSeconds) {
+    if (state !== 'recording' || !hasSegmentLimits(limits)) return;
+    const reason = getRolloverReason({ seconds: current.timer.getSeconds(), bytes: current.bytes, silentSeconds }, limits);
+    if (!reason) return;
+    if (reason === 'silence') splitThisPause = true;
+
+    const finished = current;
+    finished.next = reason;
+    finished.timer.stop();
+    startSegment(reason);
+    finished.recorder.stop();
+  }
+
+  const getElapsedSeconds = () => (current ? Math.floor(current.timer.getSeconds()) : 0);
+
+  return {
+    get state() {
+      return state;
+    },
+    get stream() {
+      return input ? input.stream : null;
+    },
+    get startedAt() {
+      return current ? current.startedAt : null;
+    },
+    getElapsedSeconds,
+    async start() {
+      try {
+        input = await openRecordingInput(settings, { onChange: options.onInputChange });
+        startSegment();
+      } catch (error) {
+        console.error('Error starting recording:', error);
+        if (input) input.stop();
+        // A tab that was not shared says what to do about it
+        if (isTabAudioError(error)) throw error;
+        throw new Error('Failed to access microphone. Please check permissions.');
+      }
+
+      state = 'recording';
+      levels = monitorLevels(input.stream, {
+        silenceSeconds: settings.silenceWarningSeconds,
+        onLevel: (level) => {
+          if (options.onLevel) options.onLevel(level);
+          if (level.silentFor === 0) {
+            splitThisPause = false;
+          } else if (!splitThisPause) {
+            checkForRollover(level.silentFor);
+          }
+        },
+        onWarning: options.onWarning
+      });
+      if (options.onTick) {
+        ticker = setInterval(() => {
+          if (state === 'recording') options.onTick(getElapsedSeconds());
+        }, TICK_MS);
+      }
+    },
+    pause() {
+      if (state !== 'recording') return;
+      current.recorder.pause();
+      current.timer.pause();
+      levels.pause();
+      state = 'paused';
+    },
+    resume() {
+      if (state !== 'paused') return;
+      current.recorder.resume();
+      current.timer.resume();
+      levels.resume();
+      state = 'recording';
+    },
+    stop() {
+      if (state === 'inactive') return;
+      state = 'inactive';
+      clearInterval(ticker);
+      current.timer.stop();
+      current.recorder.stop();
+    }
+  };
+}
+
+module.exports = {
+  getMonotonicTime,
+  createTakeTimer,
+  createRecordingSession
+};
@@ -0,0 +1,145 @@
+/**
+ * Recording take utilities
+ * A hearing that is passed and recalled is recorded in several takes, and audio
+ * recorded elsewhere is imported as a take. Each take keeps its own start time,
+ * duration and audio; the recording state's audioBlob is the latest take and its
+ * duration the total of all takes. A long recording split into segments as it is
+ * recorded keeps each segment as a take, marked with why it was split.
+ */
+
+const { formatDuration, getExtensionForType } = require('./audioRecorder');
+const { describeSplit } = require('./recordingSegments');
+
+/**
+ * Lists a recording's takes
+ * Recordings made before takes were kept count their audio as a single take
+ * @param {Object} recording - Recording state
+ * @returns {Array} Takes with startedAt (ISO timestamp or null), duration and audioBlob
+ */
+function getTakes(recording) {
+  if (!recording) return [];
+  if (Array.isArray(recording.takes) && recording.takes.length > 0) return recording.takes;
+  if (!recording.audioBlob) return [];
+  return [{ startedAt: null, duration: recording.duration || 0, audioBlob: recording.audioBlob }];
+}
+
+/**
+ * Adds up the duration of a list of takes
+ * @param {Array} takes - Takes with duration in seconds
+ * @returns {number} Total duration in seconds
+ */
+function getTotalDuration(takes) {
+  return takes.reduce((total, take) => total + (take.duration || 0), 0);
+}
+
+/**
+ * Builds the recording state update for a finished take
+ * @param {Object} recording - Recording state before the take
+ * @param {Object} take - Finished take with startedAt, duration and audioBlob
+ * @returns {Object} Update with takes, audioBlob and total duration
+ */
+function addTake(recording, take) {
+  const takes = [...getTakes(recording), take];
+  return { takes, audioBlob: take.audioBlob, duration: getTotalDuration(takes) };
+}
+
+/**
+ * Names the file of a single take in its recorded format
+ * @param {string} caseNumber - Case number of the hearing
+ * @param {number} index - 0-based take index
+ * @param {Blob} audioBlob - Take audio
+ * @returns {string} Filename such as 123-2024_take2.webm
+ */
+function getTakeFilename(caseNumber, index, audioBlob) {
+  return `${caseNumber}_take${index + 1}.${getExtensionForType(audioBlob && audioBlob.type)}`;
+}
+
+/**
+ * Describes a take for the hearing tile
+ * @param {Object} take - Take with startedAt and duration, fileName when imported and split when it continues the take before
+ * @param {number} index - 0-based take index
+ * @returns {string} Description such as "Take 2 · 10:32:05 AM · 5:12"
+ */
+function describeTake(take, index) {
+  const parts = [`Take ${index + 1}`];
+  if (take.startedAt) parts.push(new Date(take.startedAt).toLocaleTimeString());
+  if (take.fileName) parts.push(take.fileName);
+  parts.push(formatDuration(take.duration || 0));
+  if (take.split) parts.push(describeSplit(take.split));
+  return parts.join(' · ');
+}
+
+/**
+ * Builds the manifest that stitches a hearing's takes back into one recording
+ * Offsets are seconds from the start of the first take, so gaps between takes show
+ * @param {string} caseNumber - Case number of the hearing
+ * @param {Array} takes - Takes in order
+ * @returns {Object} Manifest with the hearing's start, total duration and one entry per take file
+ */
+function buildRecordingManifest(caseNumber, takes) {
+  const firstStart = takes.find(take => take.startedAt);
+  const origin = firstStart ? new Date(firstStart.startedAt).getTime() : null;
+
+  return {
+    caseNumber,
+    startedAt: firstStart ? firstStart.startedAt : null,
+    duration: getTotalDuration(takes),
+    segments: takes.map((take, index) => ({
+      file: getTakeFilename(caseNumber, index, take.audioBlob),
+      startedAt: take.startedAt || null,
+      offsetSeconds: take.startedAt ? Math.round((new Date(take.startedAt).getTime() - origin) / 1000) : null,
+      duration: take.duration || 0,
+      continuesPrevious: Boolean(take.split),
+      split: take.split || null,
+      importedFrom: take.fileName || null
+    }))
+  };
+}
+
+/**
+ * Downloads the manifest of a hearing's takes as JSON
+ * @param {string} caseNumber - Case number of the hearing
+ * @param {Array} takes - Takes in order
+ */
+function downloadRecordingManifest(caseNumber, takes) {
+  const blob = new Blob([JSON.stringify(buildRecordingManifest(caseNumber, takes), null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = `${caseNumber}_manifest.json`;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * Transcribes every take and joins the transcripts in order
+ * A single take's transcript is returned as is; with several, each is headed by its take
+ * @param {Array} takes - Takes to transcribe
+ * @param {Function} transcribe - Called with each take and its 0-based index; resolves with its transcript,
+ *   or with { transcript, transcription } to keep the engine's full result on the take as well
+ * @returns {Promise<Object>} Joined transcript, and the takes with their own transcripts
+ */
+async function transcribeTakes(takes, transcribe) {
+  const transcribed = [];
+  for (const [index, take] of takes.entries()) {
+    const result = await transcribe(take, index);
+    transcribed.push(typeof result === 'string' ? { ...take, transcript: result } : { ...take, ...result });
+  }
+
+  const transcript = transcribed.length === 1
+    ? transcribed[0].transcript
+    : transcribed.map((take, index) => `--- ${describeTake(take, index)} ---\n\n${take.transcript}`).join('\n\n');
+
+  return { transcript, takes: transcribed };
+}
+
+module.exports = {
+  getTakes,
+  getTotalDuration,
+  addTake,
+  getTakeFilename,
+  describeTake,
+  buildRecordingManifest,
+  downloadRecordingManifest,
+  transcribeTakes
+};
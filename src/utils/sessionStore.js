@@ -0,0 +1,378 @@
+/**
+ * Session persistence utilities
+ * Keeps the working docket in IndexedDB so a refresh or browser crash does not
+ * lose recordings, transcripts or notes. Hearing and recording metadata are kept
+ * as one structured record; audio blobs are kept in their own store by hearing ID,
+ * as a list of blobs for a hearing recorded in several takes, alongside the sealed
+ * originals of any takes that were redacted.
+ * While a hearing is being recorded, its chunks are written as they arrive so a
+ * crash mid-hearing leaves a partial recording that can be recovered on the next launch.
+ */
+
+const SESSION_DB_NAME = 'courtReporter';
+const SESSION_DB_VERSION = 2;
+const METADATA_STORE = 'session';
+const AUDIO_STORE = 'audio';
+const CHUNK_STORE = 'chunks';
+const SESSION_KEY = 'current';
+// Chunks of a deposition in progress are kept under this ID, apart from any hearing's
+const DEPOSITION_RECORDING_ID = 'deposition';
+
+/**
+ * Wraps an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} Resolves with the request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves once a transaction commits
+ * @param {IDBTransaction} transaction - Open transaction
+ * @returns {Promise} Resolves when the transaction completes
+ */
+function waitForTransaction(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Opens (and on first use creates) the session database
+ * @param {IDBFactory} factory - Optional IndexedDB factory (defaults to window.indexedDB)
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openSessionDB(factory) {
+  const idb = factory || (typeof window !== 'undefined' ? window.indexedDB : null);
+  if (!idb) {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = idb.open(SESSION_DB_NAME, SESSION_DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(METADATA_STORE)) db.createObjectStore(METADATA_STORE);
+    if (!db.objectStoreNames.contains(AUDIO_STORE)) db.createObjectStore(AUDIO_STORE);
+    if (!db.objectStoreNames.contains(CHUNK_STORE)) db.createObjectStore(CHUNK_STORE);
+  };
+  return promisifyRequest(request);
+}
+
+/**
+ * Builds the key of a recording chunk; zero-padding keeps a hearing's chunks in order
+ * @param {string} hearingId - Hearing ID
+ * @param {number} sequence - 0-based chunk number
+ * @returns {string} Chunk key
+ */
+function getChunkKey(hearingId, sequence) {
+  return `${hearingId}/${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Builds the key range holding every chunk of one recording
+ * A recording's chunk keys all start with "<hearingId>/", so other recordings' chunks are never read
+ * @param {string} hearingId - Hearing ID, or DEPOSITION_RECORDING_ID
+ * @returns {IDBKeyRange} Key range of the recording's chunks
+ */
+function getChunkRange(hearingId) {
+  return IDBKeyRange.bound(`${hearingId}/`, `${hearingId}/\uffff`);
+}
+
+/**
+ * Deletes the stored chunks of the given hearings within an open transaction
+ * @param {IDBObjectStore} chunkStore - Chunk store of a readwrite transaction
+ * @param {Array} hearingIds - Hearing IDs whose chunks should go
+ */
+function deleteChunks(chunkStore, hearingIds) {
+  hearingIds.forEach(id => chunkStore.delete(getChunkRange(id)));
+}
+
+/**
+ * Removes the audio blobs from a recording state so it can be stored as metadata
+ * @param {Object} recording - Recording state
+ * @returns {Object} Recording state without audioBlob, take audio or sealed originals, plus hasAudio
+ */
+function toRecordingMetadata(recording) {
+  const { audioBlob, ...metadata } = recording;
+  if (Array.isArray(recording.takes)) {
+    metadata.takes = recording.takes.map(({ audioBlob: takeBlob, sealedOriginal, ...take }) => take);
+  }
+  return { ...metadata, hasAudio: !!audioBlob };
+}
+
+/**
+ * Chooses what to keep in the audio store for a recording
+ * @param {Object} recording - Recording state
+ * @returns {Blob|Array|Object} The audio blob, the blob of every take, or the blob
+ *   of every take with the encrypted originals of redacted takes
+ */
+function toStoredAudio(recording) {
+  if (Array.isArray(recording.takes) && recording.takes.length > 0) {
+    const takes = recording.takes.map(take => take.audioBlob);
+    if (!recording.takes.some(take => take.sealedOriginal)) return takes;
+    return { takes, originals: recording.takes.map(take => take.sealedOriginal || null) };
+  }
+  return recording.audioBlob;
+}
+
+/**
+ * Checks whether a recording's audio is unchanged since the last save
+ * @param {Object} previous - Recording state as of the last save
+ * @param {Object} recording - Current recording state
+ * @returns {boolean} True when no blob was added, replaced or sealed
+ */
+function hasSameAudio(previous, recording) {
+  if (previous.audioBlob !== recording.audioBlob) return false;
+  const previousTakes = previous.takes || [];
+  const takes = recording.takes || [];
+  return previousTakes.length === takes.length && takes.every((take, index) =>
+    take.audioBlob === previousTakes[index].audioBlob && take.sealedOriginal === previousTakes[index].sealedOriginal
+  );
+}
+
+/**
+ * Adds an interrupted take's audio after a recording's stored audio
+ * @param {Array|Object} storedAudio - Stored audio of the earlier takes, if any
+ * @param {Blob} blob - Audio of the interrupted take
+ * @returns {Array|Object} Stored audio with the take added
+ */
+function appendStoredAudio(storedAudio, blob) {
+  if (storedAudio && Array.isArray(storedAudio.takes)) {
+    return { takes: [...storedAudio.takes, blob], originals: [...storedAudio.originals, null] };
+  }
+  return [].concat(storedAudio || [], blob);
+}
+
+/**
+ * Rebuilds a recording state from stored metadata and audio
+ * A recording or transcription cut off by the reload cannot resume, so it is
+ * returned as recorded (or ready when no audio was saved)
+ * @param {Object} metadata - Stored recording metadata
+ * @param {Blob|Array|Object} storedAudio - Stored audio, the audio of each take, or the
+ *   audio of each take with sealed originals, if any
+ * @returns {Object} Recording state
+ */
+function restoreRecordingState(metadata, storedAudio) {
+  // A take paused when the page closed is finished, not paused
+  const { hasAudio, isPaused, ...recording } = metadata;
+  let audioBlob = storedAudio || null;
+  const sealed = storedAudio && Array.isArray(storedAudio.takes) ? storedAudio : null;
+  const takeAudio = sealed ? sealed.takes : storedAudio;
+  if (Array.isArray(takeAudio)) {
+    recording.takes = (recording.takes || []).map((take, index) => {
+      const restored = { ...take, audioBlob: takeAudio[index] || null };
+      if (sealed && sealed.originals[index]) restored.sealedOriginal = sealed.originals[index];
+      return restored;
+    });
+    audioBlob = takeAudio[takeAudio.length - 1] || null;
+  }
+
+  let status = recording.status;
+  if (status === 'recording' || status === 'processing') {
+    status = audioBlob ? 'recorded' : 'ready';
+  }
+  return { ...recording, audioBlob, isRecording: false, status };
+}
+
+/**
+ * Saves the docket and recording states
+ * Audio is only written for recordings whose blob changed since the last save
+ * @param {IDBDatabase} db - Open session database
+ * @param {Array} hearings - Hearing objects
+ * @param {Object} recordings - Recording states keyed by hearing ID
+ * @param {Object} previousRecordings - Recording states as of the last save
+ * @returns {Promise} Resolves when the save has committed
+ */
+function saveSession(db, hearings, recordings, previousRecordings = {}) {
+  const transaction = db.transaction([METADATA_STORE, AUDIO_STORE, CHUNK_STORE], 'readwrite');
+  const metadataStore = transaction.objectStore(METADATA_STORE);
+  const audioStore = transaction.objectStore(AUDIO_STORE);
+  const finishedIds = [];
+
+  const recordingMetadata = {};
+  Object.keys(recordings).forEach(id => {
+    const recording = recordings[id];
+    recordingMetadata[id] = toRecordingMetadata(recording);
+
+    const previous = previousRecordings[id];
+    if (previous && hasSameAudio(previous, recording)) return;
+    if (recording.audioBlob) {
+      audioStore.put(toStoredAudio(recording), id);
+      finishedIds.push(id);
+    } else if (previous && previous.audioBlob) {
+      audioStore.delete(id);
+    }
+  });
+
+  // Audio for hearings that are no longer on the docket
+  Object.keys(previousRecordings).forEach(id => {
+    if (!recordings[id] && previousRecordings[id].audioBlob) audioStore.delete(id);
+  });
+
+  // The finished recording supersedes the chunks written while it was made
+  if (finishedIds.length > 0) deleteChunks(transaction.objectStore(CHUNK_STORE), finishedIds);
+
+  metadataStore.put({ hearings, recordings: recordingMetadata, savedAt: Date.now() }, SESSION_KEY);
+  return waitForTransaction(transaction);
+}
+
+/**
+ * Writes one chunk of a recording in progress
+ * The first chunk of a take replaces any chunks left from an earlier take
+ * @param {IDBDatabase} db - Open session database
+ * @param {string} hearingId - Hearing being recorded
+ * @param {number} sequence - 0-based chunk number within the take
+ * @param {Blob} data - Chunk from MediaRecorder's dataavailable event
+ * @returns {Promise} Resolves when the chunk has committed
+ */
+function saveRecordingChunk(db, hearingId, sequence, data) {
+  const transaction = db.transaction(CHUNK_STORE, 'readwrite');
+  const chunkStore = transaction.objectStore(CHUNK_STORE);
+  // Requests in a transaction run in order, so the deletes land before the put
+  if (sequence === 0) deleteChunks(chunkStore, [hearingId]);
+  chunkStore.put({ hearingId, sequence, type: data.type, data }, getChunkKey(hearingId, sequence));
+  return waitForTransaction(transaction);
+}
+
+/**
+ * Reassembles the stored chunks of one recording, such as a deposition cut off by a crash
+ * @param {IDBDatabase} db - Open session database
+ * @param {string} hearingId - Hearing ID, or DEPOSITION_RECORDING_ID
+ * @returns {Promise<Blob|null>} The recording so far, or null when no chunks are stored
+ */
+async function loadRecordingChunks(db, hearingId) {
+  const parts = await promisifyRequest(
+    db.transaction(CHUNK_STORE, 'readonly').objectStore(CHUNK_STORE).getAll(getChunkRange(hearingId))
+  );
+  if (parts.length === 0) return null;
+  return new Blob(parts.map(part => part.data), { type: parts[0].type || 'audio/webm' });
+}
+
+/**
+ * Deletes the stored chunks of one recording once it is no longer needed
+ * @param {IDBDatabase} db - Open session database
+ * @param {string} hearingId - Hearing ID, or DEPOSITION_RECORDING_ID
+ * @returns {Promise} Resolves when the chunks are gone
+ */
+function clearRecordingChunks(db, hearingId) {
+  const transaction = db.transaction(CHUNK_STORE, 'readwrite');
+  deleteChunks(transaction.objectStore(CHUNK_STORE), [hearingId]);
+  return waitForTransaction(transaction);
+}
+
+/**
+ * Reassembles recordings cut off by a crash or reload and attaches them to their hearings
+ * A take cut off after earlier takes is added to them rather than replacing them
+ * Chunks for hearings that are not in the saved session are left in place
+ * @param {IDBDatabase} db - Open session database
+ * @returns {Promise<Array>} IDs of the hearings whose recordings were recovered
+ */
+async function recoverRecordings(db) {
+  const readTransaction = db.transaction([METADATA_STORE, CHUNK_STORE], 'readonly');
+  const [saved, chunks] = await Promise.all([
+    promisifyRequest(readTransaction.objectStore(METADATA_STORE).get(SESSION_KEY)),
+    promisifyRequest(readTransaction.objectStore(CHUNK_STORE).getAll())
+  ]);
+  if (!saved || chunks.length === 0) return [];
+
+  const chunksByHearing = {};
+  chunks.forEach(chunk => {
+    if (!saved.recordings || !saved.recordings[chunk.hearingId]) return;
+    (chunksByHearing[chunk.hearingId] = chunksByHearing[chunk.hearingId] || []).push(chunk);
+  });
+  const recoveredIds = Object.keys(chunksByHearing);
+  if (recoveredIds.length === 0) return [];
+
+  const hasTakes = id => Array.isArray(saved.recordings[id].takes) && saved.recordings[id].takes.length > 0;
+  const audioStoreReader = db.transaction(AUDIO_STORE, 'readonly').objectStore(AUDIO_STORE);
+  const earlierAudio = await Promise.all(recoveredIds.map(id =>
+    hasTakes(id) ? promisifyRequest(audioStoreReader.get(id)) : Promise.resolve(null)
+  ));
+
+  const transaction = db.transaction([METADATA_STORE, AUDIO_STORE, CHUNK_STORE], 'readwrite');
+  const audioStore = transaction.objectStore(AUDIO_STORE);
+  const recordings = { ...saved.recordings };
+  recoveredIds.forEach((id, index) => {
+    const parts = chunksByHearing[id].sort((a, b) => a.sequence - b.sequence);
+    const blob = new Blob(parts.map(part => part.data), { type: parts[0].type || 'audio/webm' });
+    const recording = recordings[id];
+
+    if (hasTakes(id)) {
+      const earlierDuration = recording.takes.reduce((total, take) => total + (take.duration || 0), 0);
+      const take = {
+        startedAt: recording.takeStartedAt || null,
+        duration: Math.max(0, (recording.duration || 0) - earlierDuration),
+        recovered: true
+      };
+      audioStore.put(appendStoredAudio(earlierAudio[index], blob), id);
+      recordings[id] = { ...recording, takes: [...recording.takes, take], takeStartedAt: null, hasAudio: true, recovered: true };
+    } else {
+      audioStore.put(blob, id);
+      recordings[id] = { ...recording, takeStartedAt: null, hasAudio: true, recovered: true };
+    }
+  });
+  deleteChunks(transaction.objectStore(CHUNK_STORE), recoveredIds);
+  transaction.objectStore(METADATA_STORE).put({ ...saved, recordings }, SESSION_KEY);
+  await waitForTransaction(transaction);
+
+  return recoveredIds;
+}
+
+/**
+ * Loads the saved session
+ * @param {IDBDatabase} db - Open session database
+ * @returns {Promise<Object|null>} Session with hearings, recordings and savedAt, or null when nothing was saved
+ */
+async function loadSession(db) {
+  const saved = await promisifyRequest(
+    db.transaction(METADATA_STORE, 'readonly').objectStore(METADATA_STORE).get(SESSION_KEY)
+  );
+  if (!saved || !Array.isArray(saved.hearings) || saved.hearings.length === 0) {
+    return null;
+  }
+
+  // A fresh transaction, since the first may have committed while awaiting
+  const audioStore = db.transaction(AUDIO_STORE, 'readonly').objectStore(AUDIO_STORE);
+  const ids = Object.keys(saved.recordings || {});
+  const blobs = await Promise.all(ids.map(id =>
+    saved.recordings[id].hasAudio ? promisifyRequest(audioStore.get(id)) : Promise.resolve(null)
+  ));
+
+  const recordings = {};
+  ids.forEach((id, index) => {
+    recordings[id] = restoreRecordingState(saved.recordings[id], blobs[index]);
+  });
+
+  return { hearings: saved.hearings, recordings, savedAt: saved.savedAt };
+}
+
+/**
+ * Deletes the saved docket, recordings, notes and any partial recordings
+ * @param {IDBDatabase} db - Open session database
+ * @returns {Promise} Resolves when both stores are empty
+ */
+function clearSession(db) {
+  const transaction = db.transaction([METADATA_STORE, AUDIO_STORE, CHUNK_STORE], 'readwrite');
+  transaction.objectStore(METADATA_STORE).clear();
+  transaction.objectStore(AUDIO_STORE).clear();
+  transaction.objectStore(CHUNK_STORE).clear();
+  return waitForTransaction(transaction);
+}
+
+module.exports = {
+  DEPOSITION_RECORDING_ID,
+  openSessionDB,
+  saveSession,
+  loadSession,
+  clearSession,
+  saveRecordingChunk,
+  loadRecordingChunks,
+  clearRecordingChunks,
+  recoverRecordings
+};
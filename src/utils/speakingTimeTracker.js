@@ -3,6 +3,8 @@
  * Tracks which party is speaking and for how long during court proceedings
  */
 
+const { getReportFields } = require('./fieldSchema');
+
 /**
  * Initialize speaking time state for a hearing
  * @param {Array} parties - Array of party names (default: ['State', 'Defense', 'Court'])
@@ -259,9 +261,10 @@ function formatTime(ms) {
  * Generate a text report of speaking times
  * @param {Object} state - Speaking time state
  * @param {Object} hearingInfo - Hearing metadata
+ * @param {Object} fieldSchema - Field schema choosing the extra docket columns in the header (see fieldSchema)
  * @returns {string} Formatted text report
  */
-function generateTextReport(state, hearingInfo) {
+function generateTextReport(state, hearingInfo, fieldSchema) {
   // Handle null inputs
   if (!state) {
     state = initializeSpeakingTime();
@@ -278,6 +281,9 @@ function generateTextReport(state, hearingInfo) {
     report += `Case: ${hearingInfo['Case Number'] || 'N/A'}\n`;
     report += `Client: ${hearingInfo['Client Name'] || 'N/A'}\n`;
     report += `Division: ${hearingInfo['Division'] || 'N/A'}\n`;
+    getReportFields(hearingInfo, fieldSchema).forEach(field => {
+      report += `${field.key}: ${field.value}\n`;
+    });
     report += `Date: ${state.hearingStartTime ? new Date(state.hearingStartTime).toLocaleString() : 'N/A'}\n\n`;
     
     report += `SUMMARY\n`;
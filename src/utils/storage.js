@@ -0,0 +1,24 @@
+/**
+ * Browser storage utilities
+ * Settings are kept in localStorage; every reader and writer takes an optional
+ * Storage-like object instead, so tests and embedders can supply their own.
+ */
+
+/**
+ * Resolves the storage to use: the given one, else window.localStorage when available
+ * @param {Object} storage - Optional Storage-like object
+ * @returns {Object|null} Storage, or null when none is available
+ */
+function getStorage(storage) {
+  if (storage) return storage;
+  try {
+    return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null;
+  } catch (error) {
+    // Some browsers throw on access when storage is disabled
+    return null;
+  }
+}
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,155 @@
+/**
+ * Tab audio utilities
+ * A virtual hearing is heard through a Zoom or Teams tab, which the laptop microphone
+ * barely picks up. The tab's (or the whole system's) audio is captured with
+ * getDisplayMedia and mixed with the microphone through Web Audio, each source with
+ * its own gain, or kept on a stereo channel of its own so the two can be analysed apart.
+ */
+
+const { createResilientInput } = require('./inputDevices');
+
+const SOURCE_GAINS = [0.25, 0.5, 0.75, 1, 1.5, 2, 3];
+const DEFAULT_SOURCE_GAIN = 1;
+// Left and right when the sources are kept apart
+const MIC_CHANNEL = 0;
+const TAB_CHANNEL = 1;
+const TAB_AUDIO_ERROR = 'TabAudioError';
+
+/**
+ * Creates an error about sharing tab audio, whose message can be shown as is
+ * @param {string} message - What went wrong and what to do
+ * @returns {Error} Error named TabAudioError
+ */
+function createTabAudioError(message) {
+  return Object.assign(new Error(message), { name: TAB_AUDIO_ERROR });
+}
+
+/**
+ * Checks whether an error came from sharing tab audio rather than from the microphone
+ * @param {Error} error - Error thrown while starting a recording
+ * @returns {boolean} True for errors from openTabAudio or mixInputs
+ */
+function isTabAudioError(error) {
+  return !!error && error.name === TAB_AUDIO_ERROR;
+}
+
+/**
+ * Asks the browser for a tab or screen to share and keeps only its audio
+ * Browsers only offer audio alongside video, so the video track is stopped at once
+ * @param {MediaDevices} mediaDevices - Optional MediaDevices (defaults to navigator.mediaDevices)
+ * @returns {Promise<MediaStream>} Stream with the shared audio
+ */
+async function openTabAudio(mediaDevices) {
+  const devices = mediaDevices || (typeof navigator !== 'undefined' ? navigator.mediaDevices : null);
+  if (!devices || typeof devices.getDisplayMedia !== 'function') {
+    throw createTabAudioError('This browser cannot record tab audio; turn it off in Audio Settings to record the microphone only');
+  }
+
+  let stream;
+  try {
+    // The remote parties should be recorded as they are heard, without the microphone's processing
+    stream = await devices.getDisplayMedia({
+      video: true,
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+      systemAudio: 'include'
+    });
+  } catch (error) {
+    console.error('Error sharing tab audio:', error);
+    throw createTabAudioError('No tab was shared, so the recording did not start');
+  }
+
+  stream.getVideoTracks().forEach(track => track.stop());
+  if (stream.getAudioTracks().length === 0) {
+    stream.getTracks().forEach(track => track.stop());
+    throw createTabAudioError('The shared tab has no audio; start again and tick "Share tab audio" when choosing the tab');
+  }
+  return stream;
+}
+
+/**
+ * Mixes the microphone and the shared tab into one stream to record
+ * @param {Object} micInput - Input from createResilientInput
+ * @param {MediaStream} tabStream - Stream from openTabAudio
+ * @param {Object} settings - Audio settings with micGain, tabGain and separateChannels
+ * @param {Object} options - Mixer options
+ * @param {Function} options.onChange - Called with { type: 'tab-ended', at } when the tab stops being shared
+ * @param {Function} options.AudioContextClass - Optional AudioContext constructor (defaults to the browser's)
+ * @returns {Object} Input with the stream to record and stop() to release both sources
+ */
+function mixInputs(micInput, tabStream, settings = {}, options = {}) {
+  const ContextClass = options.AudioContextClass ||
+    (typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : null);
+  if (!ContextClass) {
+    throw createTabAudioError('This browser cannot mix tab audio with the microphone');
+  }
+
+  const context = new ContextClass();
+  const destination = context.createMediaStreamDestination();
+  const micGain = context.createGain();
+  const tabGain = context.createGain();
+  micGain.gain.value = Number(settings.micGain) || DEFAULT_SOURCE_GAIN;
+  tabGain.gain.value = Number(settings.tabGain) || DEFAULT_SOURCE_GAIN;
+  context.createMediaStreamSource(micInput.stream).connect(micGain);
+  context.createMediaStreamSource(tabStream).connect(tabGain);
+
+  if (settings.separateChannels) {
+    // Each merger input is taken as mono, so a stereo tab is folded onto its own channel
+    const merger = context.createChannelMerger(2);
+    micGain.connect(merger, 0, MIC_CHANNEL);
+    tabGain.connect(merger, 0, TAB_CHANNEL);
+    merger.connect(destination);
+  } else {
+    micGain.connect(destination);
+    tabGain.connect(destination);
+  }
+
+  let stopped = false;
+  // Ending the share from the browser's bar leaves the microphone recording
+  tabStream.getAudioTracks().forEach(track => {
+    track.onended = () => {
+      if (!stopped && options.onChange) options.onChange({ type: 'tab-ended', at: new Date().toISOString() });
+    };
+  });
+  if (context.state === 'suspended' && context.resume) context.resume();
+
+  return {
+    stream: destination.stream,
+    stop: () => {
+      stopped = true;
+      micInput.stop();
+      tabStream.getTracks().forEach(track => track.stop());
+      if (context.close) context.close();
+    }
+  };
+}
+
+/**
+ * Opens the input a recording records: the microphone, mixed with a shared tab when tab audio is on
+ * The tab is asked for first, while the click that started the recording still counts as a user gesture
+ * @param {Object} settings - Audio settings with captureTabAudio, the microphone settings and the mixer settings
+ * @param {Object} options - Input options for createResilientInput and mixInputs
+ * @returns {Promise<Object>} Input with the stream to record and stop() to release it
+ */
+async function openRecordingInput(settings = {}, options = {}) {
+  if (!settings.captureTabAudio) return createResilientInput(settings, options);
+
+  const tabStream = await openTabAudio(options.mediaDevices);
+  let micInput = null;
+  try {
+    micInput = await createResilientInput(settings, options);
+    return mixInputs(micInput, tabStream, settings, options);
+  } catch (error) {
+    if (micInput) micInput.stop();
+    tabStream.getTracks().forEach(track => track.stop());
+    throw error;
+  }
+}
+
+module.exports = {
+  SOURCE_GAINS,
+  DEFAULT_SOURCE_GAIN,
+  isTabAudioError,
+  openTabAudio,
+  mixInputs,
+  openRecordingInput
+};
@@ -2,28 +2,19 @@
  * Transcript generation utilities for court hearings
  */
 
+const { getReportFields } = require('./fieldSchema');
+
 /**
- * Generates a mock transcript for demonstration purposes
- * In production, this would call a local Whisper/Vosk transcription service
- * @param {Blob} audioBlob - Audio blob to transcribe
+ * Builds the placeholder text the mock transcription provider returns
  * @param {Object} hearing - Hearing metadata
  * @param {number} duration - Recording duration in seconds
- * @returns {Promise<string>} Generated transcript
+ * @returns {string} Mock transcript
  */
-async function generateMockTranscript(audioBlob, hearing, duration) {
-  if (!audioBlob) {
-    throw new Error('No audio data available for transcription');
-  }
-  
-  // Simulate processing time
-  await new Promise(resolve => setTimeout(resolve, 2000));
-  
-  const transcript = `[Transcript for ${hearing['Case Number']}]\n\n` +
+function buildMockTranscript(hearing, duration) {
+  return `[Transcript for ${hearing['Case Number']}]\n\n` +
     `Court proceedings for ${hearing['Client Name']} in ${hearing['Division']} at ${hearing['Time']}.\n\n` +
     `[This is a mock transcript. In production, this would be generated by a local Whisper/Vosk model.]\n\n` +
     `Duration: ${formatDuration(duration)}`;
-    
-  return transcript;
 }
 
 /**
@@ -33,8 +24,9 @@ async function generateMockTranscript(audioBlob, hearing, duration) {
  * @param {string} notes - User notes
  * @param {number} duration - Recording duration
  * @param {string} filename - Filename for download
+ * @param {Object} fieldSchema - Field schema choosing the extra docket columns in the header (see fieldSchema)
  */
-function downloadTranscript(hearing, transcript, notes, duration, filename) {
+function downloadTranscript(hearing, transcript, notes, duration, filename, fieldSchema) {
   if (!transcript) {
     throw new Error('No transcript available for download');
   }
@@ -43,6 +35,7 @@ function downloadTranscript(hearing, transcript, notes, duration, filename) {
     `Client: ${hearing['Client Name']}\n` +
     `Division: ${hearing['Division']}\n` +
     `Time: ${hearing['Time']}\n` +
+    getReportFields(hearing, fieldSchema).map(field => `${field.key}: ${field.value}\n`).join('') +
     `Duration: ${formatDuration(duration)}\n\n` +
     `TRANSCRIPT:\n${transcript}\n\n` +
     `NOTES:\n${notes}`;
@@ -68,6 +61,6 @@ function formatDuration(seconds) {
 }
 
 module.exports = {
-  generateMockTranscript,
+  buildMockTranscript,
   downloadTranscript
 };
\ No newline at end of file
@@ -0,0 +1,362 @@
+/**
+ * Transcription provider utilities
+ * Transcripts come from a provider: an engine registered under an id with what it
+ * can do and a transcribe(audioBlob, options) function. The tiles only ask for the
+ * engine chosen in the transcription settings, so a real one (a local Whisper or
+ * Vosk server, say) is added by registering it, without touching the tiles. The
+ * mock engine stays registered for demonstrations.
+ */
+
+const { buildMockTranscript } = require('./transcriptGenerator');
+const { formatDuration } = require('./audioRecorder');
+const { getStorage } = require('./storage');
+
+const MOCK_PROVIDER_ID = 'mock';
+const TRANSCRIPTION_CANCELLED = 'TranscriptionCancelled';
+const TRANSCRIPTION_SETTINGS_STORAGE_KEY = 'courtReporter.transcriptionSettings';
+
+const DEFAULT_TRANSCRIPTION_SETTINGS = {
+  providerId: MOCK_PROVIDER_ID,
+  language: 'en',
+  // Each engine's own settings (a server address, a model) by provider id
+  providerOptions: {}
+};
+
+// What a provider can do when it does not say
+const DEFAULT_CAPABILITIES = {
+  // Language codes it transcribes; empty means any
+  languages: [],
+  timestamps: false,
+  speakerLabels: false,
+  // Whether the audio stays on this computer
+  offline: false,
+  cancellable: false
+};
+
+const LANGUAGE_NAMES = {
+  en: 'English',
+  es: 'Spanish',
+  ht: 'Haitian Creole',
+  pt: 'Portuguese',
+  fr: 'French',
+  vi: 'Vietnamese',
+  zh: 'Chinese'
+};
+
+// The mock stands in for an engine's processing time in steps, so progress and cancelling can be tried out
+const MOCK_STEPS = 4;
+const MOCK_STEP_MS = 500;
+
+/**
+ * Creates the error a transcription rejects with when it is cancelled
+ * @returns {Error} Error named TranscriptionCancelled
+ */
+function createTranscriptionCancelledError() {
+  const error = new Error('Transcription cancelled');
+  error.name = TRANSCRIPTION_CANCELLED;
+  return error;
+}
+
+/**
+ * Tells whether a transcription failed only because it was cancelled
+ * An engine that passes the signal on to fetch rejects with fetch's AbortError, which counts too
+ * @param {Error} error - Error from transcribeAudio or a provider
+ * @returns {boolean} True when the transcription was cancelled
+ */
+function isTranscriptionCancelled(error) {
+  return Boolean(error) && (error.name === TRANSCRIPTION_CANCELLED || error.name === 'AbortError');
+}
+
+/**
+ * Waits, stopping early when the transcription is cancelled
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Optional signal that cancels the wait
+ * @returns {Promise<void>} Resolves after ms, rejects once cancelled
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createTranscriptionCancelledError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createTranscriptionCancelledError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener('abort', onAbort);
+  });
+}
+
+const mockProvider = {
+  id: MOCK_PROVIDER_ID,
+  label: 'Mock transcript (demonstration)',
+  description: 'Returns a placeholder transcript after a short wait. Use it to try the app out; it does not listen to the audio.',
+  capabilities: { languages: ['en'], offline: true, cancellable: true },
+  async transcribe(audioBlob, options = {}) {
+    for (let step = 0; step < MOCK_STEPS; step++) {
+      if (options.onProgress) options.onProgress(step / MOCK_STEPS);
+      await wait(MOCK_STEP_MS, options.signal);
+    }
+    return buildMockTranscript(options.hearing, options.duration);
+  }
+};
+
+const providers = new Map();
+
+/**
+ * Registers a transcription engine, replacing any registered under the same id
+ * @param {Object} provider - Engine with id, label, description, capabilities, options and transcribe
+ * @param {Object} provider.capabilities - languages, timestamps, speakerLabels, offline and cancellable (see DEFAULT_CAPABILITIES)
+ * @param {Array} provider.options - Settings it needs, each { key, label, placeholder }, shown in the transcription settings
+ * @param {Function} provider.transcribe - Called with the audio and { hearing, duration, language, options, onProgress, signal };
+ *   resolves with the text, or with { text, segments, language } where each segment is { start, end, text, speaker }
+ * @returns {Object} The provider as registered
+ */
+function registerProvider(provider) {
+  if (!provider || !provider.id || !provider.label || typeof provider.transcribe !== 'function') {
+    throw new Error('A transcription provider needs an id, a label and a transcribe function');
+  }
+
+  const registered = {
+    description: '',
+    ...provider,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...provider.capabilities },
+    options: provider.options || []
+  };
+  providers.set(registered.id, registered);
+  return registered;
+}
+
+/**
+ * Removes a registered engine; the mock engine cannot be removed
+ * @param {string} id - Provider id
+ * @returns {boolean} True when an engine was removed
+ */
+function unregisterProvider(id) {
+  if (id === MOCK_PROVIDER_ID) return false;
+  return providers.delete(id);
+}
+
+/**
+ * Lists the registered engines in the order they were registered
+ * @returns {Array} Providers
+ */
+function listProviders() {
+  return Array.from(providers.values());
+}
+
+/**
+ * Looks up a registered engine
+ * @param {string} id - Provider id
+ * @returns {Object|null} Provider, or null when none is registered under the id
+ */
+function getProvider(id) {
+  return providers.get(id) || null;
+}
+
+/**
+ * Finds the engine the settings choose
+ * An engine that was chosen and is no longer installed falls back to the mock
+ * @param {Object} settings - Transcription settings
+ * @returns {Object} Provider
+ */
+function getSelectedProvider(settings = {}) {
+  return getProvider(settings.providerId) || getProvider(MOCK_PROVIDER_ID);
+}
+
+/**
+ * Picks the language to ask an engine for
+ * @param {Object} provider - Provider
+ * @param {string} language - Language code from the settings
+ * @returns {string} The chosen language when the engine offers it, otherwise its first
+ */
+function getProviderLanguage(provider, language) {
+  const { languages } = provider.capabilities;
+  if (languages.length === 0 || languages.includes(language)) return language;
+  return languages[0];
+}
+
+/**
+ * Names a language for display
+ * @param {string} code - Language code, e.g. "es"
+ * @returns {string} Language name, or the code when it is not known
+ */
+function getLanguageName(code) {
+  return LANGUAGE_NAMES[code] || code;
+}
+
+/**
+ * Describes what an engine can do, for the transcription settings
+ * @param {Object} provider - Provider
+ * @returns {Array} Short descriptions, e.g. ["Audio stays on this computer", "Timestamps"]
+ */
+function describeCapabilities(provider) {
+  const { languages, timestamps, speakerLabels, offline, cancellable } = provider.capabilities;
+  const described = [offline ? 'Audio stays on this computer' : 'Audio is sent to the engine'];
+  described.push(languages.length > 0 ? languages.map(getLanguageName).join(', ') : 'Any language');
+  if (timestamps) described.push('Timestamps');
+  if (speakerLabels) described.push('Speaker labels');
+  if (cancellable) described.push('Can be cancelled');
+  return described;
+}
+
+/**
+ * Puts what an engine returned into one shape
+ * @param {string|Object} result - Text, or { text, segments, language }
+ * @param {Object} provider - Provider that returned it
+ * @param {string} language - Language it was asked for
+ * @param {Date} now - Time of the transcription (defaults to now)
+ * @returns {Object} Transcription with text, segments, language, provider, providerLabel and createdAt
+ */
+function normalizeTranscription(result, provider, language, now = new Date()) {
+  const returned = typeof result === 'string' ? { text: result } : (result || {});
+  const segments = (Array.isArray(returned.segments) ? returned.segments : [])
+    .filter(segment => segment && typeof segment.text === 'string')
+    .map(segment => {
+      const normalized = { start: Number(segment.start) || 0, end: Number(segment.end) || 0, text: segment.text.trim() };
+      if (segment.speaker) normalized.speaker = String(segment.speaker);
+      return normalized;
+    });
+  const text = typeof returned.text === 'string' && returned.text
+    ? returned.text
+    : segments.map(segment => segment.text).join(' ');
+
+  if (!text) {
+    throw new Error(`${provider.label} returned no transcript`);
+  }
+
+  return {
+    text,
+    segments,
+    language: returned.language || language,
+    provider: provider.id,
+    providerLabel: provider.label,
+    createdAt: now.toISOString()
+  };
+}
+
+/**
+ * Transcribes a recording with the engine chosen in the settings
+ * @param {Blob} audioBlob - Audio to transcribe
+ * @param {Object} options - Transcription options
+ * @param {Object} options.settings - Transcription settings (see getTranscriptionSettings)
+ * @param {Object} options.hearing - Hearing metadata
+ * @param {number} options.duration - Recording duration in seconds
+ * @param {Function} options.onProgress - Called with the share done, from 0 to 1
+ * @param {AbortSignal} options.signal - Cancels the transcription
+ * @returns {Promise<Object>} Transcription from normalizeTranscription; rejects with a
+ *   TranscriptionCancelled error once cancelled (see isTranscriptionCancelled)
+ */
+async function transcribeAudio(audioBlob, options = {}) {
+  if (!audioBlob) {
+    throw new Error('No audio data available for transcription');
+  }
+
+  const settings = { ...DEFAULT_TRANSCRIPTION_SETTINGS, ...options.settings };
+  const provider = getSelectedProvider(settings);
+  const language = getProviderLanguage(provider, settings.language);
+  const { signal } = options;
+  const reportProgress = (fraction) => {
+    if (options.onProgress) options.onProgress(Math.min(1, Math.max(0, Number(fraction) || 0)));
+  };
+
+  if (signal && signal.aborted) throw createTranscriptionCancelledError();
+  const result = await provider.transcribe(audioBlob, {
+    hearing: options.hearing,
+    duration: options.duration,
+    language,
+    options: (settings.providerOptions || {})[provider.id] || {},
+    onProgress: reportProgress,
+    signal
+  });
+  // An engine that cannot be cancelled still finishes, but what it returns after a cancel is dropped
+  if (signal && signal.aborted) throw createTranscriptionCancelledError();
+
+  reportProgress(1);
+  return normalizeTranscription(result, provider, language);
+}
+
+/**
+ * Lays out a transcription as transcript text
+ * An engine that marks speakers or times gets a line per segment, e.g. "[1:05] Judge: Be seated."
+ * @param {Object} transcription - Transcription from transcribeAudio
+ * @returns {string} Transcript text
+ */
+function formatTranscription(transcription) {
+  const { segments = [] } = transcription;
+  const hasTimes = segments.some(segment => segment.end > 0);
+  const hasSpeakers = segments.some(segment => segment.speaker);
+  if (segments.length < 2 || (!hasTimes && !hasSpeakers)) return transcription.text;
+
+  return segments.map(segment => {
+    const time = hasTimes ? `[${formatDuration(Math.floor(segment.start))}] ` : '';
+    const speaker = segment.speaker ? `${segment.speaker}: ` : '';
+    return `${time}${speaker}${segment.text}`;
+  }).join('\n');
+}
+
+/**
+ * Loads the transcription engine, language and engine settings chosen by the user
+ * @param {Object} storage - Optional Storage-like object (defaults to localStorage)
+ * @returns {Object} Transcription settings (DEFAULT_TRANSCRIPTION_SETTINGS when nothing is saved)
+ */
+function getTranscriptionSettings(storage) {
+  const store = getStorage(storage);
+  if (!store) return { ...DEFAULT_TRANSCRIPTION_SETTINGS };
+  try {
+    return { ...DEFAULT_TRANSCRIPTION_SETTINGS, ...JSON.parse(store.getItem(TRANSCRIPTION_SETTINGS_STORAGE_KEY)) };
+  } catch (error) {
+    return { ...DEFAULT_TRANSCRIPTION_SETTINGS };
+  }
+}
+
+/**
+ * Saves the transcription engine, language and engine settings
+ * @param {Object} settings - Transcription settings with providerId, language and providerOptions
+ * @param {Object} storage - Optional Storage-like object (defaults to localStorage)
+ * @returns {Object} The settings as saved
+ */
+function saveTranscriptionSettings(settings, storage) {
+  const saved = {
+    providerId: settings.providerId || MOCK_PROVIDER_ID,
+    language: settings.language || DEFAULT_TRANSCRIPTION_SETTINGS.language,
+    providerOptions: settings.providerOptions || {}
+  };
+
+  const store = getStorage(storage);
+  if (!store) return saved;
+
+  try {
+    store.setItem(TRANSCRIPTION_SETTINGS_STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.error('Error saving transcription settings:', error);
+  }
+  return saved;
+}
+
+registerProvider(mockProvider);
+
+module.exports = {
+  MOCK_PROVIDER_ID,
+  DEFAULT_TRANSCRIPTION_SETTINGS,
+  LANGUAGE_NAMES,
+  createTranscriptionCancelledError,
+  isTranscriptionCancelled,
+  registerProvider,
+  unregisterProvider,
+  listProviders,
+  getProvider,
+  getSelectedProvider,
+  getProviderLanguage,
+  getLanguageName,
+  describeCapabilities,
+  normalizeTranscription,
+  transcribeAudio,
+  formatTranscription,
+  getTranscriptionSettings,
+  saveTranscriptionSettings
+};
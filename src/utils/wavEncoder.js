@@ -0,0 +1,233 @@
+/**
+ * WAV export utilities
+ * Decodes a recording with Web Audio, downmixes and resamples it, and writes a
+ * RIFF WAVE file (16-bit PCM, or 8-bit G.711 µ-law) without leaving the browser.
+ */
+
+const WAV_SAMPLE_RATE = 16000;
+
+const WAV_ENCODINGS = {
+  pcm16: { formatTag: 1, bitsPerSample: 16, label: '16-bit PCM' },
+  mulaw: { formatTag: 7, bitsPerSample: 8, label: '8-bit µ-law' }
+};
+
+/**
+ * Averages the channels of a recording into one
+ * @param {Array<Float32Array>} channels - Samples per channel, all the same length
+ * @returns {Float32Array} Mono samples
+ */
+function mixToMono(channels) {
+  if (channels.length === 1) return channels[0];
+
+  const mono = new Float32Array(channels[0].length);
+  for (let i = 0; i < mono.length; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels.length; c++) sum += channels[c][i];
+    mono[i] = sum / channels.length;
+  }
+  return mono;
+}
+
+/**
+ * Converts samples to another sample rate
+ * Downsampling averages the input samples behind each output sample, a simple
+ * low-pass that limits aliasing; upsampling interpolates linearly.
+ * @param {Float32Array} samples - Input samples
+ * @param {number} fromRate - Input sample rate in Hz
+ * @param {number} toRate - Output sample rate in Hz
+ * @returns {Float32Array} Resampled samples
+ */
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+
+  const ratio = fromRate / toRate;
+  const output = new Float32Array(Math.floor(samples.length / ratio));
+
+  for (let i = 0; i < output.length; i++) {
+    if (ratio > 1) {
+      const start = Math.floor(i * ratio);
+      const end = Math.min(Math.floor((i + 1) * ratio), samples.length);
+      let sum = 0;
+      for (let j = start; j < end; j++) sum += samples[j];
+      output[i] = end > start ? sum / (end - start) : 0;
+    } else {
+      const position = i * ratio;
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, samples.length - 1);
+      const fraction = position - index;
+      output[i] = samples[index] + (samples[next] - samples[index]) * fraction;
+    }
+  }
+  return output;
+}
+
+/**
+ * Encodes one sample as G.711 µ-law
+ * @param {number} sample - Sample between -1 and 1
+ * @returns {number} µ-law byte
+ */
+function linearToMuLaw(sample) {
+  const BIAS = 0x84;
+  const CLIP = 32635;
+
+  let pcm = Math.round(Math.max(-1, Math.min(1, sample)) * 32767);
+  const sign = pcm < 0 ? 0x80 : 0;
+  if (sign) pcm = -pcm;
+  pcm = Math.min(pcm, CLIP) + BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (pcm & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (pcm >> (exponent + 3)) & 0x0f;
+
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Writes samples as a WAV file
+ * µ-law files carry the extended fmt chunk and the fact chunk that non-PCM WAVE files require
+ * @param {Float32Array} samples - Mono samples between -1 and 1
+ * @param {Object} options - Encoding options
+ * @param {number} options.sampleRate - Sample rate in Hz (default 16000)
+ * @param {string} options.encoding - 'pcm16' (default) or 'mulaw'
+ * @returns {ArrayBuffer} WAV file contents
+ */
+function encodeWAV(samples, options = {}) {
+  const sampleRate = options.sampleRate || WAV_SAMPLE_RATE;
+  const encodingName = options.encoding || 'pcm16';
+  const encoding = WAV_ENCODINGS[encodingName];
+  if (!encoding) {
+    throw new Error(`Unsupported WAV encoding: ${encodingName}`);
+  }
+
+  const isPCM = encoding.formatTag === 1;
+  const bytesPerSample = encoding.bitsPerSample / 8;
+  const dataSize = samples.length * bytesPerSample;
+  const fmtSize = isPCM ? 16 : 18;
+  const factSize = isPCM ? 0 : 12;
+  const headerSize = 12 + (8 + fmtSize) + factSize + 8;
+  // RIFF chunks are word-aligned, so an odd-length data chunk gets a pad byte
+  const padding = dataSize % 2;
+
+  const buffer = new ArrayBuffer(headerSize + dataSize + padding);
+  const view = new DataView(buffer);
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) view.setUint8(offset + i, text.charCodeAt(i));
+  };
+
+  writeString(0, 'RIFF');
+  view.setUint32(4, buffer.byteLength - 8, true);
+  writeString(8, 'WAVE');
+
+  writeString(12, 'fmt ');
+  view.setUint32(16, fmtSize, true);
+  view.setUint16(20, encoding.formatTag, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * bytesPerSample, true);
+  view.setUint16(32, bytesPerSample, true);
+  view.setUint16(34, encoding.bitsPerSample, true);
+
+  let offset = 20 + fmtSize;
+  if (!isPCM) {
+    view.setUint16(36, 0, true);
+    writeString(offset, 'fact');
+    view.setUint32(offset + 4, 4, true);
+    view.setUint32(offset + 8, samples.length, true);
+    offset += factSize;
+  }
+
+  writeString(offset, 'data');
+  view.setUint32(offset + 4, dataSize, true);
+  offset += 8;
+
+  for (let i = 0; i < samples.length; i++) {
+    if (isPCM) {
+      const sample = Math.max(-1, Math.min(1, samples[i]));
+      view.setInt16(offset + i * 2, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+    } else {
+      view.setUint8(offset + i, linearToMuLaw(samples[i]));
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Decodes a recording with Web Audio
+ * The context is created at the target rate where the browser allows it, so long
+ * recordings are not held in memory at 48 kHz
+ * @param {Blob} blob - Recorded audio
+ * @param {number} sampleRate - Preferred decoding sample rate in Hz
+ * @param {Function} AudioContextClass - Optional AudioContext constructor (defaults to the browser's)
+ * @returns {Promise<AudioBuffer>} Decoded audio
+ */
+async function decodeAudioBlob(blob, sampleRate, AudioContextClass) {
+  const ContextClass = AudioContextClass ||
+    (typeof window !== 'undefined' ? window.AudioContext || window.webkitAudioContext : null);
+  if (!ContextClass) {
+    throw new Error('Web Audio is not available in this browser');
+  }
+
+  let context;
+  try {
+    context = new ContextClass({ sampleRate });
+  } catch (error) {
+    context = new ContextClass();
+  }
+
+  try {
+    const data = await blob.arrayBuffer();
+    return await context.decodeAudioData(data);
+  } finally {
+    if (context.close) context.close();
+  }
+}
+
+/**
+ * Converts a recording to a mono WAV file
+ * Several takes are joined end to end in the order given
+ * @param {Blob|Array} blob - Recorded audio (WebM, Ogg or MP4), or a list of takes
+ * @param {Object} options - Export options
+ * @param {number} options.sampleRate - Output sample rate in Hz (default 16000)
+ * @param {string} options.encoding - 'pcm16' (default) or 'mulaw'
+ * @param {Function} AudioContextClass - Optional AudioContext constructor
+ * @returns {Promise<Blob>} WAV file
+ */
+async function convertToWAV(blob, options = {}, AudioContextClass) {
+  const blobs = [].concat(blob || []);
+  if (blobs.length === 0) {
+    throw new Error('No audio data available for download');
+  }
+
+  const sampleRate = options.sampleRate || WAV_SAMPLE_RATE;
+  const parts = [];
+  for (const part of blobs) {
+    const audioBuffer = await decodeAudioBlob(part, sampleRate, AudioContextClass);
+    const channels = [];
+    for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+    parts.push(resample(mixToMono(channels), audioBuffer.sampleRate, sampleRate));
+  }
+
+  let samples = parts[0];
+  if (parts.length > 1) {
+    samples = new Float32Array(parts.reduce((length, part) => length + part.length, 0));
+    let offset = 0;
+    parts.forEach(part => {
+      samples.set(part, offset);
+      offset += part.length;
+    });
+  }
+
+  return new Blob([encodeWAV(samples, { sampleRate, encoding: options.encoding })], { type: 'audio/wav' });
+}
+
+module.exports = {
+  WAV_SAMPLE_RATE,
+  WAV_ENCODINGS,
+  mixToMono,
+  resample,
+  linearToMuLaw,
+  encodeWAV,
+  decodeAudioBlob,
+  convertToWAV
+};
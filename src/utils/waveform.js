@@ -0,0 +1,131 @@
+/**
+ * Waveform player utilities
+ * Decodes a recording once to draw its waveform and to find the silent stretches
+ * that skip-silence playback jumps over.
+ */
+
+const { mixToMono, decodeAudioBlob } = require('./wavEncoder');
+
+const PLAYBACK_RATES = [0.5, 0.75, 1, 1.25, 1.5, 2, 2.5, 3];
+const JUMP_SECONDS = 5;
+const WAVEFORM_BARS = 200;
+// Speech detail is not needed to draw the waveform, so long recordings are decoded small
+const ANALYSIS_SAMPLE_RATE = 8000;
+const SILENCE_WINDOW_SECONDS = 0.05;
+// RMS below this counts as silence (about -40 dBFS, as for the level meter)
+const SILENCE_THRESHOLD = 0.01;
+// Only gaps at least this long are skipped, and a little of each edge is kept
+const MIN_SKIP_SECONDS = 1;
+const SKIP_PADDING_SECONDS = 0.2;
+
+/**
+ * Reduces samples to the peak of each bar of the waveform
+ * @param {Float32Array} samples - Mono samples between -1 and 1
+ * @param {number} barCount - Number of bars to draw
+ * @returns {Array} Peak per bar, scaled so the loudest bar is 1
+ */
+function computePeaks(samples, barCount = WAVEFORM_BARS) {
+  if (samples.length === 0) return [];
+  const bars = Math.min(barCount, samples.length);
+  const peaks = new Array(bars).fill(0);
+  for (let bar = 0; bar < bars; bar++) {
+    const start = Math.floor(bar * samples.length / bars);
+    const end = Math.floor((bar + 1) * samples.length / bars);
+    for (let i = start; i < end; i++) {
+      const magnitude = Math.abs(samples[i]);
+      if (magnitude > peaks[bar]) peaks[bar] = magnitude;
+    }
+  }
+  const loudest = Math.max(...peaks);
+  return loudest > 0 ? peaks.map(peak => peak / loudest) : peaks;
+}
+
+/**
+ * Finds the silent stretches that skip-silence playback jumps over
+ * @param {Float32Array} samples - Mono samples between -1 and 1
+ * @param {number} sampleRate - Sample rate in Hz
+ * @returns {Array} Ranges of { start, end } in seconds, already trimmed by the edge padding
+ */
+function findSilentRanges(samples, sampleRate) {
+  const windowSize = Math.max(1, Math.round(sampleRate * SILENCE_WINDOW_SECONDS));
+  const ranges = [];
+  let silentFrom = null;
+
+  const closeRange = (endSample) => {
+    const start = silentFrom / sampleRate;
+    const end = endSample / sampleRate;
+    if (end - start >= MIN_SKIP_SECONDS) {
+      ranges.push({ start: start + SKIP_PADDING_SECONDS, end: end - SKIP_PADDING_SECONDS });
+    }
+    silentFrom = null;
+  };
+
+  for (let offset = 0; offset < samples.length; offset += windowSize) {
+    const end = Math.min(offset + windowSize, samples.length);
+    let sumOfSquares = 0;
+    for (let i = offset; i < end; i++) sumOfSquares += samples[i] * samples[i];
+    const isSilent = Math.sqrt(sumOfSquares / (end - offset)) < SILENCE_THRESHOLD;
+
+    if (isSilent && silentFrom === null) silentFrom = offset;
+    if (!isSilent && silentFrom !== null) closeRange(offset);
+  }
+  if (silentFrom !== null) closeRange(samples.length);
+
+  return ranges;
+}
+
+/**
+ * Works out where skip-silence playback should jump to
+ * @param {number} time - Current playback position in seconds
+ * @param {Array} silentRanges - Ranges from findSilentRanges
+ * @returns {number|null} Position to jump to, or null when the position is not in a silent stretch
+ */
+function getSkipTarget(time, silentRanges) {
+  const range = silentRanges.find(silent => time >= silent.start && time < silent.end);
+  return range ? range.end : null;
+}
+
+/**
+ * Keeps a seek within the recording
+ * @param {number} time - Requested position in seconds
+ * @param {number} duration - Recording length in seconds
+ * @returns {number} Position between 0 and the duration
+ */
+function clampTime(time, duration) {
+  return Math.min(Math.max(0, time), duration || 0);
+}
+
+/**
+ * Decodes a recording and measures what the player needs
+ * @param {Blob} blob - Recorded or imported audio
+ * @param {Object} options - Analysis options
+ * @param {number} options.barCount - Number of waveform bars (default 200)
+ * @param {Function} AudioContextClass - Optional AudioContext constructor
+ * @returns {Promise<Object>} Duration in seconds, waveform peaks and silent ranges
+ */
+async function analyzeRecording(blob, options = {}, AudioContextClass) {
+  if (!blob) {
+    throw new Error('No audio data available for playback');
+  }
+
+  const audioBuffer = await decodeAudioBlob(blob, ANALYSIS_SAMPLE_RATE, AudioContextClass);
+  const channels = [];
+  for (let c = 0; c < audioBuffer.numberOfChannels; c++) channels.push(audioBuffer.getChannelData(c));
+  const samples = mixToMono(channels);
+
+  return {
+    duration: samples.length / audioBuffer.sampleRate,
+    peaks: computePeaks(samples, options.barCount),
+    silentRanges: findSilentRanges(samples, audioBuffer.sampleRate)
+  };
+}
+
+module.exports = {
+  PLAYBACK_RATES,
+  JUMP_SECONDS,
+  computePeaks,
+  findSilentRanges,
+  getSkipTarget,
+  clampTime,
+  analyzeRecording
+};
@@ -0,0 +1,443 @@
+/**
+ * Excel (.xlsx) workbook reader
+ * Unzips the workbook locally and reads sheet XML into rows of display strings,
+ * so spreadsheets can go through the same mapping and validation as CSV imports.
+ */
+
+const { inflateRaw } = require('./inflate');
+const { cleanHeaderRow, formatTime, formatDayKey } = require('./csvParser');
+const { proposeColumnMapping } = require('./columnMapping');
+
+/**
+ * Days between the Excel 1900 epoch (1899-12-30) and 1970-01-01
+ */
+const EXCEL_UNIX_EPOCH_DAYS = 25569;
+
+/**
+ * Days between the 1900 and 1904 date systems
+ */
+const DATE_1904_OFFSET_DAYS = 1462;
+
+/**
+ * Built-in number formats that display dates and/or times
+ */
+const BUILTIN_DATE_FORMATS = {
+  14: 'date', 15: 'date', 16: 'date', 17: 'date',
+  18: 'time', 19: 'time', 20: 'time', 21: 'time',
+  22: 'datetime',
+  45: 'time', 46: 'time', 47: 'time'
+};
+
+const readUInt16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+const readUInt32 = (bytes, offset) => (readUInt16(bytes, offset) | (readUInt16(bytes, offset + 2) << 16)) >>> 0;
+
+/**
+ * Lists the entries of a zip archive from its central directory
+ * @param {Uint8Array} bytes - Archive content
+ * @returns {Object} Entries keyed by path, each { method, compressedSize, size, offset }
+ */
+function readZipEntries(bytes) {
+  let end = -1;
+  // The end-of-central-directory record sits in the last 22 bytes plus an optional comment
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+    if (readUInt32(bytes, i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) {
+    throw new Error('File is not a zip archive');
+  }
+
+  const entryCount = readUInt16(bytes, end + 10);
+  let position = readUInt32(bytes, end + 16);
+  const entries = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    if (readUInt32(bytes, position) !== 0x02014b50) {
+      throw new Error('Corrupt zip central directory');
+    }
+    const nameLength = readUInt16(bytes, position + 28);
+    const extraLength = readUInt16(bytes, position + 30);
+    const commentLength = readUInt16(bytes, position + 32);
+    const name = decodeUTF8(bytes.subarray(position + 46, position + 46 + nameLength));
+
+    entries[name] = {
+      method: readUInt16(bytes, position + 10),
+      compressedSize: readUInt32(bytes, position + 20),
+      size: readUInt32(bytes, position + 24),
+      offset: readUInt32(bytes, position + 42)
+    };
+    position += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extracts one entry of a zip archive
+ * @param {Uint8Array} bytes - Archive content
+ * @param {Object} entry - Entry from readZipEntries
+ * @returns {Uint8Array} Uncompressed entry content
+ */
+function extractZipEntry(bytes, entry) {
+  if (readUInt32(bytes, entry.offset) !== 0x04034b50) {
+    throw new Error('Corrupt zip entry header');
+  }
+  // Local headers can carry different name/extra lengths than the central directory
+  const start = entry.offset + 30 + readUInt16(bytes, entry.offset + 26) + readUInt16(bytes, entry.offset + 28);
+  const data = bytes.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === 0) return data.slice();
+  if (entry.method === 8) return inflateRaw(data, entry.size);
+  throw new Error(`Unsupported zip compression method ${entry.method}`);
+}
+
+/**
+ * Decodes UTF-8 bytes (TextDecoder is not available everywhere)
+ * @param {Uint8Array} bytes - Encoded text
+ * @returns {string} Decoded text
+ */
+function decodeUTF8(bytes) {
+  if (typeof TextDecoder !== 'undefined') {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+
+  const codePoints = [];
+  let result = '';
+  for (let i = 0; i < bytes.length;) {
+    const byte = bytes[i];
+    let codePoint;
+    if (byte < 0x80) {
+      codePoint = byte;
+      i += 1;
+    } else if (byte < 0xe0) {
+      codePoint = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+      i += 2;
+    } else if (byte < 0xf0) {
+      codePoint = ((byte & 0x0f) << 12) | ((bytes[i + 1] & 0x3f) << 6) | (bytes[i + 2] & 0x3f);
+      i += 3;
+    } else {
+      codePoint = ((byte & 0x07) << 18) | ((bytes[i + 1] & 0x3f) << 12) | ((bytes[i + 2] & 0x3f) << 6) | (bytes[i + 3] & 0x3f);
+      i += 4;
+    }
+    codePoints.push(codePoint);
+    // Flush in chunks to stay under the argument limit of fromCodePoint
+    if (codePoints.length === 8192) {
+      result += String.fromCodePoint(...codePoints);
+      codePoints.length = 0;
+    }
+  }
+  return result + String.fromCodePoint(...codePoints);
+}
+
+/**
+ * Replaces XML character and entity references
+ * @param {string} text - XML text content or attribute value
+ * @returns {string} Plain text
+ */
+function decodeXMLEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (match, entity) => {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+    if (entity[0] !== '#') return named[entity.toLowerCase()];
+    const codePoint = entity[1] === 'x' || entity[1] === 'X'
+      ? parseInt(entity.slice(2), 16)
+      : parseInt(entity.slice(1), 10);
+    return String.fromCodePoint(codePoint);
+  });
+}
+
+/**
+ * Reads an attribute from the attribute text of an XML tag
+ * @param {string} attributes - Attribute text, e.g. ' r="A1" t="s"'
+ * @param {string} name - Attribute name, e.g. "r:id"
+ * @returns {string|null} Decoded value, or null when absent
+ */
+function getAttribute(attributes, name) {
+  const match = attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`));
+  if (!match) return null;
+  return decodeXMLEntities(match[1] !== undefined ? match[1] : match[2]);
+}
+
+/**
+ * Joins the text runs of a string item, skipping phonetic hints
+ * @param {string} xml - Content of an <si> or <is> element
+ * @returns {string} Plain text
+ */
+function readRichText(xml) {
+  const runs = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').match(/<t\b[^>]*>[\s\S]*?<\/t>/g) || [];
+  return runs.map(run => decodeXMLEntities(run.replace(/^<t\b[^>]*>|<\/t>$/g, ''))).join('');
+}
+
+/**
+ * Reads the shared string table
+ * An empty <si/> is matched first so it cannot open a match that runs into the next string
+ * @param {string|null} xml - Content of xl/sharedStrings.xml
+ * @returns {Array} Strings by index
+ */
+function parseSharedStrings(xml) {
+  if (!xml) return [];
+  return (xml.match(/<si\b[^>]*\/>|<si\b[^>]*>[\s\S]*?<\/si>/g) || []).map(readRichText);
+}
+
+/**
+ * Classifies a number format as a date, time or date-time format
+ * @param {number} numFmtId - Number format ID
+ * @param {string} formatCode - Custom format code, if any
+ * @returns {string|null} 'date', 'time', 'datetime' or null for plain numbers
+ */
+function getFormatKind(numFmtId, formatCode) {
+  if (BUILTIN_DATE_FORMATS[numFmtId]) return BUILTIN_DATE_FORMATS[numFmtId];
+  if (!formatCode) return null;
+
+  // Ignore literal text and bracketed sections such as colors or [$-409], but keep elapsed [h]
+  const code = formatCode.replace(/"[^"]*"|\[(?![hms]+\])[^\]]*\]|\\./gi, '').toLowerCase();
+  const hasTime = /[hs]/.test(code);
+  const hasDate = /[yd]/.test(code) || (/m/.test(code) && !hasTime);
+
+  if (hasDate && hasTime) return 'datetime';
+  if (hasDate) return 'date';
+  if (hasTime) return 'time';
+  return null;
+}
+
+/**
+ * Reads which cell styles display dates or times
+ * @param {string|null} xml - Content of xl/styles.xml
+ * @returns {Array} Format kind (see getFormatKind) for each cell style index
+ */
+function parseStyles(xml) {
+  if (!xml) return [];
+
+  const customFormats = {};
+  (xml.match(/<numFmt\b[^>]*\/?>/g) || []).forEach(tag => {
+    customFormats[getAttribute(tag, 'numFmtId')] = getAttribute(tag, 'formatCode');
+  });
+
+  const cellXfs = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+  if (!cellXfs) return [];
+
+  return (cellXfs[1].match(/<xf\b[^>]*\/?>/g) || []).map(tag => {
+    const numFmtId = Number(getAttribute(tag, 'numFmtId') || 0);
+    return getFormatKind(numFmtId, customFormats[numFmtId]);
+  });
+}
+
+/**
+ * Formats an Excel date serial as docket text
+ * @param {number} serial - Days since the workbook epoch, with the time as a fraction
+ * @param {string} kind - 'date', 'time' or 'datetime'
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {string} "YYYY-MM-DD", "9:00 AM" or "YYYY-MM-DD 9:00 AM"
+ */
+function formatSerial(serial, kind, date1904) {
+  const days = serial + (date1904 ? DATE_1904_OFFSET_DAYS : 0);
+  // Serials carry no time zone, so read them back in UTC; round to the minute
+  const moment = new Date(Math.round((days - EXCEL_UNIX_EPOCH_DAYS) * 1440) * 60000);
+  const datePart = formatDayKey({
+    year: moment.getUTCFullYear(),
+    month: moment.getUTCMonth() + 1,
+    day: moment.getUTCDate()
+  });
+  const timePart = formatTime({ hours: moment.getUTCHours(), minutes: moment.getUTCMinutes() });
+
+  if (kind === 'date') return datePart;
+  if (kind === 'time') return timePart;
+  return `${datePart} ${timePart}`;
+}
+
+/**
+ * Converts a column reference such as "AB12" to a zero-based column index
+ * @param {string} reference - Cell reference
+ * @returns {number} Column index
+ */
+function getColumnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/i)[0].toUpperCase();
+  let index = 0;
+  for (let i = 0; i < letters.length; i++) {
+    index = index * 26 + (letters.charCodeAt(i) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Reads a worksheet into rows of display strings
+ * Row positions follow the sheet, so rows[n - 1] is sheet row n; missing cells are empty strings.
+ * @param {string} xml - Worksheet XML
+ * @param {Array} sharedStrings - Shared string table
+ * @param {Array} styles - Format kinds by style index (see parseStyles)
+ * @param {boolean} date1904 - Whether the workbook uses the 1904 date system
+ * @returns {Array} Array of rows, each an array of strings
+ */
+function parseSheet(xml, sharedStrings, styles, date1904) {
+  const rows = [];
+  let nextRow = 1;
+
+  const rowPattern = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rowMatch;
+  while ((rowMatch = rowPattern.exec(xml))) {
+    const rowNumber = Number(getAttribute(rowMatch[1], 'r')) || nextRow;
+    nextRow = rowNumber + 1;
+    const values = [];
+    let nextColumn = 0;
+
+    const cellPattern = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    while ((cellMatch = cellPattern.exec(rowMatch[2] || ''))) {
+      const attributes = cellMatch[1];
+      const content = cellMatch[2] || '';
+      const reference = getAttribute(attributes, 'r');
+      const column = reference ? getColumnIndex(reference) : nextColumn;
+      nextColumn = column + 1;
+
+      const type = getAttribute(attributes, 't') || 'n';
+      const valueMatch = content.match(/<v\b[^>]*>([\s\S]*?)<\/v>/);
+      const raw = valueMatch ? decodeXMLEntities(valueMatch[1]) : '';
+      let value = '';
+
+      if (type === 's') {
+        value = raw === '' ? '' : (sharedStrings[Number(raw)] || '');
+      } else if (type === 'inlineStr') {
+        const inline = content.match(/<is\b[^>]*>([\s\S]*?)<\/is>/);
+        value = inline ? readRichText(inline[1]) : '';
+      } else if (type === 'b') {
+        value = raw === '1' ? 'TRUE' : raw === '0' ? 'FALSE' : raw;
+      } else if (type === 'n' && raw !== '') {
+        const number = Number(raw);
+        const kind = styles[Number(getAttribute(attributes, 's') || 0)];
+        if (kind && Number.isFinite(number)) {
+          value = formatSerial(number, kind, date1904);
+        } else {
+          // Drop binary floating point noise such as 0.30000000000000004
+          value = Number.isFinite(number) ? String(parseFloat(number.toPrecision(15))) : raw;
+        }
+      } else {
+        value = raw;
+      }
+
+      while (values.length < column) values.push('');
+      values[column] = value;
+    }
+
+    while (rows.length < rowNumber - 1) rows.push([]);
+    rows[rowNumber - 1] = values;
+  }
+
+  return rows;
+}
+
+/**
+ * Resolves a relationship target against the workbook part
+ * @param {string} target - Target from workbook.xml.rels, e.g. "worksheets/sheet1.xml"
+ * @returns {string} Path inside the archive
+ */
+function resolveWorkbookTarget(target) {
+  if (target.startsWith('/')) return target.slice(1);
+
+  const parts = ['xl'];
+  target.split('/').forEach(part => {
+    if (part === '..') parts.pop();
+    else if (part && part !== '.') parts.push(part);
+  });
+  return parts.join('/');
+}
+
+/**
+ * Reads every worksheet of an .xlsx workbook
+ * @param {Uint8Array|ArrayBuffer} data - Workbook file content
+ * @returns {Object} Workbook with sheets ({ name, hidden, rows })
+ */
+function readXLSX(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  const entries = readZipEntries(bytes);
+  const readText = (path) => (entries[path] ? decodeUTF8(extractZipEntry(bytes, entries[path])) : null);
+
+  const workbookXml = readText('xl/workbook.xml');
+  if (!workbookXml) {
+    throw new Error('File is not an Excel (.xlsx) workbook');
+  }
+
+  const targets = {};
+  ((readText('xl/_rels/workbook.xml.rels') || '').match(/<Relationship\b[^>]*\/?>/g) || []).forEach(tag => {
+    targets[getAttribute(tag, 'Id')] = getAttribute(tag, 'Target');
+  });
+
+  const sharedStrings = parseSharedStrings(readText('xl/sharedStrings.xml'));
+  const styles = parseStyles(readText('xl/styles.xml'));
+  const date1904 = /<workbookPr\b[^>]*\bdate1904\s*=\s*["'](1|true)["']/.test(workbookXml);
+
+  const sheets = (workbookXml.match(/<sheet\b[^>]*\/?>/g) || []).map(tag => {
+    const target = targets[getAttribute(tag, 'r:id')];
+    const xml = target ? readText(resolveWorkbookTarget(target)) : null;
+    return {
+      name: getAttribute(tag, 'name'),
+      hidden: !!getAttribute(tag, 'state') && getAttribute(tag, 'state') !== 'visible',
+      rows: xml ? parseSheet(xml, sharedStrings, styles, date1904) : []
+    };
+  });
+
+  if (sheets.length === 0) {
+    throw new Error('Workbook does not contain any sheets');
+  }
+
+  return { sheets };
+}
+
+/**
+ * Suggests which row of a sheet holds the column headers
+ * Title rows and report headers above the table are common in court exports.
+ * @param {Array} rows - Sheet rows (see parseSheet)
+ * @param {number} maxRows - How many rows from the top to consider (default 20)
+ * @returns {number} 1-based row number
+ */
+function guessHeaderRow(rows, maxRows = 20) {
+  let best = null;
+
+  rows.slice(0, maxRows).forEach((row, index) => {
+    const headers = cleanHeaderRow(row);
+    if (headers.filter(Boolean).length < 2) return;
+
+    const mapping = proposeColumnMapping(headers);
+    const score = Object.values(mapping).filter(Boolean).length;
+    if (!best || score > best.score) {
+      best = { row: index + 1, score };
+    }
+  });
+
+  if (best) return best.row;
+  const firstNonBlank = rows.findIndex(row => row.some(value => value.trim()));
+  return firstNonBlank === -1 ? 1 : firstNonBlank + 1;
+}
+
+/**
+ * Turns the rows of a sheet from the header row down into records for parseRecordsWithDiagnostics
+ * @param {Object} sheet - Sheet from readXLSX
+ * @param {number} headerRow - 1-based row number of the header row
+ * @returns {Array} Array of { values, row } with sheet row numbers
+ */
+function getSheetRecords(sheet, headerRow) {
+  return sheet.rows
+    .slice(headerRow - 1)
+    .map((values, index) => ({ values, row: headerRow + index }));
+}
+
+/**
+ * Checks whether an uploaded file is an .xlsx workbook
+ * @param {string} fileName - Name of the uploaded file
+ * @returns {boolean} True for .xlsx files
+ */
+function isXLSXFile(fileName) {
+  return /\.xlsx$/i.test(fileName || '');
+}
+
+module.exports = {
+  readZipEntries,
+  extractZipEntry,
+  getFormatKind,
+  formatSerial,
+  parseSheet,
+  readXLSX,
+  guessHeaderRow,
+  getSheetRecords,
+  isXLSXFile
+};
@@ -9,6 +9,7 @@ const path = require('path');
 const csvParser = require('./src/utils/csvParser');
 const audioRecorder = require('./src/utils/audioRecorder');
 const transcriptGenerator = require('./src/utils/transcriptGenerator');
+const transcriptionProviders = require('./src/utils/transcriptionProviders');
 const speakingTimeTracker = require('./src/utils/speakingTimeTracker');
 
 let totalTests = 0;
@@ -122,7 +123,7 @@ test('Transcript', 'Generate mock transcript with metadata', async () => {
   
   try {
     // This is a mock, so we just test it doesn't throw
-    const promise = transcriptGenerator.generateMockTranscript(audioBlob, hearing, 60);
+    const promise = transcriptionProviders.transcribeAudio(audioBlob, { hearing, duration: 60 });
     // Don't await - just ensure it returns a promise
     if (!promise || !promise.then) throw new Error('Not a promise');
   } catch (e) {
@@ -1,7 +1,7 @@
 // Test async functionality
 console.log('🧪 Testing Async Functions...\n');
 
-const { generateMockTranscript } = require('./src/utils/transcriptGenerator');
+const { transcribeAudio } = require('./src/utils/transcriptionProviders');
 
 async function runAsyncTests() {
   let passed = 0;
@@ -27,7 +27,7 @@ async function runAsyncTests() {
     };
   };
 
-  await test('generateMockTranscript should generate transcript with hearing details', async () => {
+  await test('transcribeAudio should make the mock transcript with hearing details', async () => {
     const mockHearing = {
       'Case Number': '123-2024',
       'Client Name': 'John Doe',
@@ -38,7 +38,7 @@ async function runAsyncTests() {
     const audioBlob = new Blob(['audio data'], { type: 'audio/webm' });
     const duration = 300; // 5 minutes
 
-    const result = await generateMockTranscript(audioBlob, mockHearing, duration);
+    const { text: result } = await transcribeAudio(audioBlob, { hearing: mockHearing, duration });
 
     if (!result.includes('123-2024')) throw new Error('Case number not in transcript');
     if (!result.includes('John Doe')) throw new Error('Client name not in transcript');
@@ -48,12 +48,12 @@ async function runAsyncTests() {
     if (!result.includes('mock transcript')) throw new Error('Mock disclaimer not included');
   });
 
-  await test('generateMockTranscript should simulate processing delay', async () => {
+  await test('transcribeAudio should simulate the mock engine\'s processing delay', async () => {
     const mockHearing = { 'Case Number': '123-2024' };
     const audioBlob = new Blob(['audio data'], { type: 'audio/webm' });
     
     const startTime = Date.now();
-    await generateMockTranscript(audioBlob, mockHearing, 60);
+    await transcribeAudio(audioBlob, { hearing: mockHearing, duration: 60 });
     const endTime = Date.now();
     
     const elapsed = endTime - startTime;
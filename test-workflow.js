@@ -3,7 +3,7 @@ console.log('🏛️  Court Reporter Complete Workflow Test\n');
 
 const { parseCSV, validateCSVHeaders, initializeRecordingStates } = require('./src/utils/csvParser');
 const { formatDuration } = require('./src/utils/audioRecorder');
-const { generateMockTranscript } = require('./src/utils/transcriptGenerator');
+const { transcribeAudio } = require('./src/utils/transcriptionProviders');
 
 async function runWorkflowTest() {
   console.log('🔄 Testing Complete Workflow...\n');
@@ -71,11 +71,10 @@ async function runWorkflowTest() {
   console.log('  ⏳ Processing transcript...');
   firstRecording.status = 'processing';
   
-  const transcript = await generateMockTranscript(
-    firstRecording.audioBlob,
-    firstHearing,
-    firstRecording.duration
-  );
+  const { text: transcript } = await transcribeAudio(firstRecording.audioBlob, {
+    hearing: firstHearing,
+    duration: firstRecording.duration
+  });
   
   firstRecording.transcript = transcript;
   firstRecording.status = 'complete';